@@ -0,0 +1,83 @@
+package com.skillsphere.backend.config;
+
+import com.skillsphere.backend.service.RateLimiter;
+import jakarta.servlet.FilterChain;
+import jakarta.servlet.ServletException;
+import jakarta.servlet.http.HttpServletRequest;
+import jakarta.servlet.http.HttpServletResponse;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.stereotype.Component;
+import org.springframework.web.filter.OncePerRequestFilter;
+
+import java.io.IOException;
+import java.time.Duration;
+import java.util.List;
+
+/**
+ * Throttles requests that check credentials or reveal whether an account exists (login,
+ * registration, password reset and change, account deletion, username lookups) per client
+ * address, so passwords and accounts can't be guessed at speed. Over the limit the request gets
+ * a 429 with a Retry-After header.
+ */
+@Component
+public class AuthRateLimitFilter extends OncePerRequestFilter {
+    private static final Logger logger = LoggerFactory.getLogger(AuthRateLimitFilter.class);
+
+    /** Requests with this method whose path is {@code path} or below it share one limit per client. */
+    private record Rule(String method, String path, RateLimiter limiter) {
+        boolean matches(HttpServletRequest request) {
+            String uri = request.getRequestURI();
+            return method.equals(request.getMethod()) && (uri.equals(path) || uri.startsWith(path + "/"));
+        }
+    }
+
+    private final List<Rule> rules;
+
+    public AuthRateLimitFilter(@Value("${app.auth.rate-limit.max-attempts:10}") int maxAttempts,
+                               @Value("${app.auth.rate-limit.window:1m}") Duration window,
+                               @Value("${app.auth.rate-limit.lookup-max-attempts:60}") int lookupMaxAttempts) {
+        RateLimiter credentials = new RateLimiter(maxAttempts, window.toMillis());
+        // The registration form checks usernames as they are typed, so lookups get more room.
+        RateLimiter lookups = new RateLimiter(lookupMaxAttempts, window.toMillis());
+        this.rules = List.of(
+                new Rule("POST", "/api/auth/login", credentials),
+                new Rule("POST", "/api/auth/signin", credentials),
+                new Rule("POST", "/api/auth/register", credentials),
+                new Rule("POST", "/api/auth/signup", credentials),
+                new Rule("POST", "/api/admin/login", credentials),
+                new Rule("POST", "/api/account/password-reset", credentials),
+                new Rule("PUT", "/api/account/password", credentials),
+                new Rule("DELETE", "/api/account", credentials),
+                new Rule("GET", "/api/auth/username-available", lookups));
+    }
+
+    @Override
+    protected boolean shouldNotFilter(HttpServletRequest request) {
+        return findRule(request) == null;
+    }
+
+    @Override
+    protected void doFilterInternal(HttpServletRequest request, HttpServletResponse response, FilterChain filterChain)
+            throws ServletException, IOException {
+        Rule rule = findRule(request);
+        String key = rule.method() + " " + rule.path() + "|" + request.getRemoteAddr();
+        long waitMillis = rule.limiter().tryAcquire(key, System.currentTimeMillis());
+        if (waitMillis > 0) {
+            long retryAfter = Math.max(1, (waitMillis + 999) / 1000);
+            logger.warn("Rate limited {} {} from {}", request.getMethod(), request.getRequestURI(), request.getRemoteAddr());
+            response.setStatus(429);
+            response.setHeader("Retry-After", String.valueOf(retryAfter));
+            response.setContentType("application/json");
+            response.getWriter().write("{\"message\":\"Too many attempts. Please try again in " + retryAfter
+                    + " second" + (retryAfter == 1 ? "" : "s") + ".\"}");
+            return;
+        }
+        filterChain.doFilter(request, response);
+    }
+
+    private Rule findRule(HttpServletRequest request) {
+        return rules.stream().filter(rule -> rule.matches(request)).findFirst().orElse(null);
+    }
+}
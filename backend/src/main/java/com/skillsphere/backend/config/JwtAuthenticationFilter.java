@@ -1,8 +1,7 @@
 // src/main/java/com/skillsphere/backend/config/JwtAuthenticationFilter.java
 package com.skillsphere.backend.config;
 
-import io.jsonwebtoken.Jwts;
-import io.jsonwebtoken.security.Keys;
+import com.skillsphere.backend.service.SessionService;
 import org.slf4j.Logger;
 import org.slf4j.LoggerFactory;
 import org.springframework.security.authentication.UsernamePasswordAuthenticationToken;
@@ -12,7 +11,6 @@ import org.springframework.security.core.userdetails.UserDetails;
 import org.springframework.security.web.authentication.WebAuthenticationDetailsSource;
 import org.springframework.web.filter.OncePerRequestFilter;
 
-import javax.crypto.SecretKey;
 import jakarta.servlet.FilterChain;
 import jakarta.servlet.ServletException;
 import jakarta.servlet.http.HttpServletRequest;
@@ -21,10 +19,10 @@ import java.io.IOException;
 
 public class JwtAuthenticationFilter extends OncePerRequestFilter {
     private static final Logger logger = LoggerFactory.getLogger(JwtAuthenticationFilter.class);
-    private final SecretKey secretKey;
+    private final SessionService sessionService;
 
-    public JwtAuthenticationFilter(SecretKey secretKey) {
-        this.secretKey = secretKey;
+    public JwtAuthenticationFilter(SessionService sessionService) {
+        this.sessionService = sessionService;
     }
 
     @Override
@@ -34,15 +32,10 @@ public class JwtAuthenticationFilter extends OncePerRequestFilter {
         if (authHeader != null && authHeader.startsWith("Bearer ")) {
             String token = authHeader.substring(7);
             try {
-                String userId = Jwts.parserBuilder()
-                        .setSigningKey(secretKey)
-                        .build()
-                        .parseClaimsJws(token)
-                        .getBody()
-                        .getSubject();
+                // Also rejects tokens of disabled users and tokens cut off by "log out all devices".
+                String userId = String.valueOf(sessionService.authenticate(token).getId());
 
-                if (userId != null && SecurityContextHolder.getContext().getAuthentication() == null) {
-                    // Optionally validate user existence here (requires UserService injection)
+                if (SecurityContextHolder.getContext().getAuthentication() == null) {
                     UserDetails userDetails = User.withUsername(userId)
                             .password("")
                             .authorities("USER")
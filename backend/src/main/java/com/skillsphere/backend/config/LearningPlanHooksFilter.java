@@ -0,0 +1,172 @@
+package com.skillsphere.backend.config;
+
+import com.fasterxml.jackson.databind.JsonNode;
+import com.fasterxml.jackson.databind.ObjectMapper;
+import com.skillsphere.backend.service.QuizService;
+import com.skillsphere.backend.service.TimelineService;
+import jakarta.servlet.FilterChain;
+import jakarta.servlet.ReadListener;
+import jakarta.servlet.ServletException;
+import jakarta.servlet.ServletInputStream;
+import jakarta.servlet.http.HttpServletRequest;
+import jakarta.servlet.http.HttpServletRequestWrapper;
+import jakarta.servlet.http.HttpServletResponse;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.security.core.Authentication;
+import org.springframework.security.core.context.SecurityContextHolder;
+import org.springframework.stereotype.Component;
+import org.springframework.web.filter.OncePerRequestFilter;
+
+import java.io.BufferedReader;
+import java.io.ByteArrayInputStream;
+import java.io.IOException;
+import java.io.InputStreamReader;
+import java.nio.charset.StandardCharsets;
+import java.util.ArrayList;
+import java.util.List;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
+
+/**
+ * Ties the learning-plan endpoints to the features built around plans: a plan update can't mark
+ * a milestone complete before its quiz has been passed (403), status changes go on the owner's
+ * activity timeline, and deleting a plan deletes its quizzes.
+ */
+@Component
+public class LearningPlanHooksFilter extends OncePerRequestFilter {
+    private static final Logger logger = LoggerFactory.getLogger(LearningPlanHooksFilter.class);
+    private static final Pattern PLAN_PATH = Pattern.compile("^/api/learning-plans/(\\d+)(/status)?$");
+
+    @Autowired
+    private QuizService quizService;
+
+    @Autowired
+    private TimelineService timelineService;
+
+    @Autowired
+    private ObjectMapper objectMapper;
+
+    @Override
+    protected boolean shouldNotFilter(HttpServletRequest request) {
+        String method = request.getMethod();
+        return !("PUT".equals(method) || "DELETE".equals(method)) || !PLAN_PATH.matcher(request.getRequestURI()).matches();
+    }
+
+    @Override
+    protected void doFilterInternal(HttpServletRequest request, HttpServletResponse response, FilterChain filterChain)
+            throws ServletException, IOException {
+        Matcher matcher = PLAN_PATH.matcher(request.getRequestURI());
+        matcher.matches();
+        Long planId = Long.valueOf(matcher.group(1));
+        boolean statusOnly = matcher.group(2) != null;
+        Long userId = currentUserId();
+        if (userId == null) {
+            filterChain.doFilter(request, response);
+            return;
+        }
+
+        if ("DELETE".equals(request.getMethod())) {
+            filterChain.doFilter(request, response);
+            if (isSuccess(response) && !statusOnly) {
+                quizService.deleteQuizzesForPlan(planId);
+            }
+            return;
+        }
+
+        HttpServletRequest body = request;
+        if (!statusOnly) {
+            CachedBodyRequest cached = new CachedBodyRequest(request);
+            List<Long> locked = quizService.findLockedMilestones(userId, planId, completedTopicIds(cached.body));
+            if (!locked.isEmpty()) {
+                logger.info("User {} tried to complete quiz-gated milestones {} of plan {}", userId, locked, planId);
+                response.setStatus(HttpServletResponse.SC_FORBIDDEN);
+                response.setContentType("application/json");
+                response.getWriter().write("{\"message\":\"Pass the milestone's quiz before marking it complete.\"}");
+                return;
+            }
+            body = cached;
+        }
+        String previousStatus = timelineService.findPlanStatus(planId);
+        filterChain.doFilter(body, response);
+        if (isSuccess(response)) {
+            timelineService.recordPlanStatusChange(planId, previousStatus);
+        }
+    }
+
+    private List<Long> completedTopicIds(byte[] body) {
+        List<Long> ids = new ArrayList<>();
+        JsonNode topics;
+        try {
+            topics = objectMapper.readTree(body).path("topics");
+        } catch (IOException e) {
+            // Malformed JSON: let the plan endpoint answer it.
+            return ids;
+        }
+        for (JsonNode topic : topics) {
+            if (topic.path("completed").asBoolean(false) && topic.path("id").canConvertToLong()) {
+                ids.add(topic.path("id").asLong());
+            }
+        }
+        return ids;
+    }
+
+    // JwtAuthenticationFilter names the principal after the user id.
+    private static Long currentUserId() {
+        Authentication authentication = SecurityContextHolder.getContext().getAuthentication();
+        if (authentication == null) {
+            return null;
+        }
+        try {
+            return Long.valueOf(authentication.getName());
+        } catch (NumberFormatException e) {
+            return null;
+        }
+    }
+
+    private static boolean isSuccess(HttpServletResponse response) {
+        return response.getStatus() >= 200 && response.getStatus() < 300;
+    }
+
+    /** Reads the request body up front so it can be inspected and still reach the controller. */
+    private static class CachedBodyRequest extends HttpServletRequestWrapper {
+        private final byte[] body;
+
+        CachedBodyRequest(HttpServletRequest request) throws IOException {
+            super(request);
+            this.body = request.getInputStream().readAllBytes();
+        }
+
+        @Override
+        public ServletInputStream getInputStream() {
+            ByteArrayInputStream input = new ByteArrayInputStream(body);
+            return new ServletInputStream() {
+                @Override
+                public boolean isFinished() {
+                    return input.available() == 0;
+                }
+
+                @Override
+                public boolean isReady() {
+                    return true;
+                }
+
+                @Override
+                public void setReadListener(ReadListener listener) {
+                    throw new UnsupportedOperationException();
+                }
+
+                @Override
+                public int read() {
+                    return input.read();
+                }
+            };
+        }
+
+        @Override
+        public BufferedReader getReader() {
+            return new BufferedReader(new InputStreamReader(getInputStream(), StandardCharsets.UTF_8));
+        }
+    }
+}
@@ -0,0 +1,115 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.AccountService;
+import com.skillsphere.backend.service.SessionService;
+import com.skillsphere.backend.service.UserService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.HashMap;
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/account")
+public class AccountController {
+    private static final Logger logger = LoggerFactory.getLogger(AccountController.class);
+
+    @Autowired
+    private AccountService accountService;
+
+    @Autowired
+    private UserService userService;
+
+    @GetMapping
+    public ResponseEntity<?> getAccount(@RequestHeader("Authorization") String authHeader) {
+        try {
+            return ResponseEntity.ok(toResponse(userService.getUserFromToken(authHeader.replace("Bearer ", ""))));
+        } catch (Exception e) {
+            logger.error("Failed to load account: {}", e.getMessage());
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    @PutMapping("/email")
+    public ResponseEntity<?> updateEmail(
+            @RequestBody Map<String, String> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(toResponse(accountService.updateEmail(currentUser, request.get("email"))));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (Exception e) {
+            logger.error("Failed to update email: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    /** Other devices are signed out; answers with a new session for this one, like sign-in does. */
+    @PutMapping("/password")
+    public ResponseEntity<?> changePassword(
+            @RequestBody Map<String, String> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            SessionService.Tokens session = accountService.changePassword(
+                    currentUser, request.get("currentPassword"), request.get("newPassword"));
+            return ResponseEntity.ok(SessionController.toResponse(session));
+        } catch (SecurityException e) {
+            return ResponseEntity.status(HttpStatus.FORBIDDEN).body(Map.of("message", e.getMessage()));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (Exception e) {
+            logger.error("Failed to change password: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    /** Public. Always accepted, whether or not the address belongs to an account. */
+    @PostMapping("/password-reset")
+    public ResponseEntity<Void> requestPasswordReset(@RequestBody Map<String, String> request) {
+        accountService.requestPasswordReset(request.get("email"));
+        return ResponseEntity.accepted().build();
+    }
+
+    /** Public; the emailed token is the credential. */
+    @PostMapping("/password-reset/confirm")
+    public ResponseEntity<?> resetPassword(@RequestBody Map<String, String> request) {
+        try {
+            accountService.resetPassword(request.get("token"), request.get("newPassword"));
+            return ResponseEntity.noContent().build();
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @DeleteMapping
+    public ResponseEntity<?> deleteAccount(
+            @RequestBody Map<String, String> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            accountService.deleteAccount(currentUser, request.get("password"));
+            return ResponseEntity.noContent().build();
+        } catch (SecurityException e) {
+            return ResponseEntity.status(HttpStatus.FORBIDDEN).body(Map.of("message", e.getMessage()));
+        } catch (Exception e) {
+            logger.error("Failed to delete account: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
+                    .body(Map.of("message", "Failed to delete account"));
+        }
+    }
+
+    private static Map<String, Object> toResponse(User user) {
+        Map<String, Object> response = new HashMap<>();
+        response.put("userId", user.getId());
+        response.put("username", user.getUsername());
+        response.put("email", user.getEmail());
+        return response;
+    }
+}
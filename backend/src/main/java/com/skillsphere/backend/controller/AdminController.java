@@ -0,0 +1,233 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.dto.PostDTO;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.AdminService;
+import com.skillsphere.backend.service.CategoryService;
+import com.skillsphere.backend.service.CommentService;
+import com.skillsphere.backend.service.PostService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.List;
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/admin")
+public class AdminController {
+    private static final Logger logger = LoggerFactory.getLogger(AdminController.class);
+
+    @Autowired
+    private AdminService adminService;
+
+    @Autowired
+    private PostService postService;
+
+    @Autowired
+    private CommentService commentService;
+
+    @Autowired
+    private CategoryService categoryService;
+
+    @GetMapping("/stats")
+    public ResponseEntity<?> getStats(
+            @RequestParam(value = "days", defaultValue = "30") int days,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            adminService.requireAdmin(authHeader);
+            return ResponseEntity.ok(adminService.getStats(Math.max(1, Math.min(days, 365))));
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (Exception e) {
+            logger.error("Error fetching admin stats: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Internal server error"));
+        }
+    }
+
+    @GetMapping("/users")
+    public ResponseEntity<?> getUsers(
+            @RequestParam(value = "q", required = false) String query,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            adminService.requireAdmin(authHeader);
+            return ResponseEntity.ok(adminService.searchUsers(query));
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (Exception e) {
+            logger.error("Error fetching users: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Internal server error"));
+        }
+    }
+
+    @PutMapping("/users/{userId}/admin")
+    public ResponseEntity<?> setAdmin(
+            @PathVariable Long userId,
+            @RequestBody Map<String, Boolean> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User admin = adminService.requireAdmin(authHeader);
+            return ResponseEntity.ok(adminService.setAdmin(admin, userId, Boolean.TRUE.equals(request.get("admin"))));
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error updating admin flag for user {}: {}", userId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @PutMapping("/users/{userId}/disabled")
+    public ResponseEntity<?> setDisabled(
+            @PathVariable Long userId,
+            @RequestBody Map<String, Boolean> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User admin = adminService.requireAdmin(authHeader);
+            return ResponseEntity.ok(adminService.setDisabled(admin, userId, Boolean.TRUE.equals(request.get("disabled"))));
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error updating disabled flag for user {}: {}", userId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @GetMapping("/posts")
+    public ResponseEntity<?> getPosts(@RequestHeader("Authorization") String authHeader) {
+        try {
+            adminService.requireAdmin(authHeader);
+            List<PostDTO> posts = postService.getAllPosts();
+            return ResponseEntity.ok(posts);
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (Exception e) {
+            logger.error("Error fetching posts for admin: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Internal server error"));
+        }
+    }
+
+    @PostMapping("/posts/bulk-delete")
+    public ResponseEntity<?> bulkDeletePosts(
+            @RequestBody Map<String, List<Long>> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User admin = adminService.requireAdmin(authHeader);
+            List<Long> ids = request.getOrDefault("ids", List.of());
+            int deleted = postService.deletePostsAsAdmin(ids);
+            logger.info("Admin {} deleted {} posts", admin.getId(), deleted);
+            return ResponseEntity.ok(Map.of("deleted", deleted));
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (Exception e) {
+            logger.error("Error bulk deleting posts: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Internal server error"));
+        }
+    }
+
+    @GetMapping("/comments/queue")
+    public ResponseEntity<?> getCommentQueue(@RequestHeader("Authorization") String authHeader) {
+        try {
+            adminService.requireAdmin(authHeader);
+            return ResponseEntity.ok(adminService.getCommentReviewQueue());
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (Exception e) {
+            logger.error("Error fetching comment review queue: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Internal server error"));
+        }
+    }
+
+    @PutMapping("/comments/{commentId}/approve")
+    public ResponseEntity<?> approveComment(
+            @PathVariable Long commentId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            adminService.requireAdmin(authHeader);
+            commentService.approveComment(commentId);
+            return ResponseEntity.noContent().build();
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (RuntimeException e) {
+            logger.error("Error approving comment {}: {}", commentId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @DeleteMapping("/comments/{commentId}")
+    public ResponseEntity<?> deleteComment(
+            @PathVariable Long commentId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            adminService.requireAdmin(authHeader);
+            commentService.deleteCommentAsAdmin(commentId);
+            return ResponseEntity.noContent().build();
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (RuntimeException e) {
+            logger.error("Error deleting comment {}: {}", commentId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @PostMapping("/categories")
+    public ResponseEntity<?> createCategory(
+            @RequestBody Map<String, String> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            adminService.requireAdmin(authHeader);
+            return ResponseEntity.ok(categoryService.createCategory(request.get("name")));
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @PutMapping("/categories/{categoryId}")
+    public ResponseEntity<?> updateCategory(
+            @PathVariable Long categoryId,
+            @RequestBody Map<String, Object> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            adminService.requireAdmin(authHeader);
+            String name = request.get("name") instanceof String value ? value : null;
+            Integer position = request.get("position") instanceof Number value ? value.intValue() : null;
+            return ResponseEntity.ok(categoryService.updateCategory(categoryId, name, position));
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error updating category {}: {}", categoryId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @DeleteMapping("/categories/{categoryId}")
+    public ResponseEntity<?> deleteCategory(
+            @PathVariable Long categoryId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            adminService.requireAdmin(authHeader);
+            categoryService.deleteCategory(categoryId);
+            return ResponseEntity.noContent().build();
+        } catch (SecurityException e) {
+            return forbidden(e);
+        } catch (RuntimeException e) {
+            logger.error("Error deleting category {}: {}", categoryId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    private ResponseEntity<Map<String, Object>> forbidden(SecurityException e) {
+        logger.warn("Admin access denied: {}", e.getMessage());
+        return ResponseEntity.status(HttpStatus.FORBIDDEN).body(Map.of("message", e.getMessage()));
+    }
+}
@@ -0,0 +1,92 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.dto.BookmarkDTO;
+import com.skillsphere.backend.dto.PostDTO;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.BookmarkService;
+import com.skillsphere.backend.service.UserService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.List;
+
+@RestController
+@RequestMapping("/api/bookmarks")
+public class BookmarkController {
+    private static final Logger logger = LoggerFactory.getLogger(BookmarkController.class);
+
+    @Autowired
+    private BookmarkService bookmarkService;
+
+    @Autowired
+    private UserService userService;
+
+    @GetMapping
+    public ResponseEntity<List<PostDTO>> getBookmarks(@RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(bookmarkService.getBookmarkedPosts(currentUser.getId()));
+        } catch (Exception e) {
+            logger.error("Failed to fetch bookmarks: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    @GetMapping("/ids")
+    public ResponseEntity<List<Long>> getBookmarkedPostIds(@RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(bookmarkService.getBookmarkedPostIds(currentUser.getId()));
+        } catch (Exception e) {
+            logger.error("Failed to fetch bookmarked post ids: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    @GetMapping("/{postId}")
+    public ResponseEntity<BookmarkDTO> getBookmark(
+            @PathVariable Long postId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(bookmarkService.getBookmark(currentUser.getId(), postId));
+        } catch (Exception e) {
+            logger.error("Failed to fetch bookmark for post {}: {}", postId, e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    @PutMapping("/{postId}")
+    public ResponseEntity<BookmarkDTO> addBookmark(
+            @PathVariable Long postId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            BookmarkDTO bookmark = bookmarkService.addBookmark(currentUser.getId(), postId);
+            logger.info("User {} bookmarked post {}", currentUser.getId(), postId);
+            return ResponseEntity.ok(bookmark);
+        } catch (RuntimeException e) {
+            logger.error("Error bookmarking post {}: {}", postId, e.getMessage());
+            return ResponseEntity.notFound().build();
+        }
+    }
+
+    @DeleteMapping("/{postId}")
+    public ResponseEntity<BookmarkDTO> removeBookmark(
+            @PathVariable Long postId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            BookmarkDTO bookmark = bookmarkService.removeBookmark(currentUser.getId(), postId);
+            logger.info("User {} removed bookmark on post {}", currentUser.getId(), postId);
+            return ResponseEntity.ok(bookmark);
+        } catch (RuntimeException e) {
+            logger.error("Error removing bookmark on post {}: {}", postId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+}
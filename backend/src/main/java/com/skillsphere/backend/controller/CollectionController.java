@@ -0,0 +1,168 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.dto.BookmarkDTO;
+import com.skillsphere.backend.dto.CollectionDTO;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.BookmarkService;
+import com.skillsphere.backend.service.UserService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.List;
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/collections")
+public class CollectionController {
+    private static final Logger logger = LoggerFactory.getLogger(CollectionController.class);
+
+    @Autowired
+    private BookmarkService bookmarkService;
+
+    @Autowired
+    private UserService userService;
+
+    /** The caller's own collections, or another user's shared ones when {@code userId} is given. */
+    @GetMapping
+    public ResponseEntity<List<CollectionDTO>> getCollections(
+            @RequestParam(value = "userId", required = false) Long userId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            Long ownerId = userId != null ? userId : currentUser.getId();
+            return ResponseEntity.ok(bookmarkService.getCollections(ownerId, currentUser.getId()));
+        } catch (Exception e) {
+            logger.error("Failed to fetch collections: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    @PostMapping
+    public ResponseEntity<?> createCollection(
+            @RequestBody Map<String, Object> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            CollectionDTO collection = bookmarkService.createCollection(currentUser.getId(),
+                    (String) request.get("name"), Boolean.TRUE.equals(request.get("shared")));
+            logger.info("User {} created collection {}", currentUser.getId(), collection.getId());
+            return ResponseEntity.ok(collection);
+        } catch (IllegalArgumentException | ClassCastException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (Exception e) {
+            logger.error("Failed to create collection: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Internal server error"));
+        }
+    }
+
+    @PutMapping("/order")
+    public ResponseEntity<?> reorderCollections(
+            @RequestBody Map<String, List<Long>> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(bookmarkService.reorderCollections(currentUser.getId(), request.get("ids")));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (Exception e) {
+            logger.error("Failed to reorder collections: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Internal server error"));
+        }
+    }
+
+    @GetMapping("/{collectionId}")
+    public ResponseEntity<CollectionDTO> getCollection(
+            @PathVariable Long collectionId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(bookmarkService.getCollection(collectionId, currentUser.getId()));
+        } catch (RuntimeException e) {
+            logger.error("Collection {} not available: {}", collectionId, e.getMessage());
+            return ResponseEntity.notFound().build();
+        }
+    }
+
+    @PutMapping("/{collectionId}")
+    public ResponseEntity<?> updateCollection(
+            @PathVariable Long collectionId,
+            @RequestBody Map<String, Object> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            Object shared = request.get("shared");
+            CollectionDTO collection = bookmarkService.updateCollection(currentUser.getId(), collectionId,
+                    (String) request.get("name"), shared instanceof Boolean value ? value : null);
+            return ResponseEntity.ok(collection);
+        } catch (IllegalArgumentException | ClassCastException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error updating collection {}: {}", collectionId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @DeleteMapping("/{collectionId}")
+    public ResponseEntity<Void> deleteCollection(
+            @PathVariable Long collectionId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            bookmarkService.deleteCollection(currentUser.getId(), collectionId);
+            logger.info("User {} deleted collection {}", currentUser.getId(), collectionId);
+            return ResponseEntity.noContent().build();
+        } catch (RuntimeException e) {
+            logger.error("Error deleting collection {}: {}", collectionId, e.getMessage());
+            return ResponseEntity.notFound().build();
+        }
+    }
+
+    @PutMapping("/{collectionId}/posts/order")
+    public ResponseEntity<?> reorderCollection(
+            @PathVariable Long collectionId,
+            @RequestBody Map<String, List<Long>> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(bookmarkService.reorderCollection(currentUser.getId(), collectionId,
+                    request.get("postIds")));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error reordering collection {}: {}", collectionId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @PutMapping("/{collectionId}/posts/{postId}")
+    public ResponseEntity<BookmarkDTO> addToCollection(
+            @PathVariable Long collectionId,
+            @PathVariable Long postId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(bookmarkService.addToCollection(currentUser.getId(), collectionId, postId));
+        } catch (RuntimeException e) {
+            logger.error("Error adding post {} to collection {}: {}", postId, collectionId, e.getMessage());
+            return ResponseEntity.notFound().build();
+        }
+    }
+
+    @DeleteMapping("/{collectionId}/posts/{postId}")
+    public ResponseEntity<BookmarkDTO> removeFromCollection(
+            @PathVariable Long collectionId,
+            @PathVariable Long postId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(bookmarkService.removeFromCollection(currentUser.getId(), collectionId, postId));
+        } catch (RuntimeException e) {
+            logger.error("Error removing post {} from collection {}: {}", postId, collectionId, e.getMessage());
+            return ResponseEntity.notFound().build();
+        }
+    }
+}
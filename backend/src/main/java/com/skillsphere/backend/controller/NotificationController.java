@@ -0,0 +1,103 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.dto.NotificationDTO;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.NotificationService;
+import com.skillsphere.backend.service.NotificationStreamService;
+import com.skillsphere.backend.service.UserService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.MediaType;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+import org.springframework.web.servlet.mvc.method.annotation.SseEmitter;
+
+import java.util.List;
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/notifications")
+public class NotificationController {
+    private static final Logger logger = LoggerFactory.getLogger(NotificationController.class);
+
+    @Autowired
+    private NotificationService notificationService;
+
+    @Autowired
+    private NotificationStreamService notificationStreamService;
+
+    @Autowired
+    private UserService userService;
+
+    @GetMapping
+    public ResponseEntity<List<NotificationDTO>> getNotifications(@RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(notificationService.getNotifications(currentUser.getId()));
+        } catch (Exception e) {
+            logger.error("Failed to fetch notifications: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    @GetMapping("/unread-count")
+    public ResponseEntity<Map<String, Object>> getUnreadCount(@RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(Map.of("count", notificationService.countUnread(currentUser.getId())));
+        } catch (Exception e) {
+            logger.error("Failed to count unread notifications: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    @PutMapping("/{notificationId}/read")
+    public ResponseEntity<NotificationDTO> markRead(
+            @PathVariable Long notificationId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(notificationService.markRead(notificationId, currentUser.getId()));
+        } catch (RuntimeException e) {
+            logger.error("Error marking notification {} as read: {}", notificationId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.FORBIDDEN).build();
+        }
+    }
+
+    @PutMapping("/read-all")
+    public ResponseEntity<Map<String, Object>> markAllRead(@RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            int updated = notificationService.markAllRead(currentUser.getId());
+            logger.info("User {} marked {} notifications as read", currentUser.getId(), updated);
+            return ResponseEntity.ok(Map.of("updated", updated));
+        } catch (Exception e) {
+            logger.error("Failed to mark notifications as read: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    @PostMapping("/stream-ticket")
+    public ResponseEntity<Map<String, Object>> createStreamTicket(@RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(Map.of("ticket", notificationStreamService.issueTicket(currentUser.getId())));
+        } catch (Exception e) {
+            logger.error("Failed to issue notification stream ticket: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    // Public in SecurityConfig; the single-use ticket is the credential
+    @GetMapping(value = "/stream", produces = MediaType.TEXT_EVENT_STREAM_VALUE)
+    public ResponseEntity<SseEmitter> stream(@RequestParam("ticket") String ticket) {
+        try {
+            return ResponseEntity.ok(notificationStreamService.subscribe(ticket));
+        } catch (IllegalArgumentException e) {
+            logger.warn("Rejected notification stream: {}", e.getMessage());
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+}
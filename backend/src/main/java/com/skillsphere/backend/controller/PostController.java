@@ -1,7 +1,9 @@
 package com.skillsphere.backend.controller;
 
+import com.skillsphere.backend.dto.PageDTO;
 import com.skillsphere.backend.dto.PostDTO;
 import com.skillsphere.backend.model.Post;
+import com.skillsphere.backend.service.MediaService;
 import com.skillsphere.backend.service.PostService;
 import io.jsonwebtoken.Jwts;
 import io.jsonwebtoken.security.Keys;
@@ -14,24 +16,27 @@ import org.springframework.web.bind.annotation.*;
 import org.springframework.web.multipart.MultipartFile;
 
 import java.io.IOException;
-import java.nio.file.Files;
-import java.nio.file.Path;
-import java.nio.file.Paths;
+import java.time.LocalDateTime;
+import java.time.OffsetDateTime;
+import java.time.ZoneId;
+import java.time.format.DateTimeParseException;
 import java.util.ArrayList;
 import java.util.Arrays;
 import java.util.List;
-import java.util.UUID;
+import java.util.Map;
 
 @RestController
 @RequestMapping("/api/posts")
 public class PostController {
     private static final Logger logger = LoggerFactory.getLogger(PostController.class);
     private static final String SECRET_KEY = "your-secret-key-with-at-least-32-characters";
-    private static final String UPLOAD_DIR = "uploads/";
 
     @Autowired
     private PostService postService;
 
+    @Autowired
+    private MediaService mediaService;
+
     @PostMapping
     public ResponseEntity<?> createPost(
             @RequestHeader("Authorization") String authHeader,
@@ -39,20 +44,30 @@ public class PostController {
             @RequestParam("content") String content,
             @RequestParam(value = "category", required = false) String category,
             @RequestParam(value = "tags", required = false) String tags,
-            @RequestParam(value = "files", required = false) List<MultipartFile> files) {
+            @RequestParam(value = "files", required = false) List<MultipartFile> files,
+            @RequestParam(value = "draft", defaultValue = "false") boolean draft,
+            @RequestParam(value = "publishAt", required = false) String publishAt) {
         logger.info("Received create post request with title: {}", title);
+        List<String> filePaths = new ArrayList<>();
         try {
             Long userId = getUserIdFromToken(authHeader);
-            List<String> filePaths = handleFileUploads(files);
+            LocalDateTime publishTime = parsePublishAt(publishAt);
+            filePaths = mediaService.store(files);
             List<String> tagList = tags != null && !tags.isEmpty() ? Arrays.asList(tags.split(",")) : new ArrayList<>();
-            PostDTO post = postService.createPost(userId, title, content, category, tagList, filePaths);
-            logger.info("Post created successfully with ID: {}", post.getId());
+            PostDTO post = postService.createPost(userId, title, content, category, tagList, filePaths, draft, publishTime);
+            logger.info("Post created successfully with ID: {} ({})", post.getId(), post.getStatus());
             return ResponseEntity.ok(post);
+        } catch (IllegalArgumentException e) {
+            mediaService.delete(filePaths);
+            logger.warn("Rejected new post: {}", e.getMessage());
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
         } catch (IOException e) {
+            mediaService.delete(filePaths);
             logger.error("Error saving files: {}", e.getMessage(), e);
             return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
                     .body("Error saving files: " + e.getMessage());
         } catch (Exception e) {
+            mediaService.delete(filePaths);
             logger.error("Unexpected error creating post: {}", e.getMessage(), e);
             return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
                     .body("Unexpected error: " + e.getMessage());
@@ -60,9 +75,17 @@ public class PostController {
     }
 
     @GetMapping
-    public ResponseEntity<List<PostDTO>> getAllPosts() {
+    public ResponseEntity<?> getAllPosts(
+            @RequestParam(value = "page", required = false) Integer page,
+            @RequestParam(value = "size", defaultValue = "12") int size,
+            @RequestParam(value = "tag", required = false) String tag,
+            @RequestParam(value = "q", required = false) String query,
+            @RequestParam(value = "author", required = false) Long authorId) {
+        if (page != null) {
+            return getPostsPage(page, size, tag, query);
+        }
         try {
-            List<PostDTO> posts = postService.getAllPosts();
+            List<PostDTO> posts = authorId != null ? postService.getPostsByAuthor(authorId) : postService.getAllPosts();
             logger.info("Fetched {} posts", posts.size());
             return ResponseEntity.ok(posts);
         } catch (Exception e) {
@@ -71,10 +94,71 @@ public class PostController {
         }
     }
 
+    private ResponseEntity<?> getPostsPage(int page, int size, String tag, String query) {
+        try {
+            PageDTO<PostDTO> posts = postService.getPostsPage(page, size, tag, query);
+            logger.info("Fetched page {} of posts ({} of {})", page, posts.getContent().size(), posts.getTotalElements());
+            return ResponseEntity.ok(posts);
+        } catch (Exception e) {
+            logger.error("Error fetching posts page {}: {}", page, e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(new PageDTO<PostDTO>());
+        }
+    }
+
+    @GetMapping("/feed")
+    public ResponseEntity<?> getFeed(
+            @RequestHeader("Authorization") String authHeader,
+            @RequestParam(value = "mode", defaultValue = PostService.FEED_LATEST) String mode,
+            @RequestParam(value = "page", defaultValue = "0") int page,
+            @RequestParam(value = "size", defaultValue = "12") int size,
+            @RequestParam(value = "tag", required = false) String tag,
+            @RequestParam(value = "q", required = false) String query) {
+        Long userId;
+        try {
+            userId = getUserIdFromToken(authHeader);
+        } catch (RuntimeException e) {
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+        try {
+            PageDTO<PostDTO> posts = postService.getFeedPage(mode, userId, page, size, tag, query);
+            logger.info("Fetched page {} of the {} feed for user {}", page, mode, userId);
+            return ResponseEntity.ok(posts);
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (Exception e) {
+            logger.error("Error fetching {} feed page {}: {}", mode, page, e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(new PageDTO<PostDTO>());
+        }
+    }
+
+    @GetMapping("/tags")
+    public ResponseEntity<List<String>> getTags() {
+        try {
+            return ResponseEntity.ok(postService.getAllTags());
+        } catch (Exception e) {
+            logger.error("Error fetching post tags: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(new ArrayList<>());
+        }
+    }
+
+    @GetMapping("/drafts")
+    public ResponseEntity<List<PostDTO>> getDrafts(@RequestHeader("Authorization") String authHeader) {
+        try {
+            Long userId = getUserIdFromToken(authHeader);
+            return ResponseEntity.ok(postService.getDrafts(userId));
+        } catch (RuntimeException e) {
+            logger.error("Error fetching drafts: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
     @GetMapping("/{id}")
-    public ResponseEntity<PostDTO> getPost(@PathVariable Long id) {
+    public ResponseEntity<PostDTO> getPost(
+            @PathVariable Long id,
+            @RequestHeader(value = "Authorization", required = false) String authHeader) {
         try {
-            PostDTO post = postService.getPost(id);
+            Long viewerId = authHeader != null ? getUserIdFromToken(authHeader) : null;
+            PostDTO post = postService.getPost(id, viewerId);
             logger.info("Fetched post with ID: {}", id);
             return ResponseEntity.ok(post);
         } catch (RuntimeException e) {
@@ -91,25 +175,35 @@ public class PostController {
             @RequestParam("content") String content,
             @RequestParam(value = "category", required = false) String category,
             @RequestParam(value = "tags", required = false) String tags,
-            @RequestParam(value = "files", required = false) List<MultipartFile> files) {
+            @RequestParam(value = "files", required = false) List<MultipartFile> files,
+            @RequestParam(value = "mediaOrder", required = false) List<String> mediaOrder,
+            @RequestParam(value = "draft", defaultValue = "false") boolean draft,
+            @RequestParam(value = "publishAt", required = false) String publishAt) {
+        List<String> filePaths = new ArrayList<>();
         try {
             Long userId = getUserIdFromToken(authHeader);
-            List<String> filePaths = handleFileUploads(files);
+            LocalDateTime publishTime = parsePublishAt(publishAt);
+            filePaths = mediaService.store(files);
             Post post = new Post();
             post.setId(id);
             post.setTitle(title);
             post.setContent(content);
             post.setCategory(category);
             post.setTags(tags);
-            post.setImages(filePaths != null && !filePaths.isEmpty() ? String.join(",", filePaths) : null);
-            PostDTO updatedPost = postService.updatePost(userId, post);
-            logger.info("Post ID: {} updated successfully", id);
+            PostDTO updatedPost = postService.updatePost(userId, post, mediaOrder, filePaths, draft, publishTime);
+            logger.info("Post ID: {} updated successfully ({})", id, updatedPost.getStatus());
             return ResponseEntity.ok(updatedPost);
+        } catch (IllegalArgumentException e) {
+            mediaService.delete(filePaths);
+            logger.warn("Rejected update for post ID: {}: {}", id, e.getMessage());
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
         } catch (IOException e) {
+            mediaService.delete(filePaths);
             logger.error("Error updating files for post ID: {}: {}", id, e.getMessage(), e);
             return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
                     .body("Error updating files: " + e.getMessage());
         } catch (Exception e) {
+            mediaService.delete(filePaths);
             logger.error("Unexpected error updating post ID: {}: {}", id, e.getMessage(), e);
             return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR)
                     .body("Unexpected error: " + e.getMessage());
@@ -138,9 +232,12 @@ public class PostController {
             @RequestHeader("Authorization") String authHeader) {
         try {
             Long userId = getUserIdFromToken(authHeader);
-            PostDTO updatedPost = postService.addComment(postId, userId, commentRequest.getText());
+            PostDTO updatedPost = postService.addComment(postId, userId, commentRequest.getText(), commentRequest.getParentId());
             logger.info("Comment added to post ID: {}", postId);
             return ResponseEntity.ok(updatedPost);
+        } catch (IllegalArgumentException e) {
+            logger.warn("Invalid comment on post ID: {}: {}", postId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.BAD_REQUEST).build();
         } catch (RuntimeException e) {
             logger.error("Error adding comment to post ID: {}: {}", postId, e.getMessage(), e);
             return ResponseEntity.status(HttpStatus.NOT_FOUND).build();
@@ -161,6 +258,9 @@ public class PostController {
             PostDTO updatedPost = postService.updateComment(postId, commentId, userId, commentRequest.getText());
             logger.info("Comment ID: {} updated for post ID: {}", commentId, postId);
             return ResponseEntity.ok(updatedPost);
+        } catch (IllegalArgumentException e) {
+            logger.warn("Rejected update of comment ID: {} for post ID: {}: {}", commentId, postId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.BAD_REQUEST).build();
         } catch (RuntimeException e) {
             logger.error("Error updating comment ID: {} for post ID: {}: {}", commentId, postId, e.getMessage(), e);
             return ResponseEntity.status(HttpStatus.FORBIDDEN).build();
@@ -181,6 +281,9 @@ public class PostController {
             logger.info("Reaction {} added to post ID: {} by user ID: {}", 
                     reactionRequest.getReactionType(), postId, userId);
             return ResponseEntity.ok(updatedPost);
+        } catch (IllegalArgumentException e) {
+            logger.warn("Rejected reaction on post ID: {}: {}", postId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.BAD_REQUEST).build();
         } catch (RuntimeException e) {
             logger.error("Error adding reaction to post ID: {}: {}", postId, e.getMessage(), e);
             return ResponseEntity.status(HttpStatus.NOT_FOUND).build();
@@ -190,6 +293,45 @@ public class PostController {
         }
     }
 
+    @DeleteMapping("/{postId}/reactions")
+    public ResponseEntity<PostDTO> removeReaction(
+            @PathVariable Long postId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            Long userId = getUserIdFromToken(authHeader);
+            PostDTO updatedPost = postService.removeReaction(postId, userId);
+            logger.info("Reaction removed from post ID: {} by user ID: {}", postId, userId);
+            return ResponseEntity.ok(updatedPost);
+        } catch (RuntimeException e) {
+            logger.error("Error removing reaction from post ID: {}: {}", postId, e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).build();
+        }
+    }
+
+    @GetMapping("/media-limits")
+    public ResponseEntity<Map<String, Object>> getMediaLimits() {
+        return ResponseEntity.ok(mediaService.getLimits());
+    }
+
+    @GetMapping("/reaction-types")
+    public ResponseEntity<List<String>> getReactionTypes() {
+        return ResponseEntity.ok(postService.getReactionTypes());
+    }
+
+    // The client sends an ISO-8601 instant with offset; posts store server-local times.
+    private LocalDateTime parsePublishAt(String publishAt) {
+        if (publishAt == null || publishAt.isBlank()) {
+            return null;
+        }
+        try {
+            return OffsetDateTime.parse(publishAt.trim())
+                    .atZoneSameInstant(ZoneId.systemDefault())
+                    .toLocalDateTime();
+        } catch (DateTimeParseException e) {
+            throw new IllegalArgumentException("Invalid publish time: " + publishAt);
+        }
+    }
+
     private Long getUserIdFromToken(String authHeader) {
         String token = authHeader.replace("Bearer ", "");
         try {
@@ -205,40 +347,11 @@ public class PostController {
             throw new RuntimeException("Invalid token");
         }
     }
-
-    private List<String> handleFileUploads(List<MultipartFile> files) throws IOException {
-        List<String> filePaths = new ArrayList<>();
-        if (files != null && !files.isEmpty()) {
-            String absoluteUploadDir = System.getProperty("user.dir") + "/" + UPLOAD_DIR;
-            Path uploadDir = Paths.get(absoluteUploadDir);
-
-            if (!Files.exists(uploadDir)) {
-                Files.createDirectories(uploadDir);
-                logger.info("Created upload directory: {}", uploadDir.toAbsolutePath());
-            }
-
-            for (MultipartFile file : files) {
-                if (!file.isEmpty()) {
-                    String originalFilename = file.getOriginalFilename();
-                    if (originalFilename == null) {
-                        logger.warn("File has no original filename");
-                        continue;
-                    }
-                    String sanitizedFilename = originalFilename.replaceAll("[^a-zA-Z0-9.-]", "_");
-                    String fileName = UUID.randomUUID() + "_" + sanitizedFilename;
-                    Path filePath = uploadDir.resolve(fileName);
-                    file.transferTo(filePath.toFile());
-                    filePaths.add("/uploads/" + fileName);
-                    logger.info("Successfully saved file: {}", filePath.toAbsolutePath());
-                }
-            }
-        }
-        return filePaths;
-    }
 }
 
 class CommentRequest {
     private String text;
+    private Long parentId;
 
     public String getText() {
         return text;
@@ -247,6 +360,14 @@ class CommentRequest {
     public void setText(String text) {
         this.text = text;
     }
+
+    public Long getParentId() {
+        return parentId;
+    }
+
+    public void setParentId(Long parentId) {
+        this.parentId = parentId;
+    }
 }
 
 class ReactionRequest {
@@ -0,0 +1,160 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.dto.QuizAttemptDTO;
+import com.skillsphere.backend.dto.QuizDTO;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.QuizService;
+import com.skillsphere.backend.service.UserService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.List;
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/quizzes")
+public class QuizController {
+    private static final Logger logger = LoggerFactory.getLogger(QuizController.class);
+
+    @Autowired
+    private QuizService quizService;
+
+    @Autowired
+    private UserService userService;
+
+    /** Quizzes attached to a post ({@code postId}) or a learning plan ({@code planId}). */
+    @GetMapping
+    public ResponseEntity<?> getQuizzes(
+            @RequestParam(value = "postId", required = false) Long postId,
+            @RequestParam(value = "planId", required = false) Long planId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(quizService.getQuizzes(postId, planId, currentUser.getId()));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Failed to fetch quizzes: {}", e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @PostMapping
+    public ResponseEntity<?> createQuiz(
+            @RequestBody QuizDTO request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            QuizDTO quiz = quizService.createQuiz(currentUser.getId(), request);
+            logger.info("User {} created quiz {}", currentUser.getId(), quiz.getId());
+            return ResponseEntity.ok(quiz);
+        } catch (SecurityException e) {
+            return ResponseEntity.status(HttpStatus.FORBIDDEN).body(Map.of("message", e.getMessage()));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (Exception e) {
+            logger.error("Failed to create quiz: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Internal server error"));
+        }
+    }
+
+    @GetMapping("/{quizId}")
+    public ResponseEntity<QuizDTO> getQuiz(
+            @PathVariable Long quizId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(quizService.getQuiz(quizId, currentUser.getId()));
+        } catch (RuntimeException e) {
+            logger.error("Quiz {} not available: {}", quizId, e.getMessage());
+            return ResponseEntity.notFound().build();
+        }
+    }
+
+    @PutMapping("/{quizId}")
+    public ResponseEntity<?> updateQuiz(
+            @PathVariable Long quizId,
+            @RequestBody QuizDTO request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(quizService.updateQuiz(currentUser.getId(), quizId, request));
+        } catch (SecurityException e) {
+            return ResponseEntity.status(HttpStatus.FORBIDDEN).body(Map.of("message", e.getMessage()));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error updating quiz {}: {}", quizId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @DeleteMapping("/{quizId}")
+    public ResponseEntity<?> deleteQuiz(
+            @PathVariable Long quizId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            quizService.deleteQuiz(currentUser.getId(), quizId);
+            logger.info("User {} deleted quiz {}", currentUser.getId(), quizId);
+            return ResponseEntity.noContent().build();
+        } catch (SecurityException e) {
+            return ResponseEntity.status(HttpStatus.FORBIDDEN).body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error deleting quiz {}: {}", quizId, e.getMessage());
+            return ResponseEntity.notFound().build();
+        }
+    }
+
+    /** Starts an attempt, or returns the caller's attempt that is still running. */
+    @PostMapping("/{quizId}/attempts")
+    public ResponseEntity<?> startAttempt(
+            @PathVariable Long quizId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(quizService.startAttempt(currentUser.getId(), quizId));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error starting quiz {}: {}", quizId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    /** The caller's submitted attempts at the quiz, newest first. */
+    @GetMapping("/{quizId}/attempts")
+    public ResponseEntity<List<QuizAttemptDTO>> getAttempts(
+            @PathVariable Long quizId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(quizService.getAttempts(currentUser.getId(), quizId));
+        } catch (RuntimeException e) {
+            logger.error("Error fetching attempts at quiz {}: {}", quizId, e.getMessage());
+            return ResponseEntity.notFound().build();
+        }
+    }
+
+    @PostMapping("/attempts/{attemptId}/submit")
+    public ResponseEntity<?> submitAttempt(
+            @PathVariable Long attemptId,
+            @RequestBody Map<String, List<QuizAttemptDTO.Answer>> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            QuizAttemptDTO attempt = quizService.submitAttempt(currentUser.getId(), attemptId, request.get("answers"));
+            logger.info("User {} scored {}% on quiz {}", currentUser.getId(), attempt.getPercent(), attempt.getQuizId());
+            return ResponseEntity.ok(attempt);
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error submitting attempt {}: {}", attemptId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+}
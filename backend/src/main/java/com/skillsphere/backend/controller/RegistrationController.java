@@ -0,0 +1,64 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.RegistrationService;
+import com.skillsphere.backend.service.SessionService;
+import com.skillsphere.backend.service.UserService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.dao.DataIntegrityViolationException;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.List;
+import java.util.Map;
+
+/**
+ * Sign-up with username, password and email in one request, plus the checks the registration
+ * form runs against the same rules as it is filled in.
+ */
+@RestController
+@RequestMapping("/api/auth")
+public class RegistrationController {
+    private static final Logger logger = LoggerFactory.getLogger(RegistrationController.class);
+
+    @Autowired
+    private RegistrationService registrationService;
+
+    @Autowired
+    private UserService userService;
+
+    @Autowired
+    private SessionService sessionService;
+
+    /** Creates the account and answers like {@code POST /api/auth/signin}, so the user is signed in. */
+    @PostMapping("/signup")
+    public ResponseEntity<?> signUp(@RequestBody Map<String, String> request) {
+        String username = request.get("username") == null ? null : request.get("username").trim();
+        try {
+            User user = userService.register(username, request.get("password"), request.get("email"));
+            return ResponseEntity.ok(SessionController.toResponse(sessionService.startSession(user)));
+        } catch (DataIntegrityViolationException e) {
+            // Lost a race with another sign-up for the same username or email.
+            logger.warn("Sign-up conflict for {}: {}", username, e.getMessage());
+            return ResponseEntity.status(HttpStatus.CONFLICT)
+                    .body(Map.of("message", "That username or email was just taken. Please try another."));
+        } catch (RuntimeException e) {
+            logger.info("Rejected sign-up for {}: {}", username, e.getMessage());
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @GetMapping("/password-policy")
+    public ResponseEntity<?> getPolicy() {
+        return ResponseEntity.ok(registrationService.getPolicy());
+    }
+
+    @GetMapping("/username-available")
+    public ResponseEntity<?> checkUsername(@RequestParam("username") String username) {
+        List<String> errors = registrationService.usernameErrors(username.trim());
+        return ResponseEntity.ok(Map.of("available", errors.isEmpty(), "errors", errors));
+    }
+}
@@ -0,0 +1,50 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.dto.SearchResultDTO;
+import com.skillsphere.backend.service.SearchService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/search")
+public class SearchController {
+    private static final Logger logger = LoggerFactory.getLogger(SearchController.class);
+    private static final int MAX_RESULTS = 50;
+    private static final int SUGGEST_RESULTS = 4;
+
+    @Autowired
+    private SearchService searchService;
+
+    @GetMapping
+    public ResponseEntity<?> search(
+            @RequestParam(value = "q", defaultValue = "") String query,
+            @RequestParam(value = "tag", required = false) String tag,
+            @RequestParam(value = "category", required = false) String category,
+            @RequestParam(value = "limit", defaultValue = "20") int limit) {
+        try {
+            SearchResultDTO result = searchService.search(query, tag, category, Math.min(Math.max(limit, 1), MAX_RESULTS));
+            logger.info("Search '{}' returned {} posts, {} users, {} plans",
+                    query, result.getPosts().size(), result.getUsers().size(), result.getPlans().size());
+            return ResponseEntity.ok(result);
+        } catch (Exception e) {
+            logger.error("Search failed for '{}': {}", query, e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Search failed"));
+        }
+    }
+
+    @GetMapping("/suggest")
+    public ResponseEntity<?> suggest(@RequestParam(value = "q", defaultValue = "") String query) {
+        try {
+            return ResponseEntity.ok(searchService.search(query, null, null, SUGGEST_RESULTS));
+        } catch (Exception e) {
+            logger.error("Suggest failed for '{}': {}", query, e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Search failed"));
+        }
+    }
+}
@@ -0,0 +1,84 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.SessionService;
+import com.skillsphere.backend.service.UserService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.HashMap;
+import java.util.Map;
+
+/**
+ * Session endpoints next to login and registration under {@code /api/auth}. They answer with the
+ * same user fields as login, plus a {@code refreshToken} and the access token's {@code expiresAt}.
+ */
+@RestController
+@RequestMapping("/api/auth")
+public class SessionController {
+    private static final Logger logger = LoggerFactory.getLogger(SessionController.class);
+
+    @Autowired
+    private SessionService sessionService;
+
+    @Autowired
+    private UserService userService;
+
+    /**
+     * Checks the credentials and starts a session: a short-lived access token and a refresh token.
+     * Refresh tokens are only handed out here and at sign-up, never in exchange for an access token.
+     */
+    @PostMapping("/signin")
+    public ResponseEntity<?> signIn(@RequestBody Map<String, String> request) {
+        User user = userService.authenticate(request.get("username"), request.get("password"));
+        if (user == null) {
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED)
+                    .body(Map.of("message", "Invalid username or password"));
+        }
+        logger.info("User {} signed in", user.getId());
+        return ResponseEntity.ok(toResponse(sessionService.startSession(user)));
+    }
+
+    @PostMapping("/refresh")
+    public ResponseEntity<?> refresh(@RequestBody Map<String, String> request) {
+        try {
+            return ResponseEntity.ok(toResponse(sessionService.refresh(request.get("refreshToken"))));
+        } catch (SecurityException e) {
+            logger.info("Rejected token refresh: {}", e.getMessage());
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    @PostMapping("/logout")
+    public ResponseEntity<Void> logout(@RequestBody Map<String, String> request) {
+        sessionService.logout(request.get("refreshToken"));
+        return ResponseEntity.noContent().build();
+    }
+
+    @PostMapping("/logout-all")
+    public ResponseEntity<?> logoutAll(@RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = sessionService.authenticate(authHeader.replace("Bearer ", ""));
+            sessionService.logoutEverywhere(currentUser);
+            return ResponseEntity.noContent().build();
+        } catch (SecurityException e) {
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    static Map<String, Object> toResponse(SessionService.Tokens tokens) {
+        User user = tokens.user();
+        Map<String, Object> response = new HashMap<>();
+        response.put("token", tokens.accessToken());
+        response.put("refreshToken", tokens.refreshToken());
+        response.put("expiresAt", tokens.expiresAt().toString());
+        response.put("userId", user.getId());
+        response.put("username", user.getUsername());
+        response.put("isAdmin", user.isAdmin());
+        return response;
+    }
+}
@@ -0,0 +1,42 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.dto.TagDTO;
+import com.skillsphere.backend.service.TagService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.ArrayList;
+import java.util.List;
+
+@RestController
+@RequestMapping("/api/tags")
+public class TagController {
+    private static final Logger logger = LoggerFactory.getLogger(TagController.class);
+    private static final int MAX_RESULTS = 100;
+
+    @Autowired
+    private TagService tagService;
+
+    @GetMapping
+    public ResponseEntity<List<TagDTO>> getTags(
+            @RequestParam(value = "q", required = false) String prefix,
+            @RequestParam(value = "limit", defaultValue = "20") int limit) {
+        try {
+            return ResponseEntity.ok(tagService.getTags(prefix, Math.min(Math.max(limit, 1), MAX_RESULTS)));
+        } catch (Exception e) {
+            logger.error("Error fetching tags for '{}': {}", prefix, e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(new ArrayList<>());
+        }
+    }
+
+    @GetMapping("/{slug}")
+    public ResponseEntity<TagDTO> getTag(@PathVariable String slug) {
+        return tagService.getTag(slug)
+                .map(ResponseEntity::ok)
+                .orElseGet(() -> ResponseEntity.notFound().build());
+    }
+}
@@ -0,0 +1,83 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.dto.TimelineDTO;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.TimelineService;
+import com.skillsphere.backend.service.UserService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.format.annotation.DateTimeFormat;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.time.LocalDate;
+import java.util.Arrays;
+import java.util.Map;
+import java.util.Set;
+import java.util.stream.Collectors;
+
+@RestController
+@RequestMapping("/api/timeline")
+public class TimelineController {
+    private static final Logger logger = LoggerFactory.getLogger(TimelineController.class);
+
+    @Autowired
+    private TimelineService timelineService;
+
+    @Autowired
+    private UserService userService;
+
+    /**
+     * A page of the user's activity. {@code types} is a comma-separated list of event types,
+     * {@code from}/{@code to} are inclusive days, and {@code before} is the previous page's cursor.
+     */
+    @GetMapping("/{userId}")
+    public ResponseEntity<?> getTimeline(
+            @PathVariable Long userId,
+            @RequestParam(value = "types", required = false) String types,
+            @RequestParam(value = "from", required = false) @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate from,
+            @RequestParam(value = "to", required = false) @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate to,
+            @RequestParam(value = "before", required = false) String before,
+            @RequestParam(value = "limit", defaultValue = "30") int limit,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            if (from != null && to != null && from.isAfter(to)) {
+                return ResponseEntity.badRequest().body(Map.of("message", "The start date must not be after the end date"));
+            }
+            Set<String> typeSet = types == null ? Set.of() : Arrays.stream(types.split(","))
+                    .map(String::trim)
+                    .filter(type -> !type.isEmpty())
+                    .map(String::toUpperCase)
+                    .collect(Collectors.toSet());
+            TimelineDTO timeline = timelineService.getTimeline(userId, currentUser.getId(), typeSet, from, to, before,
+                    Math.min(Math.max(limit, 1), TimelineService.MAX_PAGE_SIZE));
+            return ResponseEntity.ok(timeline);
+        } catch (SecurityException e) {
+            return ResponseEntity.status(HttpStatus.FORBIDDEN).body(Map.of("message", e.getMessage()));
+        } catch (IllegalArgumentException e) {
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (RuntimeException e) {
+            logger.error("Error fetching timeline of user {}: {}", userId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.NOT_FOUND).body(Map.of("message", e.getMessage()));
+        }
+    }
+
+    /** Shares the caller's timeline with other users, or makes it private again. */
+    @PutMapping("/sharing")
+    public ResponseEntity<?> setSharing(
+            @RequestBody Map<String, Boolean> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            boolean shared = timelineService.setShared(currentUser.getId(), Boolean.TRUE.equals(request.get("shared")));
+            logger.info("User {} {} their timeline", currentUser.getId(), shared ? "shared" : "unshared");
+            return ResponseEntity.ok(Map.of("shared", shared));
+        } catch (Exception e) {
+            logger.error("Failed to update timeline sharing: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+}
@@ -0,0 +1,72 @@
+package com.skillsphere.backend.controller;
+
+import com.skillsphere.backend.model.TopicSubscription;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.TopicSubscriptionService;
+import com.skillsphere.backend.service.UserService;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.List;
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/topic-subscriptions")
+public class TopicSubscriptionController {
+    private static final Logger logger = LoggerFactory.getLogger(TopicSubscriptionController.class);
+
+    @Autowired
+    private TopicSubscriptionService topicSubscriptionService;
+
+    @Autowired
+    private UserService userService;
+
+    @GetMapping
+    public ResponseEntity<List<TopicSubscription>> getSubscriptions(@RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            return ResponseEntity.ok(topicSubscriptionService.getSubscriptions(currentUser.getId()));
+        } catch (Exception e) {
+            logger.error("Failed to fetch topic subscriptions: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.UNAUTHORIZED).build();
+        }
+    }
+
+    @PostMapping
+    public ResponseEntity<?> subscribe(
+            @RequestBody Map<String, String> request,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            TopicSubscription subscription =
+                    topicSubscriptionService.subscribe(currentUser, request.get("type"), request.get("value"));
+            logger.info("User {} subscribed to {} '{}'", currentUser.getId(), subscription.getType(), subscription.getValue());
+            return ResponseEntity.ok(subscription);
+        } catch (IllegalArgumentException e) {
+            logger.warn("Invalid topic subscription request: {}", e.getMessage());
+            return ResponseEntity.badRequest().body(Map.of("message", e.getMessage()));
+        } catch (Exception e) {
+            logger.error("Failed to subscribe to topic: {}", e.getMessage(), e);
+            return ResponseEntity.status(HttpStatus.INTERNAL_SERVER_ERROR).body(Map.of("message", "Internal server error"));
+        }
+    }
+
+    @DeleteMapping("/{subscriptionId}")
+    public ResponseEntity<Void> unsubscribe(
+            @PathVariable Long subscriptionId,
+            @RequestHeader("Authorization") String authHeader) {
+        try {
+            User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+            topicSubscriptionService.unsubscribe(subscriptionId, currentUser.getId());
+            logger.info("User {} removed topic subscription {}", currentUser.getId(), subscriptionId);
+            return ResponseEntity.noContent().build();
+        } catch (RuntimeException e) {
+            logger.error("Error removing topic subscription {}: {}", subscriptionId, e.getMessage());
+            return ResponseEntity.status(HttpStatus.FORBIDDEN).build();
+        }
+    }
+}
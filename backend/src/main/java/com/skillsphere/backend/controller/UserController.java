@@ -1,6 +1,7 @@
 package com.skillsphere.backend.controller;
 
 import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.service.PostService;
 import com.skillsphere.backend.service.UserService;
 import org.slf4j.Logger;
 import org.slf4j.LoggerFactory;
@@ -9,7 +10,9 @@ import org.springframework.http.ResponseEntity;
 import org.springframework.web.bind.annotation.*;
 
 import java.util.HashMap;
+import java.util.List;
 import java.util.Map;
+import java.util.stream.Collectors;
 
 @RestController
 @RequestMapping("/api/users")
@@ -19,6 +22,9 @@ public class UserController {
     @Autowired
     private UserService userService;
 
+    @Autowired
+    private PostService postService;
+
     @PostMapping("/{userId}/follow")
     public ResponseEntity<Map<String, Object>> followUser(
             @PathVariable Long userId,
@@ -65,14 +71,69 @@ public class UserController {
         }
     }
 
+    @GetMapping("/{userId}/following")
+    public ResponseEntity<?> getFollowing(@PathVariable Long userId) {
+        try {
+            User user = userService.findById(userId);
+            List<Map<String, Object>> following = userService.getFollowing(user).stream()
+                    .map(followed -> Map.<String, Object>of(
+                            "id", followed.getId(),
+                            "username", followed.getUsername(),
+                            "followerCount", followed.getFollowers().size()))
+                    .collect(Collectors.toList());
+            return ResponseEntity.ok(following);
+        } catch (RuntimeException e) {
+            logger.warn("Failed to fetch following for user {}: {}", userId, e.getMessage());
+            return ResponseEntity.status(404).body(Map.of("message", "User not found"));
+        }
+    }
+
+    @GetMapping("/{userId}/learning-plans")
+    public ResponseEntity<?> getLearningPlans(@PathVariable Long userId) {
+        try {
+            User user = userService.findById(userId);
+            List<Map<String, Object>> plans = user.getLearningPlans().stream()
+                    .map(plan -> {
+                        Map<String, Object> summary = new HashMap<>();
+                        summary.put("id", plan.getId());
+                        summary.put("title", plan.getTitle());
+                        summary.put("description", plan.getDescription());
+                        summary.put("status", plan.getStatus() == null ? null : plan.getStatus().toString());
+                        summary.put("topicCount", plan.getTopics() == null ? 0 : plan.getTopics().size());
+                        return summary;
+                    })
+                    .collect(Collectors.toList());
+            return ResponseEntity.ok(plans);
+        } catch (RuntimeException e) {
+            logger.warn("Failed to fetch learning plans for user {}: {}", userId, e.getMessage());
+            return ResponseEntity.status(404).body(Map.of("message", "User not found"));
+        }
+    }
+
+    @GetMapping("/search")
+    public ResponseEntity<List<Map<String, Object>>> searchUsers(@RequestParam(value = "q", defaultValue = "") String query) {
+        List<Map<String, Object>> users = userService.findByUsernamePrefix(query).stream()
+                .map(match -> Map.<String, Object>of("id", match.getId(), "username", match.getUsername()))
+                .collect(Collectors.toList());
+        return ResponseEntity.ok(users);
+    }
+
     private Map<String, Object> getUserProfileResponse(User user) {
         Map<String, Object> response = new HashMap<>();
         response.put("id", user.getId());
         response.put("username", user.getUsername());
         response.put("isAdmin", user.isAdmin());
         response.put("createdAt", user.getCreatedAt());
-        response.put("followers", user.getFollowers());
-        response.put("posts", user.getPosts());
+        response.put("followers", toUserSummaries(user.getFollowers()));
+        response.put("following", toUserSummaries(userService.getFollowing(user)));
+        response.put("posts", postService.getPostsByAuthor(user.getId()));
         return response;
     }
-}
\ No newline at end of file
+
+    // Only id and username: the entities themselves carry credentials that must not be serialized.
+    private List<Map<String, Object>> toUserSummaries(List<User> users) {
+        return users.stream()
+                .map(u -> Map.<String, Object>of("id", u.getId(), "username", u.getUsername()))
+                .collect(Collectors.toList());
+    }
+}
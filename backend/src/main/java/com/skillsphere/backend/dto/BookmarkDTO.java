@@ -0,0 +1,13 @@
+package com.skillsphere.backend.dto;
+
+import lombok.Data;
+
+import java.util.List;
+
+/** Whether the current user saved a post, and which of their collections hold it. */
+@Data
+public class BookmarkDTO {
+    private Long postId;
+    private boolean saved;
+    private List<Long> collectionIds;
+}
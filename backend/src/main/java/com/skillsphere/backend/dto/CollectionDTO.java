@@ -0,0 +1,19 @@
+package com.skillsphere.backend.dto;
+
+import lombok.Data;
+
+import java.util.List;
+
+@Data
+public class CollectionDTO {
+    private Long id;
+    private String name;
+    private boolean shared;
+    private int position;
+    private long postCount;
+    private String createdAt;
+    private UserDTO owner;
+    private List<PostDTO.MediaDTO> cover;
+    // Only filled in when a single collection is requested.
+    private List<PostDTO> posts;
+}
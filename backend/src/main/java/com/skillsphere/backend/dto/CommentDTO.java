@@ -3,11 +3,15 @@ package com.skillsphere.backend.dto;
 import lombok.Data;
 
 import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.List;
 
 @Data
 public class CommentDTO {
     private Long id;
+    private Long parentId;
     private String text;
     private LocalDateTime createdAt;
     private UserDTO user;
+    private List<UserDTO> mentions = new ArrayList<>();
 }
\ No newline at end of file
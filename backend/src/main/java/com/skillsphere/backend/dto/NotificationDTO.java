@@ -0,0 +1,16 @@
+package com.skillsphere.backend.dto;
+
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+@Data
+public class NotificationDTO {
+    private Long id;
+    private String type;
+    private String message;
+    private String link;
+    private boolean read;
+    private LocalDateTime createdAt;
+    private UserDTO actor;
+}
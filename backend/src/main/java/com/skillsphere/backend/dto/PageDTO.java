@@ -0,0 +1,15 @@
+package com.skillsphere.backend.dto;
+
+import lombok.Data;
+
+import java.util.ArrayList;
+import java.util.List;
+
+@Data
+public class PageDTO<T> {
+    private List<T> content = new ArrayList<>();
+    private int page;
+    private int size;
+    private long totalElements;
+    private boolean hasNext;
+}
@@ -13,8 +13,11 @@ public class PostDTO {
     private String category;
     private String tags;
     private String images;
+    private List<MediaDTO> media = new ArrayList<>();
     private Integer likes;
     private String createdAt;
+    private String status = "PUBLISHED"; // "PUBLISHED", "DRAFT", "SCHEDULED"
+    private String publishAt;
     private UserDTO user;
     private List<CommentDTO> comments = new ArrayList<>();
     private List<ReactionDTO> reactions = new ArrayList<>();
@@ -27,4 +30,10 @@ public class PostDTO {
         private String reactionType;
         private String createdAt;
     }
-}
\ No newline at end of file
+
+    @Data
+    public static class MediaDTO {
+        private String url;
+        private String type;
+    }
+}
@@ -0,0 +1,49 @@
+package com.skillsphere.backend.dto;
+
+import lombok.Data;
+
+import java.util.ArrayList;
+import java.util.List;
+
+@Data
+public class QuizAttemptDTO {
+    private Long id;
+    private Long quizId;
+    private String quizTitle;
+    private String startedAt;
+    private String expiresAt;
+    // Seconds left on a running timed attempt, so clients don't have to compare clocks with the server.
+    private Long remainingSeconds;
+    private String submittedAt;
+    private int score;
+    private int maxScore;
+    private int percent;
+    private boolean passed;
+    private boolean timedOut;
+    // Only filled in for submitted attempts.
+    private List<QuestionResult> results = new ArrayList<>();
+
+    /** What the learner sent for one question. {@code selected} holds option indexes, {@code text} short answers. */
+    @Data
+    public static class Answer {
+        private Long questionId;
+        private List<Integer> selected = new ArrayList<>();
+        private String text;
+    }
+
+    @Data
+    public static class QuestionResult {
+        private Long questionId;
+        private String type;
+        private String prompt;
+        private List<String> options = new ArrayList<>();
+        private List<Integer> selected = new ArrayList<>();
+        private String text;
+        private List<Integer> correctOptions = new ArrayList<>();
+        private List<String> acceptedAnswers = new ArrayList<>();
+        private boolean correct;
+        private int points;
+        private int earned;
+        private String explanation;
+    }
+}
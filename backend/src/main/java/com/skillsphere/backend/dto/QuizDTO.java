@@ -0,0 +1,41 @@
+package com.skillsphere.backend.dto;
+
+import lombok.Data;
+
+import java.util.ArrayList;
+import java.util.List;
+
+@Data
+public class QuizDTO {
+    private Long id;
+    private String title;
+    private String description;
+    private Long postId;
+    private Long learningPlanId;
+    private Long milestoneId;
+    private Integer timeLimitSeconds;
+    private Integer passingScore;
+    private int questionCount;
+    private UserDTO author;
+    private String createdAt;
+    private String updatedAt;
+    private List<QuestionDTO> questions = new ArrayList<>();
+
+    // The viewer's own results so far.
+    private int attemptCount;
+    private Integer bestPercent;
+    private boolean passed;
+
+    @Data
+    public static class QuestionDTO {
+        private Long id;
+        private String type;
+        private String prompt;
+        private List<String> options = new ArrayList<>();
+        private Integer points;
+        // Answers and explanations are only sent to the quiz author; learners see them in their results.
+        private List<Integer> correctOptions;
+        private List<String> acceptedAnswers;
+        private String explanation;
+    }
+}
@@ -0,0 +1,53 @@
+package com.skillsphere.backend.dto;
+
+import lombok.Data;
+
+import java.util.ArrayList;
+import java.util.List;
+
+@Data
+public class SearchResultDTO {
+    private String query;
+    private List<PostHit> posts = new ArrayList<>();
+    private List<UserHit> users = new ArrayList<>();
+    private List<PlanHit> plans = new ArrayList<>();
+    private List<FacetValue> tags = new ArrayList<>();
+    private List<FacetValue> categories = new ArrayList<>();
+
+    @Data
+    public static class PostHit {
+        private Long id;
+        private String title;
+        private String snippet;
+        private String category;
+        private String tags;
+        private String createdAt;
+        private UserDTO user;
+    }
+
+    @Data
+    public static class UserHit {
+        private Long id;
+        private String username;
+    }
+
+    @Data
+    public static class PlanHit {
+        private Long id;
+        private String title;
+        private String snippet;
+        private String status;
+        private UserDTO user;
+    }
+
+    @Data
+    public static class FacetValue {
+        private String value;
+        private long count;
+
+        public FacetValue(String value, long count) {
+            this.value = value;
+            this.count = count;
+        }
+    }
+}
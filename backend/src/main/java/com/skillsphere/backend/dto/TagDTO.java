@@ -0,0 +1,10 @@
+package com.skillsphere.backend.dto;
+
+import lombok.Data;
+
+@Data
+public class TagDTO {
+    private String name;
+    private String slug;
+    private long count;
+}
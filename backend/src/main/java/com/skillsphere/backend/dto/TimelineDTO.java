@@ -0,0 +1,29 @@
+package com.skillsphere.backend.dto;
+
+import lombok.Data;
+
+import java.util.ArrayList;
+import java.util.List;
+
+@Data
+public class TimelineDTO {
+    private UserDTO owner;
+    private boolean shared;
+    private List<Event> events = new ArrayList<>();
+    // Pass as {@code before} to get the next, older page; null on the last page.
+    private String nextBefore;
+
+    @Data
+    public static class Event {
+        // Unique across types, e.g. "comment-42".
+        private String id;
+        private String type;
+        private String createdAt;
+        // What the event is about: a post or plan title, or the followed user's name.
+        private String title;
+        private String snippet;
+        // Reaction type or new plan status.
+        private String detail;
+        private String link;
+    }
+}
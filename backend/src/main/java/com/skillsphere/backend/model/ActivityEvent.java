@@ -0,0 +1,52 @@
+package com.skillsphere.backend.model;
+
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+/**
+ * Timeline entry for activity that leaves no dated row of its own: follows (the followers join
+ * table has no timestamp) and learning-plan status changes. Posts, comments and reactions are
+ * read from their own tables instead.
+ */
+@Entity
+@Table(name = "activity_events", indexes = @Index(columnList = "user_id, created_at"))
+@Data
+public class ActivityEvent {
+    public static final String FOLLOW = "FOLLOW";
+    public static final String PLAN_STATUS = "PLAN_STATUS";
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "user_id", nullable = false)
+    private User user;
+
+    @Column(nullable = false, length = 20)
+    private String type;
+
+    // The followed user for FOLLOW events.
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "target_user_id")
+    private User targetUser;
+
+    @Column(name = "learning_plan_id")
+    private Long learningPlanId;
+
+    // Plan title at the time of the change.
+    private String title;
+
+    // The new status for PLAN_STATUS events.
+    @Column(length = 30)
+    private String detail;
+
+    @Column(name = "created_at", nullable = false)
+    private LocalDateTime createdAt;
+
+    public ActivityEvent() {
+        this.createdAt = LocalDateTime.now();
+    }
+}
@@ -0,0 +1,36 @@
+package com.skillsphere.backend.model;
+
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+/** A named group of bookmarks. Private to its owner unless {@code shared} is set. */
+@Entity
+@Table(name = "bookmark_collections")
+@Data
+public class BookmarkCollection {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "user_id", nullable = false)
+    private User user;
+
+    @Column(nullable = false, length = 60)
+    private String name;
+
+    @Column(nullable = false)
+    private boolean shared = false;
+
+    @Column(nullable = false)
+    private int position;
+
+    @Column(name = "created_at")
+    private LocalDateTime createdAt;
+
+    public BookmarkCollection() {
+        this.createdAt = LocalDateTime.now();
+    }
+}
@@ -0,0 +1,29 @@
+package com.skillsphere.backend.model;
+
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+/** A category from the admin-curated list that posts pick from. */
+@Entity
+@Table(name = "categories")
+@Data
+public class Category {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @Column(nullable = false, unique = true, length = 60)
+    private String name;
+
+    @Column(nullable = false)
+    private int position;
+
+    @Column(name = "created_at")
+    private LocalDateTime createdAt;
+
+    public Category() {
+        this.createdAt = LocalDateTime.now();
+    }
+}
@@ -0,0 +1,33 @@
+package com.skillsphere.backend.model;
+
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+@Entity
+@Table(name = "collection_items", uniqueConstraints = @UniqueConstraint(columnNames = {"collection_id", "post_id"}))
+@Data
+public class CollectionItem {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "collection_id", nullable = false)
+    private BookmarkCollection collection;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "post_id", nullable = false)
+    private Post post;
+
+    @Column(nullable = false)
+    private int position;
+
+    @Column(name = "added_at")
+    private LocalDateTime addedAt;
+
+    public CollectionItem() {
+        this.addedAt = LocalDateTime.now();
+    }
+}
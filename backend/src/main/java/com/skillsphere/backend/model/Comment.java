@@ -21,12 +21,22 @@ public class Comment {
     @JoinColumn(name = "user_id", nullable = false)
     private User user;
 
+    // Null for top-level comments; replies point at the comment they answer
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "parent_id")
+    private Comment parent;
+
     @Column(nullable = false)
     private String text;
 
     @Column(name = "created_at")
     private LocalDateTime createdAt;
 
+    // New comments start unreviewed; the column default only fills rows that predate the review
+    // queue, so ddl-auto doesn't put every existing comment in front of the admins.
+    @Column(nullable = false, columnDefinition = "boolean default true")
+    private boolean reviewed = false;
+
     public Comment() {
         this.createdAt = LocalDateTime.now();
     }
@@ -0,0 +1,44 @@
+package com.skillsphere.backend.model;
+
+import com.fasterxml.jackson.annotation.JsonIgnore;
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+@Entity
+@Table(name = "notifications")
+@Data
+public class Notification {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "recipient_id", nullable = false)
+    @JsonIgnore
+    private User recipient;
+
+    @ManyToOne(fetch = FetchType.EAGER)
+    @JoinColumn(name = "actor_id")
+    @JsonIgnore
+    private User actor;
+
+    @Column(nullable = false)
+    private String type; // "FOLLOW", "COMMENT", "REPLY", "REACTION", "MENTION"
+
+    @Column(nullable = false, length = 500)
+    private String message;
+
+    private String link;
+
+    @Column(name = "is_read", nullable = false)
+    private boolean read = false;
+
+    @Column(name = "created_at")
+    private LocalDateTime createdAt;
+
+    public Notification() {
+        this.createdAt = LocalDateTime.now();
+    }
+}
@@ -0,0 +1,38 @@
+package com.skillsphere.backend.model;
+
+import com.fasterxml.jackson.annotation.JsonIgnore;
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+/**
+ * Publication state of a post that isn't live yet. Posts without a row are published;
+ * a row either marks the post as a draft or holds it back until {@code publishAt}.
+ */
+@Entity
+@Table(name = "post_schedules")
+@Data
+public class PostSchedule {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @OneToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "post_id", nullable = false, unique = true)
+    @JsonIgnore
+    private Post post;
+
+    @Column(nullable = false)
+    private boolean draft;
+
+    @Column(name = "publish_at")
+    private LocalDateTime publishAt;
+
+    @Column(name = "updated_at")
+    private LocalDateTime updatedAt;
+
+    public PostSchedule() {
+        this.updatedAt = LocalDateTime.now();
+    }
+}
@@ -0,0 +1,63 @@
+package com.skillsphere.backend.model;
+
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.List;
+
+/**
+ * A quiz attached to either a skill post or a learning plan. Plan quizzes may name one of the
+ * plan's milestones, which then can't be marked complete until the quiz has been passed.
+ */
+@Entity
+@Table(name = "quizzes")
+@Data
+public class Quiz {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "author_id", nullable = false)
+    private User author;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "post_id")
+    private Post post;
+
+    @Column(name = "learning_plan_id")
+    private Long learningPlanId;
+
+    @Column(name = "milestone_id")
+    private Long milestoneId;
+
+    @Column(nullable = false, length = 120)
+    private String title;
+
+    @Column(columnDefinition = "TEXT")
+    private String description;
+
+    // Null means untimed.
+    @Column(name = "time_limit_seconds")
+    private Integer timeLimitSeconds;
+
+    @Column(name = "passing_score", nullable = false)
+    private int passingScore = 70;
+
+    @OneToMany(mappedBy = "quiz", cascade = CascadeType.ALL, orphanRemoval = true)
+    @OrderBy("position ASC")
+    private List<QuizQuestion> questions = new ArrayList<>();
+
+    @Column(name = "created_at")
+    private LocalDateTime createdAt;
+
+    @Column(name = "updated_at")
+    private LocalDateTime updatedAt;
+
+    public Quiz() {
+        this.createdAt = LocalDateTime.now();
+        this.updatedAt = this.createdAt;
+    }
+}
@@ -0,0 +1,56 @@
+package com.skillsphere.backend.model;
+
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+/**
+ * A user's run through a quiz. It is open from {@code startedAt} until submitted; the graded
+ * answers are kept as a JSON snapshot so the history still reads right after the quiz changes.
+ */
+@Entity
+@Table(name = "quiz_attempts")
+@Data
+public class QuizAttempt {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "quiz_id", nullable = false)
+    private Quiz quiz;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "user_id", nullable = false)
+    private User user;
+
+    @Column(name = "started_at", nullable = false)
+    private LocalDateTime startedAt;
+
+    // Copied from the quiz when the attempt starts, so later edits don't move the deadline.
+    @Column(name = "expires_at")
+    private LocalDateTime expiresAt;
+
+    @Column(name = "submitted_at")
+    private LocalDateTime submittedAt;
+
+    private int score;
+
+    @Column(name = "max_score")
+    private int maxScore;
+
+    private int percent;
+
+    private boolean passed;
+
+    @Column(name = "timed_out")
+    private boolean timedOut;
+
+    @Column(columnDefinition = "TEXT")
+    private String results;
+
+    public QuizAttempt() {
+        this.startedAt = LocalDateTime.now();
+    }
+}
@@ -0,0 +1,62 @@
+package com.skillsphere.backend.model;
+
+import jakarta.persistence.*;
+import lombok.Data;
+import lombok.EqualsAndHashCode;
+import lombok.ToString;
+
+import java.util.ArrayList;
+import java.util.List;
+
+/**
+ * One question of a quiz. Choice questions mark their right answers by option index;
+ * short-answer questions list the accepted answers, compared loosely (see {@code QuizGrading}).
+ */
+@Entity
+@Table(name = "quiz_questions")
+@Data
+public class QuizQuestion {
+    public enum Type { SINGLE_CHOICE, MULTIPLE_CHOICE, SHORT_ANSWER }
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "quiz_id", nullable = false)
+    @ToString.Exclude
+    @EqualsAndHashCode.Exclude
+    private Quiz quiz;
+
+    @Column(nullable = false)
+    private int position;
+
+    @Enumerated(EnumType.STRING)
+    @Column(nullable = false, length = 20)
+    private Type type;
+
+    @Column(nullable = false, columnDefinition = "TEXT")
+    private String prompt;
+
+    @ElementCollection
+    @CollectionTable(name = "quiz_question_options", joinColumns = @JoinColumn(name = "question_id"))
+    @OrderColumn(name = "position")
+    @Column(name = "label", nullable = false, length = 200)
+    private List<String> options = new ArrayList<>();
+
+    @ElementCollection
+    @CollectionTable(name = "quiz_question_correct_options", joinColumns = @JoinColumn(name = "question_id"))
+    @Column(name = "option_index", nullable = false)
+    private List<Integer> correctOptions = new ArrayList<>();
+
+    @ElementCollection
+    @CollectionTable(name = "quiz_question_accepted_answers", joinColumns = @JoinColumn(name = "question_id"))
+    @Column(name = "answer", nullable = false, length = 200)
+    private List<String> acceptedAnswers = new ArrayList<>();
+
+    @Column(columnDefinition = "TEXT")
+    private String explanation;
+
+    @Column(nullable = false)
+    private int points = 1;
+}
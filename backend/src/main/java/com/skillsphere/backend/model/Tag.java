@@ -0,0 +1,32 @@
+package com.skillsphere.backend.model;
+
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+/**
+ * A normalized post tag. {@code slug} is the identity ("react", "spring-boot") and is what
+ * URLs and filters use; {@code name} keeps the spelling of whoever used the tag first.
+ */
+@Entity
+@Table(name = "tags")
+@Data
+public class Tag {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @Column(nullable = false, length = 50)
+    private String name;
+
+    @Column(nullable = false, unique = true, length = 50)
+    private String slug;
+
+    @Column(name = "created_at")
+    private LocalDateTime createdAt;
+
+    public Tag() {
+        this.createdAt = LocalDateTime.now();
+    }
+}
@@ -0,0 +1,35 @@
+package com.skillsphere.backend.model;
+
+import com.fasterxml.jackson.annotation.JsonIgnore;
+import jakarta.persistence.*;
+import lombok.Data;
+
+import java.time.LocalDateTime;
+
+@Entity
+@Table(name = "topic_subscriptions",
+        uniqueConstraints = @UniqueConstraint(columnNames = {"user_id", "topic_type", "topic_value"}))
+@Data
+public class TopicSubscription {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "user_id", nullable = false)
+    @JsonIgnore
+    private User user;
+
+    @Column(name = "topic_type", nullable = false)
+    private String type; // "TAG", "CATEGORY"
+
+    @Column(name = "topic_value", nullable = false)
+    private String value;
+
+    @Column(name = "created_at")
+    private LocalDateTime createdAt;
+
+    public TopicSubscription() {
+        this.createdAt = LocalDateTime.now();
+    }
+}
@@ -5,6 +5,7 @@ import com.fasterxml.jackson.annotation.JsonIgnore;
 import jakarta.persistence.*;
 import lombok.Data;
 
+import java.time.LocalDateTime;
 import java.util.ArrayList;
 import java.util.List;
 
@@ -22,12 +23,29 @@ public class User {
     @Column(nullable = false)
     private String password;
 
+    // Where password reset links go; stored lower-case.
+    @Column(unique = true)
+    @JsonIgnore
+    private String email;
+
     @Column(name = "created_at")
     private String createdAt;
 
     @Column(name = "is_admin", nullable = false)
     private boolean isAdmin = false;
 
+    @Column(nullable = false)
+    private boolean disabled = false;
+
+    // Whether other users may see this user's activity timeline.
+    @Column(name = "timeline_public", nullable = false)
+    private boolean timelinePublic = false;
+
+    // Access tokens issued before this moment are rejected ("log out all devices").
+    @Column(name = "sessions_revoked_at")
+    @JsonIgnore
+    private LocalDateTime sessionsRevokedAt;
+
     @OneToMany(mappedBy = "user", cascade = CascadeType.ALL, orphanRemoval = true)
     @JsonIgnore
     private List<Subscription> subscriptions = new ArrayList<>();
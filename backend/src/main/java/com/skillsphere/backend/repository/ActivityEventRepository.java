@@ -0,0 +1,12 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.ActivityEvent;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+
+public interface ActivityEventRepository extends JpaRepository<ActivityEvent, Long> {
+    @Modifying
+    @Query("DELETE FROM ActivityEvent e WHERE e.user.id = :userId OR e.targetUser.id = :userId")
+    void deleteByUserId(Long userId);
+}
@@ -0,0 +1,14 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.BookmarkCollection;
+import org.springframework.data.jpa.repository.JpaRepository;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface BookmarkCollectionRepository extends JpaRepository<BookmarkCollection, Long> {
+    List<BookmarkCollection> findByUserIdOrderByPositionAscIdAsc(Long userId);
+    List<BookmarkCollection> findByUserIdAndSharedTrueOrderByPositionAscIdAsc(Long userId);
+    Optional<BookmarkCollection> findByIdAndUserId(Long id, Long userId);
+    Optional<BookmarkCollection> findByUserIdAndNameIgnoreCase(Long userId, String name);
+}
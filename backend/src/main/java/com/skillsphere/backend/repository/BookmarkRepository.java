@@ -0,0 +1,25 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.Bookmark;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface BookmarkRepository extends JpaRepository<Bookmark, Long> {
+    Optional<Bookmark> findByUserIdAndPostId(Long userId, Long postId);
+    List<Bookmark> findByUserIdOrderByCreatedAtDesc(Long userId);
+
+    @Query("SELECT b.post.id FROM Bookmark b WHERE b.user.id = :userId")
+    List<Long> findPostIdsByUserId(Long userId);
+
+    @Modifying
+    @Query("DELETE FROM Bookmark b WHERE b.post.id = :postId")
+    void deleteByPostId(Long postId);
+
+    @Modifying
+    @Query("DELETE FROM Bookmark b WHERE b.user.id = :userId")
+    void deleteByUserId(Long userId);
+}
@@ -0,0 +1,12 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.Category;
+import org.springframework.data.jpa.repository.JpaRepository;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface CategoryRepository extends JpaRepository<Category, Long> {
+    List<Category> findAllByOrderByPositionAscNameAsc();
+    Optional<Category> findByNameIgnoreCase(String name);
+}
@@ -0,0 +1,30 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.CollectionItem;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface CollectionItemRepository extends JpaRepository<CollectionItem, Long> {
+    List<CollectionItem> findByCollectionIdOrderByPositionAscIdAsc(Long collectionId);
+    Optional<CollectionItem> findByCollectionIdAndPostId(Long collectionId, Long postId);
+
+    @Query("SELECT i.collection.id FROM CollectionItem i WHERE i.collection.user.id = :userId AND i.post.id = :postId")
+    List<Long> findCollectionIdsByUserIdAndPostId(Long userId, Long postId);
+
+    @Modifying
+    @Query("DELETE FROM CollectionItem i WHERE i.collection.id = :collectionId")
+    void deleteByCollectionId(Long collectionId);
+
+    @Modifying
+    @Query("DELETE FROM CollectionItem i WHERE i.post.id = :postId")
+    void deleteByPostId(Long postId);
+
+    @Modifying
+    @Query("DELETE FROM CollectionItem i WHERE i.post.id = :postId"
+            + " AND i.collection.id IN (SELECT c.id FROM BookmarkCollection c WHERE c.user.id = :userId)")
+    void deleteByUserIdAndPostId(Long userId, Long postId);
+}
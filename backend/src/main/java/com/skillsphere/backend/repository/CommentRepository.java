@@ -2,7 +2,24 @@ package com.skillsphere.backend.repository;
 
 import com.skillsphere.backend.model.Comment;
 import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+
+import java.util.List;
 
 public interface CommentRepository extends JpaRepository<Comment, Long> {
     void deleteByPostId(Long postId);
+    List<Comment> findByParentId(Long parentId);
+    List<Comment> findByUserId(Long userId);
+    boolean existsByParentId(Long parentId);
+
+    // Detach replies first so a post's comments can be removed in any order
+    @Modifying
+    @Query("UPDATE Comment c SET c.parent = NULL WHERE c.post.id = :postId")
+    void clearParentsByPostId(Long postId);
+    List<Comment> findByReviewedFalseOrderByCreatedAtDesc();
+
+    // A post's whole thread with authors in one query; replies are linked up by parent id
+    @Query("SELECT c FROM Comment c JOIN FETCH c.user WHERE c.post.id = :postId ORDER BY c.createdAt, c.id")
+    List<Comment> findThreadByPostId(Long postId);
 }
\ No newline at end of file
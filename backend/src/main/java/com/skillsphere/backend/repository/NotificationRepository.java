@@ -0,0 +1,26 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.Notification;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+
+import java.util.List;
+
+public interface NotificationRepository extends JpaRepository<Notification, Long> {
+    List<Notification> findTop50ByRecipientIdOrderByCreatedAtDesc(Long recipientId);
+    long countByRecipientIdAndReadFalse(Long recipientId);
+
+    @Modifying
+    @Query("UPDATE Notification n SET n.read = true WHERE n.recipient.id = :recipientId AND n.read = false")
+    int markAllReadByRecipientId(Long recipientId);
+
+    @Modifying
+    @Query("DELETE FROM Notification n WHERE n.recipient.id = :userId")
+    void deleteByRecipientId(Long userId);
+
+    // Notifications the user caused stay with their recipients, just without the actor.
+    @Modifying
+    @Query("UPDATE Notification n SET n.actor = NULL WHERE n.actor.id = :userId")
+    void clearActor(Long userId);
+}
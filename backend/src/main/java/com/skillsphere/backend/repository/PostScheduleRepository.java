@@ -0,0 +1,18 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.PostSchedule;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface PostScheduleRepository extends JpaRepository<PostSchedule, Long> {
+    Optional<PostSchedule> findByPostId(Long postId);
+    List<PostSchedule> findByPostUserIdOrderByUpdatedAtDesc(Long userId);
+
+    @Modifying
+    @Query("DELETE FROM PostSchedule s WHERE s.post.id = :postId")
+    void deleteByPostId(Long postId);
+}
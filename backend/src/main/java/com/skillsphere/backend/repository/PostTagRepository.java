@@ -0,0 +1,12 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.PostTag;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+
+public interface PostTagRepository extends JpaRepository<PostTag, Long> {
+    @Modifying
+    @Query("DELETE FROM PostTag pt WHERE pt.post.id = :postId")
+    void deleteByPostId(Long postId);
+}
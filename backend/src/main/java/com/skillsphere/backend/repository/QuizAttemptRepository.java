@@ -0,0 +1,28 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.QuizAttempt;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface QuizAttemptRepository extends JpaRepository<QuizAttempt, Long> {
+    List<QuizAttempt> findByQuizIdAndUserIdAndSubmittedAtIsNotNullOrderByStartedAtDesc(Long quizId, Long userId);
+    Optional<QuizAttempt> findFirstByQuizIdAndUserIdAndSubmittedAtIsNullOrderByStartedAtDesc(Long quizId, Long userId);
+    Optional<QuizAttempt> findByIdAndUserId(Long id, Long userId);
+    boolean existsByQuizIdAndUserIdAndPassedTrue(Long quizId, Long userId);
+
+    @Modifying
+    @Query("DELETE FROM QuizAttempt a WHERE a.quiz.id = :quizId")
+    void deleteByQuizId(Long quizId);
+
+    @Modifying
+    @Query("DELETE FROM QuizAttempt a WHERE a.quiz.id IN (SELECT q.id FROM Quiz q WHERE q.post.id = :postId)")
+    void deleteByPostId(Long postId);
+
+    @Modifying
+    @Query("DELETE FROM QuizAttempt a WHERE a.user.id = :userId")
+    void deleteByUserId(Long userId);
+}
@@ -0,0 +1,13 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.Quiz;
+import org.springframework.data.jpa.repository.JpaRepository;
+
+import java.util.List;
+
+public interface QuizRepository extends JpaRepository<Quiz, Long> {
+    List<Quiz> findByPostIdOrderByCreatedAtAscIdAsc(Long postId);
+    List<Quiz> findByLearningPlanIdOrderByCreatedAtAscIdAsc(Long learningPlanId);
+    List<Quiz> findByLearningPlanIdAndMilestoneId(Long learningPlanId, Long milestoneId);
+    List<Quiz> findByAuthorId(Long authorId);
+}
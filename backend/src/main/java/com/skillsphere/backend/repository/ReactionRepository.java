@@ -15,4 +15,8 @@ public interface ReactionRepository extends JpaRepository<Reaction, Long> {
     @Modifying
     @Query("DELETE FROM Reaction r WHERE r.post.id = :postId")
     void deleteByPostId(Long postId);
+
+    @Modifying
+    @Query("DELETE FROM Reaction r WHERE r.user.id = :userId")
+    void deleteByUserId(Long userId);
 }
\ No newline at end of file
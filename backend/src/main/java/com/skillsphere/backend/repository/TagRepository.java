@@ -0,0 +1,10 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.Tag;
+import org.springframework.data.jpa.repository.JpaRepository;
+
+import java.util.Optional;
+
+public interface TagRepository extends JpaRepository<Tag, Long> {
+    Optional<Tag> findBySlug(String slug);
+}
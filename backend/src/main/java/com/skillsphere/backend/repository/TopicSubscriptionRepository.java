@@ -0,0 +1,12 @@
+package com.skillsphere.backend.repository;
+
+import com.skillsphere.backend.model.TopicSubscription;
+import org.springframework.data.jpa.repository.JpaRepository;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface TopicSubscriptionRepository extends JpaRepository<TopicSubscription, Long> {
+    List<TopicSubscription> findByUserIdOrderByCreatedAtDesc(Long userId);
+    Optional<TopicSubscription> findByUserIdAndTypeAndValue(Long userId, String type, String value);
+}
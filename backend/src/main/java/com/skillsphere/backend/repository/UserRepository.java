@@ -4,9 +4,16 @@ import com.skillsphere.backend.model.User;
 import org.springframework.data.jpa.repository.JpaRepository;
 import org.springframework.stereotype.Repository;
 
+import java.util.Collection;
+import java.util.List;
 import java.util.Optional;
 
 @Repository
 public interface UserRepository extends JpaRepository<User, Long> {
     Optional<User> findByUsername(String username);
+    boolean existsByUsernameIgnoreCase(String username);
+    Optional<User> findByEmailIgnoreCase(String email);
+    List<User> findByFollowersContaining(User follower);
+    List<User> findByUsernameIn(Collection<String> usernames);
+    List<User> findTop8ByUsernameStartingWithIgnoreCaseAndDisabledFalseOrderByUsername(String prefix);
 }
\ No newline at end of file
@@ -0,0 +1,251 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.model.Comment;
+import com.skillsphere.backend.model.PasswordResetToken;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.*;
+import jakarta.persistence.EntityManager;
+import jakarta.persistence.PersistenceContext;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.security.crypto.password.PasswordEncoder;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.time.Duration;
+import java.time.LocalDateTime;
+import java.util.Comparator;
+import java.util.List;
+
+/**
+ * Account settings the user manages themselves: their email, password (changed, or reset through
+ * an emailed link) and deleting the account altogether.
+ */
+@Service
+public class AccountService {
+    private static final Logger logger = LoggerFactory.getLogger(AccountService.class);
+    public static final String DELETED_COMMENT_TEXT = "[deleted]";
+
+    @Autowired
+    private UserRepository userRepository;
+
+    @Autowired
+    private PasswordEncoder passwordEncoder;
+
+    @Autowired
+    private SessionService sessionService;
+
+    @Autowired
+    private MailService mailService;
+
+    @Autowired
+    private RegistrationService registrationService;
+
+    @Autowired
+    private PostService postService;
+
+    @Autowired
+    private PasswordResetTokenRepository passwordResetTokenRepository;
+
+    @Autowired
+    private RefreshTokenRepository refreshTokenRepository;
+
+    @Autowired
+    private CommentRepository commentRepository;
+
+    @Autowired
+    private ReactionRepository reactionRepository;
+
+    @Autowired
+    private BookmarkRepository bookmarkRepository;
+
+    @Autowired
+    private BookmarkCollectionRepository bookmarkCollectionRepository;
+
+    @Autowired
+    private CollectionItemRepository collectionItemRepository;
+
+    @Autowired
+    private TopicSubscriptionRepository topicSubscriptionRepository;
+
+    @Autowired
+    private NotificationRepository notificationRepository;
+
+    @Autowired
+    private QuizRepository quizRepository;
+
+    @Autowired
+    private QuizAttemptRepository quizAttemptRepository;
+
+    @Autowired
+    private ActivityEventRepository activityEventRepository;
+
+    @PersistenceContext
+    private EntityManager entityManager;
+
+    @Value("${app.auth.password-reset-ttl:1h}")
+    private Duration passwordResetTtl;
+
+    @Value("${app.frontend.base-url:http://localhost:5173}")
+    private String frontendBaseUrl;
+
+    /** @throws IllegalArgumentException for a malformed address or one another account uses */
+    @Transactional
+    public User updateEmail(User user, String email) {
+        user.setEmail(registrationService.validateEmail(email, user.getId()));
+        logger.info("User {} updated their email", user.getId());
+        return userRepository.save(user);
+    }
+
+    /**
+     * Sets a new password and signs the account out everywhere else: other devices lose their
+     * sessions, and the caller continues with the returned one.
+     *
+     * @throws SecurityException when the current password is wrong
+     */
+    @Transactional
+    public SessionService.Tokens changePassword(User user, String currentPassword, String newPassword) {
+        if (currentPassword == null || !passwordEncoder.matches(currentPassword, user.getPassword())) {
+            throw new SecurityException("Current password is incorrect");
+        }
+        registrationService.validatePassword(newPassword, user.getUsername());
+        user.setPassword(passwordEncoder.encode(newPassword));
+        userRepository.save(user);
+        logger.info("User {} changed their password", user.getId());
+        return sessionService.replaceSessions(user);
+    }
+
+    /**
+     * Emails a reset link if an active account uses the address. Callers answer the same way
+     * either way, so the endpoint can't be used to find out who has an account.
+     */
+    @Transactional
+    public void requestPasswordReset(String email) {
+        String normalized = RegistrationRules.normalizeEmail(email);
+        User user = normalized == null ? null : userRepository.findByEmailIgnoreCase(normalized).orElse(null);
+        if (user == null || user.isDisabled()) {
+            logger.info("Password reset requested for an unknown address");
+            return;
+        }
+        LocalDateTime now = LocalDateTime.now();
+        passwordResetTokenRepository.invalidateAllForUser(user.getId(), now);
+        String token = SessionService.newToken();
+        PasswordResetToken reset = new PasswordResetToken();
+        reset.setUser(user);
+        reset.setTokenHash(SessionService.hashToken(token));
+        reset.setExpiresAt(now.plus(passwordResetTtl));
+        passwordResetTokenRepository.save(reset);
+
+        String link = frontendBaseUrl.replaceAll("/+$", "") + "/reset-password?token=" + token;
+        mailService.send(user.getEmail(), "Reset your SkillSphere password",
+                "Hi " + user.getUsername() + ",\n\n"
+                        + "Someone asked to reset the password of your SkillSphere account. If it was you, open this link"
+                        + " within " + passwordResetTtl.toMinutes() + " minutes to choose a new one:\n\n" + link + "\n\n"
+                        + "If it wasn't you, you can ignore this email; your password stays the same.\n");
+        logger.info("Password reset link sent to user {}", user.getId());
+    }
+
+    /**
+     * Sets a new password with a reset link's token and signs the account out everywhere.
+     *
+     * @throws IllegalArgumentException for an unknown, used or expired token, or an unusable password
+     */
+    @Transactional
+    public void resetPassword(String token, String newPassword) {
+        PasswordResetToken reset = token == null || token.isBlank() ? null
+                : passwordResetTokenRepository.findByTokenHash(SessionService.hashToken(token)).orElse(null);
+        LocalDateTime now = LocalDateTime.now();
+        if (reset == null || reset.getUsedAt() != null || reset.getExpiresAt().isBefore(now)) {
+            throw new IllegalArgumentException("This reset link is invalid or has expired. Please request a new one.");
+        }
+        User user = reset.getUser();
+        registrationService.validatePassword(newPassword, user.getUsername());
+        user.setPassword(passwordEncoder.encode(newPassword));
+        userRepository.save(user);
+        reset.setUsedAt(now);
+        passwordResetTokenRepository.save(reset);
+        sessionService.logoutEverywhere(user);
+        logger.info("User {} reset their password", user.getId());
+    }
+
+    /**
+     * Deletes the account's personal data: posts (with everything attached to them), reactions,
+     * follows, bookmarks, collections, subscriptions, notifications, quizzes and quiz attempts,
+     * timeline events and sessions. Comments are deleted too, except those others have replied
+     * to; their text is replaced so the replies keep their context. The user row itself stays,
+     * anonymized and disabled, because other records still point at it.
+     *
+     * @throws SecurityException when the password is wrong
+     */
+    @Transactional
+    public void deleteAccount(User user, String password) {
+        if (password == null || !passwordEncoder.matches(password, user.getPassword())) {
+            throw new SecurityException("Password is incorrect");
+        }
+        Long userId = user.getId();
+
+        List<Long> postIds = entityManager
+                .createQuery("select p.id from Post p where p.user.id = :userId", Long.class)
+                .setParameter("userId", userId)
+                .getResultList();
+        postService.deletePostsAsAdmin(postIds);
+
+        // Deepest first, so a comment whose only replies were the user's own goes too.
+        List<Comment> comments = commentRepository.findByUserId(userId).stream()
+                .sorted(Comparator.comparingInt(AccountService::depth).reversed())
+                .toList();
+        for (Comment comment : comments) {
+            if (commentRepository.existsByParentId(comment.getId())) {
+                comment.setText(DELETED_COMMENT_TEXT);
+                commentRepository.save(comment);
+            } else {
+                commentRepository.delete(comment);
+                commentRepository.flush();
+            }
+        }
+
+        reactionRepository.deleteByUserId(userId);
+        bookmarkRepository.deleteByUserId(userId);
+        bookmarkCollectionRepository.findByUserIdOrderByPositionAscIdAsc(userId).forEach(collection -> {
+            collectionItemRepository.deleteByCollectionId(collection.getId());
+            bookmarkCollectionRepository.delete(collection);
+        });
+        topicSubscriptionRepository.deleteAll(topicSubscriptionRepository.findByUserIdOrderByCreatedAtDesc(userId));
+        notificationRepository.deleteByRecipientId(userId);
+        notificationRepository.clearActor(userId);
+        quizAttemptRepository.deleteByUserId(userId);
+        quizRepository.findByAuthorId(userId).forEach(quiz -> {
+            quizAttemptRepository.deleteByQuizId(quiz.getId());
+            quizRepository.delete(quiz);
+        });
+        activityEventRepository.deleteByUserId(userId);
+        passwordResetTokenRepository.deleteByUserId(userId);
+        refreshTokenRepository.deleteByUserId(userId);
+
+        userRepository.findByFollowersContaining(user).forEach(followed -> {
+            followed.getFollowers().remove(user);
+            userRepository.save(followed);
+        });
+        user.getFollowers().clear();
+
+        user.setUsername("deleted-user-" + userId);
+        user.setEmail(null);
+        user.setPassword(passwordEncoder.encode(SessionService.newToken()));
+        user.setAdmin(false);
+        user.setDisabled(true);
+        user.setTimelinePublic(false);
+        user.setSessionsRevokedAt(LocalDateTime.now());
+        userRepository.save(user);
+        logger.info("User {} deleted their account", userId);
+    }
+
+    private static int depth(Comment comment) {
+        int depth = 0;
+        for (Comment parent = comment.getParent(); parent != null; parent = parent.getParent()) {
+            depth++;
+        }
+        return depth;
+    }
+}
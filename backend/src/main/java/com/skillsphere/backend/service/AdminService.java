@@ -0,0 +1,164 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.model.Comment;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.CommentRepository;
+import com.skillsphere.backend.repository.PostRepository;
+import com.skillsphere.backend.repository.ReactionRepository;
+import com.skillsphere.backend.repository.UserRepository;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.time.LocalDate;
+import java.util.*;
+import java.util.function.Function;
+import java.util.stream.Collectors;
+import java.util.stream.Stream;
+
+@Service
+public class AdminService {
+    private static final Logger logger = LoggerFactory.getLogger(AdminService.class);
+
+    @Autowired
+    private UserService userService;
+
+    @Autowired
+    private UserRepository userRepository;
+
+    @Autowired
+    private PostRepository postRepository;
+
+    @Autowired
+    private CommentRepository commentRepository;
+
+    @Autowired
+    private ReactionRepository reactionRepository;
+
+    public User requireAdmin(String authHeader) {
+        User currentUser = userService.getUserFromToken(authHeader.replace("Bearer ", ""));
+        if (!currentUser.isAdmin()) {
+            logger.warn("Non-admin user {} attempted an admin action", currentUser.getId());
+            throw new SecurityException("Admin privileges required");
+        }
+        return currentUser;
+    }
+
+    @Transactional(readOnly = true)
+    public List<Map<String, Object>> searchUsers(String query) {
+        String needle = query != null ? query.trim().toLowerCase() : "";
+        return userRepository.findAll().stream()
+                .filter(user -> needle.isEmpty() || user.getUsername().toLowerCase().contains(needle))
+                .sorted(Comparator.comparing(User::getId))
+                .map(this::toUserSummary)
+                .collect(Collectors.toList());
+    }
+
+    @Transactional
+    public Map<String, Object> setAdmin(User actingAdmin, Long userId, boolean admin) {
+        User user = userService.findById(userId);
+        if (!admin && user.getId().equals(actingAdmin.getId())) {
+            throw new IllegalArgumentException("You cannot remove your own admin rights");
+        }
+        user.setAdmin(admin);
+        logger.info("Admin {} set admin={} for user {}", actingAdmin.getId(), admin, userId);
+        return toUserSummary(userRepository.save(user));
+    }
+
+    @Transactional
+    public Map<String, Object> setDisabled(User actingAdmin, Long userId, boolean disabled) {
+        User user = userService.findById(userId);
+        if (user.getId().equals(actingAdmin.getId())) {
+            throw new IllegalArgumentException("You cannot disable your own account");
+        }
+        user.setDisabled(disabled);
+        logger.info("Admin {} set disabled={} for user {}", actingAdmin.getId(), disabled, userId);
+        return toUserSummary(userRepository.save(user));
+    }
+
+    @Transactional(readOnly = true)
+    public List<Map<String, Object>> getCommentReviewQueue() {
+        return commentRepository.findByReviewedFalseOrderByCreatedAtDesc().stream()
+                .map(this::toCommentSummary)
+                .collect(Collectors.toList());
+    }
+
+    @Transactional(readOnly = true)
+    public Map<String, Object> getStats(int days) {
+        LocalDate start = LocalDate.now().minusDays(days - 1L);
+        List<String> userDates = userRepository.findAll().stream()
+                .map(User::getCreatedAt).collect(Collectors.toList());
+        List<String> postDates = postRepository.findAll().stream()
+                .map(post -> post.getCreatedAt()).collect(Collectors.toList());
+        List<String> commentDates = commentRepository.findAll().stream()
+                .map(comment -> comment.getCreatedAt() != null ? comment.getCreatedAt().toString() : null)
+                .collect(Collectors.toList());
+        List<String> reactionDates = reactionRepository.findAll().stream()
+                .map(reaction -> reaction.getCreatedAt()).collect(Collectors.toList());
+
+        Map<String, Object> totals = new LinkedHashMap<>();
+        totals.put("users", userDates.size());
+        totals.put("posts", postDates.size());
+        totals.put("comments", commentDates.size());
+        totals.put("reactions", reactionDates.size());
+
+        Map<String, Long> usersPerDay = countPerDay(userDates);
+        Map<String, Long> postsPerDay = countPerDay(postDates);
+        Map<String, Long> commentsPerDay = countPerDay(commentDates);
+        Map<String, Long> reactionsPerDay = countPerDay(reactionDates);
+
+        List<Map<String, Object>> timeline = Stream.iterate(start, date -> date.plusDays(1))
+                .limit(days)
+                .map(date -> {
+                    String key = date.toString();
+                    Map<String, Object> point = new LinkedHashMap<>();
+                    point.put("date", key);
+                    point.put("users", usersPerDay.getOrDefault(key, 0L));
+                    point.put("posts", postsPerDay.getOrDefault(key, 0L));
+                    point.put("comments", commentsPerDay.getOrDefault(key, 0L));
+                    point.put("reactions", reactionsPerDay.getOrDefault(key, 0L));
+                    return point;
+                })
+                .collect(Collectors.toList());
+
+        Map<String, Object> stats = new LinkedHashMap<>();
+        stats.put("totals", totals);
+        stats.put("timeline", timeline);
+        return stats;
+    }
+
+    // Timestamps are stored as ISO-8601 strings, so the first ten characters are the calendar day.
+    private Map<String, Long> countPerDay(List<String> timestamps) {
+        return timestamps.stream()
+                .filter(Objects::nonNull)
+                .filter(timestamp -> timestamp.length() >= 10)
+                .map(timestamp -> timestamp.substring(0, 10))
+                .collect(Collectors.groupingBy(Function.identity(), Collectors.counting()));
+    }
+
+    private Map<String, Object> toUserSummary(User user) {
+        Map<String, Object> summary = new HashMap<>();
+        summary.put("id", user.getId());
+        summary.put("username", user.getUsername());
+        summary.put("isAdmin", user.isAdmin());
+        summary.put("disabled", user.isDisabled());
+        summary.put("createdAt", user.getCreatedAt());
+        summary.put("postCount", user.getPosts().size());
+        summary.put("followerCount", user.getFollowers().size());
+        return summary;
+    }
+
+    private Map<String, Object> toCommentSummary(Comment comment) {
+        Map<String, Object> summary = new HashMap<>();
+        summary.put("id", comment.getId());
+        summary.put("text", comment.getText());
+        summary.put("createdAt", comment.getCreatedAt());
+        summary.put("userId", comment.getUser().getId());
+        summary.put("username", comment.getUser().getUsername());
+        summary.put("postId", comment.getPost().getId());
+        summary.put("postTitle", comment.getPost().getTitle());
+        return summary;
+    }
+}
@@ -0,0 +1,280 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.dto.BookmarkDTO;
+import com.skillsphere.backend.dto.CollectionDTO;
+import com.skillsphere.backend.dto.PostDTO;
+import com.skillsphere.backend.dto.UserDTO;
+import com.skillsphere.backend.model.Bookmark;
+import com.skillsphere.backend.model.BookmarkCollection;
+import com.skillsphere.backend.model.CollectionItem;
+import com.skillsphere.backend.model.Post;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.BookmarkCollectionRepository;
+import com.skillsphere.backend.repository.BookmarkRepository;
+import com.skillsphere.backend.repository.CollectionItemRepository;
+import com.skillsphere.backend.repository.PostRepository;
+import com.skillsphere.backend.repository.UserRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.util.ArrayList;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+import java.util.function.Function;
+import java.util.stream.Collectors;
+
+/**
+ * Bookmarks and the collections they can be sorted into. Every collection item is also a
+ * bookmark: adding a post to a collection saves it, and removing a bookmark takes the post out
+ * of all of the user's collections. Collections that aren't yours are treated as missing unless
+ * their owner shared them.
+ */
+@Service
+public class BookmarkService {
+    private static final int MAX_NAME_LENGTH = 60;
+
+    @Autowired
+    private BookmarkRepository bookmarkRepository;
+
+    @Autowired
+    private BookmarkCollectionRepository collectionRepository;
+
+    @Autowired
+    private CollectionItemRepository collectionItemRepository;
+
+    @Autowired
+    private PostRepository postRepository;
+
+    @Autowired
+    private UserRepository userRepository;
+
+    @Autowired
+    private PostService postService;
+
+    @Transactional(readOnly = true)
+    public List<PostDTO> getBookmarkedPosts(Long userId) {
+        return bookmarkRepository.findByUserIdOrderByCreatedAtDesc(userId).stream()
+                .map(bookmark -> postService.toDTO(bookmark.getPost()))
+                .collect(Collectors.toList());
+    }
+
+    @Transactional(readOnly = true)
+    public List<Long> getBookmarkedPostIds(Long userId) {
+        return bookmarkRepository.findPostIdsByUserId(userId);
+    }
+
+    @Transactional(readOnly = true)
+    public BookmarkDTO getBookmark(Long userId, Long postId) {
+        return toBookmarkDTO(userId, postId);
+    }
+
+    @Transactional
+    public BookmarkDTO addBookmark(Long userId, Long postId) {
+        ensureBookmarked(userId, postId);
+        return toBookmarkDTO(userId, postId);
+    }
+
+    @Transactional
+    public BookmarkDTO removeBookmark(Long userId, Long postId) {
+        collectionItemRepository.deleteByUserIdAndPostId(userId, postId);
+        bookmarkRepository.findByUserIdAndPostId(userId, postId).ifPresent(bookmarkRepository::delete);
+        return toBookmarkDTO(userId, postId);
+    }
+
+    /** The owner sees all of their collections; anyone else only the shared ones. */
+    @Transactional(readOnly = true)
+    public List<CollectionDTO> getCollections(Long ownerId, Long viewerId) {
+        List<BookmarkCollection> collections = ownerId.equals(viewerId)
+                ? collectionRepository.findByUserIdOrderByPositionAscIdAsc(ownerId)
+                : collectionRepository.findByUserIdAndSharedTrueOrderByPositionAscIdAsc(ownerId);
+        return collections.stream()
+                .map(collection -> toCollectionDTO(collection, false))
+                .collect(Collectors.toList());
+    }
+
+    @Transactional(readOnly = true)
+    public CollectionDTO getCollection(Long collectionId, Long viewerId) {
+        BookmarkCollection collection = collectionRepository.findById(collectionId)
+                .filter(found -> found.isShared() || found.getUser().getId().equals(viewerId))
+                .orElseThrow(() -> new RuntimeException("Collection not found"));
+        return toCollectionDTO(collection, true);
+    }
+
+    @Transactional
+    public CollectionDTO createCollection(Long userId, String name, boolean shared) {
+        User user = userRepository.findById(userId)
+                .orElseThrow(() -> new RuntimeException("User not found"));
+        BookmarkCollection collection = new BookmarkCollection();
+        collection.setUser(user);
+        collection.setName(validateName(userId, name, null));
+        collection.setShared(shared);
+        collection.setPosition(collectionRepository.findByUserIdOrderByPositionAscIdAsc(userId).stream()
+                .mapToInt(BookmarkCollection::getPosition).max().orElse(-1) + 1);
+        return toCollectionDTO(collectionRepository.save(collection), false);
+    }
+
+    @Transactional
+    public CollectionDTO updateCollection(Long userId, Long collectionId, String name, Boolean shared) {
+        BookmarkCollection collection = findOwnCollection(userId, collectionId);
+        if (name != null) {
+            collection.setName(validateName(userId, name, collectionId));
+        }
+        if (shared != null) {
+            collection.setShared(shared);
+        }
+        return toCollectionDTO(collectionRepository.save(collection), false);
+    }
+
+    @Transactional
+    public void deleteCollection(Long userId, Long collectionId) {
+        BookmarkCollection collection = findOwnCollection(userId, collectionId);
+        collectionItemRepository.deleteByCollectionId(collectionId);
+        collectionRepository.delete(collection);
+    }
+
+    /**
+     * Puts the user's collections in the given order. Collections missing from {@code ids} keep
+     * their relative order after the listed ones.
+     *
+     * @throws IllegalArgumentException when an id isn't one of the user's collections
+     */
+    @Transactional
+    public List<CollectionDTO> reorderCollections(Long userId, List<Long> ids) {
+        List<BookmarkCollection> collections = collectionRepository.findByUserIdOrderByPositionAscIdAsc(userId);
+        List<BookmarkCollection> ordered = applyOrder(collections, BookmarkCollection::getId, ids, "collection");
+        for (int i = 0; i < ordered.size(); i++) {
+            ordered.get(i).setPosition(i);
+        }
+        collectionRepository.saveAll(ordered);
+        return ordered.stream()
+                .map(collection -> toCollectionDTO(collection, false))
+                .collect(Collectors.toList());
+    }
+
+    /** Adds the post at the end of the collection, bookmarking it if it wasn't already. */
+    @Transactional
+    public BookmarkDTO addToCollection(Long userId, Long collectionId, Long postId) {
+        BookmarkCollection collection = findOwnCollection(userId, collectionId);
+        Post post = ensureBookmarked(userId, postId);
+        if (collectionItemRepository.findByCollectionIdAndPostId(collectionId, postId).isEmpty()) {
+            CollectionItem item = new CollectionItem();
+            item.setCollection(collection);
+            item.setPost(post);
+            item.setPosition(collectionItemRepository.findByCollectionIdOrderByPositionAscIdAsc(collectionId).stream()
+                    .mapToInt(CollectionItem::getPosition).max().orElse(-1) + 1);
+            collectionItemRepository.save(item);
+        }
+        return toBookmarkDTO(userId, postId);
+    }
+
+    /** Takes the post out of one collection; it stays bookmarked. */
+    @Transactional
+    public BookmarkDTO removeFromCollection(Long userId, Long collectionId, Long postId) {
+        findOwnCollection(userId, collectionId);
+        collectionItemRepository.findByCollectionIdAndPostId(collectionId, postId)
+                .ifPresent(collectionItemRepository::delete);
+        return toBookmarkDTO(userId, postId);
+    }
+
+    /** @throws IllegalArgumentException when a post id isn't in the collection */
+    @Transactional
+    public CollectionDTO reorderCollection(Long userId, Long collectionId, List<Long> postIds) {
+        BookmarkCollection collection = findOwnCollection(userId, collectionId);
+        List<CollectionItem> items = collectionItemRepository.findByCollectionIdOrderByPositionAscIdAsc(collectionId);
+        List<CollectionItem> ordered = applyOrder(items, item -> item.getPost().getId(), postIds, "post");
+        for (int i = 0; i < ordered.size(); i++) {
+            ordered.get(i).setPosition(i);
+        }
+        collectionItemRepository.saveAll(ordered);
+        return toCollectionDTO(collection, true);
+    }
+
+    private Post ensureBookmarked(Long userId, Long postId) {
+        // Goes through getPost so drafts and scheduled posts of other users stay unreachable.
+        postService.getPost(postId, userId);
+        Post post = postRepository.findById(postId)
+                .orElseThrow(() -> new RuntimeException("Post not found with ID: " + postId));
+        if (bookmarkRepository.findByUserIdAndPostId(userId, postId).isEmpty()) {
+            Bookmark bookmark = new Bookmark();
+            bookmark.setUser(userRepository.findById(userId)
+                    .orElseThrow(() -> new RuntimeException("User not found")));
+            bookmark.setPost(post);
+            bookmarkRepository.save(bookmark);
+        }
+        return post;
+    }
+
+    private BookmarkCollection findOwnCollection(Long userId, Long collectionId) {
+        return collectionRepository.findByIdAndUserId(collectionId, userId)
+                .orElseThrow(() -> new RuntimeException("Collection not found"));
+    }
+
+    private String validateName(Long userId, String name, Long collectionId) {
+        String trimmed = name == null ? "" : name.trim().replaceAll("\\s+", " ");
+        if (trimmed.isEmpty() || trimmed.length() > MAX_NAME_LENGTH) {
+            throw new IllegalArgumentException("Collection names must be 1-" + MAX_NAME_LENGTH + " characters");
+        }
+        collectionRepository.findByUserIdAndNameIgnoreCase(userId, trimmed)
+                .filter(existing -> !existing.getId().equals(collectionId))
+                .ifPresent(existing -> {
+                    throw new IllegalArgumentException("You already have a collection called " + existing.getName());
+                });
+        return trimmed;
+    }
+
+    private static <T> List<T> applyOrder(List<T> current, Function<T, Long> idOf, List<Long> ids, String kind) {
+        Map<Long, T> byId = current.stream().collect(Collectors.toMap(idOf, Function.identity()));
+        List<T> ordered = new ArrayList<>();
+        Set<Long> seen = new HashSet<>();
+        for (Long id : ids == null ? List.<Long>of() : ids) {
+            T entry = byId.get(id);
+            if (entry == null) {
+                throw new IllegalArgumentException("Unknown " + kind + ": " + id);
+            }
+            if (seen.add(id)) {
+                ordered.add(entry);
+            }
+        }
+        current.stream().filter(entry -> !seen.contains(idOf.apply(entry))).forEach(ordered::add);
+        return ordered;
+    }
+
+    private BookmarkDTO toBookmarkDTO(Long userId, Long postId) {
+        BookmarkDTO dto = new BookmarkDTO();
+        dto.setPostId(postId);
+        dto.setSaved(bookmarkRepository.findByUserIdAndPostId(userId, postId).isPresent());
+        dto.setCollectionIds(collectionItemRepository.findCollectionIdsByUserIdAndPostId(userId, postId));
+        return dto;
+    }
+
+    private CollectionDTO toCollectionDTO(BookmarkCollection collection, boolean withPosts) {
+        CollectionDTO dto = new CollectionDTO();
+        dto.setId(collection.getId());
+        dto.setName(collection.getName());
+        dto.setShared(collection.isShared());
+        dto.setPosition(collection.getPosition());
+        dto.setCreatedAt(collection.getCreatedAt() != null ? collection.getCreatedAt().toString() : null);
+
+        UserDTO owner = new UserDTO();
+        owner.setId(collection.getUser().getId());
+        owner.setUsername(collection.getUser().getUsername());
+        dto.setOwner(owner);
+
+        List<CollectionItem> items = collectionItemRepository.findByCollectionIdOrderByPositionAscIdAsc(collection.getId());
+        dto.setPostCount(items.size());
+        dto.setCover(items.stream()
+                .map(item -> MediaService.describe(item.getPost().getImages()))
+                .filter(media -> !media.isEmpty())
+                .findFirst()
+                .orElse(List.of()));
+        if (withPosts) {
+            dto.setPosts(items.stream()
+                    .map(item -> postService.toDTO(item.getPost()))
+                    .collect(Collectors.toList()));
+        }
+        return dto;
+    }
+}
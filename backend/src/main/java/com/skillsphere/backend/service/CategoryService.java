@@ -0,0 +1,115 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.model.Category;
+import com.skillsphere.backend.repository.CategoryRepository;
+import jakarta.persistence.EntityManager;
+import jakarta.persistence.PersistenceContext;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.boot.context.event.ApplicationReadyEvent;
+import org.springframework.context.event.EventListener;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.util.List;
+
+@Service
+public class CategoryService {
+    private static final Logger logger = LoggerFactory.getLogger(CategoryService.class);
+    private static final int MAX_NAME_LENGTH = 60;
+
+    @Autowired
+    private CategoryRepository categoryRepository;
+
+    @PersistenceContext
+    private EntityManager entityManager;
+
+    @Value("${app.categories.defaults:Programming,Web Development,Data Science,Design,Photography,Music,Cooking,Languages}")
+    private List<String> defaultCategories;
+
+    @Transactional(readOnly = true)
+    public List<Category> getCategories() {
+        return categoryRepository.findAllByOrderByPositionAscNameAsc();
+    }
+
+    /**
+     * Maps user input to the curated spelling ("web development" -> "Web Development").
+     * Blank input means no category.
+     *
+     * @throws IllegalArgumentException when the category isn't on the list
+     */
+    @Transactional(readOnly = true)
+    public String resolve(String raw) {
+        if (raw == null || raw.isBlank()) {
+            return null;
+        }
+        return categoryRepository.findByNameIgnoreCase(raw.trim())
+                .map(Category::getName)
+                .orElseThrow(() -> new IllegalArgumentException("Unknown category: " + raw.trim()));
+    }
+
+    @Transactional
+    public Category createCategory(String name) {
+        Category category = new Category();
+        category.setName(validateName(name, null));
+        category.setPosition(categoryRepository.findAll().stream().mapToInt(Category::getPosition).max().orElse(-1) + 1);
+        return categoryRepository.save(category);
+    }
+
+    @Transactional
+    public Category updateCategory(Long id, String name, Integer position) {
+        Category category = categoryRepository.findById(id)
+                .orElseThrow(() -> new RuntimeException("Category not found"));
+        if (name != null) {
+            String previous = category.getName();
+            category.setName(validateName(name, id));
+            // Posts store the category by name, so a rename carries over to them.
+            entityManager.createQuery("update Post p set p.category = :name where p.category = :previous")
+                    .setParameter("name", category.getName())
+                    .setParameter("previous", previous)
+                    .executeUpdate();
+        }
+        if (position != null) {
+            category.setPosition(position);
+        }
+        return categoryRepository.save(category);
+    }
+
+    /** Existing posts keep their category text; it just can't be picked for new posts any more. */
+    @Transactional
+    public void deleteCategory(Long id) {
+        if (!categoryRepository.existsById(id)) {
+            throw new RuntimeException("Category not found");
+        }
+        categoryRepository.deleteById(id);
+    }
+
+    @EventListener(ApplicationReadyEvent.class)
+    @Transactional
+    public void seedDefaults() {
+        if (categoryRepository.count() > 0) {
+            return;
+        }
+        for (String name : defaultCategories) {
+            if (!name.isBlank()) {
+                createCategory(name);
+            }
+        }
+        logger.info("Seeded {} default categories", defaultCategories.size());
+    }
+
+    private String validateName(String name, Long id) {
+        String trimmed = name == null ? "" : name.trim().replaceAll("\\s+", " ");
+        if (trimmed.isEmpty() || trimmed.length() > MAX_NAME_LENGTH) {
+            throw new IllegalArgumentException("Category names must be 1-" + MAX_NAME_LENGTH + " characters");
+        }
+        categoryRepository.findByNameIgnoreCase(trimmed)
+                .filter(existing -> !existing.getId().equals(id))
+                .ifPresent(existing -> {
+                    throw new IllegalArgumentException("Category " + existing.getName() + " already exists");
+                });
+        return trimmed;
+    }
+}
@@ -4,18 +4,46 @@ import com.skillsphere.backend.model.Comment;
 import com.skillsphere.backend.repository.CommentRepository;
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.util.List;
 
 @Service
 public class CommentService {
     @Autowired
     private CommentRepository commentRepository;
 
+    @Transactional
     public void deleteComment(Long commentId, Long userId) {
         Comment comment = commentRepository.findById(commentId)
                 .orElseThrow(() -> new RuntimeException("Comment not found"));
         if (!comment.getUser().getId().equals(userId)) {
             throw new RuntimeException("Unauthorized");
         }
+        deleteThread(comment);
+    }
+
+    public List<Comment> getReviewQueue() {
+        return commentRepository.findByReviewedFalseOrderByCreatedAtDesc();
+    }
+
+    public void approveComment(Long commentId) {
+        Comment comment = commentRepository.findById(commentId)
+                .orElseThrow(() -> new RuntimeException("Comment not found"));
+        comment.setReviewed(true);
+        commentRepository.save(comment);
+    }
+
+    @Transactional
+    public void deleteCommentAsAdmin(Long commentId) {
+        Comment comment = commentRepository.findById(commentId)
+                .orElseThrow(() -> new RuntimeException("Comment not found"));
+        deleteThread(comment);
+    }
+
+    // Replies go with the comment they answer, deepest first
+    private void deleteThread(Comment comment) {
+        commentRepository.findByParentId(comment.getId()).forEach(this::deleteThread);
         commentRepository.delete(comment);
     }
 }
\ No newline at end of file
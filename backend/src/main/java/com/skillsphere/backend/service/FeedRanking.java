@@ -0,0 +1,84 @@
+package com.skillsphere.backend.service;
+
+import java.time.Duration;
+import java.time.LocalDateTime;
+import java.util.Comparator;
+import java.util.HashMap;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+
+/**
+ * Scoring for the "For You" feed. Everything here is a pure function of its arguments, including
+ * the current time, so the same inputs always produce the same order.
+ *
+ * <p>A post's score adds three parts:
+ * <ul>
+ *   <li>recency: {@link #RECENCY_WEIGHT}, halved every {@link #RECENCY_HALF_LIFE_HOURS} hours of age</li>
+ *   <li>engagement: log-damped reaction and comment counts, so a few popular posts can't bury everything</li>
+ *   <li>interest: how much the viewer engages with the post's tags, from {@link #interestWeights}, capped at 1</li>
+ * </ul>
+ */
+public final class FeedRanking {
+    public static final double RECENCY_WEIGHT = 3.0;
+    public static final double RECENCY_HALF_LIFE_HOURS = 36.0;
+    public static final double REACTION_WEIGHT = 1.0;
+    public static final double COMMENT_WEIGHT = 1.5;
+    public static final double INTEREST_WEIGHT = 2.5;
+
+    // How much each kind of engagement with a tagged post counts towards the viewer's interest in the tag.
+    public static final long REACTED_TAG_WEIGHT = 1;
+    public static final long COMMENTED_TAG_WEIGHT = 2;
+    public static final long AUTHORED_TAG_WEIGHT = 1;
+
+    /** What the ranking knows about a post. {@code tags} are slugs. */
+    public record Candidate(Long postId, LocalDateTime createdAt, long reactions, long comments, Set<String> tags) {
+    }
+
+    private FeedRanking() {
+    }
+
+    public static double score(Candidate candidate, Map<String, Double> interests, LocalDateTime now) {
+        double ageHours = Math.max(0, Duration.between(candidate.createdAt(), now).toMinutes() / 60.0);
+        double recency = RECENCY_WEIGHT * Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+
+        double engagement = REACTION_WEIGHT * Math.log1p(Math.max(0, candidate.reactions()))
+                + COMMENT_WEIGHT * Math.log1p(Math.max(0, candidate.comments()));
+
+        double overlap = candidate.tags().stream()
+                .mapToDouble(tag -> interests.getOrDefault(tag, 0.0))
+                .sum();
+        double interest = INTEREST_WEIGHT * Math.min(1.0, overlap);
+
+        return recency + engagement + interest;
+    }
+
+    /**
+     * Scales per-tag engagement counts to 0..1, relative to the viewer's most engaged-with tag.
+     * Tags with no engagement are left out.
+     */
+    public static Map<String, Double> interestWeights(Map<String, Long> engagementByTag) {
+        long max = engagementByTag.values().stream().mapToLong(Long::longValue).max().orElse(0);
+        Map<String, Double> weights = new HashMap<>();
+        if (max <= 0) {
+            return weights;
+        }
+        engagementByTag.forEach((tag, count) -> {
+            if (count > 0) {
+                weights.put(tag, (double) count / max);
+            }
+        });
+        return weights;
+    }
+
+    /** Highest score first; ties go to the newer post, then the higher id. */
+    public static List<Candidate> rank(List<Candidate> candidates, Map<String, Double> interests, LocalDateTime now) {
+        Map<Long, Double> scores = new HashMap<>();
+        candidates.forEach(candidate -> scores.put(candidate.postId(), score(candidate, interests, now)));
+        return candidates.stream()
+                .sorted(Comparator.<Candidate>comparingDouble(candidate -> scores.get(candidate.postId())).reversed()
+                        .thenComparing(Candidate::createdAt, Comparator.reverseOrder())
+                        .thenComparing(Candidate::postId, Comparator.reverseOrder()))
+                .toList();
+    }
+}
@@ -0,0 +1,67 @@
+package com.skillsphere.backend.service;
+
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.stereotype.Service;
+
+import java.io.IOException;
+import java.nio.charset.StandardCharsets;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.time.LocalDateTime;
+import java.time.format.DateTimeFormatter;
+import java.util.ArrayList;
+import java.util.Collections;
+import java.util.List;
+import java.util.UUID;
+
+/**
+ * Outgoing email. There is no SMTP server in this setup, so messages go to a local mail sink
+ * instead: each one is written as a .eml file to {@code app.mail.sink-dir} and kept in memory,
+ * where tests can read it back with {@link #getSentMessages()}.
+ */
+@Service
+public class MailService {
+    private static final Logger logger = LoggerFactory.getLogger(MailService.class);
+    private static final int KEPT_MESSAGES = 50;
+    private static final DateTimeFormatter FILE_TIME = DateTimeFormatter.ofPattern("yyyyMMdd-HHmmss");
+
+    @Value("${app.mail.sink-dir:./mail-sink}")
+    private String sinkDir;
+
+    @Value("${app.mail.from:SkillSphere <no-reply@skillsphere.local>}")
+    private String from;
+
+    private final List<Message> sent = Collections.synchronizedList(new ArrayList<>());
+
+    public record Message(String to, String subject, String body, LocalDateTime sentAt) {
+    }
+
+    public void send(String to, String subject, String body) {
+        Message message = new Message(to, subject, body, LocalDateTime.now());
+        synchronized (sent) {
+            sent.add(message);
+            if (sent.size() > KEPT_MESSAGES) {
+                sent.remove(0);
+            }
+        }
+        String eml = "From: " + from + "\r\nTo: " + to + "\r\nSubject: " + subject
+                + "\r\nContent-Type: text/plain; charset=UTF-8\r\n\r\n" + body + "\r\n";
+        try {
+            Path dir = Files.createDirectories(Path.of(sinkDir));
+            Path file = dir.resolve(FILE_TIME.format(message.sentAt()) + "-" + UUID.randomUUID() + ".eml");
+            Files.writeString(file, eml, StandardCharsets.UTF_8);
+            logger.info("Mail \"{}\" to {} written to {}", subject, to, file);
+        } catch (IOException e) {
+            logger.error("Failed to write mail \"{}\" to {}: {}", subject, to, e.getMessage());
+        }
+    }
+
+    /** The most recent messages, oldest first. */
+    public List<Message> getSentMessages() {
+        synchronized (sent) {
+            return List.copyOf(sent);
+        }
+    }
+}
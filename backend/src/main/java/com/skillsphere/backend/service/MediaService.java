@@ -0,0 +1,301 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.dto.PostDTO;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.stereotype.Service;
+import org.springframework.util.unit.DataSize;
+import org.springframework.web.multipart.MultipartFile;
+
+import java.io.IOException;
+import java.io.RandomAccessFile;
+import java.nio.charset.StandardCharsets;
+import java.nio.file.Files;
+import java.nio.file.Path;
+import java.nio.file.Paths;
+import java.util.ArrayList;
+import java.util.Collection;
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Locale;
+import java.util.Map;
+import java.util.UUID;
+
+/**
+ * Validates and stores post attachments. Posts still keep their attachment URLs in the
+ * comma-separated {@code images} column; the media type is derived from the file extension,
+ * which is why only extensions from the allow-lists below are ever written.
+ */
+@Service
+public class MediaService {
+    private static final Logger logger = LoggerFactory.getLogger(MediaService.class);
+    private static final String UPLOAD_DIR = "uploads/";
+
+    public static final String TYPE_IMAGE = "IMAGE";
+    public static final String TYPE_VIDEO = "VIDEO";
+    public static final String NEW_FILE_PREFIX = "new:";
+
+    private static final Map<String, String> IMAGE_TYPES = Map.of(
+            "jpg", "image/jpeg",
+            "jpeg", "image/jpeg",
+            "png", "image/png",
+            "gif", "image/gif",
+            "webp", "image/webp");
+    // All ISO base media files, so the duration can be read from the mvhd box.
+    private static final Map<String, String> VIDEO_TYPES = Map.of(
+            "mp4", "video/mp4",
+            "m4v", "video/mp4",
+            "mov", "video/quicktime");
+
+    @Value("${app.media.max-files:6}")
+    private int maxFiles;
+
+    @Value("${app.media.max-image-size:10MB}")
+    private DataSize maxImageSize;
+
+    @Value("${app.media.max-video-size:50MB}")
+    private DataSize maxVideoSize;
+
+    @Value("${app.media.max-video-duration-seconds:120}")
+    private int maxVideoDurationSeconds;
+
+    public Map<String, Object> getLimits() {
+        Map<String, Object> limits = new LinkedHashMap<>();
+        limits.put("maxFiles", maxFiles);
+        limits.put("maxImageBytes", maxImageSize.toBytes());
+        limits.put("maxVideoBytes", maxVideoSize.toBytes());
+        limits.put("maxVideoDurationSeconds", maxVideoDurationSeconds);
+        limits.put("imageTypes", IMAGE_TYPES.values().stream().distinct().sorted().toList());
+        limits.put("videoTypes", VIDEO_TYPES.values().stream().distinct().sorted().toList());
+        return limits;
+    }
+
+    public static String typeOf(String url) {
+        return VIDEO_TYPES.containsKey(extensionOf(url)) ? TYPE_VIDEO : TYPE_IMAGE;
+    }
+
+    public static List<PostDTO.MediaDTO> describe(String urls) {
+        List<PostDTO.MediaDTO> media = new ArrayList<>();
+        if (urls == null || urls.isBlank()) {
+            return media;
+        }
+        for (String url : urls.split(",")) {
+            String trimmed = url.trim();
+            if (!trimmed.isEmpty()) {
+                PostDTO.MediaDTO item = new PostDTO.MediaDTO();
+                item.setUrl(trimmed);
+                item.setType(typeOf(trimmed));
+                media.add(item);
+            }
+        }
+        return media;
+    }
+
+    /**
+     * Checks every file against the limits before anything is written, then stores them.
+     * Video durations can only be read once a file is on disk, so a video that turns out
+     * too long removes everything saved by this call before the error is thrown.
+     *
+     * @throws IllegalArgumentException when a file breaks one of the limits
+     */
+    public List<String> store(List<MultipartFile> files) throws IOException {
+        List<MultipartFile> uploads = files == null ? List.of()
+                : files.stream().filter(file -> !file.isEmpty()).toList();
+        if (uploads.size() > maxFiles) {
+            throw new IllegalArgumentException("A post can have at most " + maxFiles + " attachments");
+        }
+        for (MultipartFile file : uploads) {
+            validate(file);
+        }
+
+        Path uploadDir = Paths.get(System.getProperty("user.dir"), UPLOAD_DIR);
+        if (!Files.exists(uploadDir)) {
+            Files.createDirectories(uploadDir);
+            logger.info("Created upload directory: {}", uploadDir.toAbsolutePath());
+        }
+
+        List<Path> saved = new ArrayList<>();
+        List<String> urls = new ArrayList<>();
+        try {
+            for (MultipartFile file : uploads) {
+                String sanitizedFilename = file.getOriginalFilename().replaceAll("[^a-zA-Z0-9.-]", "_");
+                String fileName = UUID.randomUUID() + "_" + sanitizedFilename;
+                Path filePath = uploadDir.resolve(fileName);
+                file.transferTo(filePath.toFile());
+                saved.add(filePath);
+                if (VIDEO_TYPES.containsKey(extensionOf(fileName))) {
+                    checkDuration(filePath, file.getOriginalFilename());
+                }
+                urls.add("/uploads/" + fileName);
+                logger.info("Successfully saved file: {}", filePath.toAbsolutePath());
+            }
+        } catch (IOException | RuntimeException e) {
+            for (Path path : saved) {
+                Files.deleteIfExists(path);
+            }
+            throw e;
+        }
+        return urls;
+    }
+
+    /**
+     * Builds the attachment list of an edited post. {@code order} lists what the post should
+     * end up with: existing attachment URLs and {@code new:N} for the N-th file uploaded with
+     * the request. Without an order the existing attachments are kept and uploads appended.
+     *
+     * @throws IllegalArgumentException when the order names an attachment the post doesn't have
+     */
+    public List<String> arrange(String existingUrls, List<String> order, List<String> uploadedUrls) {
+        List<String> existing = describe(existingUrls).stream().map(PostDTO.MediaDTO::getUrl).toList();
+        List<String> result = new ArrayList<>();
+        if (order == null) {
+            result.addAll(existing);
+            result.addAll(uploadedUrls);
+        } else {
+            for (String entry : order) {
+                String item = entry.trim();
+                if (item.isEmpty()) {
+                    continue;
+                }
+                if (item.startsWith(NEW_FILE_PREFIX)) {
+                    int index = parseIndex(item.substring(NEW_FILE_PREFIX.length()), uploadedUrls.size());
+                    result.add(uploadedUrls.get(index));
+                } else if (existing.contains(item)) {
+                    result.add(item);
+                } else {
+                    throw new IllegalArgumentException("Unknown attachment: " + item);
+                }
+            }
+        }
+        List<String> distinct = result.stream().distinct().toList();
+        if (distinct.size() > maxFiles) {
+            throw new IllegalArgumentException("A post can have at most " + maxFiles + " attachments");
+        }
+        return distinct;
+    }
+
+    /** Removes stored uploads that are no longer referenced. Failures are logged, not thrown. */
+    public void delete(Collection<String> urls) {
+        Path uploadDir = Paths.get(System.getProperty("user.dir"), UPLOAD_DIR).normalize();
+        for (String url : urls) {
+            if (url == null || !url.startsWith("/uploads/")) {
+                continue;
+            }
+            Path path = uploadDir.resolve(url.substring("/uploads/".length())).normalize();
+            if (!path.startsWith(uploadDir)) {
+                continue;
+            }
+            try {
+                Files.deleteIfExists(path);
+            } catch (IOException e) {
+                logger.warn("Could not delete upload {}: {}", path, e.getMessage());
+            }
+        }
+    }
+
+    private int parseIndex(String value, int size) {
+        try {
+            int index = Integer.parseInt(value);
+            if (index >= 0 && index < size) {
+                return index;
+            }
+        } catch (NumberFormatException ignored) {
+            // Reported below.
+        }
+        throw new IllegalArgumentException("Unknown uploaded file: " + NEW_FILE_PREFIX + value);
+    }
+
+    private void validate(MultipartFile file) {
+        String name = file.getOriginalFilename();
+        if (name == null || name.isBlank()) {
+            throw new IllegalArgumentException("Attachment has no file name");
+        }
+        String extension = extensionOf(name);
+        String contentType = file.getContentType() == null ? "" : file.getContentType().toLowerCase(Locale.ROOT);
+        if (IMAGE_TYPES.containsKey(extension) && contentType.startsWith("image/")) {
+            checkSize(file, maxImageSize, "Image");
+        } else if (VIDEO_TYPES.containsKey(extension) && contentType.startsWith("video/")) {
+            checkSize(file, maxVideoSize, "Video");
+        } else {
+            throw new IllegalArgumentException("Unsupported file type: " + name
+                    + ". Use JPG, PNG, GIF or WebP images and MP4 or MOV videos");
+        }
+    }
+
+    private void checkSize(MultipartFile file, DataSize limit, String kind) {
+        if (file.getSize() > limit.toBytes()) {
+            throw new IllegalArgumentException(kind + " " + file.getOriginalFilename()
+                    + " is larger than " + limit.toMegabytes() + " MB");
+        }
+    }
+
+    private void checkDuration(Path path, String name) throws IOException {
+        double seconds = readDurationSeconds(path);
+        if (seconds < 0) {
+            throw new IllegalArgumentException("Could not read the duration of video " + name);
+        }
+        if (seconds > maxVideoDurationSeconds) {
+            throw new IllegalArgumentException("Video " + name + " is " + Math.round(seconds)
+                    + " seconds long; the limit is " + maxVideoDurationSeconds + " seconds");
+        }
+    }
+
+    /** Reads the movie duration from the mvhd box of an MP4/MOV file, or -1 when it has none. */
+    private double readDurationSeconds(Path path) throws IOException {
+        try (RandomAccessFile in = new RandomAccessFile(path.toFile(), "r")) {
+            return findDuration(in, 0, in.length());
+        }
+    }
+
+    private double findDuration(RandomAccessFile in, long start, long end) throws IOException {
+        long offset = start;
+        while (offset + 8 <= end) {
+            in.seek(offset);
+            long size = Integer.toUnsignedLong(in.readInt());
+            byte[] typeBytes = new byte[4];
+            in.readFully(typeBytes);
+            String type = new String(typeBytes, StandardCharsets.US_ASCII);
+            long headerSize = 8;
+            if (size == 1) {
+                size = in.readLong();
+                headerSize = 16;
+            } else if (size == 0) {
+                size = end - offset;
+            }
+            if (size < headerSize) {
+                return -1;
+            }
+
+            if ("mvhd".equals(type)) {
+                int version = in.readUnsignedByte();
+                in.skipBytes(3);
+                long timescale;
+                long duration;
+                if (version == 1) {
+                    in.skipBytes(16);
+                    timescale = Integer.toUnsignedLong(in.readInt());
+                    duration = in.readLong();
+                } else {
+                    in.skipBytes(8);
+                    timescale = Integer.toUnsignedLong(in.readInt());
+                    duration = Integer.toUnsignedLong(in.readInt());
+                }
+                return timescale == 0 ? -1 : (double) duration / timescale;
+            }
+            if ("moov".equals(type)) {
+                double nested = findDuration(in, offset + headerSize, offset + size);
+                if (nested >= 0) {
+                    return nested;
+                }
+            }
+            offset += size;
+        }
+        return -1;
+    }
+
+    private static String extensionOf(String name) {
+        int dot = name.lastIndexOf('.');
+        return dot < 0 ? "" : name.substring(dot + 1).toLowerCase(Locale.ROOT);
+    }
+}
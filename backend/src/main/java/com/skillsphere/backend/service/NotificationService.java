@@ -0,0 +1,135 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.dto.NotificationDTO;
+import com.skillsphere.backend.dto.UserDTO;
+import com.skillsphere.backend.model.Notification;
+import com.skillsphere.backend.model.Post;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.NotificationRepository;
+import com.skillsphere.backend.repository.UserRepository;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.transaction.support.TransactionSynchronization;
+import org.springframework.transaction.support.TransactionSynchronizationManager;
+
+import java.util.LinkedHashSet;
+import java.util.List;
+import java.util.Set;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
+import java.util.stream.Collectors;
+
+@Service
+public class NotificationService {
+    private static final Logger logger = LoggerFactory.getLogger(NotificationService.class);
+    private static final Pattern MENTION_PATTERN = Pattern.compile("(?<![\\w@])@([A-Za-z0-9_][A-Za-z0-9_.-]*)");
+
+    @Autowired
+    private NotificationRepository notificationRepository;
+
+    @Autowired
+    private UserRepository userRepository;
+
+    @Autowired
+    private NotificationStreamService notificationStreamService;
+
+    public static Set<String> extractMentions(String text) {
+        Set<String> usernames = new LinkedHashSet<>();
+        if (text == null) {
+            return usernames;
+        }
+        Matcher matcher = MENTION_PATTERN.matcher(text);
+        while (matcher.find()) {
+            usernames.add(matcher.group(1).replaceAll("[.-]+$", ""));
+        }
+        return usernames;
+    }
+
+    @Transactional
+    public void notify(User recipient, User actor, String type, String message, String link) {
+        if (actor != null && recipient.getId().equals(actor.getId())) {
+            return;
+        }
+        Notification notification = new Notification();
+        notification.setRecipient(recipient);
+        notification.setActor(actor);
+        notification.setType(type);
+        notification.setMessage(message);
+        notification.setLink(link);
+        NotificationDTO dto = toDTO(notificationRepository.save(notification));
+        logger.info("Sent {} notification to user {}", type, recipient.getId());
+
+        // Only push once the surrounding transaction has committed, so clients never see a rolled-back row
+        if (TransactionSynchronizationManager.isSynchronizationActive()) {
+            TransactionSynchronizationManager.registerSynchronization(new TransactionSynchronization() {
+                @Override
+                public void afterCommit() {
+                    notificationStreamService.push(recipient.getId(), dto);
+                }
+            });
+        } else {
+            notificationStreamService.push(recipient.getId(), dto);
+        }
+    }
+
+    // Notifies users mentioned in newText, skipping anyone already mentioned in previousText
+    @Transactional
+    public void notifyMentions(User author, Post post, String newText, String previousText) {
+        Set<String> mentioned = extractMentions(newText);
+        mentioned.removeAll(extractMentions(previousText));
+        if (mentioned.isEmpty()) {
+            return;
+        }
+        String message = author.getUsername() + " mentioned you on \"" + post.getTitle() + "\"";
+        userRepository.findByUsernameIn(mentioned)
+                .forEach(user -> notify(user, author, "MENTION", message, "/post/" + post.getId()));
+    }
+
+    @Transactional(readOnly = true)
+    public List<NotificationDTO> getNotifications(Long userId) {
+        return notificationRepository.findTop50ByRecipientIdOrderByCreatedAtDesc(userId).stream()
+                .map(this::toDTO)
+                .collect(Collectors.toList());
+    }
+
+    @Transactional(readOnly = true)
+    public long countUnread(Long userId) {
+        return notificationRepository.countByRecipientIdAndReadFalse(userId);
+    }
+
+    @Transactional
+    public NotificationDTO markRead(Long notificationId, Long userId) {
+        Notification notification = notificationRepository.findById(notificationId)
+                .orElseThrow(() -> new RuntimeException("Notification not found"));
+        if (!notification.getRecipient().getId().equals(userId)) {
+            throw new RuntimeException("Unauthorized");
+        }
+        notification.setRead(true);
+        return toDTO(notificationRepository.save(notification));
+    }
+
+    @Transactional
+    public int markAllRead(Long userId) {
+        return notificationRepository.markAllReadByRecipientId(userId);
+    }
+
+    private NotificationDTO toDTO(Notification notification) {
+        NotificationDTO dto = new NotificationDTO();
+        dto.setId(notification.getId());
+        dto.setType(notification.getType());
+        dto.setMessage(notification.getMessage());
+        dto.setLink(notification.getLink());
+        dto.setRead(notification.isRead());
+        dto.setCreatedAt(notification.getCreatedAt());
+        if (notification.getActor() != null) {
+            UserDTO actor = new UserDTO();
+            actor.setId(notification.getActor().getId());
+            actor.setUsername(notification.getActor().getUsername());
+            dto.setActor(actor);
+        }
+        return dto;
+    }
+}
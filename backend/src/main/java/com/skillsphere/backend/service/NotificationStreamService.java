@@ -0,0 +1,82 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.dto.NotificationDTO;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.stereotype.Service;
+import org.springframework.web.servlet.mvc.method.annotation.SseEmitter;
+
+import java.io.IOException;
+import java.util.List;
+import java.util.Map;
+import java.util.UUID;
+import java.util.concurrent.ConcurrentHashMap;
+import java.util.concurrent.CopyOnWriteArrayList;
+
+/**
+ * Pushes notifications to open Server-Sent Events connections.
+ * EventSource can't send an Authorization header, so clients first exchange their JWT
+ * for a short-lived, single-use ticket and open the stream with that instead.
+ */
+@Service
+public class NotificationStreamService {
+    private static final Logger logger = LoggerFactory.getLogger(NotificationStreamService.class);
+    private static final long TICKET_TTL_MS = 30_000;
+    private static final long STREAM_TIMEOUT_MS = 30 * 60 * 1000L;
+
+    private final Map<Long, List<SseEmitter>> emitters = new ConcurrentHashMap<>();
+    private final Map<String, Ticket> tickets = new ConcurrentHashMap<>();
+
+    private record Ticket(Long userId, long expiresAt) {
+    }
+
+    public String issueTicket(Long userId) {
+        long now = System.currentTimeMillis();
+        tickets.values().removeIf(ticket -> ticket.expiresAt() < now);
+        String ticket = UUID.randomUUID().toString();
+        tickets.put(ticket, new Ticket(userId, now + TICKET_TTL_MS));
+        return ticket;
+    }
+
+    public SseEmitter subscribe(String ticketId) {
+        Ticket ticket = ticketId == null ? null : tickets.remove(ticketId);
+        if (ticket == null || ticket.expiresAt() < System.currentTimeMillis()) {
+            throw new IllegalArgumentException("Invalid or expired stream ticket");
+        }
+        Long userId = ticket.userId();
+        SseEmitter emitter = new SseEmitter(STREAM_TIMEOUT_MS);
+        emitters.computeIfAbsent(userId, id -> new CopyOnWriteArrayList<>()).add(emitter);
+        emitter.onCompletion(() -> remove(userId, emitter));
+        emitter.onTimeout(() -> remove(userId, emitter));
+        emitter.onError(e -> remove(userId, emitter));
+        try {
+            emitter.send(SseEmitter.event().name("ready").data("connected"));
+        } catch (IOException e) {
+            remove(userId, emitter);
+        }
+        logger.info("User {} opened a notification stream", userId);
+        return emitter;
+    }
+
+    public void push(Long userId, NotificationDTO notification) {
+        List<SseEmitter> userEmitters = emitters.get(userId);
+        if (userEmitters == null) {
+            return;
+        }
+        for (SseEmitter emitter : userEmitters) {
+            try {
+                emitter.send(SseEmitter.event().name("notification").data(notification));
+            } catch (IOException | IllegalStateException e) {
+                logger.debug("Dropping closed notification stream for user {}: {}", userId, e.getMessage());
+                remove(userId, emitter);
+            }
+        }
+    }
+
+    private void remove(Long userId, SseEmitter emitter) {
+        emitters.computeIfPresent(userId, (id, list) -> {
+            list.remove(emitter);
+            return list.isEmpty() ? null : list;
+        });
+    }
+}
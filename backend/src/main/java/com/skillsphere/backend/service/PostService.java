@@ -1,26 +1,57 @@
 package com.skillsphere.backend.service;
 
 import com.skillsphere.backend.dto.CommentDTO;
+import com.skillsphere.backend.dto.PageDTO;
 import com.skillsphere.backend.dto.PostDTO;
+import com.skillsphere.backend.dto.TagDTO;
 import com.skillsphere.backend.dto.UserDTO;
 import com.skillsphere.backend.model.Comment;
 import com.skillsphere.backend.model.Post;
+import com.skillsphere.backend.model.PostSchedule;
 import com.skillsphere.backend.model.Reaction;
 import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.BookmarkRepository;
+import com.skillsphere.backend.repository.CollectionItemRepository;
 import com.skillsphere.backend.repository.CommentRepository;
 import com.skillsphere.backend.repository.PostRepository;
+import com.skillsphere.backend.repository.PostScheduleRepository;
+import com.skillsphere.backend.repository.QuizAttemptRepository;
+import com.skillsphere.backend.repository.QuizRepository;
 import com.skillsphere.backend.repository.ReactionRepository;
 import com.skillsphere.backend.repository.UserRepository;
+import jakarta.persistence.EntityManager;
+import jakarta.persistence.PersistenceContext;
+import jakarta.persistence.TypedQuery;
 import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
 import org.springframework.stereotype.Service;
 import org.springframework.transaction.annotation.Transactional;
+import org.springframework.transaction.support.TransactionSynchronization;
+import org.springframework.transaction.support.TransactionSynchronizationManager;
 
+import java.time.LocalDateTime;
+import java.time.format.DateTimeParseException;
+import java.util.HashMap;
+import java.util.HashSet;
+import java.util.LinkedHashMap;
 import java.util.List;
+import java.util.Map;
+import java.util.Objects;
 import java.util.Optional;
+import java.util.Set;
+import java.util.function.Function;
 import java.util.stream.Collectors;
 
 @Service
 public class PostService {
+    public static final int MAX_PAGE_SIZE = 50;
+    public static final String FEED_LATEST = "latest";
+    public static final String FEED_FOLLOWING = "following";
+    public static final String FEED_FOR_YOU = "for-you";
+    // JPQL condition matching posts readers can see (alias p); bind :now to the current time.
+    public static final String VISIBLE_POST_CONDITION = "not exists (select s from PostSchedule s"
+            + " where s.post = p and (s.draft = true or s.publishAt > :now))";
+
     @Autowired
     private PostRepository postRepository;
 
@@ -33,38 +64,287 @@ public class PostService {
     @Autowired
     private ReactionRepository reactionRepository;
 
+    @Autowired
+    private NotificationService notificationService;
+
+    @Autowired
+    private MediaService mediaService;
+
+    @Autowired
+    private PostScheduleRepository postScheduleRepository;
+
+    @Autowired
+    private BookmarkRepository bookmarkRepository;
+
+    @Autowired
+    private CollectionItemRepository collectionItemRepository;
+
+    @Autowired
+    private QuizRepository quizRepository;
+
+    @Autowired
+    private QuizAttemptRepository quizAttemptRepository;
+
+    @Autowired
+    private TagService tagService;
+
+    @Autowired
+    private CategoryService categoryService;
+
+    @PersistenceContext
+    private EntityManager entityManager;
+
+    @Value("${app.reactions.types:LIKE,LOVE,INSIGHTFUL,HELPFUL,CELEBRATE}")
+    private List<String> reactionTypes;
+
+    @Value("${app.feed.max-candidates:500}")
+    private int maxFeedCandidates;
+
     @Transactional
-    public PostDTO createPost(Long userId, String title, String content, String category, List<String> tags, List<String> filePaths) {
+    public PostDTO createPost(Long userId, String title, String content, String category, List<String> tags,
+                              List<String> filePaths, boolean draft, LocalDateTime publishAt) {
         User user = userRepository.findById(userId)
                 .orElseThrow(() -> new RuntimeException("User not found"));
         Post post = new Post();
         post.setUser(user);
         post.setTitle(title);
         post.setContent(content);
-        post.setCategory(category);
-        post.setTags(tags != null ? String.join(",", tags) : null);
+        post.setCategory(categoryService.resolve(category));
         post.setImages(filePaths != null ? String.join(",", filePaths) : null);
         post.setLikes(0);
         post.setCreatedAt(java.time.LocalDateTime.now().toString());
-        return convertToDTO(postRepository.save(post));
+        Post saved = postRepository.save(post);
+        saved.setTags(tagService.syncPostTags(saved, tags));
+        return convertToDTO(saved, applySchedule(saved, draft, publishAt));
     }
 
     @Transactional(readOnly = true)
     public List<PostDTO> getAllPosts() {
-        return postRepository.findAll().stream()
+        return entityManager.createQuery("select p from Post p where " + VISIBLE_POST_CONDITION, Post.class)
+                .setParameter("now", LocalDateTime.now())
+                .getResultList().stream()
+                .map(this::convertToDTO)
+                .collect(Collectors.toList());
+    }
+
+    /** The author's visible posts, newest first. */
+    @Transactional(readOnly = true)
+    public List<PostDTO> getPostsByAuthor(Long authorId) {
+        return entityManager.createQuery("select p from Post p where p.user.id = :authorId and " + VISIBLE_POST_CONDITION
+                        + " order by p.createdAt desc, p.id desc", Post.class)
+                .setParameter("authorId", authorId)
+                .setParameter("now", LocalDateTime.now())
+                .getResultList().stream()
+                .map(this::convertToDTO)
+                .collect(Collectors.toList());
+    }
+
+    /** The user's drafts and scheduled posts, most recently saved first. */
+    @Transactional(readOnly = true)
+    public List<PostDTO> getDrafts(Long userId) {
+        return postScheduleRepository.findByPostUserIdOrderByUpdatedAtDesc(userId).stream()
+                .filter(this::isHidden)
+                .map(schedule -> convertToDTO(schedule.getPost(), schedule))
+                .collect(Collectors.toList());
+    }
+
+    @Transactional(readOnly = true)
+    public PageDTO<PostDTO> getPostsPage(int page, int size, String tag, String query) {
+        return getFeedPage(FEED_LATEST, null, page, size, tag, query);
+    }
+
+    /**
+     * One page of the home feed. "latest" is every visible post, newest first; "following" narrows
+     * that to authors the viewer follows; "for-you" ranks other people's recent posts with
+     * {@link FeedRanking}. The tag and text filters apply to every mode.
+     *
+     * @throws IllegalArgumentException for an unknown mode
+     */
+    @Transactional(readOnly = true)
+    public PageDTO<PostDTO> getFeedPage(String mode, Long viewerId, int page, int size, String tag, String query) {
+        int safePage = Math.max(page, 0);
+        int safeSize = Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+        LocalDateTime now = LocalDateTime.now();
+
+        StringBuilder where = new StringBuilder(" where " + VISIBLE_POST_CONDITION);
+        Map<String, Object> params = new LinkedHashMap<>();
+        params.put("now", now);
+        if (tag != null && !tag.isBlank()) {
+            where.append(" and exists (select pt from PostTag pt where pt.post = p and pt.tag.slug = :tag)");
+            params.put("tag", TagService.slugify(tag));
+        }
+        if (query != null && !query.isBlank()) {
+            String like = " like :query" + SearchService.LIKE_ESCAPE;
+            where.append(" and (lower(p.title)").append(like).append(" or lower(p.content)").append(like)
+                    .append(" or lower(p.tags)").append(like).append(" or lower(p.category)").append(like).append(")");
+            params.put("query", SearchService.containsPattern(query.trim().toLowerCase()));
+        }
+
+        String feed = mode == null || mode.isBlank() ? FEED_LATEST : mode;
+        switch (feed) {
+            case FEED_LATEST:
+                break;
+            case FEED_FOLLOWING:
+                where.append(" and exists (select f from User author join author.followers f")
+                        .append(" where author = p.user and f.id = :viewerId)");
+                params.put("viewerId", viewerId);
+                break;
+            case FEED_FOR_YOU:
+                where.append(" and p.user.id <> :viewerId");
+                params.put("viewerId", viewerId);
+                return getRankedPage(viewerId, where.toString(), params, safePage, safeSize, now);
+            default:
+                throw new IllegalArgumentException("Unknown feed: " + mode);
+        }
+
+        TypedQuery<Long> countQuery = entityManager.createQuery(
+                "select count(p) from Post p" + where, Long.class);
+        TypedQuery<Post> pageQuery = entityManager.createQuery(
+                "select p from Post p" + where + " order by p.createdAt desc, p.id desc", Post.class);
+        params.forEach((name, value) -> {
+            countQuery.setParameter(name, value);
+            pageQuery.setParameter(name, value);
+        });
+
+        long total = countQuery.getSingleResult();
+        List<PostDTO> content = pageQuery
+                .setFirstResult(safePage * safeSize)
+                .setMaxResults(safeSize)
+                .getResultList().stream()
                 .map(this::convertToDTO)
                 .collect(Collectors.toList());
+
+        PageDTO<PostDTO> result = new PageDTO<>();
+        result.setContent(content);
+        result.setPage(safePage);
+        result.setSize(safeSize);
+        result.setTotalElements(total);
+        result.setHasNext((long) (safePage + 1) * safeSize < total);
+        return result;
+    }
+
+    /**
+     * Ranks the newest {@code app.feed.max-candidates} matching posts in memory and returns the
+     * requested slice. Older posts would score too low on recency to reach the first pages anyway.
+     */
+    private PageDTO<PostDTO> getRankedPage(Long viewerId, String where, Map<String, Object> params,
+                                           int page, int size, LocalDateTime now) {
+        TypedQuery<Post> candidateQuery = entityManager.createQuery(
+                "select p from Post p" + where + " order by p.createdAt desc, p.id desc", Post.class);
+        params.forEach((name, value) -> candidateQuery.setParameter(name, value));
+        Map<Long, Post> posts = candidateQuery.setMaxResults(maxFeedCandidates).getResultList().stream()
+                .collect(Collectors.toMap(Post::getId, Function.identity(), (a, b) -> a, LinkedHashMap::new));
+
+        List<FeedRanking.Candidate> ranked = List.of();
+        if (!posts.isEmpty()) {
+            Set<Long> ids = posts.keySet();
+            Map<Long, Long> reactions = countByPost("select r.post.id, count(r) from Reaction r"
+                    + " where r.post.id in :ids group by r.post.id", ids);
+            Map<Long, Long> comments = countByPost("select c.post.id, count(c) from Comment c"
+                    + " where c.post.id in :ids group by c.post.id", ids);
+            Map<Long, Set<String>> tags = new HashMap<>();
+            entityManager.createQuery("select pt.post.id, pt.tag.slug from PostTag pt where pt.post.id in :ids",
+                            Object[].class)
+                    .setParameter("ids", ids)
+                    .getResultList()
+                    .forEach(row -> tags.computeIfAbsent((Long) row[0], id -> new HashSet<>()).add((String) row[1]));
+
+            List<FeedRanking.Candidate> candidates = posts.values().stream()
+                    .map(post -> new FeedRanking.Candidate(
+                            post.getId(),
+                            parseCreatedAt(post.getCreatedAt()),
+                            reactions.getOrDefault(post.getId(), 0L),
+                            comments.getOrDefault(post.getId(), 0L),
+                            tags.getOrDefault(post.getId(), Set.of())))
+                    .toList();
+            ranked = FeedRanking.rank(candidates, FeedRanking.interestWeights(getTagEngagement(viewerId)), now);
+        }
+
+        int from = Math.min(page * size, ranked.size());
+        int to = Math.min(from + size, ranked.size());
+        PageDTO<PostDTO> result = new PageDTO<>();
+        result.setContent(ranked.subList(from, to).stream()
+                .map(candidate -> convertToDTO(posts.get(candidate.postId())))
+                .collect(Collectors.toList()));
+        result.setPage(page);
+        result.setSize(size);
+        result.setTotalElements(ranked.size());
+        result.setHasNext(to < ranked.size());
+        return result;
+    }
+
+    /** How often the viewer reacted to, commented on or wrote posts with each tag, by slug. */
+    private Map<String, Long> getTagEngagement(Long viewerId) {
+        Map<String, Long> engagement = new HashMap<>();
+        addTagEngagement(engagement, "select pt.tag.slug, count(r) from Reaction r, PostTag pt"
+                + " where pt.post = r.post and r.user.id = :viewerId group by pt.tag.slug", viewerId,
+                FeedRanking.REACTED_TAG_WEIGHT);
+        addTagEngagement(engagement, "select pt.tag.slug, count(c) from Comment c, PostTag pt"
+                + " where pt.post = c.post and c.user.id = :viewerId group by pt.tag.slug", viewerId,
+                FeedRanking.COMMENTED_TAG_WEIGHT);
+        addTagEngagement(engagement, "select pt.tag.slug, count(pt) from PostTag pt"
+                + " where pt.post.user.id = :viewerId group by pt.tag.slug", viewerId,
+                FeedRanking.AUTHORED_TAG_WEIGHT);
+        return engagement;
+    }
+
+    private void addTagEngagement(Map<String, Long> engagement, String jpql, Long viewerId, long weight) {
+        entityManager.createQuery(jpql, Object[].class)
+                .setParameter("viewerId", viewerId)
+                .getResultList()
+                .forEach(row -> engagement.merge((String) row[0], weight * (Long) row[1], Long::sum));
+    }
+
+    private Map<Long, Long> countByPost(String jpql, Set<Long> ids) {
+        return entityManager.createQuery(jpql, Object[].class)
+                .setParameter("ids", ids)
+                .getResultList().stream()
+                .collect(Collectors.toMap(row -> (Long) row[0], row -> (Long) row[1]));
+    }
+
+    /** Posts store createdAt as LocalDateTime text; anything unreadable ranks as very old. */
+    private static LocalDateTime parseCreatedAt(String createdAt) {
+        try {
+            return LocalDateTime.parse(createdAt);
+        } catch (DateTimeParseException | NullPointerException e) {
+            return LocalDateTime.of(1970, 1, 1, 0, 0);
+        }
+    }
+
+    @Transactional(readOnly = true)
+    public List<String> getAllTags() {
+        return tagService.getTags(null, Integer.MAX_VALUE).stream()
+                .map(TagDTO::getName)
+                .sorted(String.CASE_INSENSITIVE_ORDER)
+                .collect(Collectors.toList());
     }
 
+    /** Drafts and scheduled posts are only visible to their author ({@code viewerId} may be null). */
     @Transactional(readOnly = true)
-    public PostDTO getPost(Long id) {
+    public PostDTO getPost(Long id, Long viewerId) {
+        Post post = findVisiblePost(id, viewerId);
+        return convertToDTO(post, postScheduleRepository.findByPostId(id).orElse(null));
+    }
+
+    // Someone else's draft or scheduled post is reported as missing rather than forbidden
+    private Post findVisiblePost(Long id, Long viewerId) {
         Post post = postRepository.findById(id)
                 .orElseThrow(() -> new RuntimeException("Post not found with ID: " + id));
-        return convertToDTO(post);
+        PostSchedule schedule = postScheduleRepository.findByPostId(id).orElse(null);
+        if (isHidden(schedule) && !post.getUser().getId().equals(viewerId)) {
+            throw new RuntimeException("Post not found with ID: " + id);
+        }
+        return post;
     }
 
+    /**
+     * Updates a post's text fields and attachments. See {@link MediaService#arrange} for how
+     * {@code mediaOrder} combines kept attachments with {@code uploadedUrls}; attachments left
+     * out are deleted from disk.
+     */
     @Transactional
-    public PostDTO updatePost(Long userId, Post post) {
+    public PostDTO updatePost(Long userId, Post post, List<String> mediaOrder, List<String> uploadedUrls,
+                              boolean draft, LocalDateTime publishAt) {
         Post existingPost = postRepository.findById(post.getId())
                 .orElseThrow(() -> new RuntimeException("Post not found"));
         if (!existingPost.getUser().getId().equals(userId)) {
@@ -72,10 +352,39 @@ public class PostService {
         }
         existingPost.setTitle(post.getTitle());
         existingPost.setContent(post.getContent());
-        existingPost.setCategory(post.getCategory());
-        existingPost.setTags(post.getTags());
-        existingPost.setImages(post.getImages());
-        return convertToDTO(postRepository.save(existingPost));
+        // Posts from before the curated list may keep their free-text category unchanged.
+        if (post.getCategory() == null || !post.getCategory().equals(existingPost.getCategory())) {
+            existingPost.setCategory(categoryService.resolve(post.getCategory()));
+        }
+        existingPost.setTags(tagService.syncPostTags(existingPost, TagService.splitTags(post.getTags())));
+        List<String> previous = mediaUrls(existingPost.getImages());
+        List<String> media = mediaService.arrange(existingPost.getImages(), mediaOrder, uploadedUrls);
+        existingPost.setImages(media.isEmpty() ? null : String.join(",", media));
+        PostSchedule schedule = applySchedule(existingPost, draft, publishAt);
+        PostDTO updated = convertToDTO(postRepository.save(existingPost), schedule);
+        deleteMediaAfterCommit(previous.stream().filter(url -> !media.contains(url)).toList());
+        return updated;
+    }
+
+    private static List<String> mediaUrls(String images) {
+        return MediaService.describe(images).stream().map(PostDTO.MediaDTO::getUrl).toList();
+    }
+
+    // Files go only once the transaction has committed, so a rolled-back change never points at deleted media
+    private void deleteMediaAfterCommit(List<String> urls) {
+        if (urls.isEmpty()) {
+            return;
+        }
+        if (TransactionSynchronizationManager.isSynchronizationActive()) {
+            TransactionSynchronizationManager.registerSynchronization(new TransactionSynchronization() {
+                @Override
+                public void afterCommit() {
+                    mediaService.delete(urls);
+                }
+            });
+        } else {
+            mediaService.delete(urls);
+        }
     }
 
     @Transactional
@@ -85,40 +394,119 @@ public class PostService {
         if (!post.getUser().getId().equals(userId)) {
             throw new RuntimeException("Unauthorized");
         }
+        removePost(id);
+    }
+
+    @Transactional
+    public int deletePostsAsAdmin(List<Long> ids) {
+        int deleted = 0;
+        for (Long id : ids) {
+            if (postRepository.existsById(id)) {
+                removePost(id);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Brings the post's schedule row in line with the requested state and returns it, or null
+     * once the post is published. Publishing moves createdAt to the publication time, so a
+     * scheduled or long-drafted post lands at the top of the feed rather than where it was
+     * first saved.
+     */
+    private PostSchedule applySchedule(Post post, boolean draft, LocalDateTime publishAt) {
+        LocalDateTime now = LocalDateTime.now();
+        Optional<PostSchedule> existing = postScheduleRepository.findByPostId(post.getId());
+        if (!draft && (publishAt == null || !publishAt.isAfter(now))) {
+            existing.ifPresent(schedule -> {
+                if (isHidden(schedule)) {
+                    post.setCreatedAt(now.toString());
+                }
+                postScheduleRepository.delete(schedule);
+            });
+            return null;
+        }
+        PostSchedule schedule = existing.orElseGet(PostSchedule::new);
+        schedule.setPost(post);
+        schedule.setDraft(draft);
+        schedule.setPublishAt(publishAt);
+        schedule.setUpdatedAt(now);
+        if (!draft) {
+            post.setCreatedAt(publishAt.toString());
+        }
+        return postScheduleRepository.save(schedule);
+    }
+
+    private boolean isHidden(PostSchedule schedule) {
+        return schedule != null && (schedule.isDraft()
+                || (schedule.getPublishAt() != null && schedule.getPublishAt().isAfter(LocalDateTime.now())));
+    }
+
+    private void removePost(Long id) {
+        List<String> media = postRepository.findById(id).map(post -> mediaUrls(post.getImages())).orElse(List.of());
+        tagService.removePostTags(id);
+        quizAttemptRepository.deleteByPostId(id);
+        quizRepository.deleteAll(quizRepository.findByPostIdOrderByCreatedAtAscIdAsc(id));
+        collectionItemRepository.deleteByPostId(id);
+        bookmarkRepository.deleteByPostId(id);
+        postScheduleRepository.deleteByPostId(id);
+        commentRepository.clearParentsByPostId(id);
         commentRepository.deleteByPostId(id);
         reactionRepository.deleteByPostId(id); // Use the custom method
         postRepository.deleteById(id);
+        deleteMediaAfterCommit(media);
     }
 
     @Transactional
-    public PostDTO addComment(Long postId, Long userId, String text) {
-        Post post = postRepository.findById(postId)
-                .orElseThrow(() -> new RuntimeException("Post not found"));
+    public PostDTO addComment(Long postId, Long userId, String text, Long parentId) {
+        Post post = findVisiblePost(postId, userId);
         User user = userRepository.findById(userId)
                 .orElseThrow(() -> new RuntimeException("User not found"));
         Comment comment = new Comment(text, post, user);
+        if (parentId != null) {
+            Comment parent = commentRepository.findById(parentId)
+                    .orElseThrow(() -> new RuntimeException("Parent comment not found"));
+            if (!parent.getPost().getId().equals(postId)) {
+                throw new IllegalArgumentException("Parent comment belongs to another post");
+            }
+            comment.setParent(parent);
+        }
         commentRepository.save(comment);
-        return convertToDTO(postRepository.findById(postId).get());
+        notifyCommentRecipients(post, comment);
+        notificationService.notifyMentions(user, post, text, null);
+        return getPost(postId, userId);
     }
 
     @Transactional
     public PostDTO updateComment(Long postId, Long commentId, Long userId, String text) {
-        Post post = postRepository.findById(postId)
-                .orElseThrow(() -> new RuntimeException("Post not found"));
+        Post post = findVisiblePost(postId, userId);
         Comment comment = commentRepository.findById(commentId)
                 .orElseThrow(() -> new RuntimeException("Comment not found"));
+        if (!comment.getPost().getId().equals(postId)) {
+            throw new IllegalArgumentException("Comment belongs to another post");
+        }
         if (!comment.getUser().getId().equals(userId)) {
             throw new RuntimeException("Unauthorized");
         }
+        String previousText = comment.getText();
         comment.setText(text);
         commentRepository.save(comment);
-        return convertToDTO(post);
+        notificationService.notifyMentions(comment.getUser(), post, text, previousText);
+        return getPost(postId, userId);
+    }
+
+    public List<String> getReactionTypes() {
+        return reactionTypes;
     }
 
+    // One reaction per user: the same type again removes it, a different type replaces it
     @Transactional
     public PostDTO addReaction(Long postId, Long userId, String reactionType) {
-        Post post = postRepository.findById(postId)
-                .orElseThrow(() -> new RuntimeException("Post not found"));
+        if (reactionType == null || !reactionTypes.contains(reactionType)) {
+            throw new IllegalArgumentException("Unsupported reaction type: " + reactionType);
+        }
+        Post post = findVisiblePost(postId, userId);
         User user = userRepository.findById(userId)
                 .orElseThrow(() -> new RuntimeException("User not found"));
 
@@ -138,8 +526,44 @@ public class PostService {
             reaction.setReactionType(reactionType);
             reaction.setCreatedAt(java.time.LocalDateTime.now().toString());
             reactionRepository.save(reaction);
+            notificationService.notify(post.getUser(), user, "REACTION",
+                    user.getUsername() + " reacted to \"" + post.getTitle() + "\"", "/post/" + postId);
+        }
+        return getPost(postId, userId);
+    }
+
+    @Transactional
+    public PostDTO removeReaction(Long postId, Long userId) {
+        findVisiblePost(postId, userId);
+        reactionRepository.findByPostIdAndUserId(postId, userId).ifPresent(reactionRepository::delete);
+        return getPost(postId, userId);
+    }
+
+    // The post author hears about top-level comments; replies go to the comment being answered
+    private void notifyCommentRecipients(Post post, Comment comment) {
+        User author = comment.getUser();
+        String link = "/post/" + post.getId();
+        if (comment.getParent() != null) {
+            notificationService.notify(comment.getParent().getUser(), author, "REPLY",
+                    author.getUsername() + " replied to your comment on \"" + post.getTitle() + "\"", link);
+        } else {
+            notificationService.notify(post.getUser(), author, "COMMENT",
+                    author.getUsername() + " commented on \"" + post.getTitle() + "\"", link);
         }
-        return convertToDTO(postRepository.findById(postId).get());
+    }
+
+    /** DTO for a post loaded by another service, e.g. a bookmarked one. */
+    public PostDTO toDTO(Post post) {
+        return convertToDTO(post);
+    }
+
+    private PostDTO convertToDTO(Post post, PostSchedule schedule) {
+        PostDTO dto = convertToDTO(post);
+        if (isHidden(schedule)) {
+            dto.setStatus(schedule.isDraft() ? "DRAFT" : "SCHEDULED");
+            dto.setPublishAt(schedule.getPublishAt() != null ? schedule.getPublishAt().toString() : null);
+        }
+        return dto;
     }
 
     private PostDTO convertToDTO(Post post) {
@@ -150,6 +574,7 @@ public class PostService {
         dto.setCategory(post.getCategory());
         dto.setTags(post.getTags());
         dto.setImages(post.getImages());
+        dto.setMedia(MediaService.describe(post.getImages()));
         dto.setLikes(post.getLikes());
         dto.setCreatedAt(post.getCreatedAt());
 
@@ -158,9 +583,7 @@ public class PostService {
         userDTO.setUsername(post.getUser().getUsername());
         dto.setUser(userDTO);
 
-        dto.setComments(post.getComments().stream()
-                .map(this::convertToCommentDTO)
-                .collect(Collectors.toList()));
+        dto.setComments(convertToCommentDTOs(commentRepository.findThreadByPostId(post.getId())));
 
         dto.setReactions(post.getReactions().stream()
                 .map(this::convertToReactionDTO)
@@ -168,9 +591,29 @@ public class PostService {
         return dto;
     }
 
-    private CommentDTO convertToCommentDTO(Comment comment) {
+    // Mentioned users for every comment are looked up in one query rather than one per comment.
+    private List<CommentDTO> convertToCommentDTOs(List<Comment> comments) {
+        Map<Long, Set<String>> mentionsByComment = new HashMap<>();
+        Set<String> allMentions = new HashSet<>();
+        for (Comment comment : comments) {
+            Set<String> mentioned = NotificationService.extractMentions(comment.getText());
+            mentionsByComment.put(comment.getId(), mentioned);
+            allMentions.addAll(mentioned);
+        }
+        Map<String, User> mentionedUsers = new HashMap<>();
+        if (!allMentions.isEmpty()) {
+            userRepository.findByUsernameIn(allMentions)
+                    .forEach(user -> mentionedUsers.put(user.getUsername().toLowerCase(), user));
+        }
+        return comments.stream()
+                .map(comment -> convertToCommentDTO(comment, mentionsByComment.get(comment.getId()), mentionedUsers))
+                .collect(Collectors.toList());
+    }
+
+    private CommentDTO convertToCommentDTO(Comment comment, Set<String> mentioned, Map<String, User> mentionedUsers) {
         CommentDTO dto = new CommentDTO();
         dto.setId(comment.getId());
+        dto.setParentId(comment.getParent() != null ? comment.getParent().getId() : null);
         dto.setText(comment.getText());
         dto.setCreatedAt(comment.getCreatedAt());
 
@@ -178,6 +621,18 @@ public class PostService {
         userDTO.setId(comment.getUser().getId());
         userDTO.setUsername(comment.getUser().getUsername());
         dto.setUser(userDTO);
+
+        dto.setMentions(mentioned.stream()
+                .map(username -> mentionedUsers.get(username.toLowerCase()))
+                .filter(Objects::nonNull)
+                .distinct()
+                .map(mentionedUser -> {
+                    UserDTO mention = new UserDTO();
+                    mention.setId(mentionedUser.getId());
+                    mention.setUsername(mentionedUser.getUsername());
+                    return mention;
+                })
+                .collect(Collectors.toList()));
         return dto;
     }
 
@@ -0,0 +1,58 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.model.QuizQuestion;
+
+import java.util.Collection;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Locale;
+import java.util.Objects;
+import java.util.Set;
+
+/**
+ * Marking rules for quiz answers. Questions are all-or-nothing: a choice question needs exactly
+ * the right set of options, a short answer has to match one of the accepted answers after
+ * {@link #normalize}.
+ */
+public final class QuizGrading {
+    private QuizGrading() {
+    }
+
+    public static boolean isCorrect(QuizQuestion.Type type, Collection<Integer> correctOptions,
+                                    Collection<String> acceptedAnswers, Collection<Integer> selected, String text) {
+        if (type == QuizQuestion.Type.SHORT_ANSWER) {
+            String answer = normalize(text);
+            return !answer.isEmpty() && acceptedAnswers.stream().map(QuizGrading::normalize).anyMatch(answer::equals);
+        }
+        Set<Integer> chosen = selected == null ? Set.of() : new HashSet<>(selected);
+        if (type == QuizQuestion.Type.SINGLE_CHOICE && chosen.size() != 1) {
+            return false;
+        }
+        return !chosen.isEmpty() && chosen.equals(new HashSet<>(correctOptions));
+    }
+
+    /** Case, surrounding whitespace, inner runs of whitespace and trailing punctuation don't count. */
+    public static String normalize(String answer) {
+        if (answer == null) {
+            return "";
+        }
+        return answer.trim()
+                .replaceAll("\\s+", " ")
+                .replaceAll("[.!?]+$", "")
+                .trim()
+                .toLowerCase(Locale.ROOT);
+    }
+
+    /** Rounded to the nearest whole percent; a quiz worth nothing counts as 0%. */
+    public static int percent(int score, int maxScore) {
+        return maxScore <= 0 ? 0 : (int) Math.round(100.0 * score / maxScore);
+    }
+
+    public static boolean passed(int percent, int passingScore, boolean timedOut) {
+        return !timedOut && percent >= passingScore;
+    }
+
+    static List<Integer> sorted(Collection<Integer> indexes) {
+        return indexes == null ? List.of() : indexes.stream().filter(Objects::nonNull).distinct().sorted().toList();
+    }
+}
@@ -0,0 +1,493 @@
+package com.skillsphere.backend.service;
+
+import com.fasterxml.jackson.core.JsonProcessingException;
+import com.fasterxml.jackson.core.type.TypeReference;
+import com.fasterxml.jackson.databind.ObjectMapper;
+import com.skillsphere.backend.dto.QuizAttemptDTO;
+import com.skillsphere.backend.dto.QuizDTO;
+import com.skillsphere.backend.dto.UserDTO;
+import com.skillsphere.backend.model.Post;
+import com.skillsphere.backend.model.Quiz;
+import com.skillsphere.backend.model.QuizAttempt;
+import com.skillsphere.backend.model.QuizQuestion;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.PostRepository;
+import com.skillsphere.backend.repository.QuizAttemptRepository;
+import com.skillsphere.backend.repository.QuizRepository;
+import com.skillsphere.backend.repository.UserRepository;
+import jakarta.persistence.EntityManager;
+import jakarta.persistence.PersistenceContext;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.time.Duration;
+import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.Collection;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+import java.util.function.Function;
+import java.util.stream.Collectors;
+
+/**
+ * Quizzes on skill posts and learning plans, and the attempts learners make at them. Only the
+ * author of the post or plan can attach a quiz, and only the quiz author can change it. Timed
+ * attempts carry their deadline from the moment they start; answers sent after it (plus a little
+ * grace for the round trip) are still marked but can't pass.
+ */
+@Service
+public class QuizService {
+    public static final int MAX_QUESTIONS = 50;
+    public static final int MAX_OPTIONS = 10;
+    public static final int MIN_TIME_LIMIT_SECONDS = 30;
+    public static final int MAX_TIME_LIMIT_SECONDS = 3 * 60 * 60;
+    private static final int MAX_TITLE_LENGTH = 120;
+    private static final int MAX_OPTION_LENGTH = 200;
+    private static final int MAX_POINTS = 10;
+    private static final int SUBMIT_GRACE_SECONDS = 15;
+
+    @Autowired
+    private QuizRepository quizRepository;
+
+    @Autowired
+    private QuizAttemptRepository attemptRepository;
+
+    @Autowired
+    private PostRepository postRepository;
+
+    @Autowired
+    private UserRepository userRepository;
+
+    @Autowired
+    private PostService postService;
+
+    @Autowired
+    private ObjectMapper objectMapper;
+
+    @PersistenceContext
+    private EntityManager entityManager;
+
+    /** Quizzes on a post or a learning plan, without their questions. */
+    @Transactional(readOnly = true)
+    public List<QuizDTO> getQuizzes(Long postId, Long learningPlanId, Long viewerId) {
+        List<Quiz> quizzes;
+        if (postId != null) {
+            // Goes through getPost so quizzes on other users' drafts stay hidden.
+            postService.getPost(postId, viewerId);
+            quizzes = quizRepository.findByPostIdOrderByCreatedAtAscIdAsc(postId);
+        } else if (learningPlanId != null) {
+            quizzes = quizRepository.findByLearningPlanIdOrderByCreatedAtAscIdAsc(learningPlanId);
+        } else {
+            throw new IllegalArgumentException("Either postId or planId is required");
+        }
+        return quizzes.stream()
+                .map(quiz -> toQuizDTO(quiz, viewerId, false))
+                .collect(Collectors.toList());
+    }
+
+    @Transactional(readOnly = true)
+    public QuizDTO getQuiz(Long quizId, Long viewerId) {
+        return toQuizDTO(findVisibleQuiz(quizId, viewerId), viewerId, true);
+    }
+
+    @Transactional
+    public QuizDTO createQuiz(Long userId, QuizDTO request) {
+        User author = userRepository.findById(userId)
+                .orElseThrow(() -> new RuntimeException("User not found"));
+        Quiz quiz = new Quiz();
+        quiz.setAuthor(author);
+        if (request.getPostId() != null && request.getLearningPlanId() != null) {
+            throw new IllegalArgumentException("A quiz belongs to either a post or a learning plan, not both");
+        }
+        if (request.getPostId() != null) {
+            Post post = postRepository.findById(request.getPostId())
+                    .orElseThrow(() -> new IllegalArgumentException("Post not found"));
+            if (!post.getUser().getId().equals(userId)) {
+                throw new SecurityException("Only the post's author can add quizzes to it");
+            }
+            quiz.setPost(post);
+        } else if (request.getLearningPlanId() != null) {
+            if (!userId.equals(findPlanOwnerId(request.getLearningPlanId()))) {
+                throw new SecurityException("Only the plan's owner can add quizzes to it");
+            }
+            quiz.setLearningPlanId(request.getLearningPlanId());
+        } else {
+            throw new IllegalArgumentException("Attach the quiz to a post or a learning plan");
+        }
+        applyChanges(quiz, request);
+        return toQuizDTO(quizRepository.save(quiz), userId, true);
+    }
+
+    /** Replaces the quiz's settings and questions. Past attempts keep the results they were given. */
+    @Transactional
+    public QuizDTO updateQuiz(Long userId, Long quizId, QuizDTO request) {
+        Quiz quiz = findOwnQuiz(userId, quizId);
+        applyChanges(quiz, request);
+        quiz.setUpdatedAt(LocalDateTime.now());
+        return toQuizDTO(quizRepository.save(quiz), userId, true);
+    }
+
+    @Transactional
+    public void deleteQuiz(Long userId, Long quizId) {
+        Quiz quiz = findOwnQuiz(userId, quizId);
+        attemptRepository.deleteByQuizId(quizId);
+        quizRepository.delete(quiz);
+    }
+
+    /** Called once a learning plan is deleted, so its quizzes and attempts don't outlive it. */
+    @Transactional
+    public void deleteQuizzesForPlan(Long learningPlanId) {
+        for (Quiz quiz : quizRepository.findByLearningPlanIdOrderByCreatedAtAscIdAsc(learningPlanId)) {
+            attemptRepository.deleteByQuizId(quiz.getId());
+            quizRepository.delete(quiz);
+        }
+    }
+
+    /**
+     * Starts an attempt, or hands back the user's open one so reloading the page doesn't reset
+     * the timer. An open attempt whose time ran out is closed as timed out first.
+     */
+    @Transactional
+    public QuizAttemptDTO startAttempt(Long userId, Long quizId) {
+        Quiz quiz = findVisibleQuiz(quizId, userId);
+        if (quiz.getQuestions().isEmpty()) {
+            throw new IllegalArgumentException("This quiz has no questions yet");
+        }
+        LocalDateTime now = LocalDateTime.now();
+        QuizAttempt open = attemptRepository
+                .findFirstByQuizIdAndUserIdAndSubmittedAtIsNullOrderByStartedAtDesc(quizId, userId)
+                .orElse(null);
+        if (open != null) {
+            if (!isLate(open, now)) {
+                return toAttemptDTO(open);
+            }
+            grade(open, List.of(), now);
+        }
+        QuizAttempt attempt = new QuizAttempt();
+        attempt.setQuiz(quiz);
+        attempt.setUser(userRepository.findById(userId)
+                .orElseThrow(() -> new RuntimeException("User not found")));
+        attempt.setStartedAt(now);
+        if (quiz.getTimeLimitSeconds() != null) {
+            attempt.setExpiresAt(now.plusSeconds(quiz.getTimeLimitSeconds()));
+        }
+        return toAttemptDTO(attemptRepository.save(attempt));
+    }
+
+    /** @throws IllegalArgumentException when the attempt was already submitted */
+    @Transactional
+    public QuizAttemptDTO submitAttempt(Long userId, Long attemptId, List<QuizAttemptDTO.Answer> answers) {
+        QuizAttempt attempt = attemptRepository.findByIdAndUserId(attemptId, userId)
+                .orElseThrow(() -> new RuntimeException("Attempt not found"));
+        if (attempt.getSubmittedAt() != null) {
+            throw new IllegalArgumentException("This attempt was already submitted");
+        }
+        grade(attempt, answers == null ? List.of() : answers, LocalDateTime.now());
+        return toAttemptDTO(attempt);
+    }
+
+    /** The user's submitted attempts at a quiz, newest first. */
+    @Transactional(readOnly = true)
+    public List<QuizAttemptDTO> getAttempts(Long userId, Long quizId) {
+        findVisibleQuiz(quizId, userId);
+        return attemptRepository.findByQuizIdAndUserIdAndSubmittedAtIsNotNullOrderByStartedAtDesc(quizId, userId)
+                .stream()
+                .map(this::toAttemptDTO)
+                .collect(Collectors.toList());
+    }
+
+    /**
+     * Whether the user may mark a learning-plan milestone complete: every quiz gating it has to
+     * have been passed at least once. Milestones without a quiz are always unlocked.
+     */
+    @Transactional(readOnly = true)
+    public boolean isMilestoneUnlocked(Long userId, Long learningPlanId, Long milestoneId) {
+        return quizRepository.findByLearningPlanIdAndMilestoneId(learningPlanId, milestoneId).stream()
+                .allMatch(quiz -> attemptRepository.existsByQuizIdAndUserIdAndPassedTrue(quiz.getId(), userId));
+    }
+
+    /**
+     * Milestones an update would newly mark complete although the user hasn't passed their quiz.
+     * Milestones that are already complete are left alone, so a quiz added later doesn't undo
+     * earlier progress.
+     */
+    @Transactional(readOnly = true)
+    public List<Long> findLockedMilestones(Long userId, Long learningPlanId, Collection<Long> completedMilestoneIds) {
+        Set<Long> alreadyComplete = new HashSet<>(entityManager
+                .createQuery("select t.id from LearningPlan lp join lp.topics t"
+                        + " where lp.id = :id and t.completed = true", Long.class)
+                .setParameter("id", learningPlanId)
+                .getResultList());
+        return completedMilestoneIds.stream()
+                .filter(milestoneId -> !alreadyComplete.contains(milestoneId))
+                .filter(milestoneId -> !isMilestoneUnlocked(userId, learningPlanId, milestoneId))
+                .collect(Collectors.toList());
+    }
+
+    private void grade(QuizAttempt attempt, List<QuizAttemptDTO.Answer> answers, LocalDateTime now) {
+        Map<Long, QuizAttemptDTO.Answer> byQuestion = answers.stream()
+                .filter(answer -> answer.getQuestionId() != null)
+                .collect(Collectors.toMap(QuizAttemptDTO.Answer::getQuestionId, Function.identity(), (a, b) -> b));
+        List<QuizAttemptDTO.QuestionResult> results = new ArrayList<>();
+        int score = 0;
+        int maxScore = 0;
+        for (QuizQuestion question : attempt.getQuiz().getQuestions()) {
+            QuizAttemptDTO.Answer answer = byQuestion.getOrDefault(question.getId(), new QuizAttemptDTO.Answer());
+            boolean correct = QuizGrading.isCorrect(question.getType(), question.getCorrectOptions(),
+                    question.getAcceptedAnswers(), answer.getSelected(), answer.getText());
+
+            QuizAttemptDTO.QuestionResult result = new QuizAttemptDTO.QuestionResult();
+            result.setQuestionId(question.getId());
+            result.setType(question.getType().name());
+            result.setPrompt(question.getPrompt());
+            result.setOptions(new ArrayList<>(question.getOptions()));
+            result.setSelected(QuizGrading.sorted(answer.getSelected()));
+            result.setText(answer.getText());
+            result.setCorrectOptions(QuizGrading.sorted(question.getCorrectOptions()));
+            result.setAcceptedAnswers(new ArrayList<>(question.getAcceptedAnswers()));
+            result.setCorrect(correct);
+            result.setPoints(question.getPoints());
+            result.setEarned(correct ? question.getPoints() : 0);
+            result.setExplanation(question.getExplanation());
+            results.add(result);
+
+            score += result.getEarned();
+            maxScore += question.getPoints();
+        }
+
+        boolean timedOut = isLate(attempt, now);
+        attempt.setSubmittedAt(now);
+        attempt.setScore(score);
+        attempt.setMaxScore(maxScore);
+        attempt.setPercent(QuizGrading.percent(score, maxScore));
+        attempt.setTimedOut(timedOut);
+        attempt.setPassed(QuizGrading.passed(attempt.getPercent(), attempt.getQuiz().getPassingScore(), timedOut));
+        try {
+            attempt.setResults(objectMapper.writeValueAsString(results));
+        } catch (JsonProcessingException e) {
+            throw new IllegalStateException("Could not store quiz results", e);
+        }
+        attemptRepository.save(attempt);
+    }
+
+    private static boolean isLate(QuizAttempt attempt, LocalDateTime now) {
+        return attempt.getExpiresAt() != null && now.isAfter(attempt.getExpiresAt().plusSeconds(SUBMIT_GRACE_SECONDS));
+    }
+
+    private void applyChanges(Quiz quiz, QuizDTO request) {
+        String title = request.getTitle() == null ? "" : request.getTitle().trim();
+        if (title.isEmpty() || title.length() > MAX_TITLE_LENGTH) {
+            throw new IllegalArgumentException("Quiz titles must be 1-" + MAX_TITLE_LENGTH + " characters");
+        }
+        Integer timeLimit = request.getTimeLimitSeconds();
+        if (timeLimit != null && (timeLimit < MIN_TIME_LIMIT_SECONDS || timeLimit > MAX_TIME_LIMIT_SECONDS)) {
+            throw new IllegalArgumentException("The time limit must be between 30 seconds and 3 hours");
+        }
+        int passingScore = request.getPassingScore() == null ? 70 : request.getPassingScore();
+        if (passingScore < 0 || passingScore > 100) {
+            throw new IllegalArgumentException("The passing score must be between 0 and 100%");
+        }
+        if (request.getMilestoneId() != null && quiz.getLearningPlanId() == null) {
+            throw new IllegalArgumentException("Only learning-plan quizzes can gate a milestone");
+        }
+        List<QuizDTO.QuestionDTO> questions = request.getQuestions() == null ? List.of() : request.getQuestions();
+        if (questions.isEmpty() || questions.size() > MAX_QUESTIONS) {
+            throw new IllegalArgumentException("A quiz needs 1-" + MAX_QUESTIONS + " questions");
+        }
+
+        quiz.setTitle(title);
+        quiz.setDescription(request.getDescription() == null || request.getDescription().isBlank()
+                ? null : request.getDescription().trim());
+        quiz.setTimeLimitSeconds(timeLimit);
+        quiz.setPassingScore(passingScore);
+        quiz.setMilestoneId(request.getMilestoneId());
+        quiz.getQuestions().clear();
+        for (int i = 0; i < questions.size(); i++) {
+            QuizQuestion question = toQuestion(questions.get(i), i + 1);
+            question.setQuiz(quiz);
+            question.setPosition(i);
+            quiz.getQuestions().add(question);
+        }
+    }
+
+    private static QuizQuestion toQuestion(QuizDTO.QuestionDTO request, int number) {
+        QuizQuestion.Type type;
+        try {
+            type = QuizQuestion.Type.valueOf(String.valueOf(request.getType()));
+        } catch (IllegalArgumentException e) {
+            throw new IllegalArgumentException("Question " + number + " has an unknown type: " + request.getType());
+        }
+        String prompt = request.getPrompt() == null ? "" : request.getPrompt().trim();
+        if (prompt.isEmpty()) {
+            throw new IllegalArgumentException("Question " + number + " needs a prompt");
+        }
+        int points = request.getPoints() == null ? 1 : request.getPoints();
+        if (points < 1 || points > MAX_POINTS) {
+            throw new IllegalArgumentException("Question " + number + " must be worth 1-" + MAX_POINTS + " points");
+        }
+
+        QuizQuestion question = new QuizQuestion();
+        question.setType(type);
+        question.setPrompt(prompt);
+        question.setPoints(points);
+        question.setExplanation(request.getExplanation() == null || request.getExplanation().isBlank()
+                ? null : request.getExplanation().trim());
+
+        if (type == QuizQuestion.Type.SHORT_ANSWER) {
+            List<String> accepted = trimmed(request.getAcceptedAnswers());
+            if (accepted.isEmpty()) {
+                throw new IllegalArgumentException("Question " + number + " needs at least one accepted answer");
+            }
+            question.setAcceptedAnswers(accepted);
+            return question;
+        }
+
+        List<String> options = trimmed(request.getOptions());
+        if (options.size() < 2 || options.size() > MAX_OPTIONS
+                || options.size() != (request.getOptions() == null ? 0 : request.getOptions().size())) {
+            throw new IllegalArgumentException("Question " + number + " needs 2-" + MAX_OPTIONS + " non-empty options");
+        }
+        List<Integer> correct = QuizGrading.sorted(request.getCorrectOptions());
+        if (correct.stream().anyMatch(index -> index < 0 || index >= options.size())) {
+            throw new IllegalArgumentException("Question " + number + " marks an option that doesn't exist");
+        }
+        if (type == QuizQuestion.Type.SINGLE_CHOICE ? correct.size() != 1 : correct.isEmpty()) {
+            throw new IllegalArgumentException(type == QuizQuestion.Type.SINGLE_CHOICE
+                    ? "Question " + number + " needs exactly one correct option"
+                    : "Question " + number + " needs at least one correct option");
+        }
+        question.setOptions(options);
+        question.setCorrectOptions(new ArrayList<>(correct));
+        return question;
+    }
+
+    private static List<String> trimmed(List<String> values) {
+        if (values == null) {
+            return new ArrayList<>();
+        }
+        List<String> result = new ArrayList<>();
+        for (String value : values) {
+            String text = value == null ? "" : value.trim();
+            if (text.length() > MAX_OPTION_LENGTH) {
+                throw new IllegalArgumentException("Options and answers can be at most " + MAX_OPTION_LENGTH + " characters");
+            }
+            if (!text.isEmpty()) {
+                result.add(text);
+            }
+        }
+        return result;
+    }
+
+    private Quiz findOwnQuiz(Long userId, Long quizId) {
+        Quiz quiz = quizRepository.findById(quizId)
+                .orElseThrow(() -> new RuntimeException("Quiz not found"));
+        if (!quiz.getAuthor().getId().equals(userId)) {
+            throw new SecurityException("Only the quiz's author can change it");
+        }
+        return quiz;
+    }
+
+    private Quiz findVisibleQuiz(Long quizId, Long viewerId) {
+        Quiz quiz = quizRepository.findById(quizId)
+                .orElseThrow(() -> new RuntimeException("Quiz not found"));
+        if (quiz.getPost() != null) {
+            postService.getPost(quiz.getPost().getId(), viewerId);
+        }
+        return quiz;
+    }
+
+    private Long findPlanOwnerId(Long learningPlanId) {
+        List<Long> owners = entityManager
+                .createQuery("select lp.user.id from LearningPlan lp where lp.id = :id", Long.class)
+                .setParameter("id", learningPlanId)
+                .getResultList();
+        if (owners.isEmpty()) {
+            throw new IllegalArgumentException("Learning plan not found");
+        }
+        return owners.get(0);
+    }
+
+    private QuizDTO toQuizDTO(Quiz quiz, Long viewerId, boolean withQuestions) {
+        QuizDTO dto = new QuizDTO();
+        dto.setId(quiz.getId());
+        dto.setTitle(quiz.getTitle());
+        dto.setDescription(quiz.getDescription());
+        dto.setPostId(quiz.getPost() != null ? quiz.getPost().getId() : null);
+        dto.setLearningPlanId(quiz.getLearningPlanId());
+        dto.setMilestoneId(quiz.getMilestoneId());
+        dto.setTimeLimitSeconds(quiz.getTimeLimitSeconds());
+        dto.setPassingScore(quiz.getPassingScore());
+        dto.setQuestionCount(quiz.getQuestions().size());
+        dto.setCreatedAt(quiz.getCreatedAt() != null ? quiz.getCreatedAt().toString() : null);
+        dto.setUpdatedAt(quiz.getUpdatedAt() != null ? quiz.getUpdatedAt().toString() : null);
+
+        UserDTO author = new UserDTO();
+        author.setId(quiz.getAuthor().getId());
+        author.setUsername(quiz.getAuthor().getUsername());
+        dto.setAuthor(author);
+
+        List<QuizAttempt> attempts = attemptRepository
+                .findByQuizIdAndUserIdAndSubmittedAtIsNotNullOrderByStartedAtDesc(quiz.getId(), viewerId);
+        dto.setAttemptCount(attempts.size());
+        dto.setBestPercent(attempts.stream().map(QuizAttempt::getPercent).max(Integer::compare).orElse(null));
+        dto.setPassed(attempts.stream().anyMatch(QuizAttempt::isPassed));
+
+        if (withQuestions) {
+            boolean isAuthor = quiz.getAuthor().getId().equals(viewerId);
+            dto.setQuestions(quiz.getQuestions().stream()
+                    .map(question -> toQuestionDTO(question, isAuthor))
+                    .collect(Collectors.toList()));
+        }
+        return dto;
+    }
+
+    private static QuizDTO.QuestionDTO toQuestionDTO(QuizQuestion question, boolean withAnswers) {
+        QuizDTO.QuestionDTO dto = new QuizDTO.QuestionDTO();
+        dto.setId(question.getId());
+        dto.setType(question.getType().name());
+        dto.setPrompt(question.getPrompt());
+        dto.setOptions(new ArrayList<>(question.getOptions()));
+        dto.setPoints(question.getPoints());
+        if (withAnswers) {
+            dto.setCorrectOptions(QuizGrading.sorted(question.getCorrectOptions()));
+            dto.setAcceptedAnswers(new ArrayList<>(question.getAcceptedAnswers()));
+            dto.setExplanation(question.getExplanation());
+        }
+        return dto;
+    }
+
+    private QuizAttemptDTO toAttemptDTO(QuizAttempt attempt) {
+        QuizAttemptDTO dto = new QuizAttemptDTO();
+        dto.setId(attempt.getId());
+        dto.setQuizId(attempt.getQuiz().getId());
+        dto.setQuizTitle(attempt.getQuiz().getTitle());
+        dto.setStartedAt(attempt.getStartedAt().toString());
+        dto.setExpiresAt(attempt.getExpiresAt() != null ? attempt.getExpiresAt().toString() : null);
+        if (attempt.getSubmittedAt() == null) {
+            if (attempt.getExpiresAt() != null) {
+                dto.setRemainingSeconds(Math.max(0,
+                        Duration.between(LocalDateTime.now(), attempt.getExpiresAt()).getSeconds()));
+            }
+            return dto;
+        }
+        dto.setSubmittedAt(attempt.getSubmittedAt().toString());
+        dto.setScore(attempt.getScore());
+        dto.setMaxScore(attempt.getMaxScore());
+        dto.setPercent(attempt.getPercent());
+        dto.setPassed(attempt.isPassed());
+        dto.setTimedOut(attempt.isTimedOut());
+        if (attempt.getResults() != null) {
+            try {
+                dto.setResults(objectMapper.readValue(attempt.getResults(),
+                        new TypeReference<List<QuizAttemptDTO.QuestionResult>>() {
+                        }));
+            } catch (JsonProcessingException e) {
+                throw new IllegalStateException("Could not read quiz results", e);
+            }
+        }
+        return dto;
+    }
+}
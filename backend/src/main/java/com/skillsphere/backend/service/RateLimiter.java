@@ -0,0 +1,47 @@
+package com.skillsphere.backend.service;
+
+import java.util.ArrayDeque;
+import java.util.Deque;
+import java.util.Map;
+import java.util.concurrent.ConcurrentHashMap;
+
+/**
+ * Allows at most {@code maxAttempts} per key within any sliding window of {@code windowMillis}.
+ * Kept in memory, so limits are per server instance and reset on restart.
+ */
+public class RateLimiter {
+    private final int maxAttempts;
+    private final long windowMillis;
+    private final Map<String, Deque<Long>> attempts = new ConcurrentHashMap<>();
+
+    public RateLimiter(int maxAttempts, long windowMillis) {
+        this.maxAttempts = maxAttempts;
+        this.windowMillis = windowMillis;
+    }
+
+    /**
+     * Records an attempt for {@code key} at {@code now} if it is within the limit.
+     *
+     * @return 0 when the attempt is allowed, otherwise how many milliseconds until it would be
+     */
+    public long tryAcquire(String key, long now) {
+        Deque<Long> times = attempts.computeIfAbsent(key, k -> new ArrayDeque<>());
+        synchronized (times) {
+            while (!times.isEmpty() && times.peekFirst() <= now - windowMillis) {
+                times.pollFirst();
+            }
+            if (times.size() >= maxAttempts) {
+                return times.peekFirst() + windowMillis - now;
+            }
+            times.addLast(now);
+        }
+        if (attempts.size() > 10_000) {
+            attempts.values().removeIf(deque -> {
+                synchronized (deque) {
+                    return deque.isEmpty() || deque.peekLast() <= now - windowMillis;
+                }
+            });
+        }
+        return 0;
+    }
+}
@@ -0,0 +1,81 @@
+package com.skillsphere.backend.service;
+
+import java.util.ArrayList;
+import java.util.List;
+import java.util.Locale;
+import java.util.regex.Pattern;
+
+/**
+ * What makes a username, password or email address acceptable. The frontend mirrors these checks from the
+ * policy served at {@code /api/auth/password-policy}, so keep its messages in step with
+ * {@code frontend/src/utils/registration.js}.
+ */
+public final class RegistrationRules {
+    // Same characters a mention can reference (NotificationService.MENTION_PATTERN), without a trailing '.' or '-'.
+    static final Pattern USERNAME = Pattern.compile("^[A-Za-z0-9_](?:[A-Za-z0-9_.-]*[A-Za-z0-9_])?$");
+    // Given to anonymized accounts (AccountService.deleteAccount).
+    static final String RESERVED_PREFIX = "deleted-user-";
+    static final Pattern EMAIL = Pattern.compile("^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$");
+
+    private RegistrationRules() {
+    }
+
+    public record Policy(int usernameMinLength, int usernameMaxLength, int passwordMinLength,
+                         boolean requireUppercase, boolean requireLowercase, boolean requireDigit,
+                         boolean requireSymbol) {
+    }
+
+    public static List<String> usernameErrors(String username, Policy policy) {
+        List<String> errors = new ArrayList<>();
+        String value = username == null ? "" : username;
+        if (value.length() < policy.usernameMinLength() || value.length() > policy.usernameMaxLength()) {
+            errors.add("Username must be " + policy.usernameMinLength() + "-" + policy.usernameMaxLength() + " characters");
+        }
+        if (!value.isEmpty() && !USERNAME.matcher(value).matches()) {
+            errors.add("Username may only use letters, digits, '_', '.' and '-', and can't end with '.' or '-'");
+        }
+        if (value.toLowerCase(Locale.ROOT).startsWith(RESERVED_PREFIX)) {
+            errors.add("That username is reserved");
+        }
+        return errors;
+    }
+
+    public static List<String> passwordErrors(String password, String username, Policy policy) {
+        List<String> errors = new ArrayList<>();
+        String value = password == null ? "" : password;
+        if (value.length() < policy.passwordMinLength()) {
+            errors.add("Password must be at least " + policy.passwordMinLength() + " characters");
+        }
+        if (policy.requireUppercase() && value.chars().noneMatch(Character::isUpperCase)) {
+            errors.add("Password must contain an uppercase letter");
+        }
+        if (policy.requireLowercase() && value.chars().noneMatch(Character::isLowerCase)) {
+            errors.add("Password must contain a lowercase letter");
+        }
+        if (policy.requireDigit() && value.chars().noneMatch(Character::isDigit)) {
+            errors.add("Password must contain a digit");
+        }
+        if (policy.requireSymbol() && value.chars().allMatch(Character::isLetterOrDigit)) {
+            errors.add("Password must contain a symbol");
+        }
+        if (username != null && username.length() >= 3
+                && value.toLowerCase(Locale.ROOT).contains(username.toLowerCase(Locale.ROOT))) {
+            errors.add("Password must not contain the username");
+        }
+        return errors;
+    }
+
+    /** Emails are stored trimmed and lower-cased; blank means none. */
+    public static String normalizeEmail(String email) {
+        return email == null || email.isBlank() ? null : email.trim().toLowerCase(Locale.ROOT);
+    }
+
+    public static List<String> emailErrors(String email) {
+        List<String> errors = new ArrayList<>();
+        String normalized = normalizeEmail(email);
+        if (normalized == null || !EMAIL.matcher(normalized).matches()) {
+            errors.add("Please enter a valid email address");
+        }
+        return errors;
+    }
+}
@@ -0,0 +1,87 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.repository.UserRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.stereotype.Service;
+
+import java.util.List;
+
+/** Applies {@link RegistrationRules} with the policy configured under {@code app.registration.*}. */
+@Service
+public class RegistrationService {
+    @Autowired
+    private UserRepository userRepository;
+
+    @Value("${app.registration.username-min-length:3}")
+    private int usernameMinLength;
+
+    @Value("${app.registration.username-max-length:30}")
+    private int usernameMaxLength;
+
+    @Value("${app.registration.password-min-length:8}")
+    private int passwordMinLength;
+
+    @Value("${app.registration.password-require-uppercase:true}")
+    private boolean requireUppercase;
+
+    @Value("${app.registration.password-require-lowercase:true}")
+    private boolean requireLowercase;
+
+    @Value("${app.registration.password-require-digit:true}")
+    private boolean requireDigit;
+
+    @Value("${app.registration.password-require-symbol:false}")
+    private boolean requireSymbol;
+
+    public RegistrationRules.Policy getPolicy() {
+        return new RegistrationRules.Policy(usernameMinLength, usernameMaxLength, passwordMinLength,
+                requireUppercase, requireLowercase, requireDigit, requireSymbol);
+    }
+
+    /** Problems with the username, including it being taken; empty when it can be registered. */
+    public List<String> usernameErrors(String username) {
+        List<String> errors = RegistrationRules.usernameErrors(username, getPolicy());
+        if (errors.isEmpty() && userRepository.existsByUsernameIgnoreCase(username)) {
+            errors.add("That username is already taken");
+        }
+        return errors;
+    }
+
+    /** @throws IllegalArgumentException with the first problem found */
+    public void validateRegistration(String username, String password) {
+        List<String> errors = usernameErrors(username);
+        errors.addAll(RegistrationRules.passwordErrors(password, username, getPolicy()));
+        if (!errors.isEmpty()) {
+            throw new IllegalArgumentException(errors.get(0));
+        }
+    }
+
+    /**
+     * Checks the address for the account {@code ownerId} (null for a new one).
+     *
+     * @return the normalized address
+     * @throws IllegalArgumentException for a malformed address or one another account uses
+     */
+    public String validateEmail(String email, Long ownerId) {
+        List<String> errors = RegistrationRules.emailErrors(email);
+        if (!errors.isEmpty()) {
+            throw new IllegalArgumentException(errors.get(0));
+        }
+        String normalized = RegistrationRules.normalizeEmail(email);
+        userRepository.findByEmailIgnoreCase(normalized)
+                .filter(other -> !other.getId().equals(ownerId))
+                .ifPresent(other -> {
+                    throw new IllegalArgumentException("That email is already used by another account");
+                });
+        return normalized;
+    }
+
+    /** @throws IllegalArgumentException with the first problem found */
+    public void validatePassword(String password, String username) {
+        List<String> errors = RegistrationRules.passwordErrors(password, username, getPolicy());
+        if (!errors.isEmpty()) {
+            throw new IllegalArgumentException(errors.get(0));
+        }
+    }
+}
@@ -0,0 +1,214 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.dto.SearchResultDTO;
+import com.skillsphere.backend.dto.UserDTO;
+import com.skillsphere.backend.model.Post;
+import com.skillsphere.backend.model.User;
+import jakarta.persistence.EntityManager;
+import jakarta.persistence.PersistenceContext;
+import jakarta.persistence.TypedQuery;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.time.LocalDateTime;
+import java.util.Arrays;
+import java.util.Comparator;
+import java.util.List;
+import java.util.Map;
+import java.util.TreeMap;
+import java.util.function.Function;
+import java.util.stream.Collectors;
+
+@Service
+public class SearchService {
+    private static final int MAX_TERMS = 5;
+    private static final int POST_CANDIDATES = 200;
+    private static final int SNIPPET_LENGTH = 160;
+    // JPQL suffix for LIKE comparisons against a {@link #containsPattern} parameter.
+    public static final String LIKE_ESCAPE = " escape '\\'";
+
+    @PersistenceContext
+    private EntityManager entityManager;
+
+    @Transactional(readOnly = true)
+    public SearchResultDTO search(String query, String tag, String category, int limit) {
+        SearchResultDTO result = new SearchResultDTO();
+        result.setQuery(query == null ? "" : query.trim());
+        List<String> terms = toTerms(query);
+        if (terms.isEmpty()) {
+            return result;
+        }
+
+        List<Post> candidates = findPosts(terms);
+        result.setTags(facet(candidates, post -> splitTags(post.getTags())));
+        result.setCategories(facet(candidates, post -> post.getCategory() == null || post.getCategory().isBlank()
+                ? List.of() : List.of(post.getCategory().trim())));
+
+        result.setPosts(candidates.stream()
+                .filter(post -> tag == null || tag.isBlank() || splitTags(post.getTags()).stream()
+                        .anyMatch(t -> t.equalsIgnoreCase(tag.trim())))
+                .filter(post -> category == null || category.isBlank()
+                        || category.trim().equalsIgnoreCase(post.getCategory() == null ? "" : post.getCategory().trim()))
+                .sorted(Comparator.comparingInt((Post post) -> scorePost(post, terms)).reversed())
+                .limit(limit)
+                .map(post -> toPostHit(post, terms))
+                .collect(Collectors.toList()));
+        result.setUsers(findUsers(terms, limit));
+        result.setPlans(findPlans(terms, limit));
+        return result;
+    }
+
+    private List<Post> findPosts(List<String> terms) {
+        StringBuilder jpql = new StringBuilder("select p from Post p where " + PostService.VISIBLE_POST_CONDITION);
+        for (int i = 0; i < terms.size(); i++) {
+            jpql.append(" and (lower(p.title) like :t").append(i).append(LIKE_ESCAPE)
+                    .append(" or lower(p.content) like :t").append(i).append(LIKE_ESCAPE)
+                    .append(" or lower(p.tags) like :t").append(i).append(LIKE_ESCAPE)
+                    .append(" or lower(p.category) like :t").append(i).append(LIKE_ESCAPE).append(")");
+        }
+        jpql.append(" order by p.createdAt desc");
+        TypedQuery<Post> query = entityManager.createQuery(jpql.toString(), Post.class);
+        query.setParameter("now", LocalDateTime.now());
+        bindTerms(query, terms);
+        return query.setMaxResults(POST_CANDIDATES).getResultList();
+    }
+
+    private List<SearchResultDTO.UserHit> findUsers(List<String> terms, int limit) {
+        StringBuilder jpql = new StringBuilder("select u from User u where u.disabled = false");
+        for (int i = 0; i < terms.size(); i++) {
+            jpql.append(" and lower(u.username) like :t").append(i).append(LIKE_ESCAPE);
+        }
+        jpql.append(" order by u.username");
+        TypedQuery<User> query = entityManager.createQuery(jpql.toString(), User.class);
+        bindTerms(query, terms);
+        return query.setMaxResults(limit).getResultList().stream()
+                .map(user -> {
+                    SearchResultDTO.UserHit hit = new SearchResultDTO.UserHit();
+                    hit.setId(user.getId());
+                    hit.setUsername(user.getUsername());
+                    return hit;
+                })
+                .collect(Collectors.toList());
+    }
+
+    private List<SearchResultDTO.PlanHit> findPlans(List<String> terms, int limit) {
+        StringBuilder jpql = new StringBuilder(
+                "select lp.id, lp.title, lp.description, lp.status, u.id, u.username"
+                        + " from LearningPlan lp left join lp.user u where 1 = 1");
+        for (int i = 0; i < terms.size(); i++) {
+            jpql.append(" and (lower(lp.title) like :t").append(i).append(LIKE_ESCAPE)
+                    .append(" or lower(lp.description) like :t").append(i).append(LIKE_ESCAPE).append(")");
+        }
+        jpql.append(" order by lp.id desc");
+        TypedQuery<Object[]> query = entityManager.createQuery(jpql.toString(), Object[].class);
+        bindTerms(query, terms);
+        return query.setMaxResults(limit).getResultList().stream()
+                .map(row -> {
+                    SearchResultDTO.PlanHit hit = new SearchResultDTO.PlanHit();
+                    hit.setId((Long) row[0]);
+                    hit.setTitle((String) row[1]);
+                    hit.setSnippet(snippet((String) row[2], terms));
+                    hit.setStatus(row[3] == null ? null : row[3].toString());
+                    if (row[4] != null) {
+                        UserDTO owner = new UserDTO();
+                        owner.setId((Long) row[4]);
+                        owner.setUsername((String) row[5]);
+                        hit.setUser(owner);
+                    }
+                    return hit;
+                })
+                .collect(Collectors.toList());
+    }
+
+    private SearchResultDTO.PostHit toPostHit(Post post, List<String> terms) {
+        SearchResultDTO.PostHit hit = new SearchResultDTO.PostHit();
+        hit.setId(post.getId());
+        hit.setTitle(post.getTitle());
+        hit.setSnippet(snippet(post.getContent(), terms));
+        hit.setCategory(post.getCategory());
+        hit.setTags(post.getTags());
+        hit.setCreatedAt(post.getCreatedAt());
+        UserDTO author = new UserDTO();
+        author.setId(post.getUser().getId());
+        author.setUsername(post.getUser().getUsername());
+        hit.setUser(author);
+        return hit;
+    }
+
+    // Title matches count most, then tags/category, then body text
+    private int scorePost(Post post, List<String> terms) {
+        int score = 0;
+        for (String term : terms) {
+            if (contains(post.getTitle(), term)) score += 3;
+            if (contains(post.getTags(), term) || contains(post.getCategory(), term)) score += 2;
+            if (contains(post.getContent(), term)) score += 1;
+        }
+        return score;
+    }
+
+    private List<SearchResultDTO.FacetValue> facet(List<Post> posts, Function<Post, List<String>> values) {
+        Map<String, Long> counts = posts.stream()
+                .flatMap(post -> values.apply(post).stream())
+                .collect(Collectors.groupingBy(value -> value, () -> new TreeMap<>(String.CASE_INSENSITIVE_ORDER),
+                        Collectors.counting()));
+        return counts.entrySet().stream()
+                .sorted(Map.Entry.<String, Long>comparingByValue().reversed())
+                .map(entry -> new SearchResultDTO.FacetValue(entry.getKey(), entry.getValue()))
+                .collect(Collectors.toList());
+    }
+
+    // Returns a window of the text around the first matching term
+    private String snippet(String text, List<String> terms) {
+        if (text == null || text.isBlank()) {
+            return "";
+        }
+        String lower = text.toLowerCase();
+        int index = terms.stream()
+                .mapToInt(lower::indexOf)
+                .filter(i -> i >= 0)
+                .min()
+                .orElse(0);
+        int start = Math.max(0, index - SNIPPET_LENGTH / 3);
+        int end = Math.min(text.length(), start + SNIPPET_LENGTH);
+        return (start > 0 ? "…" : "") + text.substring(start, end).trim() + (end < text.length() ? "…" : "");
+    }
+
+    private List<String> toTerms(String query) {
+        if (query == null) {
+            return List.of();
+        }
+        return Arrays.stream(query.trim().toLowerCase().split("\\s+"))
+                .filter(term -> !term.isEmpty())
+                .distinct()
+                .limit(MAX_TERMS)
+                .collect(Collectors.toList());
+    }
+
+    /**
+     * A LIKE pattern matching values that contain {@code text} literally: its own % and _ are
+     * escaped, so pair it with {@link #LIKE_ESCAPE}.
+     */
+    public static String containsPattern(String text) {
+        return "%" + text.replace("\\", "\\\\").replace("%", "\\%").replace("_", "\\_") + "%";
+    }
+
+    private void bindTerms(TypedQuery<?> query, List<String> terms) {
+        for (int i = 0; i < terms.size(); i++) {
+            query.setParameter("t" + i, containsPattern(terms.get(i)));
+        }
+    }
+
+    private static List<String> splitTags(String tags) {
+        if (tags == null) {
+            return List.of();
+        }
+        return Arrays.stream(tags.split(","))
+                .map(String::trim)
+                .filter(tag -> !tag.isEmpty())
+                .collect(Collectors.toList());
+    }
+
+    private static boolean contains(String text, String term) {
+        return text != null && text.toLowerCase().contains(term);
+    }
+}
@@ -0,0 +1,205 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.model.RefreshToken;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.RefreshTokenRepository;
+import com.skillsphere.backend.repository.UserRepository;
+import io.jsonwebtoken.Claims;
+import io.jsonwebtoken.JwtException;
+import io.jsonwebtoken.Jwts;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import javax.crypto.SecretKey;
+import java.nio.charset.StandardCharsets;
+import java.security.MessageDigest;
+import java.security.NoSuchAlgorithmException;
+import java.security.SecureRandom;
+import java.time.Duration;
+import java.time.Instant;
+import java.time.LocalDateTime;
+import java.time.ZoneId;
+import java.time.temporal.ChronoUnit;
+import java.util.Base64;
+import java.util.Date;
+import java.util.HexFormat;
+
+/**
+ * Short-lived access tokens (JWTs) plus long-lived, rotating refresh tokens. A pair is issued by
+ * {@link #startSession(User)} when a user signs in or signs up. Clients renew the access token
+ * with {@link #refresh(String)} before it expires, and can end one session or all of a user's
+ * sessions at once.
+ */
+@Service
+public class SessionService {
+    private static final Logger logger = LoggerFactory.getLogger(SessionService.class);
+    private static final SecureRandom RANDOM = new SecureRandom();
+
+    @Autowired
+    private RefreshTokenRepository refreshTokenRepository;
+
+    @Autowired
+    private UserRepository userRepository;
+
+    @Autowired
+    private SecretKey secretKey;
+
+    @Value("${app.auth.access-token-ttl:15m}")
+    private Duration accessTokenTtl;
+
+    @Value("${app.auth.refresh-token-ttl:30d}")
+    private Duration refreshTokenTtl;
+
+    /** A freshly issued token pair; {@code expiresAt} is when the access token stops working. */
+    public record Tokens(User user, String accessToken, String refreshToken, Instant expiresAt) {
+    }
+
+    /**
+     * Checks a bearer token's signature, expiry and that it wasn't revoked by "log out all devices".
+     *
+     * @throws SecurityException when the token is unusable
+     */
+    @Transactional(readOnly = true)
+    public User authenticate(String accessToken) {
+        Claims claims;
+        try {
+            claims = Jwts.parserBuilder().setSigningKey(secretKey).build().parseClaimsJws(accessToken).getBody();
+        } catch (JwtException | IllegalArgumentException e) {
+            throw new SecurityException("Invalid or expired token");
+        }
+        User user = userRepository.findById(Long.parseLong(claims.getSubject()))
+                .orElseThrow(() -> new SecurityException("Invalid or expired token"));
+        if (user.isDisabled() || isRevoked(user, claims.getIssuedAt())) {
+            throw new SecurityException("Invalid or expired token");
+        }
+        return user;
+    }
+
+    /** Whether an access token issued at {@code issuedAt} was cut off by "log out all devices". */
+    public boolean isRevoked(User user, Date issuedAt) {
+        if (user.getSessionsRevokedAt() == null) {
+            return false;
+        }
+        // Tokens without an issue time predate revocation support, so they can't be told apart from old ones.
+        if (issuedAt == null) {
+            return true;
+        }
+        LocalDateTime issued = LocalDateTime.ofInstant(issuedAt.toInstant(), ZoneId.systemDefault());
+        return issued.isBefore(user.getSessionsRevokedAt());
+    }
+
+    /** Starts a session for a user who has just signed in or signed up. */
+    @Transactional
+    public Tokens startSession(User user) {
+        return issue(user);
+    }
+
+    /**
+     * Signs the user out everywhere, like {@link #logoutEverywhere(User)}, then starts a new session
+     * for the device that asked, e.g. after a password change.
+     */
+    @Transactional
+    public Tokens replaceSessions(User user) {
+        logoutEverywhere(user);
+        return issue(user);
+    }
+
+    /**
+     * Rotates a refresh token: the given one is revoked and a new pair is issued.
+     *
+     * @throws SecurityException for unknown, expired or already used refresh tokens
+     */
+    @Transactional
+    public Tokens refresh(String refreshToken) {
+        RefreshToken stored = find(refreshToken);
+        LocalDateTime now = LocalDateTime.now();
+        if (stored == null || stored.getRevokedAt() != null || stored.getExpiresAt().isBefore(now)) {
+            throw new SecurityException("Session expired");
+        }
+        User user = stored.getUser();
+        if (user.isDisabled()) {
+            throw new SecurityException("Session expired");
+        }
+        stored.setRevokedAt(now);
+        refreshTokenRepository.save(stored);
+        return issue(user);
+    }
+
+    /** Ends the session of one device; unknown tokens are ignored. */
+    @Transactional
+    public void logout(String refreshToken) {
+        RefreshToken stored = find(refreshToken);
+        if (stored != null && stored.getRevokedAt() == null) {
+            stored.setRevokedAt(LocalDateTime.now());
+            refreshTokenRepository.save(stored);
+        }
+    }
+
+    /** Revokes every refresh token of the user and every access token issued so far. */
+    @Transactional
+    public void logoutEverywhere(User user) {
+        // JWT issue times have second precision, so round up to cover tokens from this very second.
+        LocalDateTime now = LocalDateTime.now().truncatedTo(ChronoUnit.SECONDS).plusSeconds(1);
+        int revoked = refreshTokenRepository.revokeAllForUser(user.getId(), now);
+        user.setSessionsRevokedAt(now);
+        userRepository.save(user);
+        logger.info("User {} logged out of all devices ({} sessions revoked)", user.getId(), revoked);
+    }
+
+    private Tokens issue(User user) {
+        LocalDateTime now = LocalDateTime.now();
+        refreshTokenRepository.deleteExpiredBefore(now);
+
+        String refreshToken = newToken();
+        RefreshToken stored = new RefreshToken();
+        stored.setUser(user);
+        stored.setTokenHash(hashToken(refreshToken));
+        stored.setExpiresAt(now.plus(refreshTokenTtl));
+        refreshTokenRepository.save(stored);
+
+        Instant issuedAt = Instant.now();
+        // Revocation is rounded up to the next second; a token issued within it must not count as revoked.
+        if (user.getSessionsRevokedAt() != null) {
+            Instant revokedAt = user.getSessionsRevokedAt().atZone(ZoneId.systemDefault()).toInstant();
+            if (issuedAt.isBefore(revokedAt)) {
+                issuedAt = revokedAt;
+            }
+        }
+        Instant expiresAt = issuedAt.plus(accessTokenTtl);
+        String accessToken = Jwts.builder()
+                .setSubject(String.valueOf(user.getId()))
+                .setIssuedAt(Date.from(issuedAt))
+                .setExpiration(Date.from(expiresAt))
+                .signWith(secretKey)
+                .compact();
+        return new Tokens(user, accessToken, refreshToken, expiresAt);
+    }
+
+    private RefreshToken find(String refreshToken) {
+        if (refreshToken == null || refreshToken.isBlank()) {
+            return null;
+        }
+        return refreshTokenRepository.findByTokenHash(hashToken(refreshToken)).orElse(null);
+    }
+
+    /** A random, URL-safe token for links and refresh tokens. */
+    static String newToken() {
+        byte[] bytes = new byte[32];
+        RANDOM.nextBytes(bytes);
+        return Base64.getUrlEncoder().withoutPadding().encodeToString(bytes);
+    }
+
+    /** What gets stored instead of a token, so a leaked table can't be used to sign in. */
+    static String hashToken(String token) {
+        try {
+            byte[] digest = MessageDigest.getInstance("SHA-256").digest(token.getBytes(StandardCharsets.UTF_8));
+            return HexFormat.of().formatHex(digest);
+        } catch (NoSuchAlgorithmException e) {
+            throw new IllegalStateException("SHA-256 is not available", e);
+        }
+    }
+}
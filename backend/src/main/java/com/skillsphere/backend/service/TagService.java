@@ -0,0 +1,176 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.dto.TagDTO;
+import com.skillsphere.backend.model.Post;
+import com.skillsphere.backend.model.PostTag;
+import com.skillsphere.backend.model.Tag;
+import com.skillsphere.backend.repository.PostTagRepository;
+import com.skillsphere.backend.repository.TagRepository;
+import jakarta.persistence.EntityManager;
+import jakarta.persistence.PersistenceContext;
+import jakarta.persistence.TypedQuery;
+import org.slf4j.Logger;
+import org.slf4j.LoggerFactory;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.boot.context.event.ApplicationReadyEvent;
+import org.springframework.context.event.EventListener;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.Arrays;
+import java.util.Collection;
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Locale;
+import java.util.Map;
+import java.util.Optional;
+import java.util.stream.Collectors;
+
+/**
+ * Normalizes post tags into {@link Tag} rows. Posts keep a comma-separated copy of their
+ * canonical tag names in {@code Post.tags} for display; filtering and counts go through
+ * {@link PostTag}.
+ */
+@Service
+public class TagService {
+    private static final Logger logger = LoggerFactory.getLogger(TagService.class);
+    private static final int MAX_TAG_LENGTH = 50;
+
+    @Autowired
+    private TagRepository tagRepository;
+
+    @Autowired
+    private PostTagRepository postTagRepository;
+
+    @PersistenceContext
+    private EntityManager entityManager;
+
+    @Value("${app.tags.max-per-post:8}")
+    private int maxTagsPerPost;
+
+    /** "  Spring Boot " -> "spring-boot", "C#" -> "c#". Returns "" for input without usable characters. */
+    public static String slugify(String raw) {
+        if (raw == null) {
+            return "";
+        }
+        String slug = raw.trim().toLowerCase(Locale.ROOT)
+                .replaceAll("[\\s_]+", "-")
+                .replaceAll("[^a-z0-9+#.-]", "")
+                .replaceAll("-{2,}", "-")
+                .replaceAll("^-|-$", "");
+        return slug.length() > MAX_TAG_LENGTH ? slug.substring(0, MAX_TAG_LENGTH) : slug;
+    }
+
+    public static List<String> splitTags(String csv) {
+        return csv == null ? List.of() : Arrays.stream(csv.split(","))
+                .map(String::trim)
+                .filter(tag -> !tag.isEmpty())
+                .collect(Collectors.toList());
+    }
+
+    /**
+     * Replaces the post's tags with {@code rawTags}, creating tags that don't exist yet, and
+     * returns the canonical names to store in {@code Post.tags} (null when there are none).
+     *
+     * @throws IllegalArgumentException when more than the allowed number of tags is given
+     */
+    @Transactional
+    public String syncPostTags(Post post, Collection<String> rawTags) {
+        Map<String, String> bySlug = new LinkedHashMap<>();
+        if (rawTags != null) {
+            for (String raw : rawTags) {
+                String slug = slugify(raw);
+                if (!slug.isEmpty()) {
+                    bySlug.putIfAbsent(slug, raw.trim().replaceAll("\\s+", " "));
+                }
+            }
+        }
+        if (bySlug.size() > maxTagsPerPost) {
+            throw new IllegalArgumentException("A post can have at most " + maxTagsPerPost + " tags");
+        }
+
+        postTagRepository.deleteByPostId(post.getId());
+        List<String> names = new ArrayList<>();
+        bySlug.forEach((slug, name) -> {
+            Tag tag = tagRepository.findBySlug(slug).orElseGet(() -> {
+                Tag created = new Tag();
+                created.setSlug(slug);
+                created.setName(name.length() > MAX_TAG_LENGTH ? name.substring(0, MAX_TAG_LENGTH) : name);
+                return tagRepository.save(created);
+            });
+            PostTag postTag = new PostTag();
+            postTag.setPost(post);
+            postTag.setTag(tag);
+            postTagRepository.save(postTag);
+            names.add(tag.getName());
+        });
+        return names.isEmpty() ? null : String.join(",", names);
+    }
+
+    @Transactional
+    public void removePostTags(Long postId) {
+        postTagRepository.deleteByPostId(postId);
+    }
+
+    /** Tags on visible posts with their post counts, most used first, optionally filtered by prefix. */
+    @Transactional(readOnly = true)
+    public List<TagDTO> getTags(String prefix, int limit) {
+        String slugPrefix = slugify(prefix);
+        StringBuilder jpql = new StringBuilder("select t, count(pt) from PostTag pt join pt.tag t join pt.post p where ")
+                .append(PostService.VISIBLE_POST_CONDITION);
+        if (!slugPrefix.isEmpty()) {
+            jpql.append(" and t.slug like :prefix");
+        }
+        jpql.append(" group by t order by count(pt) desc, t.name asc");
+        TypedQuery<Object[]> query = entityManager.createQuery(jpql.toString(), Object[].class)
+                .setParameter("now", LocalDateTime.now());
+        if (!slugPrefix.isEmpty()) {
+            query.setParameter("prefix", slugPrefix + "%");
+        }
+        return query.setMaxResults(limit).getResultList().stream()
+                .map(row -> toDTO((Tag) row[0], (Long) row[1]))
+                .collect(Collectors.toList());
+    }
+
+    @Transactional(readOnly = true)
+    public Optional<TagDTO> getTag(String slug) {
+        return tagRepository.findBySlug(slugify(slug)).map(tag -> {
+            Long count = entityManager.createQuery("select count(pt) from PostTag pt join pt.post p"
+                            + " where pt.tag = :tag and " + PostService.VISIBLE_POST_CONDITION, Long.class)
+                    .setParameter("tag", tag)
+                    .setParameter("now", LocalDateTime.now())
+                    .getSingleResult();
+            return toDTO(tag, count);
+        });
+    }
+
+    /** Posts created before tags were normalized only have the comma-separated column; link them once. */
+    @EventListener(ApplicationReadyEvent.class)
+    @Transactional
+    public void backfillPostTags() {
+        if (postTagRepository.count() > 0) {
+            return;
+        }
+        List<Post> posts = entityManager.createQuery("select p from Post p where p.tags is not null", Post.class)
+                .getResultList();
+        for (Post post : posts) {
+            // Older posts may exceed today's limit; keep their first tags rather than failing.
+            List<String> tags = splitTags(post.getTags());
+            post.setTags(syncPostTags(post, tags.subList(0, Math.min(tags.size(), maxTagsPerPost))));
+        }
+        if (!posts.isEmpty()) {
+            logger.info("Linked tags for {} existing posts", posts.size());
+        }
+    }
+
+    private TagDTO toDTO(Tag tag, long count) {
+        TagDTO dto = new TagDTO();
+        dto.setName(tag.getName());
+        dto.setSlug(tag.getSlug());
+        dto.setCount(count);
+        return dto;
+    }
+}
@@ -0,0 +1,309 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.dto.TimelineDTO;
+import com.skillsphere.backend.dto.UserDTO;
+import com.skillsphere.backend.model.ActivityEvent;
+import com.skillsphere.backend.model.Comment;
+import com.skillsphere.backend.model.Post;
+import com.skillsphere.backend.model.Reaction;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.ActivityEventRepository;
+import com.skillsphere.backend.repository.UserRepository;
+import jakarta.persistence.EntityManager;
+import jakarta.persistence.PersistenceContext;
+import jakarta.persistence.TypedQuery;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.time.format.DateTimeParseException;
+import java.util.ArrayList;
+import java.util.Comparator;
+import java.util.HashMap;
+import java.util.LinkedHashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+
+/**
+ * A user's activity, newest first: posts, comments and reactions come from their own tables,
+ * follows and learning-plan status changes from {@link ActivityEvent}. Other users only see a
+ * timeline its owner shared. Drafts and scheduled posts, and activity on them, stay off every
+ * timeline until they are published.
+ *
+ * <p>Pages are cut by time rather than offset: each page ends at the {@code before} cursor
+ * returned with the previous one.
+ */
+@Service
+public class TimelineService {
+    public static final String POST = "POST";
+    public static final String COMMENT = "COMMENT";
+    public static final String REACTION = "REACTION";
+    public static final Set<String> TYPES = Set.of(POST, COMMENT, REACTION, ActivityEvent.FOLLOW, ActivityEvent.PLAN_STATUS);
+    public static final int MAX_PAGE_SIZE = 100;
+    private static final int SNIPPET_LENGTH = 140;
+
+    @Autowired
+    private ActivityEventRepository activityEventRepository;
+
+    @Autowired
+    private UserRepository userRepository;
+
+    @PersistenceContext
+    private EntityManager entityManager;
+
+    /**
+     * @param types  event types to include; all of them when empty
+     * @param from   first day to include, or null
+     * @param to     last day to include, or null
+     * @param before only events strictly older than this timestamp (the previous page's cursor), or null
+     * @throws SecurityException        when the viewer isn't the owner and the timeline isn't shared
+     * @throws IllegalArgumentException for unknown types or an unreadable cursor
+     */
+    @Transactional(readOnly = true)
+    public TimelineDTO getTimeline(Long ownerId, Long viewerId, Set<String> types, LocalDate from, LocalDate to,
+                                   String before, int limit) {
+        User owner = userRepository.findById(ownerId)
+                .orElseThrow(() -> new RuntimeException("User not found"));
+        boolean isOwner = ownerId.equals(viewerId);
+        if (!isOwner && !owner.isTimelinePublic()) {
+            throw new SecurityException(owner.getUsername() + " keeps their timeline private");
+        }
+        Set<String> wanted = new LinkedHashSet<>(types == null || types.isEmpty() ? TYPES : types);
+        wanted.stream().filter(type -> !TYPES.contains(type)).findFirst().ifPresent(type -> {
+            throw new IllegalArgumentException("Unknown event type: " + type);
+        });
+
+        LocalDateTime start = from != null ? from.atStartOfDay() : null;
+        LocalDateTime end = to != null ? to.plusDays(1).atStartOfDay() : null;
+        if (before != null && !before.isBlank()) {
+            LocalDateTime cursor = parseCursor(before);
+            end = end == null || cursor.isBefore(end) ? cursor : end;
+        }
+        Range range = new Range(start, end);
+
+        // Each source returns one more than a page so we can tell whether anything older is left.
+        List<Entry> entries = new ArrayList<>();
+        if (wanted.contains(POST)) {
+            findPosts(ownerId, range, limit + 1).forEach(post -> entries.add(toEntry(post)));
+        }
+        if (wanted.contains(COMMENT)) {
+            findComments(ownerId, range, limit + 1).forEach(comment -> entries.add(toEntry(comment)));
+        }
+        if (wanted.contains(REACTION)) {
+            findReactions(ownerId, range, limit + 1).forEach(reaction -> entries.add(toEntry(reaction)));
+        }
+        List<String> logged = wanted.stream()
+                .filter(type -> type.equals(ActivityEvent.FOLLOW) || type.equals(ActivityEvent.PLAN_STATUS))
+                .toList();
+        if (!logged.isEmpty()) {
+            findActivityEvents(ownerId, logged, range, limit + 1).forEach(event -> entries.add(toEntry(event)));
+        }
+        entries.sort(Comparator.comparing(Entry::at).reversed());
+
+        TimelineDTO timeline = new TimelineDTO();
+        UserDTO ownerDTO = new UserDTO();
+        ownerDTO.setId(owner.getId());
+        ownerDTO.setUsername(owner.getUsername());
+        timeline.setOwner(ownerDTO);
+        timeline.setShared(owner.isTimelinePublic());
+        List<Entry> page = entries.subList(0, Math.min(limit, entries.size()));
+        page.forEach(entry -> timeline.getEvents().add(entry.event()));
+        if (entries.size() > limit) {
+            timeline.setNextBefore(page.get(page.size() - 1).at().toString());
+        }
+        return timeline;
+    }
+
+    @Transactional
+    public boolean setShared(Long userId, boolean shared) {
+        User user = userRepository.findById(userId)
+                .orElseThrow(() -> new RuntimeException("User not found"));
+        user.setTimelinePublic(shared);
+        userRepository.save(user);
+        return shared;
+    }
+
+    @Transactional
+    public void recordFollow(User follower, User followed) {
+        ActivityEvent event = new ActivityEvent();
+        event.setUser(follower);
+        event.setType(ActivityEvent.FOLLOW);
+        event.setTargetUser(followed);
+        activityEventRepository.save(event);
+    }
+
+    /** The plan's current status, or null for an unknown plan. */
+    @Transactional(readOnly = true)
+    public String findPlanStatus(Long learningPlanId) {
+        List<Object> statuses = entityManager
+                .createQuery("select lp.status from LearningPlan lp where lp.id = :id", Object.class)
+                .setParameter("id", learningPlanId)
+                .getResultList();
+        return statuses.isEmpty() || statuses.get(0) == null ? null : statuses.get(0).toString();
+    }
+
+    /** Puts the plan's status on its owner's timeline if it is no longer {@code previousStatus}. */
+    @Transactional
+    public void recordPlanStatusChange(Long learningPlanId, String previousStatus) {
+        List<Object[]> rows = entityManager
+                .createQuery("select lp.user, lp.title, lp.status from LearningPlan lp where lp.id = :id", Object[].class)
+                .setParameter("id", learningPlanId)
+                .getResultList();
+        if (rows.isEmpty() || rows.get(0)[0] == null || rows.get(0)[2] == null) {
+            return;
+        }
+        String status = rows.get(0)[2].toString();
+        if (!status.equals(previousStatus)) {
+            recordPlanStatus((User) rows.get(0)[0], learningPlanId, (String) rows.get(0)[1], status);
+        }
+    }
+
+    @Transactional
+    public void recordPlanStatus(User owner, Long learningPlanId, String planTitle, String status) {
+        ActivityEvent event = new ActivityEvent();
+        event.setUser(owner);
+        event.setType(ActivityEvent.PLAN_STATUS);
+        event.setLearningPlanId(learningPlanId);
+        event.setTitle(planTitle);
+        event.setDetail(status);
+        activityEventRepository.save(event);
+    }
+
+    /** Time bounds of a page: start inclusive, end exclusive, either may be open. */
+    private record Range(LocalDateTime start, LocalDateTime end) {
+    }
+
+    private record Entry(LocalDateTime at, TimelineDTO.Event event) {
+    }
+
+    private List<Post> findPosts(Long userId, Range range, int max) {
+        // Post.createdAt is an ISO-8601 string, which sorts and compares like the timestamp it holds.
+        return query(Post.class, "select p from Post p where p.user.id = :userId", "p.createdAt", true,
+                userId, range, max);
+    }
+
+    private List<Comment> findComments(Long userId, Range range, int max) {
+        return query(Comment.class, "select c from Comment c join c.post p where c.user.id = :userId", "c.createdAt",
+                false, userId, range, max);
+    }
+
+    private List<Reaction> findReactions(Long userId, Range range, int max) {
+        return query(Reaction.class, "select r from Reaction r join r.post p where r.user.id = :userId", "r.createdAt",
+                true, userId, range, max);
+    }
+
+    private List<ActivityEvent> findActivityEvents(Long userId, List<String> types, Range range, int max) {
+        StringBuilder jpql = new StringBuilder(
+                "select e from ActivityEvent e where e.user.id = :userId and e.type in :types");
+        Map<String, Object> params = new HashMap<>();
+        params.put("userId", userId);
+        params.put("types", types);
+        appendRange(jpql, params, "e.createdAt", false, range);
+        jpql.append(" order by e.createdAt desc, e.id desc");
+        TypedQuery<ActivityEvent> query = entityManager.createQuery(jpql.toString(), ActivityEvent.class);
+        params.forEach((name, value) -> query.setParameter(name, value));
+        return query.setMaxResults(max).getResultList();
+    }
+
+    /** Runs {@code select} (which must bind the post as {@code p}) within the range, newest first. */
+    private <T> List<T> query(Class<T> type, String select, String timeField, boolean stringTimestamps,
+                              Long userId, Range range, int max) {
+        StringBuilder jpql = new StringBuilder(select);
+        Map<String, Object> params = new HashMap<>();
+        params.put("userId", userId);
+        jpql.append(" and ").append(PostService.VISIBLE_POST_CONDITION);
+        params.put("now", LocalDateTime.now());
+        appendRange(jpql, params, timeField, stringTimestamps, range);
+        jpql.append(" order by ").append(timeField).append(" desc");
+        TypedQuery<T> query = entityManager.createQuery(jpql.toString(), type);
+        params.forEach((name, value) -> query.setParameter(name, value));
+        return query.setMaxResults(max).getResultList();
+    }
+
+    private static void appendRange(StringBuilder jpql, Map<String, Object> params, String field,
+                                    boolean stringTimestamps, Range range) {
+        if (range.start() != null) {
+            jpql.append(" and ").append(field).append(" >= :start");
+            params.put("start", stringTimestamps ? range.start().toString() : range.start());
+        }
+        if (range.end() != null) {
+            jpql.append(" and ").append(field).append(" < :end");
+            params.put("end", stringTimestamps ? range.end().toString() : range.end());
+        }
+        if (stringTimestamps) {
+            jpql.append(" and ").append(field).append(" is not null");
+        }
+    }
+
+    private static LocalDateTime parseCursor(String before) {
+        try {
+            return LocalDateTime.parse(before);
+        } catch (DateTimeParseException e) {
+            throw new IllegalArgumentException("Invalid cursor: " + before);
+        }
+    }
+
+    private static LocalDateTime parseTimestamp(String value) {
+        try {
+            return LocalDateTime.parse(value);
+        } catch (DateTimeParseException | NullPointerException e) {
+            return LocalDateTime.of(1970, 1, 1, 0, 0);
+        }
+    }
+
+    private static Entry toEntry(Post post) {
+        TimelineDTO.Event event = newEvent(POST, post.getId(), post.getCreatedAt());
+        event.setTitle(post.getTitle());
+        event.setSnippet(snippet(post.getContent()));
+        event.setLink("/post/" + post.getId());
+        return new Entry(parseTimestamp(post.getCreatedAt()), event);
+    }
+
+    private static Entry toEntry(Comment comment) {
+        TimelineDTO.Event event = newEvent(COMMENT, comment.getId(), comment.getCreatedAt().toString());
+        event.setTitle(comment.getPost().getTitle());
+        event.setSnippet(snippet(comment.getText()));
+        event.setLink("/post/" + comment.getPost().getId());
+        return new Entry(comment.getCreatedAt(), event);
+    }
+
+    private static Entry toEntry(Reaction reaction) {
+        TimelineDTO.Event event = newEvent(REACTION, reaction.getId(), reaction.getCreatedAt());
+        event.setTitle(reaction.getPost().getTitle());
+        event.setDetail(reaction.getReactionType());
+        event.setLink("/post/" + reaction.getPost().getId());
+        return new Entry(parseTimestamp(reaction.getCreatedAt()), event);
+    }
+
+    private static Entry toEntry(ActivityEvent activity) {
+        TimelineDTO.Event event = newEvent(activity.getType(), activity.getId(), activity.getCreatedAt().toString());
+        if (ActivityEvent.FOLLOW.equals(activity.getType()) && activity.getTargetUser() != null) {
+            event.setTitle(activity.getTargetUser().getUsername());
+            event.setLink("/profile/" + activity.getTargetUser().getId());
+        } else {
+            event.setTitle(activity.getTitle());
+            event.setDetail(activity.getDetail());
+            event.setLink(activity.getLearningPlanId() != null ? "/learning-plan/" + activity.getLearningPlanId() : null);
+        }
+        return new Entry(activity.getCreatedAt(), event);
+    }
+
+    private static TimelineDTO.Event newEvent(String type, Long id, String createdAt) {
+        TimelineDTO.Event event = new TimelineDTO.Event();
+        event.setId(type.toLowerCase() + "-" + id);
+        event.setType(type);
+        event.setCreatedAt(createdAt);
+        return event;
+    }
+
+    private static String snippet(String text) {
+        if (text == null) {
+            return null;
+        }
+        String flat = text.replaceAll("\\s+", " ").trim();
+        return flat.length() <= SNIPPET_LENGTH ? flat : flat.substring(0, SNIPPET_LENGTH - 1).trim() + "…";
+    }
+}
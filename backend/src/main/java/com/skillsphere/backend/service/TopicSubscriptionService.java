@@ -0,0 +1,55 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.model.TopicSubscription;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.TopicSubscriptionRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.util.List;
+import java.util.Set;
+
+@Service
+public class TopicSubscriptionService {
+    private static final Set<String> TOPIC_TYPES = Set.of("TAG", "CATEGORY");
+
+    @Autowired
+    private TopicSubscriptionRepository topicSubscriptionRepository;
+
+    @Transactional(readOnly = true)
+    public List<TopicSubscription> getSubscriptions(Long userId) {
+        return topicSubscriptionRepository.findByUserIdOrderByCreatedAtDesc(userId);
+    }
+
+    @Transactional
+    public TopicSubscription subscribe(User user, String type, String value) {
+        String normalizedType = type != null ? type.trim().toUpperCase() : "";
+        if (!TOPIC_TYPES.contains(normalizedType)) {
+            throw new IllegalArgumentException("Unsupported topic type: " + type);
+        }
+        String normalizedValue = value != null ? value.trim().toLowerCase() : "";
+        if (normalizedValue.isEmpty()) {
+            throw new IllegalArgumentException("Topic value is required");
+        }
+        return topicSubscriptionRepository
+                .findByUserIdAndTypeAndValue(user.getId(), normalizedType, normalizedValue)
+                .orElseGet(() -> {
+                    TopicSubscription subscription = new TopicSubscription();
+                    subscription.setUser(user);
+                    subscription.setType(normalizedType);
+                    subscription.setValue(normalizedValue);
+                    return topicSubscriptionRepository.save(subscription);
+                });
+    }
+
+    @Transactional
+    public void unsubscribe(Long subscriptionId, Long userId) {
+        TopicSubscription subscription = topicSubscriptionRepository.findById(subscriptionId)
+                .orElseThrow(() -> new RuntimeException("Subscription not found"));
+        if (!subscription.getUser().getId().equals(userId)) {
+            throw new RuntimeException("Unauthorized");
+        }
+        topicSubscriptionRepository.delete(subscription);
+    }
+}
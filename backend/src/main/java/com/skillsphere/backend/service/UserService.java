@@ -11,9 +11,11 @@ import org.springframework.security.core.userdetails.UserDetailsService;
 import org.springframework.security.core.userdetails.UsernameNotFoundException;
 import org.springframework.security.crypto.password.PasswordEncoder;
 import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
 
 import javax.crypto.SecretKey;
 import java.util.ArrayList;
+import java.util.List;
 
 @Service
 public class UserService implements UserDetailsService {
@@ -22,12 +24,20 @@ public class UserService implements UserDetailsService {
     private final UserRepository userRepository;
     private final PasswordEncoder passwordEncoder;
     private final SecretKey secretKey;
+    private final NotificationService notificationService;
+    private final TimelineService timelineService;
+    private final RegistrationService registrationService;
 
     @Autowired
-    public UserService(UserRepository userRepository, PasswordEncoder passwordEncoder, SecretKey secretKey) {
+    public UserService(UserRepository userRepository, PasswordEncoder passwordEncoder, SecretKey secretKey,
+                       NotificationService notificationService, TimelineService timelineService,
+                       RegistrationService registrationService) {
         this.userRepository = userRepository;
         this.passwordEncoder = passwordEncoder;
         this.secretKey = secretKey;
+        this.notificationService = notificationService;
+        this.timelineService = timelineService;
+        this.registrationService = registrationService;
     }
 
     @Override
@@ -43,6 +53,7 @@ public class UserService implements UserDetailsService {
                 .withUsername(user.getUsername())
                 .password(user.getPassword())
                 .roles(user.isAdmin() ? "ADMIN" : "USER")
+                .disabled(user.isDisabled())
                 .build();
     }
 
@@ -55,14 +66,40 @@ public class UserService implements UserDetailsService {
                 });
     }
 
+    /**
+     * Registration without an email, for the original {@code /api/auth/register} endpoint. Such
+     * accounts can't reset their password until an address is added in account settings.
+     *
+     * @deprecated use {@link #register(String, String, String)}
+     */
+    @Deprecated
     public User register(String username, String password) {
+        return createUser(username, password, null, false);
+    }
+
+    /**
+     * Creates an account with its email in one transaction, so it never exists without a working
+     * password reset address.
+     *
+     * @throws IllegalArgumentException when a field breaks the registration rules or the email is taken
+     */
+    @Transactional
+    public User register(String username, String password, String email) {
+        return createUser(username, password, email, true);
+    }
+
+    private User createUser(String username, String password, String email, boolean withEmail) {
         logger.info("Registering user: {}", username);
         if (userRepository.findByUsername(username).isPresent()) {
             logger.error("Username already exists: {}", username);
             throw new RuntimeException("Username already exists");
         }
+        // Same rules the registration form checks as the user types.
+        registrationService.validateRegistration(username, password);
+        String normalizedEmail = withEmail ? registrationService.validateEmail(email, null) : null;
         User user = new User();
         user.setUsername(username);
+        user.setEmail(normalizedEmail);
         user.setPassword(passwordEncoder.encode(password));
         user.setCreatedAt(java.time.LocalDateTime.now().toString());
         user.setAdmin(false);
@@ -78,6 +115,10 @@ public class UserService implements UserDetailsService {
             logger.warn("User not found: {}", username);
             return null;
         }
+        if (user.isDisabled()) {
+            logger.warn("Login attempt for disabled account: {}", username);
+            return null;
+        }
         if (passwordEncoder.matches(password, user.getPassword())) {
             logger.info("User authenticated successfully: {}", username);
             return user;
@@ -91,6 +132,9 @@ public class UserService implements UserDetailsService {
             followed.getFollowers().add(follower);
             userRepository.save(followed);
             logger.info("User {} now follows user {}", follower.getId(), followed.getId());
+            timelineService.recordFollow(follower, followed);
+            notificationService.notify(followed, follower, "FOLLOW",
+                    follower.getUsername() + " started following you", "/profile/" + follower.getId());
         }
     }
 
@@ -100,6 +144,17 @@ public class UserService implements UserDetailsService {
         logger.info("User {} unfollowed user {}", follower.getId(), followed.getId());
     }
 
+    public List<User> getFollowing(User user) {
+        return userRepository.findByFollowersContaining(user);
+    }
+
+    public List<User> findByUsernamePrefix(String prefix) {
+        if (prefix == null || prefix.isBlank()) {
+            return new ArrayList<>();
+        }
+        return userRepository.findTop8ByUsernameStartingWithIgnoreCaseAndDisabledFalseOrderByUsername(prefix.trim());
+    }
+
     public User getUserFromToken(String token) {
         String userId = Jwts.parserBuilder()
                 .setSigningKey(secretKey)
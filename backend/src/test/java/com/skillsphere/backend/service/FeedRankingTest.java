@@ -0,0 +1,88 @@
+package com.skillsphere.backend.service;
+
+import org.junit.jupiter.api.Test;
+
+import java.time.LocalDateTime;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+
+import static org.junit.jupiter.api.Assertions.assertEquals;
+import static org.junit.jupiter.api.Assertions.assertTrue;
+
+class FeedRankingTest {
+	private static final LocalDateTime NOW = LocalDateTime.of(2024, 3, 1, 12, 0);
+
+	private static FeedRanking.Candidate post(long id, int hoursOld, long reactions, long comments, String... tags) {
+		return new FeedRanking.Candidate(id, NOW.minusHours(hoursOld), reactions, comments, Set.of(tags));
+	}
+
+	@Test
+	void newPostWithoutEngagementScoresFullRecencyOnly() {
+		double score = FeedRanking.score(post(1, 0, 0, 0), Map.of(), NOW);
+
+		assertEquals(FeedRanking.RECENCY_WEIGHT, score, 1e-9);
+	}
+
+	@Test
+	void recencyHalvesEveryHalfLife() {
+		int halfLife = (int) FeedRanking.RECENCY_HALF_LIFE_HOURS;
+		double score = FeedRanking.score(post(1, halfLife, 0, 0), Map.of(), NOW);
+
+		assertEquals(FeedRanking.RECENCY_WEIGHT / 2, score, 1e-9);
+	}
+
+	@Test
+	void engagementIsLogDamped() {
+		double score = FeedRanking.score(post(1, 10_000, 3, 1), Map.of(), NOW);
+		double expected = FeedRanking.REACTION_WEIGHT * Math.log(4) + FeedRanking.COMMENT_WEIGHT * Math.log(2);
+
+		assertEquals(expected, score, 1e-3);
+	}
+
+	@Test
+	void interestIsCappedAtOne() {
+		Map<String, Double> interests = Map.of("java", 1.0, "spring", 1.0);
+		double withOneTag = FeedRanking.score(post(1, 0, 0, 0, "java"), interests, NOW);
+		double withTwoTags = FeedRanking.score(post(1, 0, 0, 0, "java", "spring"), interests, NOW);
+
+		assertEquals(FeedRanking.RECENCY_WEIGHT + FeedRanking.INTEREST_WEIGHT, withOneTag, 1e-9);
+		assertEquals(withOneTag, withTwoTags, 1e-9);
+	}
+
+	@Test
+	void futureTimestampsDoNotBoostRecency() {
+		FeedRanking.Candidate future = new FeedRanking.Candidate(1L, NOW.plusDays(2), 0, 0, Set.of());
+
+		assertEquals(FeedRanking.RECENCY_WEIGHT, FeedRanking.score(future, Map.of(), NOW), 1e-9);
+	}
+
+	@Test
+	void interestWeightsAreRelativeToTheTopTag() {
+		Map<String, Double> weights = FeedRanking.interestWeights(Map.of("java", 4L, "react", 1L, "css", 0L));
+
+		assertEquals(Map.of("java", 1.0, "react", 0.25), weights);
+		assertTrue(FeedRanking.interestWeights(Map.of()).isEmpty());
+	}
+
+	@Test
+	void rankPrefersMatchingTagsOverPlainRecency() {
+		FeedRanking.Candidate fresh = post(1, 0, 0, 0, "cooking");
+		FeedRanking.Candidate relevant = post(2, 12, 0, 0, "java");
+
+		List<FeedRanking.Candidate> ranked = FeedRanking.rank(List.of(fresh, relevant), Map.of("java", 1.0), NOW);
+
+		assertEquals(List.of(relevant, fresh), ranked);
+	}
+
+	@Test
+	void rankBreaksTiesByNewestThenHighestId() {
+		FeedRanking.Candidate older = post(1, 200, 0, 0);
+		FeedRanking.Candidate lowId = post(2, 5, 0, 0);
+		FeedRanking.Candidate highId = post(3, 5, 0, 0);
+
+		List<FeedRanking.Candidate> ranked = FeedRanking.rank(List.of(older, lowId, highId), Map.of(), NOW);
+
+		assertEquals(List.of(highId, lowId, older), ranked);
+	}
+}
@@ -0,0 +1,146 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.model.PasswordResetToken;
+import com.skillsphere.backend.model.User;
+import com.skillsphere.backend.repository.PasswordResetTokenRepository;
+import com.skillsphere.backend.repository.UserRepository;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+import org.junit.jupiter.api.io.TempDir;
+import org.mockito.InjectMocks;
+import org.mockito.Mock;
+import org.mockito.Spy;
+import org.mockito.junit.jupiter.MockitoExtension;
+import org.springframework.security.crypto.bcrypt.BCryptPasswordEncoder;
+import org.springframework.security.crypto.password.PasswordEncoder;
+import org.springframework.test.util.ReflectionTestUtils;
+
+import java.nio.file.Path;
+import java.time.Duration;
+import java.util.ArrayList;
+import java.util.List;
+import java.util.Optional;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
+
+import static org.junit.jupiter.api.Assertions.*;
+import static org.mockito.Mockito.*;
+
+@ExtendWith(MockitoExtension.class)
+class PasswordResetFlowTest {
+	private static final Pattern LINK = Pattern.compile("http://app\\.test/reset-password\\?token=([A-Za-z0-9_-]+)");
+
+	@Mock
+	private UserRepository userRepository;
+
+	@Mock
+	private PasswordResetTokenRepository passwordResetTokenRepository;
+
+	@Mock
+	private RegistrationService registrationService;
+
+	@Mock
+	private SessionService sessionService;
+
+	@Spy
+	private MailService mailService = new MailService();
+
+	@Spy
+	private PasswordEncoder passwordEncoder = new BCryptPasswordEncoder();
+
+	@InjectMocks
+	private AccountService accountService;
+
+	@TempDir
+	Path mailSink;
+
+	private final List<PasswordResetToken> savedTokens = new ArrayList<>();
+	private User user;
+
+	@BeforeEach
+	void setUp() {
+		ReflectionTestUtils.setField(mailService, "sinkDir", mailSink.toString());
+		ReflectionTestUtils.setField(mailService, "from", "SkillSphere <no-reply@app.test>");
+		ReflectionTestUtils.setField(accountService, "passwordResetTtl", Duration.ofHours(1));
+		ReflectionTestUtils.setField(accountService, "frontendBaseUrl", "http://app.test/");
+
+		user = new User();
+		user.setId(7L);
+		user.setUsername("ada");
+		user.setEmail("ada@example.com");
+		user.setPassword(passwordEncoder.encode("old password 1"));
+	}
+
+	private void storeResetTokens() {
+		when(passwordResetTokenRepository.save(any(PasswordResetToken.class))).thenAnswer(invocation -> {
+			PasswordResetToken token = invocation.getArgument(0);
+			savedTokens.add(token);
+			return token;
+		});
+		when(passwordResetTokenRepository.findByTokenHash(anyString())).thenAnswer(invocation -> savedTokens.stream()
+				.filter(token -> token.getTokenHash().equals(invocation.getArgument(0)))
+				.findFirst());
+	}
+
+	private String tokenFromMail() {
+		List<MailService.Message> sent = mailService.getSentMessages();
+		assertEquals(1, sent.size());
+		MailService.Message mail = sent.get(0);
+		assertEquals("ada@example.com", mail.to());
+		Matcher link = LINK.matcher(mail.body());
+		assertTrue(link.find(), "the mail should contain a reset link: " + mail.body());
+		return link.group(1);
+	}
+
+	@Test
+	void emailedLinkResetsThePasswordAndSignsOutEverywhere() {
+		when(userRepository.findByEmailIgnoreCase("ada@example.com")).thenReturn(Optional.of(user));
+		storeResetTokens();
+
+		accountService.requestPasswordReset("  Ada@Example.com ");
+		String token = tokenFromMail();
+		assertNotEquals(token, savedTokens.get(0).getTokenHash(), "only a hash of the token is stored");
+
+		accountService.resetPassword(token, "new password 2");
+
+		assertTrue(passwordEncoder.matches("new password 2", user.getPassword()));
+		assertNotNull(savedTokens.get(0).getUsedAt());
+		verify(passwordResetTokenRepository).invalidateAllForUser(eq(7L), any());
+		verify(sessionService).logoutEverywhere(user);
+	}
+
+	@Test
+	void linkWorksOnlyOnce() {
+		when(userRepository.findByEmailIgnoreCase("ada@example.com")).thenReturn(Optional.of(user));
+		storeResetTokens();
+		accountService.requestPasswordReset("ada@example.com");
+		String token = tokenFromMail();
+		accountService.resetPassword(token, "new password 2");
+
+		assertThrows(IllegalArgumentException.class, () -> accountService.resetPassword(token, "new password 3"));
+		assertTrue(passwordEncoder.matches("new password 2", user.getPassword()));
+	}
+
+	@Test
+	void unknownTokenIsRejected() {
+		when(passwordResetTokenRepository.findByTokenHash(anyString())).thenReturn(Optional.empty());
+
+		assertThrows(IllegalArgumentException.class, () -> accountService.resetPassword("not-a-token", "new password 2"));
+		assertThrows(IllegalArgumentException.class, () -> accountService.resetPassword(" ", "new password 2"));
+		verifyNoInteractions(sessionService);
+	}
+
+	@Test
+	void unknownOrDisabledAddressGetsNoMail() {
+		when(userRepository.findByEmailIgnoreCase("nobody@example.com")).thenReturn(Optional.empty());
+		accountService.requestPasswordReset("nobody@example.com");
+
+		user.setDisabled(true);
+		when(userRepository.findByEmailIgnoreCase("ada@example.com")).thenReturn(Optional.of(user));
+		accountService.requestPasswordReset("ada@example.com");
+
+		assertTrue(mailService.getSentMessages().isEmpty());
+		verify(passwordResetTokenRepository, never()).save(any());
+	}
+}
@@ -0,0 +1,54 @@
+package com.skillsphere.backend.service;
+
+import com.skillsphere.backend.model.QuizQuestion.Type;
+import org.junit.jupiter.api.Test;
+
+import java.util.List;
+
+import static org.junit.jupiter.api.Assertions.assertEquals;
+import static org.junit.jupiter.api.Assertions.assertFalse;
+import static org.junit.jupiter.api.Assertions.assertTrue;
+
+class QuizGradingTest {
+	@Test
+	void singleChoiceNeedsExactlyTheRightOption() {
+		assertTrue(QuizGrading.isCorrect(Type.SINGLE_CHOICE, List.of(2), List.of(), List.of(2), null));
+		assertFalse(QuizGrading.isCorrect(Type.SINGLE_CHOICE, List.of(2), List.of(), List.of(1), null));
+		assertFalse(QuizGrading.isCorrect(Type.SINGLE_CHOICE, List.of(2), List.of(), List.of(1, 2), null));
+		assertFalse(QuizGrading.isCorrect(Type.SINGLE_CHOICE, List.of(2), List.of(), List.of(), null));
+	}
+
+	@Test
+	void multipleChoiceIsAllOrNothingInAnyOrder() {
+		assertTrue(QuizGrading.isCorrect(Type.MULTIPLE_CHOICE, List.of(0, 3), List.of(), List.of(3, 0), null));
+		assertTrue(QuizGrading.isCorrect(Type.MULTIPLE_CHOICE, List.of(0, 3), List.of(), List.of(0, 3, 3), null));
+		assertFalse(QuizGrading.isCorrect(Type.MULTIPLE_CHOICE, List.of(0, 3), List.of(), List.of(0), null));
+		assertFalse(QuizGrading.isCorrect(Type.MULTIPLE_CHOICE, List.of(0, 3), List.of(), List.of(0, 1, 3), null));
+		assertFalse(QuizGrading.isCorrect(Type.MULTIPLE_CHOICE, List.of(0, 3), List.of(), null, null));
+	}
+
+	@Test
+	void shortAnswersIgnoreCaseSpacingAndTrailingPunctuation() {
+		List<String> accepted = List.of("Dependency Injection", "DI");
+
+		assertTrue(QuizGrading.isCorrect(Type.SHORT_ANSWER, List.of(), accepted, List.of(), "  dependency   injection. "));
+		assertTrue(QuizGrading.isCorrect(Type.SHORT_ANSWER, List.of(), accepted, List.of(), "di!"));
+		assertFalse(QuizGrading.isCorrect(Type.SHORT_ANSWER, List.of(), accepted, List.of(), "injection"));
+		assertFalse(QuizGrading.isCorrect(Type.SHORT_ANSWER, List.of(), accepted, List.of(), "   "));
+		assertFalse(QuizGrading.isCorrect(Type.SHORT_ANSWER, List.of(), accepted, List.of(), null));
+	}
+
+	@Test
+	void percentRoundsAndHandlesEmptyQuizzes() {
+		assertEquals(67, QuizGrading.percent(2, 3));
+		assertEquals(100, QuizGrading.percent(5, 5));
+		assertEquals(0, QuizGrading.percent(0, 0));
+	}
+
+	@Test
+	void timedOutAttemptsNeverPass() {
+		assertTrue(QuizGrading.passed(70, 70, false));
+		assertFalse(QuizGrading.passed(69, 70, false));
+		assertFalse(QuizGrading.passed(100, 70, true));
+	}
+}
@@ -0,0 +1,46 @@
+package com.skillsphere.backend.service;
+
+import org.junit.jupiter.api.Test;
+
+import static org.junit.jupiter.api.Assertions.assertEquals;
+
+class RateLimiterTest {
+	@Test
+	void allowsUpToTheLimitWithinTheWindow() {
+		RateLimiter limiter = new RateLimiter(3, 60_000);
+
+		assertEquals(0, limiter.tryAcquire("login|1.2.3.4", 0));
+		assertEquals(0, limiter.tryAcquire("login|1.2.3.4", 10_000));
+		assertEquals(0, limiter.tryAcquire("login|1.2.3.4", 20_000));
+		assertEquals(30_000, limiter.tryAcquire("login|1.2.3.4", 30_000));
+	}
+
+	@Test
+	void slotsFreeUpAsOldAttemptsLeaveTheWindow() {
+		RateLimiter limiter = new RateLimiter(2, 60_000);
+		limiter.tryAcquire("k", 0);
+		limiter.tryAcquire("k", 50_000);
+
+		assertEquals(0, limiter.tryAcquire("k", 60_000));
+		assertEquals(50_000, limiter.tryAcquire("k", 60_000));
+	}
+
+	@Test
+	void rejectedAttemptsDoNotExtendTheWait() {
+		RateLimiter limiter = new RateLimiter(1, 60_000);
+		limiter.tryAcquire("k", 0);
+
+		assertEquals(50_000, limiter.tryAcquire("k", 10_000));
+		assertEquals(20_000, limiter.tryAcquire("k", 40_000));
+		assertEquals(0, limiter.tryAcquire("k", 60_000));
+	}
+
+	@Test
+	void keysAreLimitedSeparately() {
+		RateLimiter limiter = new RateLimiter(1, 60_000);
+
+		assertEquals(0, limiter.tryAcquire("login|1.2.3.4", 0));
+		assertEquals(0, limiter.tryAcquire("login|5.6.7.8", 0));
+		assertEquals(0, limiter.tryAcquire("register|1.2.3.4", 0));
+	}
+}
@@ -0,0 +1,67 @@
+package com.skillsphere.backend.service;
+
+import org.junit.jupiter.api.Test;
+
+import java.util.List;
+
+import static org.junit.jupiter.api.Assertions.assertEquals;
+import static org.junit.jupiter.api.Assertions.assertTrue;
+
+class RegistrationRulesTest {
+	private static final RegistrationRules.Policy POLICY =
+			new RegistrationRules.Policy(3, 30, 8, true, true, true, false);
+
+	@Test
+	void usernamesUseMentionableCharacters() {
+		assertTrue(RegistrationRules.usernameErrors("jane_doe", POLICY).isEmpty());
+		assertTrue(RegistrationRules.usernameErrors("j.doe-2", POLICY).isEmpty());
+		assertEquals(1, RegistrationRules.usernameErrors("jane doe", POLICY).size());
+		assertEquals(1, RegistrationRules.usernameErrors("jane.", POLICY).size());
+		assertEquals(1, RegistrationRules.usernameErrors("-jane", POLICY).size());
+	}
+
+	@Test
+	void usernamesRespectTheLengthLimits() {
+		assertEquals(List.of("Username must be 3-30 characters"), RegistrationRules.usernameErrors("jo", POLICY));
+		assertEquals(List.of("Username must be 3-30 characters"), RegistrationRules.usernameErrors("a".repeat(31), POLICY));
+		assertEquals(List.of("Username must be 3-30 characters"), RegistrationRules.usernameErrors(null, POLICY));
+	}
+
+	@Test
+	void anonymizedAccountNamesAreReserved() {
+		assertEquals(List.of("That username is reserved"), RegistrationRules.usernameErrors("Deleted-User-7", POLICY));
+	}
+
+	@Test
+	void passwordsMeetEveryRequiredRule() {
+		assertTrue(RegistrationRules.passwordErrors("Correct7horse", "jane", POLICY).isEmpty());
+		assertEquals(List.of("Password must be at least 8 characters"),
+				RegistrationRules.passwordErrors("Short7a", "jane", POLICY));
+		assertEquals(List.of("Password must contain an uppercase letter", "Password must contain a digit"),
+				RegistrationRules.passwordErrors("lowercaseonly", "jane", POLICY));
+	}
+
+	@Test
+	void symbolsAreOnlyRequiredWhenConfigured() {
+		RegistrationRules.Policy strict = new RegistrationRules.Policy(3, 30, 8, false, false, false, true);
+
+		assertEquals(List.of("Password must contain a symbol"), RegistrationRules.passwordErrors("abcdefgh1", "jane", strict));
+		assertTrue(RegistrationRules.passwordErrors("abcdefgh!", "jane", strict).isEmpty());
+		assertTrue(RegistrationRules.passwordErrors("Abcdefgh1", "jane", POLICY).isEmpty());
+	}
+
+	@Test
+	void passwordsMayNotContainTheUsername() {
+		assertEquals(List.of("Password must not contain the username"),
+				RegistrationRules.passwordErrors("MyJane2024", "jane", POLICY));
+	}
+
+	@Test
+	void emailsAreNormalizedAndNeedAnAtAndADomain() {
+		assertEquals("jane@example.com", RegistrationRules.normalizeEmail("  Jane@Example.COM "));
+		assertEquals(null, RegistrationRules.normalizeEmail(" "));
+		assertTrue(RegistrationRules.emailErrors("jane@example.com").isEmpty());
+		assertEquals(List.of("Please enter a valid email address"), RegistrationRules.emailErrors("jane@example"));
+		assertEquals(List.of("Please enter a valid email address"), RegistrationRules.emailErrors(null));
+	}
+}
@@ -1,6 +1,6 @@
 // src/App.jsx
 import { Routes, Route } from "react-router-dom";
-import { motion } from "framer-motion";
+import { motion, AnimatePresence } from "framer-motion";
 import Navbar from "./components/Navbar.jsx";
 import Footer from "./components/Footer.jsx";
 import Home from "./pages/Home.jsx";
@@ -9,14 +9,18 @@ import LearningPlan from "./pages/LearningPlan.jsx";
 import PostDetails from "./pages/PostDetails.jsx";
 import Subscriptions from "./pages/Subscriptions.jsx";
 import Admin from "./pages/Admin.jsx";
+import Search from "./pages/Search.jsx";
+import TagPage from "./pages/TagPage.jsx";
+import CollectionPage from "./pages/CollectionPage.jsx";
+import Quiz from "./pages/Quiz.jsx";
+import Timeline from "./pages/Timeline.jsx";
+import AccountSettings from "./pages/AccountSettings.jsx";
+import ResetPassword from "./pages/ResetPassword.jsx";
 import { useContext } from "react";
 import { AuthContext } from "./context/AuthContext.jsx";
 import ShareSkills from "./pages/ShareSkills";
 import LearningPlanDetail from "./pages/LearningPlanDetail.jsx"; 
 
-const Quiz = () => <div className="p-4">Quiz Page (To Be Implemented)</div>;
-const Timeline = () => <div className="p-4">Timeline Page (To Be Implemented)</div>;
-
 function App() {
   const { notifications } = useContext(AuthContext);
 
@@ -31,11 +35,35 @@ function App() {
           <Route path="/post/:postId" element={<PostDetails />} />
           <Route path="/subscriptions" element={<Subscriptions />} />
           <Route path="/admin" element={<Admin />} />
+          <Route path="/search" element={<Search />} />
+          <Route path="/tags/:tag" element={<TagPage />} />
+          <Route path="/collections/:collectionId" element={<CollectionPage />} />
           <Route path="/learning-plan" element={<LearningPlan />} />
           <Route path="/learning-plan/:id" element={<LearningPlanDetail />} />
+          <Route path="/quiz/:quizId" element={<Quiz />} />
+          <Route path="/timeline/:userId" element={<Timeline />} />
+          <Route path="/settings" element={<AccountSettings />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
         </Routes>
       </main>
       <Footer />
+      {/* Toasts */}
+      <div className="fixed bottom-6 right-6 z-[60] flex flex-col gap-2 items-end pointer-events-none">
+        <AnimatePresence>
+          {notifications.map((notification) => (
+            <motion.div
+              key={notification.id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, x: 40 }}
+              className="max-w-sm px-4 py-3 rounded-lg shadow-lg bg-gray-900 text-white dark:bg-white dark:text-gray-900 text-sm"
+              role="status"
+            >
+              {notification.message}
+            </motion.div>
+          ))}
+        </AnimatePresence>
+      </div>
     </div>
   );
 }
@@ -1,6 +1,7 @@
 import axios from "axios";
+import { apiUrl } from "./config.js";
 
-const API_URL = "http://localhost:8080/api";
+const API_URL = apiUrl();
 
 const api = axios.create({
   baseURL: API_URL,
@@ -9,184 +10,599 @@ const api = axios.create({
   },
 });
 
+// The current access token is pushed in by AuthContext so callers never pass it around.
+let authToken = null;
+let sessionRefresher = null;
+const sessionExpiredListeners = new Set();
+
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+// `refresher` resolves to a new access token; requests rejected with 401 are retried once with it.
+export const setSessionRefresher = (refresher) => {
+  sessionRefresher = refresher;
+};
+
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+api.interceptors.request.use((config) => {
+  if (authToken && !config.headers.Authorization && !config.skipAuth) {
+    config.headers.Authorization = `Bearer ${authToken}`;
+  }
+  return config;
+});
+
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const sentToken = Boolean(error.config?.headers?.Authorization);
+    if (error.response?.status === 401 && sentToken && sessionRefresher && !error.config.retriedAfterRefresh) {
+      let token = null;
+      try {
+        token = await sessionRefresher();
+      } catch (refreshError) {
+        console.warn("Could not refresh the session:", refreshError.response?.data || refreshError.message);
+      }
+      if (token) {
+        error.config.retriedAfterRefresh = true;
+        error.config.headers.Authorization = `Bearer ${token}`;
+        return api.request(error.config);
+      }
+    }
     console.error("API Error:", error.response?.status, error.response?.data || error.message);
+    if (error.response?.status === 401 && sentToken && !error.config?.skipSessionExpired) {
+      sessionExpiredListeners.forEach((listener) => listener(error));
+    }
     return Promise.reject(error);
   }
 );
 
-const getAuthHeaders = (token) => ({
+// 401s are already reported once through onSessionExpired, so callers don't show their own message for them.
+export const getApiErrorMessage = (error, fallbackMessage) => {
+  if (error.response?.status === 401) return "";
+  return error.response?.data?.message || fallbackMessage;
+};
+
+const multipartConfig = {
   headers: {
-    Authorization: `Bearer ${token}`,
-    "Content-Type": "application/json",
+    "Content-Type": "multipart/form-data",
   },
-});
+};
+
+// Answers with the user, a short-lived access token and a refresh token.
+export const signIn = async (username, password) => {
+  const response = await api.post("/auth/signin", { username, password });
+  return response.data;
+};
+
+// Creates the account, email included, and answers with a session like signIn.
+export const signUp = async (username, password, email) => {
+  const response = await api.post("/auth/signup", { username, password, email });
+  return response.data;
+};
+
+export const refreshSession = async (refreshToken) => {
+  const response = await api.post("/auth/refresh", { refreshToken }, { skipAuth: true });
+  return response.data;
+};
+
+export const logoutSession = async (refreshToken) => {
+  await api.post("/auth/logout", { refreshToken }, { skipAuth: true });
+};
+
+export const logoutAllSessions = async () => {
+  await api.post("/auth/logout-all", {}, { skipSessionExpired: true });
+};
+
+export const getCurrentUser = async (token) => {
+  const response = await api.get("/auth/me", {
+    headers: { Authorization: `Bearer ${token}` },
+    skipSessionExpired: true,
+  });
+  return response.data;
+};
+
+// The password policy is server configuration, so it is fetched once and shared.
+let passwordPolicyRequest = null;
+export const getPasswordPolicy = () => {
+  if (!passwordPolicyRequest) {
+    passwordPolicyRequest = api
+      .get("/auth/password-policy", { skipAuth: true })
+      .then((response) => response.data)
+      .catch((error) => {
+        passwordPolicyRequest = null;
+        throw error;
+      });
+  }
+  return passwordPolicyRequest;
+};
+
+// { available, errors } for a username someone wants to register.
+export const checkUsernameAvailability = async (username) => {
+  const response = await api.get("/auth/username-available", { params: { username }, skipAuth: true });
+  return response.data;
+};
+
+export const getAccount = async () => {
+  const response = await api.get("/account");
+  return response.data;
+};
+
+export const updateAccountEmail = async (email) => {
+  const response = await api.put("/account/email", { email });
+  return response.data;
+};
+
+// Signs out every other device; answers with a new session for this one.
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await api.put("/account/password", { currentPassword, newPassword });
+  return response.data;
+};
+
+export const requestPasswordReset = async (email) => {
+  await api.post("/account/password-reset", { email }, { skipAuth: true });
+};
+
+export const resetPassword = async (token, newPassword) => {
+  await api.post("/account/password-reset/confirm", { token, newPassword }, { skipAuth: true });
+};
+
+export const deleteAccount = async (password) => {
+  await api.delete("/account", { data: { password } });
+};
 
 export const getUserProfile = async (userId) => {
   const response = await api.get(`/profile/${userId}`);
   return response.data;
 };
 
-export const followUser = async (userId, token) => {
-  const response = await api.post(`/users/${userId}/follow`, {}, getAuthHeaders(token));
+export const searchUsers = async (prefix) => {
+  const response = await api.get("/users/search", { params: { q: prefix } });
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const followUser = async (userId) => {
+  const response = await api.post(`/users/${userId}/follow`, {});
   return response.data;
 };
 
-export const unfollowUser = async (userId, token) => {
-  const response = await api.post(`/users/${userId}/unfollow`, {}, getAuthHeaders(token));
+export const unfollowUser = async (userId) => {
+  const response = await api.post(`/users/${userId}/unfollow`, {});
   return response.data;
 };
 
-export const getPosts = async (token) => {
-  const response = await api.get("/posts", getAuthHeaders(token));
+export const getFollowing = async (userId) => {
+  const response = await api.get(`/users/${userId}/following`);
   return Array.isArray(response.data) ? response.data : [];
 };
 
-export const createPost = async (formData, token) => {
-  const response = await api.post("/posts", formData, {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "multipart/form-data",
-    },
-  });
+// Summaries ({ id, title, description, status, topicCount }) of the user's learning plans.
+export const getUserLearningPlans = async (userId) => {
+  const response = await api.get(`/users/${userId}/learning-plans`);
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const getTopicSubscriptions = async () => {
+  const response = await api.get("/topic-subscriptions");
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const subscribeToTopic = async (type, value) => {
+  const response = await api.post("/topic-subscriptions", { type, value });
   return response.data;
 };
 
-export const updatePost = async (postId, formData, token) => {
-  const response = await api.put(`/posts/${postId}`, formData, {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "multipart/form-data",
-    },
-  });
+export const unsubscribeFromTopic = async (subscriptionId) => {
+  await api.delete(`/topic-subscriptions/${subscriptionId}`);
+  return true;
+};
+
+export const getPosts = async () => {
+  const response = await api.get("/posts");
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const getPostsByAuthor = async (userId) => {
+  const response = await api.get("/posts", { params: { author: userId } });
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+// Returns { content, page, size, totalElements, hasNext }; tag and q are filtered server-side.
+export const getPostsPage = async ({ page = 0, size = 12, tag, q } = {}) => {
+  const params = { page, size };
+  if (tag) params.tag = tag;
+  if (q) params.q = q;
+  const response = await api.get("/posts", { params });
+  return response.data;
+};
+
+// Home feed page; `mode` is "latest", "following" or "for-you" (ranked on the server).
+export const getFeedPage = async ({ mode = "latest", page = 0, size = 12, tag, q } = {}) => {
+  const params = { mode, page, size };
+  if (tag) params.tag = tag;
+  if (q) params.q = q;
+  const response = await api.get("/posts/feed", { params });
+  return response.data;
+};
+
+export const getPostTags = async () => {
+  const response = await api.get("/posts/tags");
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+// Tags with post counts, most used first; `q` narrows them to a prefix for autocomplete.
+export const getTags = async ({ q, limit } = {}, signal) => {
+  const response = await api.get("/tags", { params: { q: q || undefined, limit }, signal });
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const getTag = async (slug) => {
+  const response = await api.get(`/tags/${encodeURIComponent(slug)}`);
+  return response.data;
+};
+
+export const getCategories = async () => {
+  const response = await api.get("/categories");
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+// onProgress receives the upload progress as a percentage (0-100).
+const uploadConfig = (onProgress) => ({
+  ...multipartConfig,
+  onUploadProgress: (event) => {
+    if (onProgress && event.total) onProgress(Math.round((event.loaded * 100) / event.total));
+  },
+});
+
+export const createPost = async (formData, onProgress) => {
+  const response = await api.post("/posts", formData, uploadConfig(onProgress));
   return response.data;
 };
 
-export const deletePost = async (postId, token) => {
-  await api.delete(`/posts/${postId}`, getAuthHeaders(token));
+export const updatePost = async (postId, formData, onProgress) => {
+  const response = await api.put(`/posts/${postId}`, formData, uploadConfig(onProgress));
+  return response.data;
+};
+
+export const deletePost = async (postId) => {
+  await api.delete(`/posts/${postId}`);
   return true;
 };
 
+export const getDrafts = async () => {
+  const response = await api.get("/posts/drafts");
+  return response.data;
+};
+
 export const getPost = async (id) => {
   const response = await api.get(`/posts/${id}`);
   return response.data;
 };
 
-export const commentOnPost = async (postId, text, token) => {
-  const response = await api.post(`/posts/${postId}/comments`, { text }, getAuthHeaders(token));
+export const commentOnPost = async (postId, text, parentId = null) => {
+  const response = await api.post(`/posts/${postId}/comments`, { text, parentId });
   return response.data;
 };
 
-export const updateComment = async (postId, commentId, text, token) => {
-  const response = await api.put(
-    `/posts/${postId}/comments/${commentId}`,
-    { text },
-    getAuthHeaders(token)
-  );
+export const updateComment = async (postId, commentId, text) => {
+  const response = await api.put(`/posts/${postId}/comments/${commentId}`, { text });
   return response.data;
 };
 
-export const deleteComment = async (commentId, token) => {
-  await api.delete(`/comments/${commentId}`, getAuthHeaders(token));
+export const deleteComment = async (commentId) => {
+  await api.delete(`/comments/${commentId}`);
   return true;
 };
 
-export const addReaction = async (postId, reactionType, token) => {
-  const response = await api.post(
-    `/posts/${postId}/reactions`,
-    { reactionType },
-    getAuthHeaders(token)
-  );
+export const addReaction = async (postId, reactionType) => {
+  const response = await api.post(`/posts/${postId}/reactions`, { reactionType });
   return response.data;
 };
 
-export const createLearningPlan = async (data, token) => {
-  try {
-    const response = await axios.post(`${API_URL}/learning-plans`, data, getAuthHeaders(token));
-    console.log("Created learning plan:", response.data);
-    return response.data.learningPlan;
-  } catch (error) {
-    console.error("API Error:", error.response?.status, error.response?.data);
-    throw error;
-  }
+export const removeReaction = async (postId) => {
+  const response = await api.delete(`/posts/${postId}/reactions`);
+  return response.data;
 };
 
-export const getLearningPlans = async (token) => {
-  try {
-    const response = await axios.get(`${API_URL}/learning-plans`, getAuthHeaders(token));
-    console.log("Fetched user learning plans:", response.data);
-    return response.data;
-  } catch (error) {
-    console.error("API Error:", error.response?.status, error.response?.data);
-    throw error;
+// The reaction set is server configuration, so it is fetched once and shared.
+let reactionTypesRequest = null;
+export const getReactionTypes = () => {
+  if (!reactionTypesRequest) {
+    reactionTypesRequest = api
+      .get("/posts/reaction-types")
+      .then((response) => (Array.isArray(response.data) ? response.data : []))
+      .catch((error) => {
+        reactionTypesRequest = null;
+        throw error;
+      });
   }
+  return reactionTypesRequest;
 };
 
-export const getAllLearningPlans = async (token, status = null) => {
-  try {
-    const params = status ? { status } : {};
-    const response = await axios.get(`${API_URL}/learning-plans/all`, {
-      ...getAuthHeaders(token),
-      params,
-    });
-    console.log(`Fetched all learning plans (status: ${status || 'all'}):`, response.data);
-    return response.data;
-  } catch (error) {
-    console.error("API Error:", error.response?.status, error.response?.data);
-    throw error;
-  }
+export const getBookmarks = async () => {
+  const response = await api.get("/bookmarks");
+  return Array.isArray(response.data) ? response.data : [];
 };
 
-export const updateLearningPlan = async (id, data, token) => {
-  try {
-    const response = await axios.put(`${API_URL}/learning-plans/${id}`, data, getAuthHeaders(token));
-    console.log("Updated learning plan:", response.data);
-    return response.data;
-  } catch (error) {
-    console.error("API Error:", error.response?.status, error.response?.data);
-    throw error;
-  }
+export const getBookmarkedPostIds = async () => {
+  const response = await api.get("/bookmarks/ids");
+  return Array.isArray(response.data) ? response.data : [];
 };
 
-export const updateLearningPlanStatus = async (id, status, token) => {
-  try {
-    const response = await axios.put(
-      `${API_URL}/learning-plans/${id}/status`,
-      { status },
-      getAuthHeaders(token)
-    );
-    console.log(`Updated learning plan status (ID: ${id}, Status: ${status}):`, response.data);
-    return response.data;
-  } catch (error) {
-    console.error("API Error:", error.response?.status, error.response?.data);
-    throw error;
-  }
+// { postId, saved, collectionIds } for the current user.
+export const getBookmark = async (postId) => {
+  const response = await api.get(`/bookmarks/${postId}`);
+  return response.data;
 };
 
-export const deleteLearningPlan = async (id, token) => {
-  try {
-    await axios.delete(`${API_URL}/learning-plans/${id}`, getAuthHeaders(token));
-    console.log("Deleted learning plan:", id);
-  } catch (error) {
-    console.error("API Error:", error.response?.status, error.response?.data);
-    throw error;
-  }
+export const addBookmark = async (postId) => {
+  const response = await api.put(`/bookmarks/${postId}`, {});
+  return response.data;
+};
+
+export const removeBookmark = async (postId) => {
+  const response = await api.delete(`/bookmarks/${postId}`);
+  return response.data;
+};
+
+// Without a userId these are your own collections; with one, that user's shared collections.
+export const getCollections = async (userId) => {
+  const response = await api.get("/collections", { params: { userId } });
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const getCollection = async (collectionId) => {
+  const response = await api.get(`/collections/${collectionId}`);
+  return response.data;
+};
+
+export const createCollection = async ({ name, shared = false }) => {
+  const response = await api.post("/collections", { name, shared });
+  return response.data;
+};
+
+export const updateCollection = async (collectionId, changes) => {
+  const response = await api.put(`/collections/${collectionId}`, changes);
+  return response.data;
 };
 
-export const uploadImage = async (formData, token) => {
-  try {
-    const response = await axios.post(`${API_URL}/uploads`, formData, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "multipart/form-data",
-      },
-    });
-    console.log("Uploaded image:", response.data);
-    return response.data;
-  } catch (error) {
-    console.error("API Error:", error.response?.status, error.response?.data);
-    throw error;
+export const deleteCollection = async (collectionId) => {
+  await api.delete(`/collections/${collectionId}`);
+  return true;
+};
+
+export const reorderCollections = async (ids) => {
+  const response = await api.put("/collections/order", { ids });
+  return response.data;
+};
+
+export const addToCollection = async (collectionId, postId) => {
+  const response = await api.put(`/collections/${collectionId}/posts/${postId}`, {});
+  return response.data;
+};
+
+export const removeFromCollection = async (collectionId, postId) => {
+  const response = await api.delete(`/collections/${collectionId}/posts/${postId}`);
+  return response.data;
+};
+
+export const reorderCollectionPosts = async (collectionId, postIds) => {
+  const response = await api.put(`/collections/${collectionId}/posts/order`, { postIds });
+  return response.data;
+};
+
+// Attachment limits are server configuration too; ShareSkills checks files against them before uploading.
+let mediaLimitsRequest = null;
+export const getMediaLimits = () => {
+  if (!mediaLimitsRequest) {
+    mediaLimitsRequest = api
+      .get("/posts/media-limits")
+      .then((response) => response.data)
+      .catch((error) => {
+        mediaLimitsRequest = null;
+        throw error;
+      });
   }
-};
\ No newline at end of file
+  return mediaLimitsRequest;
+};
+
+export const searchAll = async ({ q, tag, category } = {}) => {
+  const params = { q };
+  if (tag) params.tag = tag;
+  if (category) params.category = category;
+  const response = await api.get("/search", { params });
+  return response.data;
+};
+
+export const getSearchSuggestions = async (q, signal) => {
+  const response = await api.get("/search/suggest", { params: { q }, signal });
+  return response.data;
+};
+
+export const getNotifications = async () => {
+  const response = await api.get("/notifications");
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const getUnreadNotificationCount = async () => {
+  const response = await api.get("/notifications/unread-count");
+  return response.data?.count || 0;
+};
+
+export const markNotificationRead = async (notificationId) => {
+  const response = await api.put(`/notifications/${notificationId}/read`, {});
+  return response.data;
+};
+
+export const markAllNotificationsRead = async () => {
+  await api.put("/notifications/read-all", {});
+  return true;
+};
+
+export const createNotificationStreamTicket = async () => {
+  const response = await api.post("/notifications/stream-ticket", {});
+  return response.data.ticket;
+};
+
+export const getAdminStats = async (days) => {
+  const response = await api.get("/admin/stats", { params: { days } });
+  return response.data;
+};
+
+export const getAdminUsers = async (query) => {
+  const params = query ? { q: query } : {};
+  const response = await api.get("/admin/users", { params });
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const setUserAdmin = async (userId, admin) => {
+  const response = await api.put(`/admin/users/${userId}/admin`, { admin });
+  return response.data;
+};
+
+export const setUserDisabled = async (userId, disabled) => {
+  const response = await api.put(`/admin/users/${userId}/disabled`, { disabled });
+  return response.data;
+};
+
+export const getAdminPosts = async () => {
+  const response = await api.get("/admin/posts");
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const bulkDeletePosts = async (ids) => {
+  const response = await api.post("/admin/posts/bulk-delete", { ids });
+  return response.data;
+};
+
+export const getCommentReviewQueue = async () => {
+  const response = await api.get("/admin/comments/queue");
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+export const approveComment = async (commentId) => {
+  await api.put(`/admin/comments/${commentId}/approve`, {});
+  return true;
+};
+
+export const adminDeleteComment = async (commentId) => {
+  await api.delete(`/admin/comments/${commentId}`);
+  return true;
+};
+
+export const createCategory = async (name) => {
+  const response = await api.post("/admin/categories", { name });
+  return response.data;
+};
+
+export const updateCategory = async (categoryId, changes) => {
+  const response = await api.put(`/admin/categories/${categoryId}`, changes);
+  return response.data;
+};
+
+export const deleteCategory = async (categoryId) => {
+  await api.delete(`/admin/categories/${categoryId}`);
+  return true;
+};
+
+export const createLearningPlan = async (data) => {
+  const response = await api.post("/learning-plans", data);
+  return response.data.learningPlan;
+};
+
+export const getLearningPlans = async () => {
+  const response = await api.get("/learning-plans");
+  return response.data;
+};
+
+export const getAllLearningPlans = async (status = null) => {
+  const params = status ? { status } : {};
+  const response = await api.get("/learning-plans/all", { params });
+  return response.data;
+};
+
+export const getLearningPlan = async (id) => {
+  const response = await api.get(`/learning-plans/${id}`);
+  return response.data;
+};
+
+export const updateLearningPlan = async (id, data) => {
+  const response = await api.put(`/learning-plans/${id}`, data);
+  return response.data;
+};
+
+export const updateLearningPlanStatus = async (id, status) => {
+  const response = await api.put(`/learning-plans/${id}/status`, { status });
+  return response.data;
+};
+
+export const deleteLearningPlan = async (id) => {
+  await api.delete(`/learning-plans/${id}`);
+  return true;
+};
+
+// Quizzes attached to a post or a learning plan, without their questions.
+export const getQuizzes = async ({ postId, planId }) => {
+  const response = await api.get("/quizzes", { params: { postId, planId } });
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+// Answers and explanations are only included for the quiz's author.
+export const getQuiz = async (quizId) => {
+  const response = await api.get(`/quizzes/${quizId}`);
+  return response.data;
+};
+
+export const createQuiz = async (quiz) => {
+  const response = await api.post("/quizzes", quiz);
+  return response.data;
+};
+
+export const updateQuiz = async (quizId, quiz) => {
+  const response = await api.put(`/quizzes/${quizId}`, quiz);
+  return response.data;
+};
+
+export const deleteQuiz = async (quizId) => {
+  await api.delete(`/quizzes/${quizId}`);
+  return true;
+};
+
+// Resumes the attempt that's still running instead of starting over, so the timer survives reloads.
+export const startQuizAttempt = async (quizId) => {
+  const response = await api.post(`/quizzes/${quizId}/attempts`, {});
+  return response.data;
+};
+
+// answers: [{ questionId, selected: [optionIndex], text }]
+export const submitQuizAttempt = async (attemptId, answers) => {
+  const response = await api.post(`/quizzes/attempts/${attemptId}/submit`, { answers });
+  return response.data;
+};
+
+export const getQuizAttempts = async (quizId) => {
+  const response = await api.get(`/quizzes/${quizId}/attempts`);
+  return Array.isArray(response.data) ? response.data : [];
+};
+
+// types: array of event types; from/to: "YYYY-MM-DD" days; before: the nextBefore cursor of the previous page.
+export const getTimeline = async (userId, { types, from, to, before, limit } = {}) => {
+  const response = await api.get(`/timeline/${userId}`, {
+    params: { types: types?.length ? types.join(",") : undefined, from: from || undefined, to: to || undefined, before, limit },
+  });
+  return response.data;
+};
+
+export const setTimelineSharing = async (shared) => {
+  const response = await api.put("/timeline/sharing", { shared });
+  return response.data.shared;
+};
+
+export const uploadImage = async (formData, onProgress) => {
+  const response = await api.post("/uploads", formData, uploadConfig(onProgress));
+  return response.data;
+};
@@ -0,0 +1,251 @@
+import { useState, useEffect, useContext } from "react";
+import { Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { getTimeline, setTimelineSharing, getApiErrorMessage } from "../api.js";
+import { appUrl } from "../config.js";
+import { TIMELINE_EVENT_TYPES, describeEvent, groupEventsByDay } from "../utils/timeline.js";
+import {
+  AcademicCapIcon,
+  ChatBubbleLeftIcon,
+  DocumentTextIcon,
+  FaceSmileIcon,
+  GlobeAltIcon,
+  LinkIcon,
+  LockClosedIcon,
+  UserPlusIcon,
+} from "@heroicons/react/24/outline";
+
+const EVENT_ICONS = {
+  POST: DocumentTextIcon,
+  COMMENT: ChatBubbleLeftIcon,
+  REACTION: FaceSmileIcon,
+  FOLLOW: UserPlusIcon,
+  PLAN_STATUS: AcademicCapIcon,
+};
+
+// Date-grouped activity of `userId`, newest first, with type and date filters. The owner
+// (`isOwner`) also gets the switch that shares the timeline with everyone else.
+export default function ActivityTimeline({ userId, isOwner = false }) {
+  const { theme } = useContext(AuthContext);
+  const [types, setTypes] = useState(TIMELINE_EVENT_TYPES.map((t) => t.type));
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [events, setEvents] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [shared, setShared] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [sharingLoading, setSharingLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState("");
+  const [privateMessage, setPrivateMessage] = useState("");
+
+  const invalidRange = from && to && from > to;
+
+  useEffect(() => {
+    if (types.length === 0 || invalidRange) {
+      setEvents([]);
+      setNextBefore(null);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    setPrivateMessage("");
+    getTimeline(userId, { types, from, to })
+      .then((timeline) => {
+        if (cancelled) return;
+        setEvents(timeline.events);
+        setNextBefore(timeline.nextBefore);
+        setShared(timeline.shared);
+      })
+      .catch((err) => {
+        console.error("Failed to load timeline:", err);
+        if (cancelled) return;
+        if (err.response?.status === 403) {
+          setPrivateMessage(getApiErrorMessage(err, "This timeline is private."));
+        } else {
+          setError(getApiErrorMessage(err, "Failed to load timeline."));
+        }
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, types, from, to]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    setError("");
+    try {
+      const timeline = await getTimeline(userId, { types, from, to, before: nextBefore });
+      setEvents((prev) => [...prev, ...timeline.events]);
+      setNextBefore(timeline.nextBefore);
+    } catch (err) {
+      console.error("Failed to load more activity:", err);
+      setError(getApiErrorMessage(err, "Failed to load more activity."));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const toggleType = (type) => {
+    setTypes((prev) => {
+      const next = prev.includes(type) ? prev.filter((t) => t !== type) : [...prev, type];
+      // Keep the filter order stable so the request (and the effect) only changes with the selection.
+      return TIMELINE_EVENT_TYPES.map((t) => t.type).filter((t) => next.includes(t));
+    });
+  };
+
+  const handleSharingToggle = async () => {
+    setSharingLoading(true);
+    setError("");
+    try {
+      setShared(await setTimelineSharing(!shared));
+    } catch (err) {
+      console.error("Failed to update timeline sharing:", err);
+      setError(getApiErrorMessage(err, "Failed to update sharing. Please try again."));
+    } finally {
+      setSharingLoading(false);
+    }
+  };
+
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(appUrl(`/timeline/${userId}`)).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    });
+  };
+
+  if (privateMessage) {
+    return (
+      <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8 flex items-center justify-center gap-2">
+        <LockClosedIcon className="h-5 w-5" />
+        {privateMessage}
+      </p>
+    );
+  }
+
+  const cardClass = `rounded-xl shadow-lg p-6 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`;
+  const inputClass = `px-3 py-1.5 rounded-lg border ${theme === "dark" ? "bg-gray-700 border-gray-600 text-gray-200" : "bg-white border-gray-300"}`;
+  const groups = groupEventsByDay(events);
+
+  return (
+    <div className="space-y-6">
+      <div className={`${cardClass} space-y-4`}>
+        {isOwner && (
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={shared}
+                disabled={sharingLoading}
+                onChange={handleSharingToggle}
+                className="h-4 w-4 accent-purple-600"
+              />
+              {shared ? <GlobeAltIcon className="h-5 w-5" /> : <LockClosedIcon className="h-5 w-5" />}
+              Share my timeline with other users
+            </label>
+            {shared && (
+              <button onClick={handleCopyLink} className="flex items-center gap-1 text-sm text-purple-600 hover:text-purple-700">
+                <LinkIcon className="h-4 w-4" />
+                {copied ? "Copied!" : "Copy link"}
+              </button>
+            )}
+          </div>
+        )}
+        <div className="flex flex-wrap gap-2">
+          {TIMELINE_EVENT_TYPES.map(({ type, label }) => (
+            <button
+              key={type}
+              onClick={() => toggleType(type)}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                types.includes(type)
+                  ? "bg-purple-600 border-purple-600 text-white"
+                  : theme === "dark"
+                    ? "border-gray-600 text-gray-300 hover:border-purple-400"
+                    : "border-gray-300 text-gray-700 hover:border-purple-600"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <label className="flex items-center gap-2">
+            From
+            <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+          </label>
+          <label className="flex items-center gap-2">
+            To
+            <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+          </label>
+          {(from || to) && (
+            <button
+              onClick={() => {
+                setFrom("");
+                setTo("");
+              }}
+              className="text-purple-600 hover:text-purple-700"
+            >
+              Clear dates
+            </button>
+          )}
+        </div>
+        {invalidRange && <p className="text-red-500 text-sm">The start date must not be after the end date.</p>}
+      </div>
+
+      {error && <p className="text-red-500 text-center">{error}</p>}
+
+      {loading && events.length === 0 ? (
+        <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">Loading activity...</p>
+      ) : types.length === 0 ? (
+        <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">Pick at least one kind of activity to show.</p>
+      ) : groups.length === 0 ? (
+        <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">No activity in this period.</p>
+      ) : (
+        groups.map((group) => (
+          <section key={group.key}>
+            <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-3">{group.label}</h3>
+            <ol className={`${cardClass} space-y-4`}>
+              {group.events.map((event) => {
+                const Icon = EVENT_ICONS[event.type] || DocumentTextIcon;
+                const summary = describeEvent(event);
+                return (
+                  <li key={event.id} className="flex gap-3">
+                    <Icon className="h-5 w-5 mt-0.5 shrink-0 text-purple-600 dark:text-purple-300" />
+                    <div className="flex-1 min-w-0">
+                      {event.link ? (
+                        <Link to={event.link} className="font-medium hover:text-purple-600">
+                          {summary}
+                        </Link>
+                      ) : (
+                        <span className="font-medium">{summary}</span>
+                      )}
+                      {event.snippet && <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 break-words">{event.snippet}</p>}
+                    </div>
+                    <time dateTime={event.createdAt} className="text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {new Date(event.createdAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                    </time>
+                  </li>
+                );
+              })}
+            </ol>
+          </section>
+        ))
+      )}
+
+      {nextBefore && !loading && (
+        <div className="text-center">
+          <button
+            onClick={handleLoadMore}
+            disabled={loadingMore}
+            className={`px-6 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 ${loadingMore ? "opacity-60" : ""}`}
+          >
+            {loadingMore ? "Loading..." : "Load more"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
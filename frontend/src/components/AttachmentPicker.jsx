@@ -0,0 +1,127 @@
+import { useState, useEffect, useContext, useRef } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { PlayIcon } from "@heroicons/react/24/solid";
+import { XMarkIcon, PhotoIcon } from "@heroicons/react/24/outline";
+import { mediaUrl } from "../config.js";
+import { MEDIA_VIDEO, createAttachmentItem, formatBytes, validateMediaFiles } from "../utils/media.js";
+
+// Attachment list for the post form: previews, drag-to-reorder and per-file removal.
+// `items` comes from toAttachmentItems/createAttachmentItem; problems go to onError.
+export default function AttachmentPicker({ items, onChange, limits, onError, disabled = false }) {
+  const { theme } = useContext(AuthContext);
+  const [dragIndex, setDragIndex] = useState(null);
+  const previewsRef = useRef(new Set());
+
+  // Object URLs stay alive only while their item is in the list.
+  useEffect(() => {
+    const current = new Set(items.filter((item) => item.file).map((item) => item.previewUrl));
+    previewsRef.current.forEach((url) => {
+      if (!current.has(url)) URL.revokeObjectURL(url);
+    });
+    previewsRef.current = current;
+  }, [items]);
+
+  useEffect(() => () => previewsRef.current.forEach((url) => URL.revokeObjectURL(url)), []);
+
+  const handleFilesSelected = async (e) => {
+    const selected = Array.from(e.target.files);
+    e.target.value = "";
+    if (selected.length === 0) return;
+    if (limits && items.length + selected.length > limits.maxFiles) {
+      onError(`A post can have at most ${limits.maxFiles} attachments.`);
+      return;
+    }
+    const problem = await validateMediaFiles(selected, limits);
+    if (problem) {
+      onError(problem);
+      return;
+    }
+    onError(null);
+    onChange([...items, ...selected.map(createAttachmentItem)]);
+  };
+
+  const moveItem = (from, to) => {
+    const next = [...items];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    onChange(next);
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    if (dragIndex === null || dragIndex === index) return;
+    moveItem(dragIndex, index);
+    setDragIndex(index);
+  };
+
+  return (
+    <div>
+      {items.length > 0 && (
+        <ul className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3 mb-3">
+          {items.map((item, index) => {
+            const src = item.file ? item.previewUrl : mediaUrl(item.url);
+            return (
+              <li
+                key={item.id}
+                draggable={!disabled}
+                onDragStart={() => setDragIndex(index)}
+                onDragOver={(e) => handleDragOver(e, index)}
+                onDragEnd={() => setDragIndex(null)}
+                className={`relative aspect-square rounded-lg overflow-hidden border-2 cursor-move ${
+                  dragIndex === index ? "border-indigo-500 opacity-60" : theme === "dark" ? "border-gray-600" : "border-gray-200"
+                }`}
+                title={item.file ? item.file.name : "Drag to reorder"}
+              >
+                {item.type === MEDIA_VIDEO ? (
+                  <>
+                    <video src={src} preload="metadata" muted className="w-full h-full object-cover bg-black" />
+                    <PlayIcon className="absolute inset-0 m-auto h-8 w-8 text-white drop-shadow" />
+                  </>
+                ) : (
+                  <img src={src} alt="" className="w-full h-full object-cover" />
+                )}
+                {index === 0 && (
+                  <span className="absolute bottom-1 left-1 px-1.5 rounded bg-black/60 text-white text-xs">Cover</span>
+                )}
+                {item.file && (
+                  <span className="absolute bottom-1 right-1 px-1.5 rounded bg-indigo-600 text-white text-xs">New</span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => onChange(items.filter((other) => other.id !== item.id))}
+                  disabled={disabled}
+                  className="absolute top-1 right-1 p-1 rounded-full bg-black/60 text-white hover:bg-red-600"
+                  aria-label="Remove attachment"
+                >
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <label
+        className={`flex items-center justify-center gap-2 w-full p-4 rounded border-2 border-dashed cursor-pointer ${
+          theme === "dark" ? "border-gray-600 text-gray-300 hover:border-indigo-400" : "border-gray-300 text-gray-600 hover:border-indigo-500"
+        } ${disabled ? "opacity-50 pointer-events-none" : ""}`}
+      >
+        <PhotoIcon className="h-6 w-6" />
+        <span>{items.length > 0 ? "Add more photos or videos" : "Add photos or videos"}</span>
+        <input
+          type="file"
+          multiple
+          accept="image/jpeg,image/png,image/gif,image/webp,video/mp4,video/quicktime,.m4v"
+          onChange={handleFilesSelected}
+          className="sr-only"
+        />
+      </label>
+      {limits && (
+        <p className={`mt-1 text-xs ${theme === "dark" ? "text-gray-400" : "text-gray-500"}`}>
+          Up to {limits.maxFiles} files: images up to {formatBytes(limits.maxImageBytes)}, MP4/MOV videos up to{" "}
+          {formatBytes(limits.maxVideoBytes)} and {limits.maxVideoDurationSeconds} seconds. Drag to reorder; the first one is the
+          cover.
+        </p>
+      )}
+    </div>
+  );
+}
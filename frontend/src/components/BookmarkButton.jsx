@@ -0,0 +1,179 @@
+import { useState, useEffect, useContext, useRef } from "react";
+import { AuthContext } from "../context/AuthContext";
+import {
+  addBookmark,
+  removeBookmark,
+  getBookmark,
+  getCollections,
+  createCollection,
+  addToCollection,
+  removeFromCollection,
+  getApiErrorMessage,
+} from "../api.js";
+import { motion, AnimatePresence } from "framer-motion";
+import { BookmarkIcon as BookmarkSolidIcon } from "@heroicons/react/24/solid";
+import { BookmarkIcon, ChevronDownIcon, PlusIcon, LockClosedIcon, GlobeAltIcon } from "@heroicons/react/24/outline";
+
+// Save-for-later toggle with a menu for sorting the post into collections. `saved` comes from
+// the parent (e.g. the bookmarked ids Home loads once); onChange receives the new saved state.
+export default function BookmarkButton({ postId, saved, onChange, compact = false }) {
+  const { user, theme } = useContext(AuthContext);
+  const [busy, setBusy] = useState(false);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [collections, setCollections] = useState(null);
+  const [memberOf, setMemberOf] = useState([]);
+  const [newName, setNewName] = useState("");
+  const [error, setError] = useState("");
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setMenuOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  useEffect(() => {
+    if (!menuOpen) return;
+    setError("");
+    Promise.all([getCollections(), getBookmark(postId)])
+      .then(([own, bookmark]) => {
+        setCollections(own);
+        setMemberOf(bookmark.collectionIds || []);
+        if (bookmark.saved !== saved) onChange?.(bookmark.saved);
+      })
+      .catch((err) => {
+        console.error("Failed to load collections:", err);
+        setError(getApiErrorMessage(err, "Failed to load collections."));
+      });
+  }, [menuOpen, postId]);
+
+  if (!user) return null;
+
+  const apply = (bookmark) => {
+    setMemberOf(bookmark.collectionIds || []);
+    onChange?.(bookmark.saved);
+  };
+
+  const toggleSaved = async () => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      apply(saved ? await removeBookmark(postId) : await addBookmark(postId));
+    } catch (err) {
+      console.error("Failed to update bookmark:", err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleCollection = async (collectionId) => {
+    try {
+      apply(
+        memberOf.includes(collectionId)
+          ? await removeFromCollection(collectionId, postId)
+          : await addToCollection(collectionId, postId)
+      );
+    } catch (err) {
+      console.error("Failed to update collection:", err);
+      setError(getApiErrorMessage(err, "Failed to update collection."));
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    try {
+      const created = await createCollection({ name: newName.trim() });
+      setCollections([...(collections || []), created]);
+      setNewName("");
+      apply(await addToCollection(created.id, postId));
+    } catch (err) {
+      console.error("Failed to create collection:", err);
+      setError(getApiErrorMessage(err, "Failed to create collection."));
+    }
+  };
+
+  const iconClass = compact ? "h-5 w-5" : "h-6 w-6";
+
+  return (
+    <div ref={containerRef} className="relative flex items-center">
+      <motion.button
+        onClick={toggleSaved}
+        whileHover={{ scale: 1.1 }}
+        disabled={busy}
+        className={`p-1 rounded-full ${saved ? "text-purple-600 dark:text-purple-300" : "text-gray-600 dark:text-gray-300"}`}
+        aria-pressed={saved}
+        aria-label={saved ? "Remove from saved" : "Save for later"}
+        title={saved ? "Saved" : "Save for later"}
+      >
+        {saved ? <BookmarkSolidIcon className={iconClass} /> : <BookmarkIcon className={iconClass} />}
+      </motion.button>
+      <button
+        onClick={() => setMenuOpen(!menuOpen)}
+        className="p-0.5 rounded text-gray-500 dark:text-gray-400 hover:text-purple-600"
+        aria-label="Save to collection"
+        aria-expanded={menuOpen}
+        title="Save to collection"
+      >
+        <ChevronDownIcon className="h-4 w-4" />
+      </button>
+
+      <AnimatePresence>
+        {menuOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            className={`absolute z-30 bottom-full right-0 mb-2 w-64 p-3 rounded-lg shadow-lg border ${
+              theme === "dark" ? "bg-gray-700 border-gray-600" : "bg-white border-gray-200"
+            }`}
+          >
+            <p className="text-sm font-semibold mb-2">Save to collection</p>
+            {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+            {collections === null ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+            ) : collections.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">No collections yet.</p>
+            ) : (
+              <ul className="max-h-48 overflow-y-auto mb-2">
+                {collections.map((collection) => (
+                  <li key={collection.id}>
+                    <label className="flex items-center gap-2 py-1 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={memberOf.includes(collection.id)}
+                        onChange={() => toggleCollection(collection.id)}
+                        className="accent-purple-600"
+                      />
+                      <span className="flex-1 truncate">{collection.name}</span>
+                      {collection.shared ? (
+                        <GlobeAltIcon className="h-4 w-4 text-gray-400" title="Shared" />
+                      ) : (
+                        <LockClosedIcon className="h-4 w-4 text-gray-400" title="Private" />
+                      )}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <form onSubmit={handleCreate} className="flex gap-1">
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="New collection"
+                maxLength={60}
+                className={`flex-1 min-w-0 px-2 py-1 text-sm rounded ${theme === "dark" ? "bg-gray-800 text-white" : "bg-gray-100 text-gray-900"}`}
+              />
+              <button type="submit" className="p-1 rounded bg-purple-600 text-white hover:bg-purple-700" aria-label="Create collection">
+                <PlusIcon className="h-4 w-4" />
+              </button>
+            </form>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
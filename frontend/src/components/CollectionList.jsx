@@ -0,0 +1,251 @@
+import { useState, useEffect, useContext } from "react";
+import { Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import {
+  getCollections,
+  getBookmarkedPostIds,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  reorderCollections,
+  getApiErrorMessage,
+} from "../api.js";
+import MediaCover from "./MediaCover.jsx";
+import {
+  BookmarkIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+  PencilIcon,
+  TrashIcon,
+  CheckIcon,
+  XMarkIcon,
+  LockClosedIcon,
+  GlobeAltIcon,
+} from "@heroicons/react/24/outline";
+
+// Collections grid for the profile page. With `editable` it shows all of the signed-in user's
+// collections plus their saved posts and lets them be managed; otherwise only shared ones.
+export default function CollectionList({ userId, editable = false, onCountChange }) {
+  const { theme } = useContext(AuthContext);
+  const [collections, setCollections] = useState([]);
+  const [savedCount, setSavedCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [newName, setNewName] = useState("");
+  const [newShared, setNewShared] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    Promise.all([getCollections(editable ? undefined : userId), editable ? getBookmarkedPostIds() : Promise.resolve([])])
+      .then(([loaded, savedIds]) => {
+        if (cancelled) return;
+        setCollections(loaded);
+        setSavedCount(savedIds.length);
+      })
+      .catch((err) => {
+        console.error("Failed to load collections:", err);
+        if (!cancelled) setError(getApiErrorMessage(err, "Failed to load collections."));
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, editable]);
+
+  useEffect(() => {
+    onCountChange?.(collections.length);
+  }, [collections.length]);
+
+  const replaceCollection = (updated) => setCollections(collections.map((c) => (c.id === updated.id ? updated : c)));
+
+  const run = async (action, fallbackMessage) => {
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(getApiErrorMessage(err, fallbackMessage));
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    run(async () => {
+      const created = await createCollection({ name: newName.trim(), shared: newShared });
+      setCollections([...collections, created]);
+      setNewName("");
+      setNewShared(false);
+    }, "Failed to create collection.");
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(async () => {
+      replaceCollection(await updateCollection(renaming.id, { name: renaming.name }));
+      setRenaming(null);
+    }, "Failed to rename collection.");
+  };
+
+  const handleToggleShared = (collection) =>
+    run(
+      async () => replaceCollection(await updateCollection(collection.id, { shared: !collection.shared })),
+      "Failed to update sharing."
+    );
+
+  const handleMove = (index, step) => {
+    const target = index + step;
+    if (target < 0 || target >= collections.length) return;
+    const reordered = [...collections];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setCollections(reordered);
+    run(async () => setCollections(await reorderCollections(reordered.map((c) => c.id))), "Failed to reorder collections.");
+  };
+
+  const handleDelete = (collection) => {
+    if (!window.confirm(`Delete the collection "${collection.name}"? The posts stay in your saved list.`)) return;
+    run(async () => {
+      await deleteCollection(collection.id);
+      setCollections(collections.filter((c) => c.id !== collection.id));
+    }, "Failed to delete collection.");
+  };
+
+  const cardClass = `rounded-xl shadow-lg border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`;
+  const inputClass = `p-2 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`;
+  const iconButtonClass = "p-1.5 rounded text-gray-500 hover:text-purple-600 disabled:opacity-30";
+
+  if (loading && collections.length === 0) {
+    return <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">Loading collections...</p>;
+  }
+
+  return (
+    <div>
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+
+      {editable && (
+        <form onSubmit={handleCreate} className={`${cardClass} p-4 mb-6 flex flex-wrap items-center gap-3`}>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder='New collection, e.g. "Frontend"'
+            maxLength={60}
+            className={`flex-1 min-w-[12rem] ${inputClass}`}
+          />
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={newShared}
+              onChange={(e) => setNewShared(e.target.checked)}
+              className="accent-purple-600"
+            />
+            Share publicly
+          </label>
+          <button type="submit" className="px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700">
+            Create
+          </button>
+        </form>
+      )}
+
+      {!editable && collections.length === 0 ? (
+        <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">No shared collections.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+          {editable && (
+            <Link to="/collections/saved" className={`${cardClass} p-6 block transition-transform hover:scale-[1.02]`}>
+              <div className="h-40 mb-4 rounded-lg flex items-center justify-center bg-purple-100 dark:bg-purple-900">
+                <BookmarkIcon className="h-12 w-12 text-purple-600 dark:text-purple-300" />
+              </div>
+              <h3 className="text-xl font-semibold">All saved</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {savedCount} post{savedCount === 1 ? "" : "s"} • Private
+              </p>
+            </Link>
+          )}
+          {collections.map((collection, index) => (
+            <div key={collection.id} className={`${cardClass} p-6`}>
+              <Link to={`/collections/${collection.id}`} className="block">
+                {collection.cover?.length > 0 ? (
+                  <MediaCover media={collection.cover} title={collection.name} className="h-40 mb-4" />
+                ) : (
+                  <div className={`h-40 mb-4 rounded-lg ${theme === "dark" ? "bg-gray-700" : "bg-gray-100"}`} />
+                )}
+              </Link>
+              {renaming?.id === collection.id ? (
+                <form onSubmit={handleRename} className="flex gap-2 mb-1">
+                  <input
+                    type="text"
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    maxLength={60}
+                    autoFocus
+                    className={`flex-1 min-w-0 ${inputClass}`}
+                  />
+                  <button type="submit" title="Save" className="p-2 text-green-600">
+                    <CheckIcon className="h-5 w-5" />
+                  </button>
+                  <button type="button" onClick={() => setRenaming(null)} title="Cancel" className="p-2 text-gray-500">
+                    <XMarkIcon className="h-5 w-5" />
+                  </button>
+                </form>
+              ) : (
+                <Link to={`/collections/${collection.id}`} className="text-xl font-semibold hover:text-purple-600">
+                  {collection.name}
+                </Link>
+              )}
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-500 dark:text-gray-400 flex items-center gap-1">
+                  {collection.postCount} post{collection.postCount === 1 ? "" : "s"} •
+                  {collection.shared ? (
+                    <>
+                      <GlobeAltIcon className="h-4 w-4" /> Shared
+                    </>
+                  ) : (
+                    <>
+                      <LockClosedIcon className="h-4 w-4" /> Private
+                    </>
+                  )}
+                </p>
+                {editable && (
+                  <div className="flex">
+                    <button onClick={() => handleMove(index, -1)} disabled={index === 0} title="Move up" className={iconButtonClass}>
+                      <ArrowUpIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleMove(index, 1)}
+                      disabled={index === collections.length - 1}
+                      title="Move down"
+                      className={iconButtonClass}
+                    >
+                      <ArrowDownIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleToggleShared(collection)}
+                      title={collection.shared ? "Make private" : "Share publicly"}
+                      className={iconButtonClass}
+                    >
+                      {collection.shared ? <LockClosedIcon className="h-4 w-4" /> : <GlobeAltIcon className="h-4 w-4" />}
+                    </button>
+                    <button
+                      onClick={() => setRenaming({ id: collection.id, name: collection.name })}
+                      title="Rename"
+                      className={iconButtonClass}
+                    >
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => handleDelete(collection)} title="Delete" className="p-1.5 rounded text-gray-500 hover:text-red-600">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import { Link } from "react-router-dom";
+import { MENTION_PATTERN } from "../utils/comments.js";
+
+// Renders comment text with @mentions of known users linked to their profiles.
+export default function CommentText({ text, mentions = [] }) {
+  if (!text) return null;
+  const mentionIds = new Map(mentions.map((mention) => [mention.username.toLowerCase(), mention.id]));
+  const parts = text.split(new RegExp(MENTION_PATTERN.source, "g"));
+
+  // split() with one capture group alternates between plain text and mentioned usernames.
+  return parts.map((part, index) => {
+    if (index % 2 === 0) return part;
+    // Trailing dots/dashes are punctuation, not part of the username.
+    const [, username, trailing] = part.match(/^(.*?)([.-]*)$/);
+    const userId = mentionIds.get(username.toLowerCase());
+    if (userId == null) return `@${part}`;
+    return (
+      <span key={index}>
+        <Link to={`/profile/${userId}`} className="text-purple-600 dark:text-purple-300 font-medium hover:underline">
+          @{username}
+        </Link>
+        {trailing}
+      </span>
+    );
+  });
+}
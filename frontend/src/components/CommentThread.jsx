@@ -0,0 +1,225 @@
+import { useState, useContext } from "react";
+import { Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { motion } from "framer-motion";
+import { PencilIcon, TrashIcon, ArrowUturnLeftIcon, ChevronDownIcon, ChevronRightIcon } from "@heroicons/react/24/outline";
+import CommentText from "./CommentText.jsx";
+import MentionInput from "./MentionInput.jsx";
+import { buildCommentTree, countReplies } from "../utils/comments.js";
+
+// Deeper replies keep their thread but stop indenting so narrow cards stay readable.
+const MAX_INDENT_DEPTH = 3;
+
+// Nested comment list with inline reply/edit/delete. The handlers receive ids and text
+// and should return a promise; the thread only clears its own inputs once they resolve.
+export default function CommentThread({ comments, onReply, onUpdate, onDelete, defaultCollapsed = false, compact = false }) {
+  const { user, theme } = useContext(AuthContext);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [replyText, setReplyText] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+  const [toggled, setToggled] = useState(new Set());
+
+  const isCollapsed = (commentId) => defaultCollapsed !== toggled.has(commentId);
+
+  const toggleCollapsed = (commentId) => {
+    const next = new Set(toggled);
+    if (next.has(commentId)) {
+      next.delete(commentId);
+    } else {
+      next.add(commentId);
+    }
+    setToggled(next);
+  };
+
+  const submitReply = async (parentId) => {
+    if (!replyText.trim()) return;
+    try {
+      await onReply(parentId, replyText.trim());
+      setReplyingTo(null);
+      setReplyText("");
+      if (isCollapsed(parentId)) toggleCollapsed(parentId);
+    } catch (err) {
+      console.error("Failed to add reply:", err);
+    }
+  };
+
+  const submitEdit = async (commentId) => {
+    if (!editText.trim()) return;
+    try {
+      await onUpdate(commentId, editText.trim());
+      setEditingId(null);
+      setEditText("");
+    } catch (err) {
+      console.error("Failed to update comment:", err);
+    }
+  };
+
+  const confirmDelete = async (commentId) => {
+    try {
+      await onDelete(commentId);
+      setPendingDeleteId(null);
+    } catch (err) {
+      console.error("Failed to delete comment:", err);
+    }
+  };
+
+  const inputClass = `p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`;
+  const editButtonClass = `p-2 rounded-full ${theme === "dark" ? "bg-gray-700 text-blue-400" : "bg-gray-200 text-blue-600"}`;
+  const deleteButtonClass = `p-2 rounded-full ${theme === "dark" ? "bg-gray-700 text-red-400" : "bg-gray-200 text-red-600"}`;
+
+  const renderComment = (comment, depth) => {
+    const isOwn = user && String(user.id) === String(comment.user?.id);
+    const replyCount = countReplies(comment);
+    const collapsed = isCollapsed(comment.id);
+
+    return (
+      <li key={comment.id} className={depth === 0 ? "py-3 border-t first:border-t-0" : "pt-3"}>
+        <div className="flex gap-3">
+          <div
+            className={`${compact ? "w-8 h-8" : "w-10 h-10"} rounded-full flex-shrink-0 ${theme === "dark" ? "bg-gray-600" : "bg-gray-300"}`}
+          />
+          <div className="flex-1 min-w-0">
+            <p className={`text-sm font-medium ${theme === "dark" ? "text-gray-200" : "text-gray-800"}`}>
+              <Link to={`/profile/${comment.user?.id}`} className="hover:text-purple-600">
+                {comment.user?.username}
+              </Link>{" "}
+              • {new Date(comment.createdAt).toLocaleString()}
+            </p>
+
+            {editingId === comment.id ? (
+              <div className="flex flex-col gap-2 mt-2">
+                <MentionInput
+                  multiline
+                  value={editText}
+                  onChange={setEditText}
+                  rows={3}
+                  autoFocus
+                  className={inputClass}
+                />
+                <div className="flex gap-2">
+                  <motion.button
+                    onClick={() => submitEdit(comment.id)}
+                    whileHover={{ scale: 1.05 }}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg"
+                  >
+                    Update
+                  </motion.button>
+                  <motion.button
+                    onClick={() => setEditingId(null)}
+                    whileHover={{ scale: 1.05 }}
+                    className="px-4 py-2 bg-gray-500 text-white rounded-lg"
+                  >
+                    Cancel
+                  </motion.button>
+                </div>
+              </div>
+            ) : (
+              <p className={`text-sm mt-1 whitespace-pre-line break-words ${theme === "dark" ? "text-gray-300" : "text-gray-700"}`}>
+                <CommentText text={comment.text} mentions={comment.mentions} />
+              </p>
+            )}
+
+            {editingId !== comment.id && (
+              <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+                {user && (
+                  <button
+                    onClick={() => {
+                      setReplyingTo(replyingTo === comment.id ? null : comment.id);
+                      setReplyText("");
+                    }}
+                    className="flex items-center gap-1 text-gray-500 dark:text-gray-400 hover:text-purple-600"
+                  >
+                    <ArrowUturnLeftIcon className="h-4 w-4" />
+                    Reply
+                  </button>
+                )}
+                {replyCount > 0 && (
+                  <button
+                    onClick={() => toggleCollapsed(comment.id)}
+                    className="flex items-center gap-1 text-gray-500 dark:text-gray-400 hover:text-purple-600"
+                    aria-expanded={!collapsed}
+                  >
+                    {collapsed ? <ChevronRightIcon className="h-4 w-4" /> : <ChevronDownIcon className="h-4 w-4" />}
+                    {collapsed ? `Show ${replyCount} ${replyCount === 1 ? "reply" : "replies"}` : "Hide replies"}
+                  </button>
+                )}
+                {isOwn &&
+                  (pendingDeleteId === comment.id ? (
+                    <>
+                      <span className="text-red-500">
+                        Delete this comment{replyCount > 0 ? " and its replies" : ""}?
+                      </span>
+                      <button onClick={() => confirmDelete(comment.id)} className="font-semibold text-red-600">
+                        Delete
+                      </button>
+                      <button onClick={() => setPendingDeleteId(null)} className="text-gray-500">
+                        Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <motion.button
+                        onClick={() => {
+                          setEditingId(comment.id);
+                          setEditText(comment.text);
+                        }}
+                        whileHover={{ scale: 1.1 }}
+                        className={editButtonClass}
+                        aria-label="Edit comment"
+                      >
+                        <PencilIcon className="h-4 w-4" />
+                      </motion.button>
+                      <motion.button
+                        onClick={() => setPendingDeleteId(comment.id)}
+                        whileHover={{ scale: 1.1 }}
+                        className={deleteButtonClass}
+                        aria-label="Delete comment"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </motion.button>
+                    </>
+                  ))}
+              </div>
+            )}
+
+            {replyingTo === comment.id && (
+              <div className="mt-3 flex gap-2 items-start">
+                <MentionInput
+                  value={replyText}
+                  onChange={setReplyText}
+                  onSubmit={() => submitReply(comment.id)}
+                  placeholder={`Reply to ${comment.user?.username}...`}
+                  autoFocus
+                  className={inputClass}
+                />
+                <motion.button
+                  onClick={() => submitReply(comment.id)}
+                  whileHover={{ scale: 1.05 }}
+                  className="px-4 py-3 bg-purple-600 text-white rounded-lg"
+                >
+                  Reply
+                </motion.button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {replyCount > 0 && !collapsed && (
+          <ul
+            className={
+              depth < MAX_INDENT_DEPTH
+                ? `${compact ? "ml-4 pl-3" : "ml-5 pl-4"} border-l-2 ${theme === "dark" ? "border-gray-700" : "border-gray-200"}`
+                : ""
+            }
+          >
+            {comment.replies.map((reply) => renderComment(reply, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return <ul>{buildCommentTree(comments).map((comment) => renderComment(comment, 0))}</ul>;
+}
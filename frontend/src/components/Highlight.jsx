@@ -0,0 +1,19 @@
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Wraps every occurrence of the query's terms in <mark>, matching the server's case-insensitive search.
+export default function Highlight({ text, query }) {
+  if (!text) return null;
+  const terms = (query || "").trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (terms.length === 0) return text;
+
+  const pattern = new RegExp(`(${terms.join("|")})`, "gi");
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-600/60 text-inherit rounded px-0.5">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+}
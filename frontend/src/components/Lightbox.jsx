@@ -0,0 +1,81 @@
+import { useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { XMarkIcon, ChevronLeftIcon, ChevronRightIcon } from "@heroicons/react/24/outline";
+import { mediaUrl } from "../config.js";
+
+// Full-screen image viewer. `index` is the open image (null when closed); arrow keys
+// page through `images` and Escape closes.
+export default function Lightbox({ images, index, onIndexChange, onClose, title = "" }) {
+  const open = index != null && images.length > 0;
+
+  useEffect(() => {
+    if (!open) return;
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+      if (e.key === "ArrowLeft") onIndexChange((index - 1 + images.length) % images.length);
+      if (e.key === "ArrowRight") onIndexChange((index + 1) % images.length);
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [open, index, images.length]);
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 bg-black/90 flex items-center justify-center"
+          onClick={onClose}
+          role="dialog"
+          aria-modal="true"
+          aria-label={title ? `${title} images` : "Images"}
+        >
+          <button onClick={onClose} className="absolute top-4 right-4 p-2 text-white/80 hover:text-white" aria-label="Close">
+            <XMarkIcon className="h-8 w-8" />
+          </button>
+          {images.length > 1 && (
+            <>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onIndexChange((index - 1 + images.length) % images.length);
+                }}
+                className="absolute left-4 p-2 text-white/80 hover:text-white"
+                aria-label="Previous image"
+              >
+                <ChevronLeftIcon className="h-10 w-10" />
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onIndexChange((index + 1) % images.length);
+                }}
+                className="absolute right-4 p-2 text-white/80 hover:text-white"
+                aria-label="Next image"
+              >
+                <ChevronRightIcon className="h-10 w-10" />
+              </button>
+            </>
+          )}
+          <motion.img
+            key={images[index]}
+            src={mediaUrl(images[index])}
+            alt={`${title} image ${index + 1}`}
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="max-w-[90vw] max-h-[85vh] object-contain rounded"
+            onClick={(e) => e.stopPropagation()}
+            onError={(e) => (e.target.src = "/fallback-image.jpg")}
+          />
+          {images.length > 1 && (
+            <p className="absolute bottom-4 text-sm text-white/80">
+              {index + 1} / {images.length}
+            </p>
+          )}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,15 @@
+import { useMemo } from "react";
+import { renderMarkdown } from "../utils/markdown.js";
+
+// Renders post content. `compact` clips long posts for feed cards instead of line-clamp,
+// which does not work once the content contains block elements.
+export default function Markdown({ source, compact = false, className = "" }) {
+  const html = useMemo(() => renderMarkdown(source), [source]);
+
+  return (
+    <div
+      className={`markdown-body ${compact ? "max-h-40 overflow-hidden [mask-image:linear-gradient(to_bottom,black_70%,transparent)]" : ""} ${className}`}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
@@ -0,0 +1,103 @@
+import { useState, useContext, useRef } from "react";
+import { AuthContext } from "../context/AuthContext";
+import {
+  BoldIcon,
+  ItalicIcon,
+  H1Icon,
+  LinkIcon,
+  ListBulletIcon,
+  NumberedListIcon,
+  ChatBubbleBottomCenterTextIcon,
+  CodeBracketIcon,
+  CodeBracketSquareIcon,
+} from "@heroicons/react/24/outline";
+import Markdown from "./Markdown.jsx";
+import { applyMarkdownFormat } from "../utils/markdown.js";
+
+const TOOLBAR = [
+  { label: "Bold", icon: <BoldIcon className="h-5 w-5" />, before: "**", after: "**", placeholder: "bold text" },
+  { label: "Italic", icon: <ItalicIcon className="h-5 w-5" />, before: "_", after: "_", placeholder: "italic text" },
+  { label: "Heading", icon: <H1Icon className="h-5 w-5" />, block: true, prefix: () => "## " },
+  { label: "Link", icon: <LinkIcon className="h-5 w-5" />, before: "[", after: "](https://)", placeholder: "link text" },
+  { label: "Bulleted list", icon: <ListBulletIcon className="h-5 w-5" />, block: true, prefix: () => "- " },
+  { label: "Numbered list", icon: <NumberedListIcon className="h-5 w-5" />, block: true, prefix: (index) => `${index + 1}. ` },
+  { label: "Quote", icon: <ChatBubbleBottomCenterTextIcon className="h-5 w-5" />, block: true, prefix: () => "> " },
+  { label: "Inline code", icon: <CodeBracketIcon className="h-5 w-5" />, before: "`", after: "`", placeholder: "code" },
+  {
+    label: "Code block",
+    icon: <CodeBracketSquareIcon className="h-5 w-5" />,
+    before: "\n```javascript\n",
+    after: "\n```\n",
+    placeholder: "// your code",
+  },
+];
+
+// Markdown textarea with a formatting toolbar and a live preview rendered by the same
+// sanitizer the feed uses, so what authors see is what readers get.
+export default function MarkdownEditor({ value, onChange, placeholder, required = false }) {
+  const { theme } = useContext(AuthContext);
+  const [showPreview, setShowPreview] = useState(true);
+  const textareaRef = useRef(null);
+
+  const applyFormat = (format) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const next = applyMarkdownFormat(value, textarea.selectionStart, textarea.selectionEnd, format);
+    onChange(next.value);
+    // Restore the selection after React has written the new value.
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(next.selectionStart, next.selectionEnd);
+    });
+  };
+
+  const panelClass = `rounded ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-2">
+        {TOOLBAR.map((format) => (
+          <button
+            key={format.label}
+            type="button"
+            onClick={() => applyFormat(format)}
+            title={format.label}
+            aria-label={format.label}
+            className={`p-2 rounded ${theme === "dark" ? "text-gray-300 hover:bg-gray-700" : "text-gray-700 hover:bg-gray-200"}`}
+          >
+            {format.icon}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setShowPreview(!showPreview)}
+          className="ml-auto text-sm text-indigo-600 dark:text-indigo-300 hover:underline"
+        >
+          {showPreview ? "Hide preview" : "Show preview"}
+        </button>
+      </div>
+      <div className={`grid gap-4 ${showPreview ? "md:grid-cols-2" : ""}`}>
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          className={`w-full p-4 h-72 font-mono text-sm ${panelClass}`}
+          required={required}
+        />
+        {showPreview && (
+          <div className={`p-4 h-72 overflow-y-auto border ${theme === "dark" ? "border-gray-700" : "border-gray-200"} rounded`}>
+            {value.trim() ? (
+              <Markdown source={value} />
+            ) : (
+              <p className="text-gray-500 dark:text-gray-400 text-sm">Nothing to preview yet.</p>
+            )}
+          </div>
+        )}
+      </div>
+      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+        Markdown supported: **bold**, _italic_, lists, links and ```fenced code blocks```.
+      </p>
+    </div>
+  );
+}
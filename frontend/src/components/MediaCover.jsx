@@ -0,0 +1,33 @@
+import { PlayIcon } from "@heroicons/react/24/solid";
+import { mediaUrl } from "../config.js";
+import { MEDIA_VIDEO } from "../utils/media.js";
+
+// Static preview of a post's first attachment for cards that link elsewhere,
+// where an interactive gallery would swallow the click.
+export default function MediaCover({ media, title, className = "" }) {
+  if (!media || media.length === 0) return null;
+  const [first] = media;
+
+  return (
+    <div className={`relative overflow-hidden rounded-lg ${className}`}>
+      {first.type === MEDIA_VIDEO ? (
+        <>
+          <video src={mediaUrl(first.url)} preload="metadata" muted className="w-full h-full object-cover bg-black" />
+          <PlayIcon className="absolute inset-0 m-auto h-12 w-12 text-white drop-shadow-lg" />
+        </>
+      ) : (
+        <img
+          src={mediaUrl(first.url)}
+          alt={title}
+          className="w-full h-full object-cover"
+          onError={(e) => (e.target.src = "/fallback-image.jpg")}
+        />
+      )}
+      {media.length > 1 && (
+        <span className="absolute top-2 right-2 px-2 py-0.5 rounded-full bg-black/60 text-white text-xs">
+          +{media.length - 1}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { PlayIcon } from "@heroicons/react/24/solid";
+import { mediaUrl } from "../config.js";
+import { MEDIA_VIDEO } from "../utils/media.js";
+import Lightbox from "./Lightbox.jsx";
+
+// Attachment viewer for posts: the selected item plays or shows above a thumbnail strip,
+// and images open in the lightbox. `compact` sizes it for feed cards.
+export default function MediaGallery({ media, title, compact = false }) {
+  const [active, setActive] = useState(0);
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+
+  if (!media || media.length === 0) return null;
+
+  const current = media[Math.min(active, media.length - 1)];
+  const images = media.filter((item) => item.type !== MEDIA_VIDEO).map((item) => item.url);
+  const viewerClass = `w-full ${compact ? "h-56" : "max-h-[28rem]"} object-contain rounded-lg bg-black/5 dark:bg-black/30`;
+  const thumbClass = compact ? "w-14 h-14" : "w-20 h-20";
+
+  return (
+    <div className={compact ? "mb-4" : "mb-6"}>
+      <AnimatePresence mode="wait">
+        {current.type === MEDIA_VIDEO ? (
+          <motion.video
+            key={current.url}
+            src={mediaUrl(current.url)}
+            controls
+            playsInline
+            preload="metadata"
+            className={`${viewerClass} bg-black`}
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          />
+        ) : (
+          <motion.button
+            key={current.url}
+            onClick={() => setLightboxIndex(images.indexOf(current.url))}
+            className="block w-full cursor-zoom-in"
+            aria-label="Open image viewer"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          >
+            <img
+              src={mediaUrl(current.url)}
+              alt={title}
+              className={viewerClass}
+              onError={(e) => (e.target.src = "/fallback-image.jpg")}
+            />
+          </motion.button>
+        )}
+      </AnimatePresence>
+
+      {media.length > 1 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {media.map((item, index) => (
+            <button
+              key={item.url}
+              onClick={() => setActive(index)}
+              className={`relative rounded-lg overflow-hidden border-2 ${
+                item.url === current.url ? "border-purple-600" : "border-transparent"
+              }`}
+              aria-label={`Show ${item.type === MEDIA_VIDEO ? "video" : "image"} ${index + 1}`}
+            >
+              {item.type === MEDIA_VIDEO ? (
+                <>
+                  <video src={mediaUrl(item.url)} preload="metadata" muted className={`${thumbClass} object-cover bg-black`} />
+                  <PlayIcon className="absolute inset-0 m-auto h-6 w-6 text-white drop-shadow" />
+                </>
+              ) : (
+                <img
+                  src={mediaUrl(item.url)}
+                  alt=""
+                  className={`${thumbClass} object-cover`}
+                  onError={(e) => (e.target.src = "/fallback-image.jpg")}
+                />
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <Lightbox
+        images={images}
+        index={lightboxIndex}
+        onIndexChange={setLightboxIndex}
+        onClose={() => setLightboxIndex(null)}
+        title={title}
+      />
+    </div>
+  );
+}
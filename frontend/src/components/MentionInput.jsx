@@ -0,0 +1,129 @@
+import { useState, useEffect, useContext, useRef } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { searchUsers } from "../api.js";
+
+const LOOKUP_DEBOUNCE_MS = 200;
+
+// Text input that suggests usernames after "@" and inserts the picked one.
+// Plain Enter calls onSubmit in single-line mode unless the suggestion list is open.
+export default function MentionInput({ value, onChange, onSubmit, multiline = false, className = "", ...props }) {
+  const { theme } = useContext(AuthContext);
+  const inputRef = useRef(null);
+  const [mention, setMention] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+
+  useEffect(() => {
+    if (!mention?.query) {
+      setMatches([]);
+      return;
+    }
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const users = await searchUsers(mention.query);
+        if (!cancelled) {
+          setMatches(users);
+          setHighlighted(0);
+        }
+      } catch (err) {
+        console.error("Failed to look up users:", err);
+      }
+    }, LOOKUP_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [mention?.query]);
+
+  const detectMention = (text, caret) => {
+    const match = text.slice(0, caret).match(/(?:^|[^\w@])@([A-Za-z0-9_.-]*)$/);
+    setMention(match ? { start: caret - match[1].length - 1, query: match[1] } : null);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    detectMention(e.target.value, e.target.selectionStart);
+  };
+
+  const selectUser = (selected) => {
+    const before = value.slice(0, mention.start);
+    const after = value.slice(mention.start + mention.query.length + 1);
+    const inserted = `@${selected.username} `;
+    onChange(before + inserted + after);
+    setMention(null);
+    setMatches([]);
+    requestAnimationFrame(() => {
+      const caret = before.length + inserted.length;
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+    });
+  };
+
+  const open = mention && matches.length > 0;
+
+  const handleKeyDown = (e) => {
+    if (open) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setHighlighted((highlighted + step + matches.length) % matches.length);
+        return;
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        selectUser(matches[highlighted]);
+        return;
+      }
+      if (e.key === "Escape") {
+        setMention(null);
+        return;
+      }
+    }
+    if (!multiline && e.key === "Enter" && onSubmit) {
+      e.preventDefault();
+      onSubmit();
+    }
+  };
+
+  const Field = multiline ? "textarea" : "input";
+
+  return (
+    <div className="relative flex-1">
+      <Field
+        ref={inputRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setTimeout(() => setMention(null), 150)}
+        className={`w-full ${className}`}
+        {...props}
+      />
+      {open && (
+        <ul
+          className={`absolute z-20 left-0 mt-1 w-56 rounded-lg shadow-lg border overflow-hidden ${
+            theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"
+          }`}
+          role="listbox"
+        >
+          {matches.map((match, index) => (
+            <li key={match.id} role="option" aria-selected={index === highlighted}>
+              <button
+                type="button"
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  selectUser(match);
+                }}
+                className={`w-full text-left px-3 py-2 text-sm ${
+                  index === highlighted ? "bg-purple-600 text-white" : "hover:bg-purple-50 dark:hover:bg-gray-700"
+                }`}
+              >
+                @{match.username}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,8 @@ import { Link } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
 import { FaUserCircle, FaSun, FaMoon } from "react-icons/fa";
 import { motion } from "framer-motion";
+import SearchBox from "./SearchBox.jsx";
+import NotificationBell from "./NotificationBell.jsx";
 
 function Navbar() {
   const { user, logout, theme, toggleTheme, setShowAuthForm, setIsLogin } =
@@ -30,6 +32,7 @@ function Navbar() {
           SkillSphere
         </Link>
         <div className="flex items-center space-x-8">
+          {user && <SearchBox />}
           <Link
             to="/"
             className={`text-lg ${
@@ -97,6 +100,7 @@ function Navbar() {
               animate={{ opacity: 1 }}
               className="flex items-center space-x-4"
             >
+              <NotificationBell />
               <Link
                 to={`/profile/${user.id}`}
                 className={`flex items-center space-x-2 ${
@@ -0,0 +1,145 @@
+import { useState, useEffect, useContext, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import {
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../api.js";
+import { subscribeToNotifications } from "../notificationStream.js";
+import { motion, AnimatePresence } from "framer-motion";
+import { BellIcon } from "@heroicons/react/24/outline";
+
+const MAX_BADGE_COUNT = 99;
+
+export default function NotificationBell() {
+  const { user, theme, addNotification } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [items, setItems] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const refresh = async () => {
+    try {
+      const [notifications, count] = await Promise.all([getNotifications(), getUnreadNotificationCount()]);
+      setItems(notifications);
+      setUnread(count);
+    } catch (err) {
+      console.error("Failed to load notifications:", err);
+    }
+  };
+
+  useEffect(() => {
+    if (!user) return;
+    refresh();
+    return subscribeToNotifications({
+      onReady: refresh,
+      onNotification: (notification) => {
+        setItems((prev) => [notification, ...prev.filter((n) => n.id !== notification.id)]);
+        setUnread((prev) => prev + 1);
+        addNotification(notification.message);
+      },
+    });
+  }, [user?.id]);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const handleOpenItem = async (notification) => {
+    setOpen(false);
+    if (!notification.read) {
+      setItems((prev) => prev.map((n) => (n.id === notification.id ? { ...n, read: true } : n)));
+      setUnread((prev) => Math.max(prev - 1, 0));
+      try {
+        await markNotificationRead(notification.id);
+      } catch (err) {
+        console.error("Failed to mark notification as read:", err);
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      setItems((prev) => prev.map((n) => ({ ...n, read: true })));
+      setUnread(0);
+    } catch (err) {
+      console.error("Failed to mark notifications as read:", err);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <motion.button
+        whileHover={{ scale: 1.1 }}
+        onClick={() => setOpen(!open)}
+        className={`relative p-2 rounded-full ${theme === "dark" ? "text-gray-300" : "text-gray-700"}`}
+        aria-label={unread > 0 ? `Notifications (${unread} unread)` : "Notifications"}
+      >
+        <BellIcon className="h-7 w-7" />
+        {unread > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-semibold flex items-center justify-center">
+            {unread > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : unread}
+          </span>
+        )}
+      </motion.button>
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: -5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -5 }}
+            className={`absolute right-0 mt-2 w-96 max-h-[28rem] flex flex-col rounded-lg shadow-lg border ${
+              theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"
+            }`}
+          >
+            <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+              <h3 className="font-semibold">Notifications</h3>
+              {unread > 0 && (
+                <button onClick={handleMarkAllRead} className="text-sm text-purple-600 dark:text-purple-300 hover:underline">
+                  Mark all as read
+                </button>
+              )}
+            </div>
+            {items.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500 dark:text-gray-400">You're all caught up.</p>
+            ) : (
+              <ul className="overflow-y-auto">
+                {items.map((notification) => (
+                  <li key={notification.id}>
+                    <button
+                      onClick={() => handleOpenItem(notification)}
+                      className={`w-full text-left px-4 py-3 flex gap-3 items-start hover:bg-purple-50 dark:hover:bg-gray-700 ${
+                        notification.read ? "" : theme === "dark" ? "bg-purple-900/20" : "bg-purple-50/60"
+                      }`}
+                    >
+                      <span
+                        className={`mt-1.5 h-2 w-2 rounded-full flex-shrink-0 ${notification.read ? "bg-transparent" : "bg-purple-600"}`}
+                      />
+                      <span className="flex-1">
+                        <span className={`block text-sm ${notification.read ? "text-gray-600 dark:text-gray-400" : "font-medium"}`}>
+                          {notification.message}
+                        </span>
+                        <span className="block text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          {new Date(notification.createdAt).toLocaleString()}
+                        </span>
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
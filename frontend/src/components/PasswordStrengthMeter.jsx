@@ -0,0 +1,37 @@
+import { useContext } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { passwordChecks, passwordStrength } from "../utils/registration.js";
+import { CheckCircleIcon, XCircleIcon } from "@heroicons/react/24/outline";
+
+const BAR_COLORS = ["bg-red-500", "bg-red-500", "bg-yellow-500", "bg-green-500", "bg-green-600"];
+
+// Strength bar plus the policy checklist shown under a new-password field.
+export default function PasswordStrengthMeter({ password, username = "", policy }) {
+  const { theme } = useContext(AuthContext);
+  if (!password) return null;
+  const { score, label } = passwordStrength(password);
+
+  return (
+    <div className="space-y-2 text-sm" aria-live="polite">
+      <div className="flex items-center gap-2">
+        <div className="flex flex-1 gap-1">
+          {[0, 1, 2, 3].map((index) => (
+            <div
+              key={index}
+              className={`h-1.5 flex-1 rounded-full ${index < Math.max(score, 1) ? BAR_COLORS[score] : theme === "dark" ? "bg-gray-600" : "bg-gray-200"}`}
+            />
+          ))}
+        </div>
+        <span className="w-20 text-right text-gray-600 dark:text-gray-400">{label}</span>
+      </div>
+      <ul className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1">
+        {passwordChecks(password, username, policy).map((check) => (
+          <li key={check.label} className={`flex items-center gap-1 ${check.met ? "text-green-600" : "text-gray-500 dark:text-gray-400"}`}>
+            {check.met ? <CheckCircleIcon className="h-4 w-4" /> : <XCircleIcon className="h-4 w-4" />}
+            {check.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,356 @@
+import { useState, useContext } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { createQuiz, updateQuiz, getApiErrorMessage } from "../api.js";
+import { PlusIcon, TrashIcon, ArrowUpIcon, ArrowDownIcon } from "@heroicons/react/24/outline";
+import {
+  QUESTION_TYPES,
+  MAX_QUESTIONS,
+  MAX_OPTIONS,
+  emptyQuestion,
+  isChoiceQuestion,
+  toQuizForm,
+  toQuizPayload,
+  validateQuizForm,
+} from "../utils/quizzes.js";
+
+// Create or edit form for a quiz. `quiz` must be loaded with its answers (getQuiz as the author);
+// new quizzes attach to `target`, either { postId } or { learningPlanId }. Passing `milestones`
+// ([{ id, title }]) lets a plan quiz gate one of them.
+export default function QuizEditor({ quiz, target, milestones, onSaved, onCancel }) {
+  const { theme } = useContext(AuthContext);
+  const [form, setForm] = useState(() => toQuizForm(quiz));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const setQuestion = (index, changes) =>
+    setForm((prev) => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => (i === index ? { ...q, ...changes } : q)),
+    }));
+
+  const changeType = (index, type) => {
+    const question = form.questions[index];
+    const fresh = emptyQuestion(type);
+    setQuestion(index, {
+      type,
+      options: isChoiceQuestion(fresh) ? (question.options.length >= 2 ? question.options : fresh.options) : [],
+      // Multi-select -> single choice can't keep several right answers.
+      correctOptions: type === "SINGLE_CHOICE" ? question.correctOptions.slice(0, 1) : question.correctOptions,
+      acceptedAnswers: question.acceptedAnswers.length ? question.acceptedAnswers : fresh.acceptedAnswers,
+    });
+  };
+
+  const moveQuestion = (index, step) => {
+    const target = index + step;
+    if (target < 0 || target >= form.questions.length) return;
+    const questions = [...form.questions];
+    [questions[index], questions[target]] = [questions[target], questions[index]];
+    setField("questions", questions);
+  };
+
+  const removeQuestion = (index) => setField("questions", form.questions.filter((_, i) => i !== index));
+
+  const setOption = (index, optionIndex, value) =>
+    setQuestion(index, {
+      options: form.questions[index].options.map((o, i) => (i === optionIndex ? value : o)),
+    });
+
+  const removeOption = (index, optionIndex) => {
+    const question = form.questions[index];
+    setQuestion(index, {
+      options: question.options.filter((_, i) => i !== optionIndex),
+      // Indexes after the removed option shift down by one.
+      correctOptions: question.correctOptions
+        .filter((i) => i !== optionIndex)
+        .map((i) => (i > optionIndex ? i - 1 : i)),
+    });
+  };
+
+  const toggleCorrect = (index, optionIndex) => {
+    const question = form.questions[index];
+    if (question.type === "SINGLE_CHOICE") {
+      setQuestion(index, { correctOptions: [optionIndex] });
+      return;
+    }
+    setQuestion(index, {
+      correctOptions: question.correctOptions.includes(optionIndex)
+        ? question.correctOptions.filter((i) => i !== optionIndex)
+        : [...question.correctOptions, optionIndex].sort((a, b) => a - b),
+    });
+  };
+
+  const setAcceptedAnswer = (index, answerIndex, value) =>
+    setQuestion(index, {
+      acceptedAnswers: form.questions[index].acceptedAnswers.map((a, i) => (i === answerIndex ? value : a)),
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const problem = validateQuizForm(form);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSaving(true);
+    setError("");
+    try {
+      const payload = toQuizPayload(form);
+      const saved = quiz?.id ? await updateQuiz(quiz.id, payload) : await createQuiz({ ...payload, ...target });
+      onSaved?.(saved);
+    } catch (err) {
+      console.error("Failed to save quiz:", err);
+      setError(getApiErrorMessage(err, "Failed to save quiz."));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = `w-full p-2 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`;
+  const panelClass = `p-4 rounded-lg border ${theme === "dark" ? "border-gray-700 bg-gray-900/40" : "border-gray-200 bg-gray-50"}`;
+  const iconButtonClass = "p-1.5 rounded text-gray-500 hover:text-purple-600 disabled:opacity-30";
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <label className="sm:col-span-2 block">
+          <span className="text-sm font-semibold">Title</span>
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => setField("title", e.target.value)}
+            maxLength={120}
+            className={inputClass}
+          />
+        </label>
+        <label className="sm:col-span-2 block">
+          <span className="text-sm font-semibold">Description</span>
+          <textarea
+            value={form.description}
+            onChange={(e) => setField("description", e.target.value)}
+            rows={2}
+            className={inputClass}
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm font-semibold">Time limit (minutes)</span>
+          <input
+            type="number"
+            min="0.5"
+            max="180"
+            step="0.5"
+            value={form.timeLimitMinutes}
+            onChange={(e) => setField("timeLimitMinutes", e.target.value)}
+            placeholder="No limit"
+            className={inputClass}
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm font-semibold">Passing score (%)</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={form.passingScore}
+            onChange={(e) => setField("passingScore", e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        {milestones?.length > 0 && (
+          <label className="sm:col-span-2 block">
+            <span className="text-sm font-semibold">Required to complete milestone</span>
+            <select value={form.milestoneId} onChange={(e) => setField("milestoneId", e.target.value)} className={inputClass}>
+              <option value="">None</option>
+              {milestones.map((milestone) => (
+                <option key={milestone.id} value={String(milestone.id)}>
+                  {milestone.title}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {form.questions.map((question, index) => (
+        <div key={index} className={panelClass}>
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <span className="font-semibold">Question {index + 1}</span>
+            <select
+              value={question.type}
+              onChange={(e) => changeType(index, e.target.value)}
+              className={`px-2 py-1 rounded text-sm ${theme === "dark" ? "bg-gray-700 text-white" : "bg-white text-gray-900"}`}
+            >
+              {Object.entries(QUESTION_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <label className="text-sm flex items-center gap-1">
+              Points
+              <input
+                type="number"
+                min="1"
+                max="10"
+                value={question.points}
+                onChange={(e) => setQuestion(index, { points: e.target.value })}
+                className={`w-16 px-2 py-1 rounded ${theme === "dark" ? "bg-gray-700 text-white" : "bg-white text-gray-900"}`}
+              />
+            </label>
+            <div className="ml-auto flex">
+              <button type="button" onClick={() => moveQuestion(index, -1)} disabled={index === 0} title="Move up" className={iconButtonClass}>
+                <ArrowUpIcon className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveQuestion(index, 1)}
+                disabled={index === form.questions.length - 1}
+                title="Move down"
+                className={iconButtonClass}
+              >
+                <ArrowDownIcon className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => removeQuestion(index)}
+                disabled={form.questions.length === 1}
+                title="Remove question"
+                className="p-1.5 rounded text-gray-500 hover:text-red-600 disabled:opacity-30"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+
+          <textarea
+            value={question.prompt}
+            onChange={(e) => setQuestion(index, { prompt: e.target.value })}
+            rows={2}
+            placeholder="Question"
+            className={`${inputClass} mb-3`}
+          />
+
+          {isChoiceQuestion(question) ? (
+            <div className="space-y-2 mb-3">
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {question.type === "SINGLE_CHOICE" ? "Mark the correct option." : "Mark every correct option."}
+              </p>
+              {question.options.map((option, optionIndex) => (
+                <div key={optionIndex} className="flex items-center gap-2">
+                  <input
+                    type={question.type === "SINGLE_CHOICE" ? "radio" : "checkbox"}
+                    name={`correct-${index}`}
+                    checked={question.correctOptions.includes(optionIndex)}
+                    onChange={() => toggleCorrect(index, optionIndex)}
+                    className="accent-purple-600"
+                    aria-label={`Option ${optionIndex + 1} is correct`}
+                  />
+                  <input
+                    type="text"
+                    value={option}
+                    onChange={(e) => setOption(index, optionIndex, e.target.value)}
+                    maxLength={200}
+                    placeholder={`Option ${optionIndex + 1}`}
+                    className={`flex-1 min-w-0 ${inputClass}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeOption(index, optionIndex)}
+                    disabled={question.options.length <= 2}
+                    title="Remove option"
+                    className="p-1.5 rounded text-gray-500 hover:text-red-600 disabled:opacity-30"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              {question.options.length < MAX_OPTIONS && (
+                <button
+                  type="button"
+                  onClick={() => setQuestion(index, { options: [...question.options, ""] })}
+                  className="text-sm text-purple-600 hover:text-purple-700 flex items-center gap-1"
+                >
+                  <PlusIcon className="h-4 w-4" /> Add option
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-2 mb-3">
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Accepted answers. Case, extra spaces and trailing punctuation are ignored.
+              </p>
+              {question.acceptedAnswers.map((answer, answerIndex) => (
+                <div key={answerIndex} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={answer}
+                    onChange={(e) => setAcceptedAnswer(index, answerIndex, e.target.value)}
+                    maxLength={200}
+                    placeholder="Accepted answer"
+                    className={`flex-1 min-w-0 ${inputClass}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setQuestion(index, { acceptedAnswers: question.acceptedAnswers.filter((_, i) => i !== answerIndex) })
+                    }
+                    disabled={question.acceptedAnswers.length <= 1}
+                    title="Remove answer"
+                    className="p-1.5 rounded text-gray-500 hover:text-red-600 disabled:opacity-30"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setQuestion(index, { acceptedAnswers: [...question.acceptedAnswers, ""] })}
+                className="text-sm text-purple-600 hover:text-purple-700 flex items-center gap-1"
+              >
+                <PlusIcon className="h-4 w-4" /> Add accepted answer
+              </button>
+            </div>
+          )}
+
+          <textarea
+            value={question.explanation}
+            onChange={(e) => setQuestion(index, { explanation: e.target.value })}
+            rows={2}
+            placeholder="Explanation shown with the results (optional)"
+            className={inputClass}
+          />
+        </div>
+      ))}
+
+      {form.questions.length < MAX_QUESTIONS && (
+        <button
+          type="button"
+          onClick={() => setField("questions", [...form.questions, emptyQuestion()])}
+          className="text-purple-600 hover:text-purple-700 flex items-center gap-1"
+        >
+          <PlusIcon className="h-5 w-5" /> Add question
+        </button>
+      )}
+
+      {error && <p className="text-red-500">{error}</p>}
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className={`px-4 py-2 rounded-lg ${theme === "dark" ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"}`}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+        >
+          {saving ? "Saving..." : quiz?.id ? "Save quiz" : "Create quiz"}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,156 @@
+import { useState, useEffect, useContext } from "react";
+import { Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { getQuizzes, getQuiz, deleteQuiz, getApiErrorMessage } from "../api.js";
+import QuizEditor from "./QuizEditor.jsx";
+import { describeTimeLimit } from "../utils/quizzes.js";
+import { AcademicCapIcon, CheckCircleIcon, ClockIcon, PencilIcon, PlusIcon, TrashIcon } from "@heroicons/react/24/outline";
+
+// Quizzes section for a post (`postId`) or learning plan (`planId`). With `canEdit` the owner can
+// add quizzes and manage their own; `milestones` is passed on to the editor for plan quizzes.
+// Renders nothing when there are no quizzes and nothing to add.
+export default function QuizList({ postId, planId, canEdit = false, milestones, onQuizzesChange, className = "" }) {
+  const { user, theme } = useContext(AuthContext);
+  const [quizzes, setQuizzes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  // null when closed, {} for a new quiz, or the quiz being edited (loaded with its answers).
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    getQuizzes({ postId, planId })
+      .then((loaded) => !cancelled && setQuizzes(loaded))
+      .catch((err) => {
+        console.error("Failed to load quizzes:", err);
+        if (!cancelled) setError(getApiErrorMessage(err, "Failed to load quizzes."));
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [postId, planId, user]);
+
+  useEffect(() => {
+    onQuizzesChange?.(quizzes);
+  }, [quizzes]);
+
+  const handleEdit = async (quiz) => {
+    setError("");
+    try {
+      setEditing(await getQuiz(quiz.id));
+    } catch (err) {
+      console.error("Failed to load quiz:", err);
+      setError(getApiErrorMessage(err, "Failed to load quiz."));
+    }
+  };
+
+  const handleSaved = (saved) => {
+    setQuizzes((prev) =>
+      prev.some((q) => q.id === saved.id) ? prev.map((q) => (q.id === saved.id ? saved : q)) : [...prev, saved]
+    );
+    setEditing(null);
+  };
+
+  const handleDelete = async (quiz) => {
+    if (!window.confirm(`Delete the quiz "${quiz.title}"? Everyone's attempts at it are deleted too.`)) return;
+    setError("");
+    try {
+      await deleteQuiz(quiz.id);
+      setQuizzes((prev) => prev.filter((q) => q.id !== quiz.id));
+    } catch (err) {
+      console.error("Failed to delete quiz:", err);
+      setError(getApiErrorMessage(err, "Failed to delete quiz."));
+    }
+  };
+
+  if (!user || (!canEdit && quizzes.length === 0 && !error)) return null;
+
+  const milestoneTitle = (quiz) => milestones?.find((m) => String(m.id) === String(quiz.milestoneId))?.title;
+  const rowClass = `p-4 rounded-lg border ${theme === "dark" ? "border-gray-700" : "border-gray-200"}`;
+
+  return (
+    <section className={className}>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-semibold flex items-center gap-2">
+          <AcademicCapIcon className="h-6 w-6" />
+          Quizzes
+        </h2>
+        {canEdit && !editing && (
+          <button
+            onClick={() => setEditing({})}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-purple-600 text-white hover:bg-purple-700"
+          >
+            <PlusIcon className="h-4 w-4" /> Add quiz
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-500 mb-4">{error}</p>}
+
+      {editing ? (
+        <QuizEditor
+          quiz={editing.id ? editing : null}
+          target={postId ? { postId: Number(postId) } : { learningPlanId: Number(planId) }}
+          milestones={milestones}
+          onSaved={handleSaved}
+          onCancel={() => setEditing(null)}
+        />
+      ) : loading && quizzes.length === 0 ? (
+        <p className="text-gray-600 dark:text-gray-400">Loading quizzes...</p>
+      ) : quizzes.length === 0 ? (
+        <p className="text-gray-600 dark:text-gray-400">No quizzes yet. Add one to let learners check what they learned.</p>
+      ) : (
+        <ul className="space-y-3">
+          {quizzes.map((quiz) => {
+            const isAuthor = String(quiz.author?.id) === String(user.id);
+            const milestone = milestoneTitle(quiz);
+            return (
+              <li key={quiz.id} className={`${rowClass} flex flex-wrap items-center gap-3`}>
+                <div className="flex-1 min-w-0">
+                  <Link to={`/quiz/${quiz.id}`} className="text-lg font-semibold hover:text-purple-600">
+                    {quiz.title}
+                  </Link>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 flex flex-wrap items-center gap-x-2">
+                    <span>
+                      {quiz.questionCount} question{quiz.questionCount === 1 ? "" : "s"}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <ClockIcon className="h-4 w-4" />
+                      {describeTimeLimit(quiz.timeLimitSeconds)}
+                    </span>
+                    <span>Pass: {quiz.passingScore}%</span>
+                    {milestone && <span>Unlocks “{milestone}”</span>}
+                  </p>
+                  {quiz.attemptCount > 0 && (
+                    <p className={`text-sm mt-1 flex items-center gap-1 ${quiz.passed ? "text-green-600" : "text-gray-500 dark:text-gray-400"}`}>
+                      {quiz.passed && <CheckCircleIcon className="h-4 w-4" />}
+                      {quiz.passed ? "Passed" : "Not passed yet"} • Best {quiz.bestPercent}% in {quiz.attemptCount} attempt
+                      {quiz.attemptCount === 1 ? "" : "s"}
+                    </p>
+                  )}
+                </div>
+                <Link to={`/quiz/${quiz.id}`} className="px-3 py-1.5 rounded-lg bg-purple-600 text-white hover:bg-purple-700">
+                  {quiz.attemptCount > 0 ? "Retake" : "Take quiz"}
+                </Link>
+                {canEdit && isAuthor && (
+                  <div className="flex">
+                    <button onClick={() => handleEdit(quiz)} title="Edit quiz" className="p-1.5 rounded text-gray-500 hover:text-purple-600">
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    <button onClick={() => handleDelete(quiz)} title="Delete quiz" className="p-1.5 rounded text-gray-500 hover:text-red-600">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
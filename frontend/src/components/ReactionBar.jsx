@@ -0,0 +1,163 @@
+import { useState, useEffect, useContext, useRef } from "react";
+import { Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { addReaction, removeReaction, getReactionTypes } from "../api.js";
+import { motion, AnimatePresence } from "framer-motion";
+import { FaceSmileIcon } from "@heroicons/react/24/outline";
+import { DEFAULT_REACTION_TYPES, getReactionMeta, getUserReaction, groupReactions } from "../utils/reactions.js";
+
+// Reaction chips for a post. Each user has at most one reaction: clicking it again
+// removes it, picking another type switches it. onChange receives the updated post.
+export default function ReactionBar({ post, onChange, compact = false }) {
+  const { user, theme } = useContext(AuthContext);
+  const [types, setTypes] = useState(DEFAULT_REACTION_TYPES);
+  const [showPicker, setShowPicker] = useState(false);
+  const [showReactors, setShowReactors] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    getReactionTypes()
+      .then((configured) => configured.length > 0 && setTypes(configured))
+      .catch((err) => console.error("Failed to load reaction types:", err));
+  }, []);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setShowPicker(false);
+        setShowReactors(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const current = getUserReaction(post, user);
+  const groups = groupReactions(post.reactions, types);
+  const total = post.reactions?.length || 0;
+
+  const react = async (type) => {
+    setShowPicker(false);
+    if (!user || busy) return;
+    setBusy(true);
+    try {
+      onChange(type === current ? await removeReaction(post.id) : await addReaction(post.id, type));
+    } catch (err) {
+      console.error("Failed to update reaction:", err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const popoverClass = `absolute z-30 bottom-full mb-2 rounded-lg shadow-lg border ${
+    theme === "dark" ? "bg-gray-700 border-gray-600" : "bg-white border-gray-200"
+  }`;
+
+  return (
+    <div ref={containerRef} className="relative flex flex-wrap items-center gap-2">
+      {groups.map(({ type, reactions }) => {
+        const { label, emoji } = getReactionMeta(type);
+        const active = type === current;
+        return (
+          <motion.button
+            key={type}
+            onClick={() => react(type)}
+            whileHover={{ scale: 1.05 }}
+            disabled={!user || busy}
+            title={active ? `Remove your ${label.toLowerCase()}` : label}
+            className={`flex items-center gap-1 rounded-full border ${compact ? "px-2 py-0.5 text-sm" : "px-3 py-1"} ${
+              active
+                ? "border-purple-500 bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200"
+                : "border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300"
+            }`}
+          >
+            <span>{emoji}</span>
+            <span className="font-semibold">{reactions.length}</span>
+          </motion.button>
+        );
+      })}
+
+      {user && (
+        <motion.button
+          onClick={() => {
+            setShowPicker(!showPicker);
+            setShowReactors(false);
+          }}
+          whileHover={{ scale: 1.1 }}
+          className="p-1 rounded-full text-gray-600 dark:text-gray-300"
+          aria-label="Add reaction"
+        >
+          <FaceSmileIcon className={compact ? "h-5 w-5" : "h-6 w-6"} />
+        </motion.button>
+      )}
+
+      {total > 0 && (
+        <button
+          onClick={() => {
+            setShowReactors(!showReactors);
+            setShowPicker(false);
+          }}
+          className="text-sm text-gray-500 dark:text-gray-400 hover:text-purple-600 dark:hover:text-purple-300"
+        >
+          {compact ? "Who reacted" : `${total} reaction${total === 1 ? "" : "s"}`}
+        </button>
+      )}
+
+      <AnimatePresence>
+        {showPicker && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            className={`${popoverClass} left-0 flex gap-1 p-2`}
+          >
+            {types.map((type) => {
+              const { label, emoji } = getReactionMeta(type);
+              return (
+                <motion.button
+                  key={type}
+                  onClick={() => react(type)}
+                  whileHover={{ scale: 1.25 }}
+                  title={label}
+                  aria-label={label}
+                  className={`text-2xl px-1 rounded-full ${type === current ? "bg-purple-100 dark:bg-purple-900" : ""}`}
+                >
+                  {emoji}
+                </motion.button>
+              );
+            })}
+          </motion.div>
+        )}
+        {showReactors && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            className={`${popoverClass} left-0 w-64 max-h-72 overflow-y-auto p-3 space-y-3`}
+          >
+            {groups.map(({ type, reactions }) => {
+              const { label, emoji } = getReactionMeta(type);
+              return (
+                <div key={type}>
+                  <p className="text-sm font-semibold mb-1">
+                    {emoji} {label} · {reactions.length}
+                  </p>
+                  <ul className="text-sm space-y-0.5">
+                    {reactions.map((reaction) => (
+                      <li key={reaction.id}>
+                        <Link to={`/profile/${reaction.userId}`} className="hover:text-purple-600 dark:hover:text-purple-300">
+                          {reaction.username}
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              );
+            })}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
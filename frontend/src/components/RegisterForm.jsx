@@ -0,0 +1,151 @@
+import { useState, useEffect, useContext } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { checkUsernameAvailability, getPasswordPolicy } from "../api.js";
+import { motion } from "framer-motion";
+import PasswordStrengthMeter from "./PasswordStrengthMeter.jsx";
+import { DEFAULT_PASSWORD_POLICY, usernameErrors, meetsPasswordPolicy, fieldForMessage } from "../utils/registration.js";
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Registration fields with inline validation against the server's policy, a live username
+// availability check and a cooldown when the server rate-limits attempts.
+export default function RegisterForm() {
+  const { theme, register } = useContext(AuthContext);
+  const [policy, setPolicy] = useState(DEFAULT_PASSWORD_POLICY);
+  const [fields, setFields] = useState({ username: "", email: "", password: "", confirmation: "" });
+  const [touched, setTouched] = useState({});
+  // { username, available, errors } for the last username the server checked, or null.
+  const [availability, setAvailability] = useState(null);
+  const [serverErrors, setServerErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [cooldownUntil, setCooldownUntil] = useState(0);
+  const [now, setNow] = useState(Date.now());
+
+  const username = fields.username.trim();
+
+  useEffect(() => {
+    getPasswordPolicy()
+      .then(setPolicy)
+      .catch((err) => console.error("Failed to load password policy:", err));
+  }, []);
+
+  useEffect(() => {
+    if (!username || usernameErrors(username, policy).length > 0) {
+      setAvailability(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      checkUsernameAvailability(username)
+        .then((result) => !cancelled && setAvailability({ username, ...result }))
+        .catch((err) => console.error("Failed to check username:", err));
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [username, policy]);
+
+  useEffect(() => {
+    if (cooldownUntil <= Date.now()) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [cooldownUntil]);
+
+  const cooldownSeconds = Math.max(0, Math.ceil((cooldownUntil - now) / 1000));
+
+  const errors = {
+    username:
+      serverErrors.username ||
+      usernameErrors(username, policy)[0] ||
+      (availability?.username === username && !availability.available ? availability.errors[0] : ""),
+    email: serverErrors.email || (EMAIL_PATTERN.test(fields.email.trim()) ? "" : "Please enter a valid email address"),
+    password:
+      serverErrors.password || (meetsPasswordPolicy(fields.password, username, policy) ? "" : "Password doesn't meet the rules below"),
+    confirmation: fields.confirmation === fields.password ? "" : "Passwords don't match",
+  };
+  const hasErrors = Object.values(errors).some(Boolean);
+
+  const setField = (name, value) => {
+    setFields((prev) => ({ ...prev, [name]: value }));
+    setServerErrors((prev) => ({ ...prev, [name]: "", form: "" }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setTouched({ username: true, email: true, password: true, confirmation: true });
+    if (hasErrors || submitting || cooldownSeconds > 0) return;
+    setSubmitting(true);
+    setServerErrors({});
+    try {
+      await register(username, fields.password, fields.email.trim());
+    } catch (err) {
+      console.error("Registration error:", err.message);
+      if (err.response?.status === 429) {
+        const retryAfter = Number(err.response.headers?.["retry-after"]) || 60;
+        setCooldownUntil(Date.now() + retryAfter * 1000);
+        setNow(Date.now());
+      }
+      setServerErrors({ [fieldForMessage(err.message)]: err.message || "Registration failed" });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass = (name) =>
+    `w-full p-4 rounded-lg border ${
+      touched[name] && errors[name]
+        ? "border-red-500"
+        : theme === "dark"
+          ? "border-gray-600"
+          : "border-gray-200"
+    } ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`;
+  const fieldError = (name) => touched[name] && errors[name] && <p className="mt-1 text-sm text-red-500">{errors[name]}</p>;
+  const inputProps = (name) => ({
+    value: fields[name],
+    onChange: (e) => setField(name, e.target.value),
+    onBlur: () => setTouched((prev) => ({ ...prev, [name]: true })),
+    className: inputClass(name),
+    "aria-invalid": Boolean(touched[name] && errors[name]),
+  });
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+      {serverErrors.form && <p className="text-red-500 text-center">{serverErrors.form}</p>}
+      <div>
+        <motion.input type="text" placeholder="Username" autoComplete="username" whileFocus={{ scale: 1.02 }} {...inputProps("username")} />
+        {fieldError("username") ||
+          (username && availability?.username === username && availability.available && (
+            <p className="mt-1 text-sm text-green-600">{username} is available</p>
+          ))}
+      </div>
+      <div>
+        <motion.input type="email" placeholder="Email (for password resets)" autoComplete="email" whileFocus={{ scale: 1.02 }} {...inputProps("email")} />
+        {fieldError("email")}
+      </div>
+      <div className="space-y-2">
+        <motion.input type="password" placeholder="Password" autoComplete="new-password" whileFocus={{ scale: 1.02 }} {...inputProps("password")} />
+        {fieldError("password")}
+        <PasswordStrengthMeter password={fields.password} username={username} policy={policy} />
+      </div>
+      <div>
+        <motion.input
+          type="password"
+          placeholder="Repeat password"
+          autoComplete="new-password"
+          whileFocus={{ scale: 1.02 }}
+          {...inputProps("confirmation")}
+        />
+        {fieldError("confirmation")}
+      </div>
+      <motion.button
+        type="submit"
+        disabled={submitting || cooldownSeconds > 0}
+        whileHover={{ scale: 1.05 }}
+        className={`w-full py-3 bg-purple-600 text-white rounded-lg font-semibold ${submitting || cooldownSeconds > 0 ? "opacity-60" : ""}`}
+      >
+        {submitting ? "Registering..." : cooldownSeconds > 0 ? `Try again in ${cooldownSeconds}s` : "Register"}
+      </motion.button>
+    </form>
+  );
+}
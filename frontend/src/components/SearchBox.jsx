@@ -0,0 +1,147 @@
+import { useState, useEffect, useContext, useRef } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { getSearchSuggestions } from "../api.js";
+import { motion, AnimatePresence } from "framer-motion";
+import { MagnifyingGlassIcon, DocumentTextIcon, UserIcon, AcademicCapIcon } from "@heroicons/react/24/outline";
+import Highlight from "./Highlight.jsx";
+
+const SUGGEST_DEBOUNCE_MS = 250;
+const MIN_QUERY_LENGTH = 2;
+
+export default function SearchBox() {
+  const { theme } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [suggestions, setSuggestions] = useState(null);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      setSuggestions(null);
+      return;
+    }
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      try {
+        setSuggestions(await getSearchSuggestions(q, controller.signal));
+      } catch (err) {
+        if (err.name !== "CanceledError") console.error("Failed to load suggestions:", err);
+      }
+    }, SUGGEST_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [query]);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const close = () => {
+    setOpen(false);
+    setQuery("");
+    setSuggestions(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const q = query.trim();
+    if (!q) return;
+    navigate(`/search?q=${encodeURIComponent(q)}`);
+    close();
+  };
+
+  const groups = suggestions
+    ? [
+        {
+          key: "posts",
+          icon: <DocumentTextIcon className="h-4 w-4" />,
+          items: suggestions.posts.map((post) => ({ id: post.id, label: post.title, to: `/post/${post.id}` })),
+        },
+        {
+          key: "users",
+          icon: <UserIcon className="h-4 w-4" />,
+          items: suggestions.users.map((u) => ({ id: u.id, label: u.username, to: `/profile/${u.id}` })),
+        },
+        {
+          key: "plans",
+          icon: <AcademicCapIcon className="h-4 w-4" />,
+          items: suggestions.plans.map((plan) => ({ id: plan.id, label: plan.title, to: `/learning-plan/${plan.id}` })),
+        },
+      ].filter((group) => group.items.length > 0)
+    : [];
+
+  return (
+    <div ref={containerRef} className="relative">
+      <form onSubmit={handleSubmit} role="search">
+        <MagnifyingGlassIcon
+          className={`absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 ${theme === "dark" ? "text-gray-400" : "text-gray-500"}`}
+        />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={(e) => e.key === "Escape" && setOpen(false)}
+          placeholder="Search SkillSphere..."
+          aria-label="Search posts, people and learning plans"
+          className={`w-56 lg:w-72 py-2 pl-10 pr-3 rounded-lg border ${
+            theme === "dark" ? "bg-gray-800 border-gray-700 text-white" : "bg-white border-gray-200 text-gray-900"
+          } focus:outline-none focus:ring-2 focus:ring-purple-500`}
+        />
+      </form>
+      <AnimatePresence>
+        {open && suggestions && (
+          <motion.div
+            initial={{ opacity: 0, y: -5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -5 }}
+            className={`absolute right-0 mt-2 w-80 rounded-lg shadow-lg border overflow-hidden ${
+              theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"
+            }`}
+          >
+            {groups.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500 dark:text-gray-400">No matches for "{query.trim()}"</p>
+            ) : (
+              groups.map((group) => (
+                <ul key={group.key} className="py-1 border-b last:border-b-0 border-gray-200 dark:border-gray-700">
+                  {group.items.map((item) => (
+                    <li key={item.id}>
+                      <Link
+                        to={item.to}
+                        onClick={close}
+                        className="flex items-center gap-2 px-4 py-2 text-sm hover:bg-purple-50 dark:hover:bg-gray-700"
+                      >
+                        <span className="text-gray-400">{group.icon}</span>
+                        <span className="truncate">
+                          <Highlight text={item.label} query={query} />
+                        </span>
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              ))
+            )}
+            <button
+              onClick={handleSubmit}
+              className="w-full px-4 py-2 text-left text-sm font-medium text-purple-600 dark:text-purple-300 hover:bg-purple-50 dark:hover:bg-gray-700"
+            >
+              See all results for "{query.trim()}"
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import { useState, useEffect, useContext, useRef } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+import { getTags } from "../api.js";
+import { MAX_TAGS_PER_POST, slugifyTag } from "../utils/tags.js";
+
+const LOOKUP_DEBOUNCE_MS = 200;
+
+// Chip input for post tags. Enter or a comma turns the typed text into a chip, Backspace on an
+// empty field removes the last one, and existing tags are suggested as you type.
+export default function TagInput({ value, onChange, max = MAX_TAGS_PER_POST, placeholder = "Add a tag", disabled = false }) {
+  const { theme } = useContext(AuthContext);
+  const inputRef = useRef(null);
+  const [text, setText] = useState("");
+  const [matches, setMatches] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+  const [focused, setFocused] = useState(false);
+
+  const takenSlugs = new Set(value.map(slugifyTag));
+  const full = value.length >= max;
+
+  useEffect(() => {
+    const query = slugifyTag(text);
+    if (!query) {
+      setMatches([]);
+      return;
+    }
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      try {
+        const tags = await getTags({ q: query, limit: 8 }, controller.signal);
+        setMatches(tags);
+        setHighlighted(-1);
+      } catch (err) {
+        if (!controller.signal.aborted) console.error("Failed to look up tags:", err);
+      }
+    }, LOOKUP_DEBOUNCE_MS);
+    return () => {
+      controller.abort();
+      clearTimeout(timeout);
+    };
+  }, [text]);
+
+  const suggestions = matches.filter((tag) => !takenSlugs.has(tag.slug));
+  const open = focused && !full && suggestions.length > 0;
+
+  const addTag = (raw) => {
+    const name = raw.trim().replace(/\s+/g, " ");
+    setText("");
+    setMatches([]);
+    if (!slugifyTag(name) || takenSlugs.has(slugifyTag(name)) || full) return;
+    onChange([...value, name]);
+  };
+
+  const removeTag = (index) => onChange(value.filter((_, i) => i !== index));
+
+  const handleChange = (e) => {
+    const parts = e.target.value.split(",");
+    if (parts.length > 1) {
+      parts.slice(0, -1).forEach((part) => part.trim() && addTag(part));
+      setText(parts[parts.length - 1]);
+      return;
+    }
+    setText(e.target.value);
+  };
+
+  const handleKeyDown = (e) => {
+    if (open && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setHighlighted((highlighted + step + suggestions.length) % suggestions.length);
+      return;
+    }
+    if (e.key === "Enter") {
+      e.preventDefault();
+      if (open && highlighted >= 0 && suggestions[highlighted]) {
+        addTag(suggestions[highlighted].name);
+      } else if (text.trim()) {
+        addTag(text);
+      }
+      return;
+    }
+    if (e.key === "Escape") {
+      setMatches([]);
+      return;
+    }
+    if (e.key === "Backspace" && !text && value.length > 0) {
+      removeTag(value.length - 1);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div
+        onClick={() => inputRef.current?.focus()}
+        className={`flex flex-wrap items-center gap-2 w-full p-2 rounded border cursor-text focus-within:ring-2 focus-within:ring-indigo-500 ${
+          theme === "dark" ? "bg-gray-700 border-gray-600" : "bg-white border-gray-300"
+        } ${disabled ? "opacity-50 pointer-events-none" : ""}`}
+      >
+        {value.map((tag, index) => (
+          <span
+            key={slugifyTag(tag)}
+            className="flex items-center gap-1 text-sm px-2 py-0.5 rounded-full bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300"
+          >
+            #{tag}
+            <button
+              type="button"
+              onClick={() => removeTag(index)}
+              className="hover:text-red-600"
+              aria-label={`Remove tag ${tag}`}
+            >
+              <XMarkIcon className="h-3.5 w-3.5" />
+            </button>
+          </span>
+        ))}
+        <input
+          ref={inputRef}
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setFocused(true)}
+          onBlur={() => {
+            setTimeout(() => setFocused(false), 150);
+            if (text.trim()) addTag(text);
+          }}
+          disabled={disabled || full}
+          placeholder={full ? `Up to ${max} tags` : value.length === 0 ? placeholder : ""}
+          className="flex-1 min-w-[8rem] bg-transparent outline-none p-1"
+          role="combobox"
+          aria-expanded={open}
+          aria-autocomplete="list"
+        />
+      </div>
+      {open && (
+        <ul
+          className={`absolute z-20 left-0 mt-1 w-64 rounded-lg shadow-lg border overflow-hidden ${
+            theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"
+          }`}
+          role="listbox"
+        >
+          {suggestions.map((tag, index) => (
+            <li key={tag.slug} role="option" aria-selected={index === highlighted}>
+              <button
+                type="button"
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  addTag(tag.name);
+                }}
+                className={`w-full flex justify-between px-3 py-2 text-sm ${
+                  index === highlighted ? "bg-purple-600 text-white" : "hover:bg-purple-50 dark:hover:bg-gray-700"
+                }`}
+              >
+                <span>#{tag.name}</span>
+                <span className="opacity-70">{tag.count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
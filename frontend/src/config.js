@@ -0,0 +1,19 @@
+// Deployment-specific origins come from Vite env vars (see .env.example) and fall back to the local dev setup.
+const stripTrailingSlash = (value) => value.replace(/\/+$/, "");
+
+export const API_ORIGIN = stripTrailingSlash(import.meta.env.VITE_API_ORIGIN || "http://localhost:8080");
+export const MEDIA_ORIGIN = stripTrailingSlash(import.meta.env.VITE_MEDIA_ORIGIN || API_ORIGIN);
+export const APP_ORIGIN = stripTrailingSlash(import.meta.env.VITE_APP_ORIGIN || window.location.origin);
+
+const join = (origin, path = "") => `${origin}${path.startsWith("/") ? path : `/${path}`}`;
+
+export const apiUrl = (path = "") => join(`${API_ORIGIN}/api`, path);
+
+// Uploaded files are stored as "/uploads/..." paths; anything already absolute is left alone.
+export const mediaUrl = (path) => {
+  if (!path) return "";
+  const trimmed = path.trim();
+  return /^(https?:|blob:|data:)/.test(trimmed) ? trimmed : join(MEDIA_ORIGIN, trimmed);
+};
+
+export const appUrl = (path = "") => join(APP_ORIGIN, path);
@@ -1,6 +1,19 @@
-import { createContext, useState, useEffect } from "react";
-import axios from "axios";
+import { createContext, useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
+import {
+  setAuthToken,
+  setSessionRefresher,
+  onSessionExpired,
+  signIn,
+  signUp,
+  getCurrentUser,
+  refreshSession,
+  logoutSession,
+  logoutAllSessions,
+  changePassword as changePasswordRequest,
+  deleteAccount as deleteAccountRequest,
+} from "../api.js";
+import { TOKEN_KEY, REFRESH_TOKEN_KEY, getTokenClaims, msUntilRefresh, withTabLock } from "../utils/session.js";
 
 export const AuthContext = createContext();
 
@@ -10,11 +23,136 @@ export const AuthProvider = ({ children }) => {
   const [theme, setTheme] = useState(localStorage.getItem("theme") || "light");
   const [showAuthForm, setShowAuthForm] = useState(false);
   const [isLogin, setIsLogin] = useState(true);
+  const [authNotice, setAuthNotice] = useState("");
   const navigate = useNavigate();
+  // The access token requests currently go out with; a refresh in flight is shared by all callers.
+  const tokenRef = useRef(null);
+  const refreshRef = useRef(null);
 
   useEffect(() => {
     document.documentElement.classList.toggle("dark", theme === "dark");
+    setSessionRefresher(refreshAccessToken);
     checkAuthStatus();
+    return () => setSessionRefresher(null);
+  }, []);
+
+  useEffect(() => {
+    return onSessionExpired(endExpiredSession);
+  }, []);
+
+  const endExpiredSession = () => {
+    // Several in-flight requests can fail together; only the first one ends the session.
+    if (!localStorage.getItem(TOKEN_KEY)) return;
+    console.log("Session expired, logging out");
+    clearSession();
+    setAuthNotice("Session expired. Please log in again.");
+    setShowAuthForm(true);
+    setIsLogin(true);
+    addNotification("Session expired. Please log in again.");
+  };
+
+  const applyToken = (token) => {
+    tokenRef.current = token;
+    setAuthToken(token);
+    setUser((prev) => (prev ? { ...prev, token } : prev));
+  };
+
+  const startSession = ({ token, refreshToken }) => {
+    // The refresh token goes first: other tabs react to the access token changing.
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    localStorage.setItem(TOKEN_KEY, token);
+    applyToken(token);
+    setAuthNotice("");
+  };
+
+  const clearSession = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    tokenRef.current = null;
+    setAuthToken(null);
+    setUser(null);
+  };
+
+  // Resolves to a fresh access token. Tabs share the refresh token, so they take turns, and a tab
+  // that finds another one already refreshed simply adopts the new token.
+  const refreshAccessToken = () => {
+    if (!refreshRef.current) {
+      const adoptStoredToken = () => {
+        const stored = localStorage.getItem(TOKEN_KEY);
+        if (stored && stored !== tokenRef.current && msUntilRefresh(stored) > 0) {
+          applyToken(stored);
+          return stored;
+        }
+        return null;
+      };
+      refreshRef.current = withTabLock("skillsphere-token-refresh", async () => {
+        const adopted = adoptStoredToken();
+        if (adopted) return adopted;
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (!refreshToken) throw new Error("No refresh token");
+        try {
+          const session = await refreshSession(refreshToken);
+          startSession(session);
+          return session.token;
+        } catch (error) {
+          // Without Web Locks another tab may have spent the token first.
+          const adoptedAfterRace = adoptStoredToken();
+          if (adoptedAfterRace) return adoptedAfterRace;
+          throw error;
+        }
+      }).finally(() => {
+        refreshRef.current = null;
+      });
+    }
+    return refreshRef.current;
+  };
+
+  // Renews the access token shortly before it expires. Background tabs may run timers late,
+  // so coming back to a tab also checks.
+  useEffect(() => {
+    if (!user?.token) return;
+    const renew = () => {
+      refreshAccessToken().catch((error) => {
+        console.error("Token refresh failed:", error.response?.data || error.message);
+        endExpiredSession();
+      });
+    };
+    const delay = msUntilRefresh(user.token);
+    const timer = delay == null ? null : setTimeout(renew, Math.max(delay, 0));
+    const handleVisibility = () => {
+      const due = msUntilRefresh(tokenRef.current);
+      if (document.visibilityState === "visible" && due != null && due <= 0) renew();
+    };
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", handleVisibility);
+    };
+  }, [user?.token]);
+
+  // Keeps tabs in step: logging in or out in one tab does the same in the others, and a token
+  // refreshed in one tab is picked up by the rest. Storage events only fire in the other tabs.
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== TOKEN_KEY && event.key !== null) return;
+      const token = localStorage.getItem(TOKEN_KEY);
+      if (!token) {
+        if (!tokenRef.current) return;
+        tokenRef.current = null;
+        setAuthToken(null);
+        setUser(null);
+        addNotification("You were logged out in another tab.");
+        return;
+      }
+      const sameUser = tokenRef.current && getTokenClaims(token)?.sub === getTokenClaims(tokenRef.current)?.sub;
+      if (sameUser) {
+        applyToken(token);
+      } else {
+        checkAuthStatus();
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
   }, []);
 
   useEffect(() => {
@@ -23,7 +161,7 @@ export const AuthProvider = ({ children }) => {
   }, [theme]);
 
   const checkAuthStatus = async () => {
-    const token = localStorage.getItem("token");
+    const token = localStorage.getItem(TOKEN_KEY);
     if (!token) {
       console.log("No token found, user is not authenticated");
       setUser(null);
@@ -31,33 +169,32 @@ export const AuthProvider = ({ children }) => {
     }
     try {
       console.log("Checking auth status with token");
-      const response = await axios.get("http://localhost:8080/api/auth/me", {
-        headers: { Authorization: `Bearer ${token}` },
-      });
+      tokenRef.current = token;
+      const data = await getCurrentUser(token);
+      // An expired token is refreshed while checking, so read back whichever one is current now.
+      // Tokens from before refresh tokens existed stay in use until they expire.
+      const current = tokenRef.current;
+      setAuthToken(current);
       setUser({
-        id: response.data.userId,
-        username: response.data.username,
-        token,
-        isAdmin: response.data.isAdmin || false,
+        id: data.userId,
+        username: data.username,
+        token: current,
+        isAdmin: data.isAdmin || false,
         theme,
       });
-      console.log("Auth status check successful:", response.data.username);
+      console.log("Auth status check successful:", data.username);
     } catch (error) {
       console.error("Auth check failed:", error.response?.data || error.message);
-      localStorage.removeItem("token");
-      setUser(null);
+      clearSession();
     }
   };
 
   const login = async (username, password) => {
     try {
       console.log("Attempting login for username:", username);
-      const response = await axios.post("http://localhost:8080/api/auth/login", {
-        username,
-        password,
-      });
-      const { token, userId, username: loggedInUsername, isAdmin } = response.data;
-      localStorage.setItem("token", token);
+      const session = await signIn(username, password);
+      const { token, userId, username: loggedInUsername, isAdmin } = session;
+      startSession(session);
       setUser({
         id: userId,
         username: loggedInUsername,
@@ -73,19 +210,17 @@ export const AuthProvider = ({ children }) => {
       console.error("Login error:", error.response?.data, error.message);
       const errorMessage = error.response?.data?.message || "Login failed. Please check your credentials.";
       addNotification(errorMessage);
-      throw new Error(errorMessage);
+      // Keep the response so forms can read the status (e.g. 429 and its Retry-After).
+      throw Object.assign(new Error(errorMessage), { response: error.response });
     }
   };
 
-  const register = async (username, password) => {
+  const register = async (username, password, email) => {
     try {
       console.log("Attempting registration for username:", username);
-      const response = await axios.post("http://localhost:8080/api/auth/register", {
-        username,
-        password,
-      });
-      const { token, userId, username: registeredUsername } = response.data;
-      localStorage.setItem("token", token);
+      const session = await signUp(username, password, email);
+      const { token, userId, username: registeredUsername } = session;
+      startSession(session);
       setUser({
         id: userId,
         username: registeredUsername,
@@ -101,18 +236,42 @@ export const AuthProvider = ({ children }) => {
       console.error("Registration error:", error.response?.data, error.message);
       const errorMessage = error.response?.data?.message || "Registration failed";
       addNotification(errorMessage);
-      throw new Error(errorMessage);
+      throw Object.assign(new Error(errorMessage), { response: error.response });
     }
   };
 
   const logout = () => {
-    localStorage.removeItem("token");
-    setUser(null);
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (refreshToken) {
+      logoutSession(refreshToken).catch((error) => console.error("Failed to end session on the server:", error.message));
+    }
+    clearSession();
     addNotification("Logged out successfully");
     navigate("/", { replace: true });
     console.log("User logged out");
   };
 
+  // Ends every session of this account, including ones on other devices.
+  const logoutAllDevices = async () => {
+    await logoutAllSessions();
+    clearSession();
+    addNotification("Logged out on all devices");
+    navigate("/", { replace: true });
+    console.log("User logged out of all devices");
+  };
+
+  // Deletes the account (see AccountService.deleteAccount) and ends the session here.
+  const changePassword = async (currentPassword, newPassword) => {
+    startSession(await changePasswordRequest(currentPassword, newPassword));
+  };
+
+  const deleteAccount = async (password) => {
+    await deleteAccountRequest(password);
+    clearSession();
+    addNotification("Your account has been deleted");
+    navigate("/", { replace: true });
+  };
+
   const toggleTheme = () => {
     setTheme((prev) => {
       const newTheme = prev === "light" ? "dark" : "light";
@@ -124,7 +283,7 @@ export const AuthProvider = ({ children }) => {
   };
 
   const addNotification = (message) => {
-    const id = Date.now();
+    const id = Date.now() + Math.random(); // toasts can be raised in the same millisecond
     setNotifications((prev) => [...prev, { id, message }]);
     setTimeout(() => {
       setNotifications((prev) => prev.filter((n) => n.id !== id));
@@ -138,6 +297,9 @@ export const AuthProvider = ({ children }) => {
         login,
         register,
         logout,
+        logoutAllDevices,
+        changePassword,
+        deleteAccount,
         theme,
         toggleTheme,
         notifications,
@@ -146,6 +308,8 @@ export const AuthProvider = ({ children }) => {
         setShowAuthForm,
         isLogin,
         setIsLogin,
+        authNotice,
+        setAuthNotice,
       }}
     >
       {children}
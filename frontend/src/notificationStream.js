@@ -0,0 +1,42 @@
+import { createNotificationStreamTicket } from "./api.js";
+import { apiUrl } from "./config.js";
+
+const RECONNECT_DELAY_MS = 5000;
+
+// Keeps a server-sent events connection open for live notifications until the returned
+// function is called. EventSource can't send our Bearer header, so each connection uses a
+// single-use ticket; that also means reconnects are handled here instead of by the browser.
+// onReady fires on every (re)connect so callers can catch up on anything missed meanwhile.
+export const subscribeToNotifications = ({ onNotification, onReady }) => {
+  let source = null;
+  let retryTimer = null;
+  let closed = false;
+
+  const scheduleReconnect = () => {
+    if (!closed) retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+
+  const connect = async () => {
+    try {
+      const ticket = await createNotificationStreamTicket();
+      if (closed) return;
+      source = new EventSource(apiUrl(`/notifications/stream?ticket=${encodeURIComponent(ticket)}`));
+      source.addEventListener("ready", () => onReady?.());
+      source.addEventListener("notification", (event) => onNotification(JSON.parse(event.data)));
+      source.onerror = () => {
+        source.close();
+        scheduleReconnect();
+      };
+    } catch (err) {
+      console.error("Failed to open notification stream:", err);
+      scheduleReconnect();
+    }
+  };
+
+  connect();
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source?.close();
+  };
+};
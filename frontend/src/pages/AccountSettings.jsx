@@ -0,0 +1,232 @@
+import { useState, useEffect, useContext } from "react";
+import { AuthContext } from "../context/AuthContext";
+import { getAccount, updateAccountEmail, getApiErrorMessage } from "../api.js";
+import { motion } from "framer-motion";
+import { Cog6ToothIcon, EnvelopeIcon, KeyIcon, ArrowRightOnRectangleIcon, TrashIcon } from "@heroicons/react/24/outline";
+
+export default function AccountSettings() {
+  const { user, theme, setShowAuthForm, setIsLogin, addNotification, logoutAllDevices, changePassword, deleteAccount } =
+    useContext(AuthContext);
+  const [email, setEmail] = useState("");
+  const [savedEmail, setSavedEmail] = useState("");
+  const [emailError, setEmailError] = useState("");
+  const [savingEmail, setSavingEmail] = useState(false);
+  const [passwords, setPasswords] = useState({ current: "", next: "", confirmation: "" });
+  const [passwordError, setPasswordError] = useState("");
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [sessionError, setSessionError] = useState("");
+  const [deletePassword, setDeletePassword] = useState("");
+  const [deleteConfirmation, setDeleteConfirmation] = useState("");
+  const [deleteError, setDeleteError] = useState("");
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+    getAccount()
+      .then((account) => {
+        setEmail(account.email || "");
+        setSavedEmail(account.email || "");
+      })
+      .catch((err) => {
+        console.error("Failed to load account:", err);
+        setEmailError(getApiErrorMessage(err, "Failed to load account."));
+      });
+  }, [user?.id]);
+
+  if (!user) {
+    return (
+      <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">
+        Please{" "}
+        <button
+          onClick={() => {
+            setShowAuthForm(true);
+            setIsLogin(true);
+          }}
+          className="text-purple-600 hover:text-purple-700"
+        >
+          login
+        </button>{" "}
+        to manage your account.
+      </p>
+    );
+  }
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    setSavingEmail(true);
+    setEmailError("");
+    try {
+      const account = await updateAccountEmail(email);
+      setEmail(account.email);
+      setSavedEmail(account.email);
+      addNotification("Email updated");
+    } catch (err) {
+      console.error("Failed to update email:", err);
+      setEmailError(getApiErrorMessage(err, "Failed to update email."));
+    } finally {
+      setSavingEmail(false);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (passwords.next !== passwords.confirmation) {
+      setPasswordError("The new passwords don't match.");
+      return;
+    }
+    setSavingPassword(true);
+    setPasswordError("");
+    try {
+      await changePassword(passwords.current, passwords.next);
+      setPasswords({ current: "", next: "", confirmation: "" });
+      addNotification("Password changed. Other devices have been signed out.");
+    } catch (err) {
+      console.error("Failed to change password:", err);
+      setPasswordError(getApiErrorMessage(err, "Failed to change password."));
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("Log out on all devices, including this one?")) return;
+    setSessionError("");
+    try {
+      await logoutAllDevices();
+    } catch (err) {
+      console.error("Failed to log out all devices:", err);
+      setSessionError(getApiErrorMessage(err, "Failed to log out all devices. Please try again."));
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    setDeleteError("");
+    try {
+      await deleteAccount(deletePassword);
+    } catch (err) {
+      console.error("Failed to delete account:", err);
+      setDeleteError(getApiErrorMessage(err, "Failed to delete account."));
+      setDeleting(false);
+    }
+  };
+
+  const cardClass = `rounded-xl shadow-lg p-6 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`;
+  const inputClass = `w-full px-4 py-2 rounded-lg border ${theme === "dark" ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-100 border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`;
+  const buttonClass = "px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-60";
+  const headingClass = "text-xl font-semibold mb-4 flex items-center gap-2";
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="max-w-2xl mx-auto space-y-6">
+      <h1 className="text-3xl font-bold flex items-center gap-2">
+        <Cog6ToothIcon className="h-8 w-8 text-purple-600" />
+        Account settings
+      </h1>
+
+      <section className={cardClass}>
+        <h2 className={headingClass}>
+          <EnvelopeIcon className="h-5 w-5" /> Email
+        </h2>
+        <form onSubmit={handleEmailSubmit} className="space-y-3">
+          <p className="text-sm text-gray-600 dark:text-gray-400">Password reset links are sent here. It isn't shown to other users.</p>
+          {emailError && <p className="text-red-500">{emailError}</p>}
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} required />
+          <button type="submit" disabled={savingEmail || email.trim().toLowerCase() === savedEmail} className={buttonClass}>
+            {savingEmail ? "Saving..." : "Save email"}
+          </button>
+        </form>
+      </section>
+
+      <section className={cardClass}>
+        <h2 className={headingClass}>
+          <KeyIcon className="h-5 w-5" /> Change password
+        </h2>
+        <form onSubmit={handlePasswordSubmit} className="space-y-3">
+          {passwordError && <p className="text-red-500">{passwordError}</p>}
+          <input
+            type="password"
+            value={passwords.current}
+            onChange={(e) => setPasswords((prev) => ({ ...prev, current: e.target.value }))}
+            placeholder="Current password"
+            autoComplete="current-password"
+            className={inputClass}
+            required
+          />
+          <input
+            type="password"
+            value={passwords.next}
+            onChange={(e) => setPasswords((prev) => ({ ...prev, next: e.target.value }))}
+            placeholder="New password"
+            autoComplete="new-password"
+            className={inputClass}
+            required
+          />
+          <input
+            type="password"
+            value={passwords.confirmation}
+            onChange={(e) => setPasswords((prev) => ({ ...prev, confirmation: e.target.value }))}
+            placeholder="Repeat new password"
+            autoComplete="new-password"
+            className={inputClass}
+            required
+          />
+          <button type="submit" disabled={savingPassword} className={buttonClass}>
+            {savingPassword ? "Saving..." : "Change password"}
+          </button>
+        </form>
+      </section>
+
+      <section className={cardClass}>
+        <h2 className={headingClass}>
+          <ArrowRightOnRectangleIcon className="h-5 w-5" /> Sessions
+        </h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+          Signed in somewhere you no longer use? This ends every session, including this one.
+        </p>
+        {sessionError && <p className="text-red-500 mb-3">{sessionError}</p>}
+        <button onClick={handleLogoutAll} className={buttonClass}>
+          Log out all devices
+        </button>
+      </section>
+
+      <section className={`${cardClass} ${theme === "dark" ? "border-red-800" : "border-red-200"}`}>
+        <h2 className={`${headingClass} text-red-600`}>
+          <TrashIcon className="h-5 w-5" /> Delete account
+        </h2>
+        <form onSubmit={handleDelete} className="space-y-3">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Your posts, reactions, follows, bookmarks, collections, quizzes and notifications are deleted. Comments are deleted
+            too, except ones others replied to: those stay as “[deleted]” so the conversation still makes sense. This can't be
+            undone.
+          </p>
+          {deleteError && <p className="text-red-500">{deleteError}</p>}
+          <input
+            type="password"
+            value={deletePassword}
+            onChange={(e) => setDeletePassword(e.target.value)}
+            placeholder="Password"
+            autoComplete="current-password"
+            className={inputClass}
+            required
+          />
+          <input
+            type="text"
+            value={deleteConfirmation}
+            onChange={(e) => setDeleteConfirmation(e.target.value)}
+            placeholder={`Type "${user.username}" to confirm`}
+            className={inputClass}
+            required
+          />
+          <button
+            type="submit"
+            disabled={deleting || deleteConfirmation !== user.username}
+            className="px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-60"
+          >
+            {deleting ? "Deleting..." : "Delete my account"}
+          </button>
+        </form>
+      </section>
+    </motion.div>
+  );
+}
@@ -0,0 +1,626 @@
+import { useState, useEffect, useContext } from "react";
+import { Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import {
+  getAdminStats,
+  getAdminUsers,
+  setUserAdmin,
+  setUserDisabled,
+  getAdminPosts,
+  bulkDeletePosts,
+  getCommentReviewQueue,
+  approveComment,
+  adminDeleteComment,
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getApiErrorMessage,
+} from "../api.js";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  ChartBarIcon,
+  UsersIcon,
+  DocumentTextIcon,
+  ChatBubbleLeftIcon,
+  CheckIcon,
+  TrashIcon,
+  XMarkIcon,
+  TagIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+  PencilIcon,
+} from "@heroicons/react/24/outline";
+
+const METRICS = [
+  { key: "users", label: "Users", color: "bg-purple-500" },
+  { key: "posts", label: "Posts", color: "bg-blue-500" },
+  { key: "comments", label: "Comments", color: "bg-green-500" },
+  { key: "reactions", label: "Reactions", color: "bg-pink-500" },
+];
+
+const RANGES = [7, 30, 90];
+
+export default function Admin() {
+  const { user, theme } = useContext(AuthContext);
+  const [activeTab, setActiveTab] = useState("dashboard");
+  const [stats, setStats] = useState(null);
+  const [days, setDays] = useState(30);
+  const [users, setUsers] = useState([]);
+  const [userQuery, setUserQuery] = useState("");
+  const [posts, setPosts] = useState([]);
+  const [selectedPostIds, setSelectedPostIds] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [newCategory, setNewCategory] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  const isAdmin = Boolean(user?.isAdmin);
+
+  const runLoad = async (loader, fallbackMessage) => {
+    setLoading(true);
+    setError("");
+    try {
+      await loader();
+    } catch (err) {
+      console.error(fallbackMessage, err);
+      setError(getApiErrorMessage(err, fallbackMessage));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!isAdmin || activeTab !== "dashboard") return;
+    runLoad(async () => setStats(await getAdminStats(days)), "Failed to load dashboard.");
+  }, [isAdmin, activeTab, days]);
+
+  useEffect(() => {
+    if (!isAdmin || activeTab !== "users") return;
+    const timer = setTimeout(() => {
+      runLoad(async () => setUsers(await getAdminUsers(userQuery.trim())), "Failed to load users.");
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [isAdmin, activeTab, userQuery]);
+
+  useEffect(() => {
+    if (!isAdmin || activeTab !== "posts") return;
+    runLoad(async () => {
+      setPosts(await getAdminPosts());
+      setSelectedPostIds([]);
+    }, "Failed to load posts.");
+  }, [isAdmin, activeTab]);
+
+  useEffect(() => {
+    if (!isAdmin || activeTab !== "comments") return;
+    runLoad(async () => setComments(await getCommentReviewQueue()), "Failed to load comment queue.");
+  }, [isAdmin, activeTab]);
+
+  useEffect(() => {
+    if (!isAdmin || activeTab !== "categories") return;
+    runLoad(async () => setCategories(await getCategories()), "Failed to load categories.");
+  }, [isAdmin, activeTab]);
+
+  const handleToggleAdmin = async (target) => {
+    try {
+      const updated = await setUserAdmin(target.id, !target.isAdmin);
+      setUsers(users.map((u) => (u.id === target.id ? updated : u)));
+      setSuccess(`${target.username} is ${updated.isAdmin ? "now an admin" : "no longer an admin"}.`);
+    } catch (err) {
+      console.error("Failed to update admin role:", err);
+      setError(getApiErrorMessage(err, "Failed to update admin role."));
+    }
+  };
+
+  const handleToggleDisabled = async (target) => {
+    try {
+      const updated = await setUserDisabled(target.id, !target.disabled);
+      setUsers(users.map((u) => (u.id === target.id ? updated : u)));
+      setSuccess(`${target.username} has been ${updated.disabled ? "disabled" : "re-enabled"}.`);
+    } catch (err) {
+      console.error("Failed to update account status:", err);
+      setError(getApiErrorMessage(err, "Failed to update account status."));
+    }
+  };
+
+  const togglePostSelection = (postId) => {
+    setSelectedPostIds(
+      selectedPostIds.includes(postId) ? selectedPostIds.filter((id) => id !== postId) : [...selectedPostIds, postId]
+    );
+  };
+
+  const toggleAllPosts = () => {
+    setSelectedPostIds(selectedPostIds.length === posts.length ? [] : posts.map((p) => p.id));
+  };
+
+  const handleBulkDelete = async () => {
+    if (!selectedPostIds.length) return;
+    if (!window.confirm(`Delete ${selectedPostIds.length} post(s)? This cannot be undone.`)) return;
+    try {
+      const { deleted } = await bulkDeletePosts(selectedPostIds);
+      setPosts(posts.filter((p) => !selectedPostIds.includes(p.id)));
+      setSelectedPostIds([]);
+      setSuccess(`Deleted ${deleted} post(s).`);
+    } catch (err) {
+      console.error("Failed to delete posts:", err);
+      setError(getApiErrorMessage(err, "Failed to delete posts."));
+    }
+  };
+
+  const handleApproveComment = async (commentId) => {
+    try {
+      await approveComment(commentId);
+      setComments(comments.filter((c) => c.id !== commentId));
+    } catch (err) {
+      console.error("Failed to approve comment:", err);
+      setError(getApiErrorMessage(err, "Failed to approve comment."));
+    }
+  };
+
+  const handleRemoveComment = async (commentId) => {
+    try {
+      await adminDeleteComment(commentId);
+      setComments(comments.filter((c) => c.id !== commentId));
+    } catch (err) {
+      console.error("Failed to delete comment:", err);
+      setError(getApiErrorMessage(err, "Failed to delete comment."));
+    }
+  };
+
+  const handleAddCategory = async (e) => {
+    e.preventDefault();
+    if (!newCategory.trim()) return;
+    try {
+      const created = await createCategory(newCategory.trim());
+      setCategories([...categories, created]);
+      setNewCategory("");
+      setSuccess(`Added category ${created.name}.`);
+    } catch (err) {
+      console.error("Failed to add category:", err);
+      setError(getApiErrorMessage(err, "Failed to add category."));
+    }
+  };
+
+  const handleRenameCategory = async (e) => {
+    e.preventDefault();
+    try {
+      const updated = await updateCategory(renaming.id, { name: renaming.name });
+      setCategories(categories.map((c) => (c.id === updated.id ? updated : c)));
+      setRenaming(null);
+      setSuccess(`Renamed category to ${updated.name}.`);
+    } catch (err) {
+      console.error("Failed to rename category:", err);
+      setError(getApiErrorMessage(err, "Failed to rename category."));
+    }
+  };
+
+  // Swaps positions with the neighbour; the list is renumbered first so gaps or ties don't matter.
+  const handleMoveCategory = async (index, step) => {
+    const target = index + step;
+    if (target < 0 || target >= categories.length) return;
+    const reordered = [...categories];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    const renumbered = reordered.map((c, position) => ({ ...c, position }));
+    const changed = renumbered.filter((c) => categories.find((old) => old.id === c.id).position !== c.position);
+    setCategories(renumbered);
+    try {
+      await Promise.all(changed.map((c) => updateCategory(c.id, { position: c.position })));
+    } catch (err) {
+      console.error("Failed to reorder categories:", err);
+      setError(getApiErrorMessage(err, "Failed to reorder categories."));
+      setCategories(await getCategories().catch(() => categories));
+    }
+  };
+
+  const handleDeleteCategory = async (category) => {
+    if (!window.confirm(`Delete category ${category.name}? Existing posts keep it, but it can't be picked any more.`)) return;
+    try {
+      await deleteCategory(category.id);
+      setCategories(categories.filter((c) => c.id !== category.id));
+      setSuccess(`Deleted category ${category.name}.`);
+    } catch (err) {
+      console.error("Failed to delete category:", err);
+      setError(getApiErrorMessage(err, "Failed to delete category."));
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="flex items-center justify-center py-32">
+        <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-3xl font-bold">
+          Log in as an administrator to continue.
+        </motion.p>
+      </div>
+    );
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="flex flex-col items-center justify-center py-32 gap-4">
+        <p className="text-3xl font-bold">Access denied</p>
+        <p className="text-gray-600 dark:text-gray-400">You need administrator rights to view this page.</p>
+        <Link to="/" className="text-purple-600 hover:text-purple-700">
+          Back to home
+        </Link>
+      </div>
+    );
+  }
+
+  const cardClass = `rounded-xl shadow-lg border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`;
+  const headerCellClass = "text-left p-3 text-sm font-semibold text-gray-600 dark:text-gray-300";
+  const tabs = [
+    { key: "dashboard", label: "Dashboard", icon: <ChartBarIcon className="h-5 w-5" /> },
+    { key: "users", label: "Users", icon: <UsersIcon className="h-5 w-5" /> },
+    { key: "posts", label: "Posts", icon: <DocumentTextIcon className="h-5 w-5" /> },
+    { key: "comments", label: "Comment Review", icon: <ChatBubbleLeftIcon className="h-5 w-5" /> },
+    { key: "categories", label: "Categories", icon: <TagIcon className="h-5 w-5" /> },
+  ];
+
+  const timeline = stats?.timeline || [];
+  const maxPerMetric = Object.fromEntries(
+    METRICS.map(({ key }) => [key, Math.max(1, ...timeline.map((point) => point[key] || 0))])
+  );
+
+  return (
+    <div className="max-w-7xl mx-auto">
+      <h1 className="text-4xl font-bold mb-8">Admin Console</h1>
+
+      <div className={`flex flex-wrap border-b mb-6 ${theme === "dark" ? "border-gray-700" : "border-gray-200"}`}>
+        {tabs.map(({ key, label, icon }) => (
+          <button
+            key={key}
+            onClick={() => {
+              setActiveTab(key);
+              setSuccess("");
+            }}
+            className={`flex items-center gap-2 px-6 py-3 -mb-px border-b-2 transition-colors ${
+              activeTab === key
+                ? "border-purple-600 text-purple-600 dark:text-purple-300 dark:border-purple-300"
+                : "border-transparent text-gray-600 dark:text-gray-400 hover:text-purple-600"
+            }`}
+          >
+            {icon}
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+      {success && <p className="text-green-500 text-center mb-4">{success}</p>}
+
+      <AnimatePresence mode="wait">
+        <motion.div key={activeTab} initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0 }}>
+          {activeTab === "dashboard" && (
+            <div className="space-y-8">
+              <div className="grid grid-cols-2 lg:grid-cols-4 gap-6">
+                {METRICS.map(({ key, label, color }) => (
+                  <div key={key} className={`${cardClass} p-6`}>
+                    <div className={`w-3 h-3 rounded-full ${color} mb-2`} />
+                    <p className="text-sm text-gray-600 dark:text-gray-400">{label}</p>
+                    <p className="text-3xl font-bold">{stats?.totals?.[key] ?? "—"}</p>
+                  </div>
+                ))}
+              </div>
+              <div className={`${cardClass} p-6`}>
+                <div className="flex justify-between items-center mb-6">
+                  <h2 className="text-2xl font-semibold">Activity over time</h2>
+                  <select
+                    value={days}
+                    onChange={(e) => setDays(Number(e.target.value))}
+                    className={`p-2 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
+                  >
+                    {RANGES.map((range) => (
+                      <option key={range} value={range}>
+                        Last {range} days
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {loading && !stats ? (
+                  <p className="text-center text-gray-600 dark:text-gray-400">Loading...</p>
+                ) : (
+                  <div className="space-y-6">
+                    {METRICS.map(({ key, label, color }) => (
+                      <div key={key}>
+                        <p className="text-sm font-medium mb-1">
+                          New {label.toLowerCase()} ({timeline.reduce((sum, point) => sum + (point[key] || 0), 0)})
+                        </p>
+                        <div className="flex items-end gap-px h-16">
+                          {timeline.map((point) => (
+                            <div
+                              key={point.date}
+                              title={`${point.date}: ${point[key] || 0}`}
+                              className={`flex-1 rounded-t ${color}`}
+                              style={{ height: `${((point[key] || 0) / maxPerMetric[key]) * 100}%`, minHeight: "2px" }}
+                            />
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                    {timeline.length > 0 && (
+                      <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
+                        <span>{timeline[0].date}</span>
+                        <span>{timeline[timeline.length - 1].date}</span>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === "users" && (
+            <div className={cardClass}>
+              <div className="p-4">
+                <input
+                  type="text"
+                  value={userQuery}
+                  onChange={(e) => setUserQuery(e.target.value)}
+                  placeholder="Search users..."
+                  className={`w-full sm:w-96 p-3 rounded-lg border ${theme === "dark" ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-100 border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+                />
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className={theme === "dark" ? "bg-gray-700" : "bg-gray-50"}>
+                    <tr>
+                      <th className={headerCellClass}>User</th>
+                      <th className={headerCellClass}>Joined</th>
+                      <th className={headerCellClass}>Posts</th>
+                      <th className={headerCellClass}>Followers</th>
+                      <th className={headerCellClass}>Role</th>
+                      <th className={headerCellClass}>Status</th>
+                      <th className={headerCellClass}>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {users.map((u) => (
+                      <tr key={u.id} className={`border-t ${theme === "dark" ? "border-gray-700" : "border-gray-200"}`}>
+                        <td className="p-3">
+                          <Link to={`/profile/${u.id}`} className="font-medium hover:text-purple-600">
+                            {u.username}
+                          </Link>
+                        </td>
+                        <td className="p-3 text-sm">{u.createdAt ? new Date(u.createdAt).toLocaleDateString() : "—"}</td>
+                        <td className="p-3 text-sm">{u.postCount}</td>
+                        <td className="p-3 text-sm">{u.followerCount}</td>
+                        <td className="p-3 text-sm">{u.isAdmin ? "Admin" : "User"}</td>
+                        <td className="p-3 text-sm">
+                          <span className={u.disabled ? "text-red-500" : "text-green-500"}>
+                            {u.disabled ? "Disabled" : "Active"}
+                          </span>
+                        </td>
+                        <td className="p-3">
+                          {String(u.id) !== String(user.id) && (
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => handleToggleAdmin(u)}
+                                className="px-3 py-1 text-sm rounded-lg bg-purple-600 text-white"
+                              >
+                                {u.isAdmin ? "Demote" : "Promote"}
+                              </button>
+                              <button
+                                onClick={() => handleToggleDisabled(u)}
+                                className={`px-3 py-1 text-sm rounded-lg text-white ${u.disabled ? "bg-green-600" : "bg-red-600"}`}
+                              >
+                                {u.disabled ? "Enable" : "Disable"}
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {!loading && users.length === 0 && (
+                  <p className="text-center p-6 text-gray-600 dark:text-gray-400">No users found.</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === "posts" && (
+            <div className={cardClass}>
+              <div className="p-4 flex justify-between items-center">
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {selectedPostIds.length} of {posts.length} selected
+                </p>
+                <motion.button
+                  onClick={handleBulkDelete}
+                  disabled={!selectedPostIds.length}
+                  whileHover={{ scale: 1.05 }}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 text-white disabled:opacity-40"
+                >
+                  <TrashIcon className="h-5 w-5" />
+                  Delete selected
+                </motion.button>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className={theme === "dark" ? "bg-gray-700" : "bg-gray-50"}>
+                    <tr>
+                      <th className="p-3">
+                        <input
+                          type="checkbox"
+                          checked={posts.length > 0 && selectedPostIds.length === posts.length}
+                          onChange={toggleAllPosts}
+                          className="accent-purple-600"
+                          aria-label="Select all posts"
+                        />
+                      </th>
+                      <th className={headerCellClass}>Title</th>
+                      <th className={headerCellClass}>Author</th>
+                      <th className={headerCellClass}>Created</th>
+                      <th className={headerCellClass}>Comments</th>
+                      <th className={headerCellClass}>Reactions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {posts.map((post) => (
+                      <tr key={post.id} className={`border-t ${theme === "dark" ? "border-gray-700" : "border-gray-200"}`}>
+                        <td className="p-3 text-center">
+                          <input
+                            type="checkbox"
+                            checked={selectedPostIds.includes(post.id)}
+                            onChange={() => togglePostSelection(post.id)}
+                            className="accent-purple-600"
+                            aria-label={`Select ${post.title}`}
+                          />
+                        </td>
+                        <td className="p-3">
+                          <Link to={`/post/${post.id}`} className="font-medium hover:text-purple-600">
+                            {post.title}
+                          </Link>
+                        </td>
+                        <td className="p-3 text-sm">{post.user?.username || "Unknown"}</td>
+                        <td className="p-3 text-sm">{new Date(post.createdAt).toLocaleDateString()}</td>
+                        <td className="p-3 text-sm">{post.comments?.length || 0}</td>
+                        <td className="p-3 text-sm">{post.reactions?.length || 0}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {!loading && posts.length === 0 && (
+                  <p className="text-center p-6 text-gray-600 dark:text-gray-400">No posts found.</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === "comments" && (
+            <div className="space-y-4">
+              {!loading && comments.length === 0 && (
+                <p className="text-center text-lg text-gray-600 dark:text-gray-400">The review queue is empty.</p>
+              )}
+              <AnimatePresence>
+                {comments.map((comment) => (
+                  <motion.div
+                    key={comment.id}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0, x: 40 }}
+                    className={`${cardClass} p-5 flex gap-4`}
+                  >
+                    <div className="flex-1">
+                      <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">
+                        <Link to={`/profile/${comment.userId}`} className="font-medium hover:text-purple-600">
+                          {comment.username}
+                        </Link>{" "}
+                        on{" "}
+                        <Link to={`/post/${comment.postId}`} className="font-medium hover:text-purple-600">
+                          {comment.postTitle}
+                        </Link>{" "}
+                        • {new Date(comment.createdAt).toLocaleString()}
+                      </p>
+                      <p>{comment.text}</p>
+                    </div>
+                    <div className="flex gap-2 items-start">
+                      <motion.button
+                        onClick={() => handleApproveComment(comment.id)}
+                        whileHover={{ scale: 1.1 }}
+                        title="Approve"
+                        className={`p-2 rounded-full ${theme === "dark" ? "bg-gray-700 text-green-400" : "bg-gray-200 text-green-600"}`}
+                      >
+                        <CheckIcon className="h-5 w-5" />
+                      </motion.button>
+                      <motion.button
+                        onClick={() => handleRemoveComment(comment.id)}
+                        whileHover={{ scale: 1.1 }}
+                        title="Remove"
+                        className={`p-2 rounded-full ${theme === "dark" ? "bg-gray-700 text-red-400" : "bg-gray-200 text-red-600"}`}
+                      >
+                        <XMarkIcon className="h-5 w-5" />
+                      </motion.button>
+                    </div>
+                  </motion.div>
+                ))}
+              </AnimatePresence>
+            </div>
+          )}
+
+          {activeTab === "categories" && (
+            <div className={`${cardClass} p-6 max-w-2xl`}>
+              <form onSubmit={handleAddCategory} className="flex gap-3 mb-6">
+                <input
+                  type="text"
+                  value={newCategory}
+                  onChange={(e) => setNewCategory(e.target.value)}
+                  placeholder="New category"
+                  maxLength={60}
+                  className={`flex-1 p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
+                />
+                <button type="submit" className="px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700">
+                  Add
+                </button>
+              </form>
+              {!loading && categories.length === 0 && (
+                <p className="text-center text-gray-600 dark:text-gray-400">No categories yet.</p>
+              )}
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {categories.map((category, index) => (
+                  <li key={category.id} className="flex items-center gap-3 py-3">
+                    {renaming?.id === category.id ? (
+                      <form onSubmit={handleRenameCategory} className="flex-1 flex gap-2">
+                        <input
+                          type="text"
+                          value={renaming.name}
+                          onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                          maxLength={60}
+                          autoFocus
+                          className={`flex-1 p-2 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
+                        />
+                        <button type="submit" title="Save" className="p-2 text-green-600">
+                          <CheckIcon className="h-5 w-5" />
+                        </button>
+                        <button type="button" onClick={() => setRenaming(null)} title="Cancel" className="p-2 text-gray-500">
+                          <XMarkIcon className="h-5 w-5" />
+                        </button>
+                      </form>
+                    ) : (
+                      <>
+                        <span className="flex-1">{category.name}</span>
+                        <button
+                          onClick={() => handleMoveCategory(index, -1)}
+                          disabled={index === 0}
+                          title="Move up"
+                          className="p-2 text-gray-500 hover:text-purple-600 disabled:opacity-30"
+                        >
+                          <ArrowUpIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleMoveCategory(index, 1)}
+                          disabled={index === categories.length - 1}
+                          title="Move down"
+                          className="p-2 text-gray-500 hover:text-purple-600 disabled:opacity-30"
+                        >
+                          <ArrowDownIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setRenaming({ id: category.id, name: category.name })}
+                          title="Rename"
+                          className="p-2 text-gray-500 hover:text-purple-600"
+                        >
+                          <PencilIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteCategory(category)}
+                          title="Delete"
+                          className="p-2 text-gray-500 hover:text-red-600"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </motion.div>
+      </AnimatePresence>
+    </div>
+  );
+}
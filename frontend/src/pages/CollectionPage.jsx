@@ -0,0 +1,209 @@
+import { useState, useEffect, useContext } from "react";
+import { Link, useParams } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import {
+  getCollection,
+  getBookmarks,
+  removeBookmark,
+  removeFromCollection,
+  reorderCollectionPosts,
+  getApiErrorMessage,
+} from "../api.js";
+import { motion } from "framer-motion";
+import Markdown from "../components/Markdown.jsx";
+import MediaCover from "../components/MediaCover.jsx";
+import { getPostMedia } from "../utils/media.js";
+import { ArrowUpIcon, ArrowDownIcon, XMarkIcon, LockClosedIcon, GlobeAltIcon, BookmarkIcon } from "@heroicons/react/24/outline";
+
+// "saved" stands for the signed-in user's whole bookmark list rather than a collection.
+const SAVED = "saved";
+
+export default function CollectionPage() {
+  const { collectionId } = useParams();
+  const { user, theme, setShowAuthForm, setIsLogin } = useContext(AuthContext);
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const isSaved = collectionId === SAVED;
+  const isOwner = isSaved || (user && collection && String(collection.owner?.id) === String(user.id));
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const loaded = isSaved
+          ? { name: "All saved", shared: false, posts: await getBookmarks() }
+          : await getCollection(collectionId);
+        if (!cancelled) setCollection(loaded);
+      } catch (err) {
+        console.error("Failed to load collection:", err);
+        if (cancelled) return;
+        setCollection(null);
+        setError(
+          err.response?.status === 404
+            ? "This collection doesn't exist or isn't shared."
+            : getApiErrorMessage(err, "Failed to load collection.")
+        );
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [collectionId, user]);
+
+  const setPosts = (posts) => setCollection((prev) => ({ ...prev, posts }));
+
+  const handleRemove = async (postId) => {
+    const previous = collection.posts;
+    setPosts(previous.filter((post) => post.id !== postId));
+    try {
+      if (isSaved) {
+        await removeBookmark(postId);
+      } else {
+        await removeFromCollection(collection.id, postId);
+      }
+    } catch (err) {
+      console.error("Failed to remove post:", err);
+      setPosts(previous);
+      setError(getApiErrorMessage(err, "Failed to remove post."));
+    }
+  };
+
+  const handleMove = async (index, step) => {
+    const target = index + step;
+    const previous = collection.posts;
+    if (target < 0 || target >= previous.length) return;
+    const reordered = [...previous];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setPosts(reordered);
+    try {
+      await reorderCollectionPosts(collection.id, reordered.map((post) => post.id));
+    } catch (err) {
+      console.error("Failed to reorder collection:", err);
+      setPosts(previous);
+      setError(getApiErrorMessage(err, "Failed to reorder collection."));
+    }
+  };
+
+  if (!user) {
+    return (
+      <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">
+        Please{" "}
+        <button
+          onClick={() => {
+            setShowAuthForm(true);
+            setIsLogin(true);
+          }}
+          className="text-purple-600 hover:text-purple-700"
+        >
+          login
+        </button>{" "}
+        to see collections.
+      </p>
+    );
+  }
+
+  if (loading && !collection) {
+    return <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">Loading collection...</p>;
+  }
+
+  if (!collection) {
+    return error ? <p className="text-center text-lg text-red-500 py-16">{error}</p> : null;
+  }
+
+  const posts = collection.posts || [];
+  const cardClass = `rounded-xl shadow-lg border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`;
+  const iconButtonClass = "p-1.5 rounded text-gray-500 hover:text-purple-600 disabled:opacity-30";
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <motion.section initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className={`${cardClass} p-8 mb-8`}>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <BookmarkIcon className="h-8 w-8 text-purple-600" />
+          {collection.name}
+        </h1>
+        <p className="mt-2 text-gray-600 dark:text-gray-400 flex items-center gap-1">
+          {posts.length} post{posts.length === 1 ? "" : "s"} •
+          {collection.shared ? (
+            <>
+              <GlobeAltIcon className="h-4 w-4" /> Shared
+            </>
+          ) : (
+            <>
+              <LockClosedIcon className="h-4 w-4" /> Private
+            </>
+          )}
+          {collection.owner && !isOwner && (
+            <>
+              {" "}
+              • by{" "}
+              <Link to={`/profile/${collection.owner.id}`} className="text-purple-600 hover:text-purple-700">
+                {collection.owner.username}
+              </Link>
+            </>
+          )}
+        </p>
+      </motion.section>
+
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+
+      {posts.length === 0 ? (
+        <p className="text-center text-lg text-gray-600 dark:text-gray-400">
+          {isSaved ? "You haven't saved any posts yet." : "This collection is empty."}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {posts.map((post, index) => (
+            <div key={post.id} className={`${cardClass} p-5 flex gap-5`}>
+              <Link to={`/post/${post.id}`} className="hidden sm:block w-40 shrink-0">
+                <MediaCover media={getPostMedia(post)} title={post.title} className="h-28" />
+              </Link>
+              <div className="flex-1 min-w-0">
+                <Link to={`/post/${post.id}`} className="text-xl font-semibold hover:text-purple-600 dark:hover:text-purple-300">
+                  {post.title}
+                </Link>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+                  By: {post.user?.username || "Unknown"} • {new Date(post.createdAt).toLocaleDateString()}
+                </p>
+                <Markdown source={post.content} compact className="text-gray-700 dark:text-gray-300" />
+              </div>
+              {isOwner && (
+                <div className="flex flex-col items-center">
+                  {!isSaved && (
+                    <>
+                      <button onClick={() => handleMove(index, -1)} disabled={index === 0} title="Move up" className={iconButtonClass}>
+                        <ArrowUpIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleMove(index, 1)}
+                        disabled={index === posts.length - 1}
+                        title="Move down"
+                        className={iconButtonClass}
+                      >
+                        <ArrowDownIcon className="h-4 w-4" />
+                      </button>
+                    </>
+                  )}
+                  <button
+                    onClick={() => handleRemove(post.id)}
+                    title={isSaved ? "Remove from saved" : "Remove from collection"}
+                    className="p-1.5 rounded text-gray-500 hover:text-red-600"
+                  >
+                    <XMarkIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,149 +1,200 @@
-import { useState, useEffect, useContext } from "react";
+import { useState, useEffect, useContext, useRef } from "react";
+import { Link } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
-import { getPosts, commentOnPost, updateComment, deleteComment, addReaction, followUser } from "../api.js";
+import { getFeedPage, getTags, getBookmarkedPostIds, commentOnPost, updateComment, deleteComment, followUser, requestPasswordReset, getApiErrorMessage } from "../api.js";
 import { motion, AnimatePresence } from "framer-motion";
-import { SunIcon, MoonIcon, PencilIcon, TrashIcon, HandThumbUpIcon, ChatBubbleLeftIcon, ShareIcon, HeartIcon, LinkIcon, XMarkIcon } from "@heroicons/react/24/outline";
+import { appUrl } from "../config.js";
+import CommentThread from "../components/CommentThread.jsx";
+import ReactionBar from "../components/ReactionBar.jsx";
+import BookmarkButton from "../components/BookmarkButton.jsx";
+import Markdown from "../components/Markdown.jsx";
+import MediaGallery from "../components/MediaGallery.jsx";
+import { getPostMedia } from "../utils/media.js";
+import MentionInput from "../components/MentionInput.jsx";
+import RegisterForm from "../components/RegisterForm.jsx";
+import { removeCommentThread } from "../utils/comments.js";
+import { splitTags, tagPath } from "../utils/tags.js";
+import { SunIcon, MoonIcon, ChatBubbleLeftIcon, ShareIcon, LinkIcon, XMarkIcon } from "@heroicons/react/24/outline";
 import { FaWhatsapp, FaFacebook } from "react-icons/fa";
 
+const PAGE_SIZE = 12;
+const SEARCH_DEBOUNCE_MS = 300;
+const TOP_TAG_COUNT = 15;
+const FEED_MODE_KEY = "homeFeedMode";
+const FEED_MODES = [
+  { key: "latest", label: "Latest", empty: "No posts found." },
+  { key: "following", label: "Following", empty: "No posts from people you follow yet. Follow a few creators to fill this feed." },
+  { key: "for-you", label: "For You", empty: "Nothing to recommend yet. React to and comment on posts to tune this feed." },
+];
+
 export default function Home() {
   const {
     user,
     theme,
     login,
-    register,
     showAuthForm,
     setShowAuthForm,
     isLogin,
     setIsLogin,
-    logout,
+    authNotice,
   } = useContext(AuthContext);
   const [posts, setPosts] = useState([]);
-  const [filteredPosts, setFilteredPosts] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [savedIds, setSavedIds] = useState(new Set());
+  const [page, setPage] = useState(0);
+  const [hasNext, setHasNext] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [newComments, setNewComments] = useState({});
-  const [editingCommentId, setEditingCommentId] = useState(null);
-  const [editedCommentText, setEditedCommentText] = useState("");
   const [activeCommentPostId, setActiveCommentPostId] = useState(null);
-  const [showReactions, setShowReactions] = useState(null);
   const [showShareOptions, setShowShareOptions] = useState(null);
   const [copied, setCopied] = useState(false);
-  const [selectedTag, setSelectedTag] = useState("All");
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [feedMode, setFeedMode] = useState(() => {
+    const saved = localStorage.getItem(FEED_MODE_KEY);
+    return FEED_MODES.some((mode) => mode.key === saved) ? saved : "latest";
+  });
   const [searchQuery, setSearchQuery] = useState("");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
+  const [email, setEmail] = useState("");
+  const [forgotPassword, setForgotPassword] = useState(false);
+  const [resetRequested, setResetRequested] = useState(false);
   const [error, setError] = useState("");
+  // Only the latest request may write to the feed, so a slow page can't land after the filters changed.
+  const requestIdRef = useRef(0);
+  const sentinelRef = useRef(null);
 
-  const fetchPosts = async () => {
-    setLoading(true);
+  const fetchPosts = async (pageToLoad = 0) => {
+    const requestId = ++requestIdRef.current;
+    if (pageToLoad === 0) {
+      setLoading(true);
+    } else {
+      setLoadingMore(true);
+    }
     try {
-      if (!user?.token) {
-        throw new Error("No authentication token found. Please log in.");
-      }
-      const postsData = await getPosts(user.token);
-      setPosts(postsData);
-      setFilteredPosts(postsData);
+      const data = await getFeedPage({
+        mode: feedMode,
+        page: pageToLoad,
+        size: PAGE_SIZE,
+        tag: selectedTag || undefined,
+        q: debouncedQuery.trim() || undefined,
+      });
+      if (requestId !== requestIdRef.current) return;
+      const content = data?.content || [];
+      setPosts((prev) =>
+        pageToLoad === 0 ? content : [...prev, ...content.filter((post) => !prev.some((p) => p.id === post.id))]
+      );
+      setPage(pageToLoad);
+      setHasNext(Boolean(data?.hasNext));
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       console.error("Failed to load posts:", err);
-      if (err.response?.status === 401) {
-        logout();
-        setShowAuthForm(true);
-        setIsLogin(true);
-        setError("Session expired. Please log in again.");
-      } else {
-        setError("Failed to load posts. Please try again later.");
-      }
+      setHasNext(false);
+      setError(getApiErrorMessage(err, "Failed to load posts. Please try again later."));
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
   };
 
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedQuery(searchQuery), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);
+
   useEffect(() => {
     if (user) {
-      fetchPosts();
+      fetchPosts(0);
     } else {
+      requestIdRef.current++;
       setPosts([]);
-      setFilteredPosts([]);
+      setHasNext(false);
     }
+  }, [user, feedMode, selectedTag, debouncedQuery]);
+
+  useEffect(() => {
+    localStorage.setItem(FEED_MODE_KEY, feedMode);
+  }, [feedMode]);
+
+  useEffect(() => {
+    if (!user) return;
+    getTags({ limit: TOP_TAG_COUNT })
+      .then(setTags)
+      .catch((err) => console.error("Failed to load tags:", err));
+    getBookmarkedPostIds()
+      .then((ids) => setSavedIds(new Set(ids)))
+      .catch((err) => console.error("Failed to load bookmarks:", err));
   }, [user]);
 
-  const getUniqueTags = () => {
-    const allTags = posts.flatMap((post) => (post.tags ? post.tags.split(",").map((tag) => tag.trim()) : []));
-    return ["All", ...new Set(allTags)];
+  const handleSavedChange = (postId, saved) => {
+    setSavedIds((prev) => {
+      const next = new Set(prev);
+      if (saved) next.add(postId);
+      else next.delete(postId);
+      return next;
+    });
   };
 
   useEffect(() => {
-    let result = posts;
-    if (selectedTag !== "All") {
-      result = result.filter((post) => post.tags && post.tags.split(",").map((tag) => tag.trim()).includes(selectedTag));
-    }
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase().trim();
-      result = result.filter(
-        (post) =>
-          post.title?.toLowerCase().includes(query) ||
-          post.content?.toLowerCase().includes(query)
-      );
-    }
-    setFilteredPosts(result);
-  }, [selectedTag, searchQuery, posts]);
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasNext || loading || loadingMore) return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) fetchPosts(page + 1);
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasNext, page, loading, loadingMore]);
 
-  const handleCommentSubmit = async (postId) => {
-    if (!user || !newComments[postId]?.trim()) return;
+  // The comment handlers rethrow so CommentThread keeps the user's text when a request fails.
+  const handleCommentSubmit = async (postId, text, parentId = null) => {
     try {
-      const updatedPost = await commentOnPost(postId, newComments[postId], user.token);
-      setPosts(posts.map((p) => (p.id === postId ? updatedPost : p)));
-      setNewComments({ ...newComments, [postId]: "" });
+      const updatedPost = await commentOnPost(postId, text, parentId);
+      setPosts((prev) => prev.map((p) => (p.id === postId ? updatedPost : p)));
     } catch (err) {
       console.error("Failed to add comment:", err);
-      if (err.response?.status === 401) {
-        logout();
-        setShowAuthForm(true);
-        setIsLogin(true);
-        setError("Session expired. Please log in again.");
-      }
+      setError(getApiErrorMessage(err, "Failed to add comment. Please try again."));
+      throw err;
     }
   };
 
-  const startEditingComment = (comment) => {
-    if (!user || String(user.id) !== String(comment.user.id)) return;
-    setEditingCommentId(comment.id);
-    setEditedCommentText(comment.text);
+  const submitNewComment = async (postId) => {
+    if (!user || !newComments[postId]?.trim()) return;
+    try {
+      await handleCommentSubmit(postId, newComments[postId].trim());
+      setNewComments((prev) => ({ ...prev, [postId]: "" }));
+    } catch {
+      // Already reported by handleCommentSubmit.
+    }
   };
 
-  const handleCommentUpdate = async (postId, commentId) => {
-    if (!user || !editedCommentText.trim()) return;
+  const handleCommentUpdate = async (postId, commentId, text) => {
     try {
-      const updatedPost = await updateComment(postId, commentId, editedCommentText, user.token);
-      setPosts(posts.map((p) => (p.id === postId ? updatedPost : p)));
-      setEditingCommentId(null);
-      setEditedCommentText("");
+      const updatedPost = await updateComment(postId, commentId, text);
+      setPosts((prev) => prev.map((p) => (p.id === postId ? updatedPost : p)));
     } catch (err) {
       console.error("Failed to update comment:", err);
-      if (err.response?.status === 401) {
-        logout();
-        setShowAuthForm(true);
-        setIsLogin(true);
-        setError("Session expired. Please log in again.");
-      }
+      setError(getApiErrorMessage(err, "Failed to update comment. Please try again."));
+      throw err;
     }
   };
 
   const handleCommentDelete = async (postId, commentId) => {
-    if (!user) return;
     try {
-      await deleteComment(commentId, user.token);
-      setPosts(posts.map((p) =>
-        p.id === postId ? { ...p, comments: p.comments.filter((c) => c.id !== commentId) } : p
-      ));
-      setEditingCommentId(null);
+      await deleteComment(commentId);
+      setPosts((prev) =>
+        prev.map((p) => (p.id === postId ? { ...p, comments: removeCommentThread(p.comments, commentId) } : p))
+      );
     } catch (err) {
       console.error("Failed to delete comment:", err);
-      if (err.response?.status === 401) {
-        logout();
-        setShowAuthForm(true);
-        setIsLogin(true);
-        setError("Session expired. Please log in again.");
-      }
+      setError(getApiErrorMessage(err, "Failed to delete comment. Please try again."));
+      throw err;
     }
   };
 
@@ -151,21 +202,8 @@ export default function Home() {
     setActiveCommentPostId(activeCommentPostId === postId ? null : postId);
   };
 
-  const handleReaction = async (postId, reactionType) => {
-    if (!user) return;
-    try {
-      const updatedPost = await addReaction(postId, reactionType, user.token);
-      setPosts(posts.map((p) => (p.id === postId ? updatedPost : p)));
-    } catch (err) {
-      console.error("Failed to add reaction:", err);
-      if (err.response?.status === 401) {
-        logout();
-        setShowAuthForm(true);
-        setIsLogin(true);
-        setError("Session expired. Please log in again.");
-      }
-    }
-    setShowReactions(null);
+  const replacePost = (updatedPost) => {
+    setPosts((prev) => prev.map((p) => (p.id === updatedPost.id ? updatedPost : p)));
   };
 
   const handleFollowPost = async (postId, userId) => {
@@ -175,21 +213,14 @@ export default function Home() {
       return;
     }
     try {
-      const updatedUser = await followUser(userId, user.token);
+      const updatedUser = await followUser(userId);
       setPosts(posts.map((p) =>
         p.id === postId ? { ...p, user: { ...p.user, followers: updatedUser.followers } } : p
       ));
       console.log(`Now following user ${userId}`);
     } catch (err) {
       console.error("Failed to follow user:", err);
-      if (err.response?.status === 401) {
-        logout();
-        setShowAuthForm(true);
-        setIsLogin(true);
-        setError("Session expired. Please log in again.");
-      } else {
-        setError("Failed to follow user. Please try again.");
-      }
+      setError(getApiErrorMessage(err, "Failed to follow user. Please try again."));
     }
   };
 
@@ -203,7 +234,7 @@ export default function Home() {
     }
   };
 
-  const getPostUrl = (postId) => `http://localhost:3000/posts/${postId}`;
+  const getPostUrl = (postId) => appUrl(`/post/${postId}`);
 
   const handleShare = (postId, platform) => {
     const url = getPostUrl(postId);
@@ -231,22 +262,22 @@ export default function Home() {
     e.preventDefault();
     setError("");
     try {
-      if (isLogin) {
-        await login(username, password);
-      } else {
-        await register(username, password);
+      if (forgotPassword) {
+        await requestPasswordReset(email);
+        setResetRequested(true);
+        return;
       }
+      await login(username, password);
       setUsername("");
       setPassword("");
+      setEmail("");
       setError("");
     } catch (err) {
       console.error("Authentication error:", err.message);
-      setError(err.message || "Authentication failed");
+      setError(forgotPassword ? getApiErrorMessage(err, "Failed to send reset link.") : err.message || "Authentication failed");
     }
   };
 
-  const getReactionCount = (post, type) => post.reactions?.filter((r) => r.reactionType === type).length || 0;
-  const hasUserReacted = (post, type) => post.reactions?.some((r) => r.userId === user?.id && r.reactionType === type);
 
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -365,18 +396,49 @@ export default function Home() {
               </motion.button>
             )}
           </div>
-          <select
-            value={selectedTag}
-            onChange={(e) => setSelectedTag(e.target.value)}
-            className={`w-48 p-4 rounded-lg border ${theme === "dark" ? "bg-gray-800 border-gray-700 text-white" : "bg-white border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+        </motion.div>
+        {user && (
+          <div
+            className={`max-w-5xl mx-auto mt-4 flex border-b ${theme === "dark" ? "border-gray-700" : "border-gray-200"}`}
+            role="tablist"
           >
-            {getUniqueTags().map((tag) => (
-              <option key={tag} value={tag}>
-                {tag}
-              </option>
+            {FEED_MODES.map((mode) => (
+              <button
+                key={mode.key}
+                role="tab"
+                aria-selected={feedMode === mode.key}
+                onClick={() => setFeedMode(mode.key)}
+                className={`px-5 py-2 -mb-px border-b-2 font-medium transition-colors ${
+                  feedMode === mode.key
+                    ? "border-purple-600 text-purple-600 dark:text-purple-300 dark:border-purple-300"
+                    : "border-transparent text-gray-600 dark:text-gray-400 hover:text-purple-600"
+                }`}
+              >
+                {mode.label}
+              </button>
             ))}
-          </select>
-        </motion.div>
+          </div>
+        )}
+        {tags.length > 0 && (
+          <div className="max-w-5xl mx-auto mt-4 flex flex-wrap gap-2">
+            {[{ slug: null, name: "All" }, ...tags].map((tag) => (
+              <button
+                key={tag.slug ?? "all"}
+                onClick={() => setSelectedTag(tag.slug)}
+                className={`text-sm px-3 py-1 rounded-full border transition-colors ${
+                  selectedTag === tag.slug
+                    ? "bg-purple-600 border-purple-600 text-white"
+                    : theme === "dark"
+                    ? "bg-gray-800 border-gray-700 text-gray-300 hover:border-purple-400"
+                    : "bg-white border-gray-200 text-gray-700 hover:border-purple-500"
+                }`}
+              >
+                {tag.slug ? `#${tag.name}` : tag.name}
+                {tag.count != null && <span className="ml-1 opacity-70">{tag.count}</span>}
+              </button>
+            ))}
+          </div>
+        )}
       </section>
 
       {/* Posts Grid */}
@@ -384,8 +446,12 @@ export default function Home() {
         <div className="max-w-7xl mx-auto">
           {loading ? (
             <p className="text-center text-lg text-gray-600 dark:text-gray-400">Loading posts...</p>
-          ) : filteredPosts.length === 0 ? (
-            <p className="text-center text-lg text-gray-600 dark:text-gray-400">No posts found.</p>
+          ) : posts.length === 0 ? (
+            <p className="text-center text-lg text-gray-600 dark:text-gray-400">
+              {selectedTag || debouncedQuery.trim()
+                ? "No posts found."
+                : FEED_MODES.find((mode) => mode.key === feedMode).empty}
+            </p>
           ) : (
             <motion.div
               variants={containerVariants}
@@ -393,31 +459,20 @@ export default function Home() {
               animate="visible"
               className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6"
             >
-              {filteredPosts.map((post) => (
+              {posts.map((post) => (
                 <motion.div
                   key={post.id}
                   variants={cardVariants}
                   whileHover="hover"
                   className={`rounded-xl shadow-lg p-6 ${theme === "dark" ? "bg-gray-800" : "bg-white"} border ${theme === "dark" ? "border-gray-700" : "border-gray-200"}`}
                 >
-                  {post.images && (
-                    <div className="mb-4 flex flex-wrap gap-2">
-                      {post.images.split(",").map((imageUrl, index) => (
-                        <motion.img
-                          key={index}
-                          src={`http://localhost:8080${imageUrl.trim()}`}
-                          alt={`${post.title} image ${index + 1}`}
-                          className="w-20 h-20 object-cover rounded-lg"
-                          initial={{ opacity: 0 }}
-                          animate={{ opacity: 1 }}
-                          transition={{ delay: index * 0.1 }}
-                          onError={(e) => (e.target.src = "/fallback-image.jpg")}
-                        />
-                      ))}
-                    </div>
-                  )}
+                  <MediaGallery media={getPostMedia(post)} title={post.title} compact />
                   <div className="flex justify-between items-center mb-2">
-                    <h3 className="text-xl font-semibold">{post.title}</h3>
+                    <h3 className="text-xl font-semibold">
+                      <Link to={`/post/${post.id}`} className="hover:text-purple-600 dark:hover:text-purple-300">
+                        {post.title}
+                      </Link>
+                    </h3>
                     {user && user.id !== post.user?.id && (
                       <motion.button
                         onClick={() => handleFollowPost(post.id, post.user?.id)}
@@ -431,65 +486,25 @@ export default function Home() {
                   <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
                     By: {post.user?.username || "Unknown"} • {new Date(post.createdAt).toLocaleDateString()}
                   </p>
-                  <p className="text-gray-700 dark:text-gray-300 mb-4 line-clamp-3">{post.content}</p>
+                  <Markdown source={post.content} compact className="text-gray-700 dark:text-gray-300 mb-4" />
                   <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
                     Followers: {post.user?.followers?.length || 0}
                   </p>
                   {post.tags && (
                     <div className="flex flex-wrap gap-2 mb-4">
-                      {post.tags.split(",").map((tag, index) => (
-                        <span
-                          key={index}
-                          className={`text-xs px-2 py-1 rounded-full ${theme === "dark" ? "bg-purple-900 text-purple-300" : "bg-purple-100 text-purple-800"}`}
+                      {splitTags(post.tags).map((tag) => (
+                        <Link
+                          key={tag}
+                          to={tagPath(tag)}
+                          className={`text-xs px-2 py-1 rounded-full hover:underline ${theme === "dark" ? "bg-purple-900 text-purple-300" : "bg-purple-100 text-purple-800"}`}
                         >
-                          {tag.trim()}
-                        </span>
+                          #{tag}
+                        </Link>
                       ))}
                     </div>
                   )}
-                  <div className="flex justify-between items-center border-t pt-4">
-                    <div
-                      className="relative"
-                      onMouseEnter={() => setShowReactions(post.id)}
-                      onMouseLeave={() => setShowReactions(null)}
-                    >
-                      <motion.button
-                        className="flex items-center gap-2 text-gray-600 dark:text-gray-300"
-                        whileHover={{ scale: 1.1 }}
-                      >
-                        <HandThumbUpIcon className="h-5 w-5" />
-                        <span>{post.reactions?.length || 0}</span>
-                      </motion.button>
-                      <AnimatePresence>
-                        {showReactions === post.id && user && (
-                          <motion.div
-                            initial={{ opacity: 0, y: 10 }}
-                            animate={{ opacity: 1, y: -50 }}
-                            exit={{ opacity: 0, y: 10 }}
-                            className={`absolute flex gap-2 p-2 rounded-full ${theme === "dark" ? "bg-gray-700" : "bg-white"} shadow-lg`}
-                          >
-                            <motion.button
-                              onClick={() => handleReaction(post.id, "LIKE")}
-                              whileHover={{ scale: 1.2 }}
-                              className={hasUserReacted(post, "LIKE") ? "text-blue-500" : ""}
-                            >
-                              <HandThumbUpIcon className="h-6 w-6" />
-                            </motion.button>
-                            <motion.button
-                              onClick={() => handleReaction(post.id, "LOVE")}
-                              whileHover={{ scale: 1.2 }}
-                              className={hasUserReacted(post, "LOVE") ? "text-red-500" : ""}
-                            >
-                              <HeartIcon className="h-6 w-6" />
-                            </motion.button>
-                          </motion.div>
-                        )}
-                      </AnimatePresence>
-                    </div>
-                    <div className="flex gap-4 text-sm text-gray-600 dark:text-gray-400">
-                      <span>Likes: {getReactionCount(post, "LIKE")}</span>
-                      <span>Loves: {getReactionCount(post, "LOVE")}</span>
-                    </div>
+                  <div className="flex flex-wrap gap-3 justify-between items-center border-t pt-4">
+                    <ReactionBar post={post} onChange={replacePost} compact />
                     <motion.button
                       onClick={() => toggleCommentSection(post.id)}
                       whileHover={{ scale: 1.1 }}
@@ -543,6 +558,12 @@ export default function Home() {
                         )}
                       </AnimatePresence>
                     </div>
+                    <BookmarkButton
+                      postId={post.id}
+                      saved={savedIds.has(post.id)}
+                      onChange={(saved) => handleSavedChange(post.id, saved)}
+                      compact
+                    />
                   </div>
                   <AnimatePresence>
                     {activeCommentPostId === post.id && (
@@ -552,77 +573,26 @@ export default function Home() {
                         exit={{ opacity: 0, height: 0 }}
                         className="mt-6"
                       >
-                        {post.comments?.map((comment) => (
-                          <div key={comment.id} className="py-3 border-t flex gap-4">
-                            <div className={`w-10 h-10 rounded-full ${theme === "dark" ? "bg-gray-600" : "bg-gray-300"}`} />
-                            <div className="flex-1">
-                              {editingCommentId === comment.id ? (
-                                <div className="flex flex-col gap-3">
-                                  <textarea
-                                    value={editedCommentText}
-                                    onChange={(e) => setEditedCommentText(e.target.value)}
-                                    className={`w-full p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
-                                    rows={3}
-                                  />
-                                  <div className="flex gap-2">
-                                    <motion.button
-                                      onClick={() => handleCommentUpdate(post.id, comment.id)}
-                                      whileHover={{ scale: 1.05 }}
-                                      className="px-4 py-2 bg-blue-600 text-white rounded-lg"
-                                    >
-                                      Update
-                                    </motion.button>
-                                    <motion.button
-                                      onClick={() => setEditingCommentId(null)}
-                                      whileHover={{ scale: 1.05 }}
-                                      className="px-4 py-2 bg-gray-500 text-white rounded-lg"
-                                    >
-                                      Cancel
-                                    </motion.button>
-                                  </div>
-                                </div>
-                              ) : (
-                                <>
-                                  <p className={`text-sm font-medium ${theme === "dark" ? "text-gray-200" : "text-gray-800"}`}>
-                                    {comment.user?.username} • {new Date(comment.createdAt).toLocaleString()}
-                                  </p>
-                                  <p className={`text-sm ${theme === "dark" ? "text-gray-300" : "text-gray-700"} mt-1`}>
-                                    {comment.text}
-                                  </p>
-                                  {user && String(user.id) === String(comment.user.id) && (
-                                    <div className="flex gap-2 mt-2">
-                                      <motion.button
-                                        onClick={() => startEditingComment(comment)}
-                                        whileHover={{ scale: 1.1 }}
-                                        className={`p-2 rounded-full ${theme === "dark" ? "bg-gray-700 text-blue-400" : "bg-gray-200 text-blue-600"}`}
-                                      >
-                                        <PencilIcon className="h-5 w-5" />
-                                      </motion.button>
-                                      <motion.button
-                                        onClick={() => handleCommentDelete(post.id, comment.id)}
-                                        whileHover={{ scale: 1.1 }}
-                                        className={`p-2 rounded-full ${theme === "dark" ? "bg-gray-700 text-red-400" : "bg-gray-200 text-red-600"}`}
-                                      >
-                                        <TrashIcon className="h-5 w-5" />
-                                      </motion.button>
-                                    </div>
-                                  )}
-                                </>
-                              )}
-                            </div>
-                          </div>
-                        ))}
+                        <CommentThread
+                          comments={post.comments || []}
+                          onReply={(parentId, text) => handleCommentSubmit(post.id, text, parentId)}
+                          onUpdate={(commentId, text) => handleCommentUpdate(post.id, commentId, text)}
+                          onDelete={(commentId) => handleCommentDelete(post.id, commentId)}
+                          defaultCollapsed
+                          compact
+                        />
                         {user ? (
                           <div className="mt-4 flex gap-3 items-center">
                             <ChatBubbleLeftIcon className={`h-5 w-5 ${theme === "dark" ? "text-gray-300" : "text-gray-600"}`} />
-                            <input
+                            <MentionInput
                               value={newComments[post.id] || ""}
-                              onChange={(e) => setNewComments({ ...newComments, [post.id]: e.target.value })}
-                              placeholder="Add a comment..."
-                              className={`flex-1 p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
+                              onChange={(text) => setNewComments({ ...newComments, [post.id]: text })}
+                              onSubmit={() => submitNewComment(post.id)}
+                              placeholder="Add a comment... (type @ to mention)"
+                              className={`p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
                             />
                             <motion.button
-                              onClick={() => handleCommentSubmit(post.id)}
+                              onClick={() => submitNewComment(post.id)}
                               whileHover={{ scale: 1.05 }}
                               className="px-5 py-2 bg-purple-600 text-white rounded-lg"
                             >
@@ -651,6 +621,13 @@ export default function Home() {
               ))}
             </motion.div>
           )}
+          <div ref={sentinelRef} className="h-1" />
+          {loadingMore && (
+            <p className="text-center text-gray-600 dark:text-gray-400 mt-8">Loading more posts...</p>
+          )}
+          {!loading && !hasNext && page > 0 && (
+            <p className="text-center text-sm text-gray-500 dark:text-gray-400 mt-8">You're all caught up.</p>
+          )}
         </div>
       </section>
 
@@ -671,63 +648,124 @@ export default function Home() {
               className={`w-full max-w-md p-8 rounded-xl ${theme === "dark" ? "bg-gray-800 text-white" : "bg-white text-gray-900"} shadow-2xl`}
             >
               <h2 className="text-3xl font-bold mb-6 text-center">
-                {isLogin ? "Welcome Back" : "Join SkillSphere"}
+                {forgotPassword ? "Reset Password" : isLogin ? "Welcome Back" : "Join SkillSphere"}
               </h2>
-              {error && (
+              {(error || authNotice) && (
                 <motion.p
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
                   className="text-red-500 text-center mb-4"
                 >
-                  {error}
+                  {error || authNotice}
                 </motion.p>
               )}
-              <form onSubmit={handleAuthSubmit} className="space-y-6">
-                <motion.input
-                  type="text"
-                  value={username}
-                  onChange={(e) => setUsername(e.target.value)}
-                  placeholder="Username"
-                  className={`w-full p-4 rounded-lg border ${theme === "dark" ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-100 border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
-                  whileFocus={{ scale: 1.02 }}
-                  required
-                />
-                <motion.input
-                  type="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  placeholder="Password"
-                  className={`w-full p-4 rounded-lg border ${theme === "dark" ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-100 border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
-                  whileFocus={{ scale: 1.02 }}
-                  required
-                />
-                <motion.button
-                  type="submit"
-                  whileHover={{ scale: 1.05 }}
-                  className="w-full py-3 bg-purple-600 text-white rounded-lg font-semibold"
-                >
-                  {isLogin ? "Login" : "Register"}
-                </motion.button>
-              </form>
+              {forgotPassword && resetRequested ? (
+                <p className="text-center text-gray-600 dark:text-gray-400">
+                  If an account uses {email}, we've sent it a link to reset the password. The link works for an hour.
+                </p>
+              ) : forgotPassword ? (
+                <form onSubmit={handleAuthSubmit} className="space-y-6">
+                  <p className="text-sm text-gray-600 dark:text-gray-400">Enter your account's email and we'll send you a reset link.</p>
+                  <motion.input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="Email"
+                    className={`w-full p-4 rounded-lg border ${theme === "dark" ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-100 border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+                    whileFocus={{ scale: 1.02 }}
+                    required
+                  />
+                  <motion.button
+                    type="submit"
+                    whileHover={{ scale: 1.05 }}
+                    className="w-full py-3 bg-purple-600 text-white rounded-lg font-semibold"
+                  >
+                    Send reset link
+                  </motion.button>
+                </form>
+              ) : !isLogin ? (
+                <RegisterForm />
+              ) : (
+                <form onSubmit={handleAuthSubmit} className="space-y-6">
+                  <motion.input
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    placeholder="Username"
+                    className={`w-full p-4 rounded-lg border ${theme === "dark" ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-100 border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+                    whileFocus={{ scale: 1.02 }}
+                    required
+                  />
+                  <motion.input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password"
+                    className={`w-full p-4 rounded-lg border ${theme === "dark" ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-100 border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+                    whileFocus={{ scale: 1.02 }}
+                    required
+                  />
+                  <motion.button
+                    type="submit"
+                    whileHover={{ scale: 1.05 }}
+                    className="w-full py-3 bg-purple-600 text-white rounded-lg font-semibold"
+                  >
+                    Login
+                  </motion.button>
+                </form>
+              )}
               <motion.button
-                onClick={() => setShowAuthForm(false)}
+                onClick={() => {
+                  setShowAuthForm(false);
+                  setForgotPassword(false);
+                  setResetRequested(false);
+                }}
                 whileHover={{ scale: 1.05 }}
                 className="w-full mt-4 text-sm text-gray-600 dark:text-gray-400 hover:text-purple-600 dark:hover:text-purple-300"
               >
                 Cancel
               </motion.button>
-              <p className="text-center mt-4 text-sm text-gray-600 dark:text-gray-400">
-                {isLogin ? "Need an account?" : "Already have an account?"}
-                <button
-                  onClick={() => {
-                    setIsLogin(!isLogin);
-                    setError("");
-                  }}
-                  className="ml-1 text-purple-600 hover:text-purple-700 dark:text-purple-300 dark:hover:text-purple-400"
-                >
-                  {isLogin ? "Register" : "Login"}
-                </button>
-              </p>
+              {forgotPassword ? (
+                <p className="text-center mt-4 text-sm text-gray-600 dark:text-gray-400">
+                  <button
+                    onClick={() => {
+                      setForgotPassword(false);
+                      setResetRequested(false);
+                      setError("");
+                    }}
+                    className="text-purple-600 hover:text-purple-700 dark:text-purple-300 dark:hover:text-purple-400"
+                  >
+                    Back to login
+                  </button>
+                </p>
+              ) : (
+                <p className="text-center mt-4 text-sm text-gray-600 dark:text-gray-400">
+                  {isLogin ? "Need an account?" : "Already have an account?"}
+                  <button
+                    onClick={() => {
+                      setIsLogin(!isLogin);
+                      setError("");
+                    }}
+                    className="ml-1 text-purple-600 hover:text-purple-700 dark:text-purple-300 dark:hover:text-purple-400"
+                  >
+                    {isLogin ? "Register" : "Login"}
+                  </button>
+                  {isLogin && (
+                    <>
+                      {" • "}
+                      <button
+                        onClick={() => {
+                          setForgotPassword(true);
+                          setError("");
+                        }}
+                        className="text-purple-600 hover:text-purple-700 dark:text-purple-300 dark:hover:text-purple-400"
+                      >
+                        Forgot password?
+                      </button>
+                    </>
+                  )}
+                </p>
+              )}
             </motion.div>
           </motion.div>
         )}
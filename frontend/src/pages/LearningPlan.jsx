@@ -0,0 +1,412 @@
+import { useState, useEffect, useContext } from "react";
+import { Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import {
+  createLearningPlan,
+  getLearningPlans,
+  getAllLearningPlans,
+  updateLearningPlan,
+  updateLearningPlanStatus,
+  deleteLearningPlan,
+  getApiErrorMessage,
+} from "../api.js";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+import {
+  PLAN_STATUSES,
+  STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  STATUS_STYLES,
+  emptyTopic,
+  isOwnPlan,
+} from "../utils/learningPlans.js";
+
+export default function LearningPlan() {
+  const { user, theme } = useContext(AuthContext);
+  const [plans, setPlans] = useState([]);
+  const [view, setView] = useState("mine");
+  const [statusFilter, setStatusFilter] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [showForm, setShowForm] = useState(false);
+  const [editingPlan, setEditingPlan] = useState(null);
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [topics, setTopics] = useState([emptyTopic()]);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPlans = async () => {
+    if (!user) return;
+    setLoading(true);
+    setError("");
+    try {
+      const data =
+        view === "mine"
+          ? await getLearningPlans()
+          : await getAllLearningPlans(statusFilter || null);
+      const list = Array.isArray(data) ? data : [];
+      setPlans(view === "mine" && statusFilter ? list.filter((p) => p.status === statusFilter) : list);
+    } catch (err) {
+      console.error("Failed to load learning plans:", err);
+      setError(getApiErrorMessage(err, "Failed to load learning plans. Please try again later."));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPlans();
+  }, [user, view, statusFilter]);
+
+  const resetForm = () => {
+    setEditingPlan(null);
+    setTitle("");
+    setDescription("");
+    setTopics([emptyTopic()]);
+    setShowForm(false);
+  };
+
+  const startCreating = () => {
+    resetForm();
+    setShowForm(true);
+    setSuccess("");
+  };
+
+  const startEditing = (plan) => {
+    setEditingPlan(plan);
+    setTitle(plan.title || "");
+    setDescription(plan.description || "");
+    setTopics(
+      plan.topics?.length
+        ? plan.topics.map((t) => ({ ...emptyTopic(), ...t, targetDate: t.targetDate ? String(t.targetDate).slice(0, 10) : "" }))
+        : [emptyTopic()]
+    );
+    setShowForm(true);
+    setSuccess("");
+  };
+
+  const updateTopic = (index, field, value) => {
+    setTopics(topics.map((t, i) => (i === index ? { ...t, [field]: value } : t)));
+  };
+
+  const moveTopic = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= topics.length) return;
+    const reordered = [...topics];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setTopics(reordered);
+  };
+
+  const removeTopic = (index) => {
+    setTopics(topics.length === 1 ? [emptyTopic()] : topics.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) {
+      setError("Plan title is required");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    const data = {
+      title: title.trim(),
+      description: description.trim(),
+      topics: topics
+        .filter((t) => t.title.trim())
+        .map((t) => ({ ...t, title: t.title.trim(), targetDate: t.targetDate || null })),
+    };
+    try {
+      if (editingPlan) {
+        const updatedPlan = await updateLearningPlan(editingPlan.id, data);
+        setPlans(plans.map((p) => (p.id === editingPlan.id ? { ...p, ...updatedPlan } : p)));
+        setSuccess("Learning plan updated successfully!");
+      } else {
+        const newPlan = await createLearningPlan({ ...data, status: "NOT_STARTED" });
+        if (newPlan && view === "mine") setPlans([newPlan, ...plans]);
+        setSuccess("Learning plan created successfully!");
+      }
+      resetForm();
+    } catch (err) {
+      console.error(`Failed to ${editingPlan ? "update" : "create"} learning plan:`, err);
+      setError(getApiErrorMessage(err, `Failed to ${editingPlan ? "update" : "create"} learning plan.`));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStatusChange = async (plan, status) => {
+    try {
+      const updatedPlan = await updateLearningPlanStatus(plan.id, status);
+      const merged = { ...plan, ...updatedPlan, status };
+      setPlans(
+        statusFilter && statusFilter !== status
+          ? plans.filter((p) => p.id !== plan.id)
+          : plans.map((p) => (p.id === plan.id ? merged : p))
+      );
+      setSuccess(`Plan moved to ${STATUS_LABELS[status]}.`);
+    } catch (err) {
+      console.error("Failed to update learning plan status:", err);
+      setError(getApiErrorMessage(err, "Failed to update plan status."));
+    }
+  };
+
+  const handleDelete = async (planId) => {
+    if (!window.confirm("Delete this learning plan?")) return;
+    try {
+      await deleteLearningPlan(planId);
+      setPlans(plans.filter((p) => p.id !== planId));
+      setSuccess("Learning plan deleted successfully!");
+    } catch (err) {
+      console.error("Failed to delete learning plan:", err);
+      setError(getApiErrorMessage(err, "Failed to delete learning plan."));
+    }
+  };
+
+  const inputClass = `w-full p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`;
+
+  if (!user) {
+    return (
+      <div className="flex items-center justify-center py-32">
+        <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-3xl font-bold">
+          Log in to manage your learning plans!
+        </motion.p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="flex flex-col sm:flex-row justify-between items-center gap-4 mb-8">
+        <h1 className="text-4xl font-bold">Learning Plans</h1>
+        <motion.button
+          onClick={startCreating}
+          whileHover={{ scale: 1.05 }}
+          className="flex items-center gap-2 bg-purple-600 text-white px-5 py-2 rounded-lg shadow-md hover:bg-purple-700 transition-colors"
+        >
+          <PlusIcon className="h-5 w-5" />
+          New Plan
+        </motion.button>
+      </div>
+
+      {/* View toggle and status filter */}
+      <div className="flex flex-col sm:flex-row gap-4 items-center mb-8">
+        <div className={`inline-flex rounded-lg p-1 ${theme === "dark" ? "bg-gray-800" : "bg-gray-200"}`}>
+          {[
+            { key: "mine", label: "My Plans" },
+            { key: "community", label: "Community Plans" },
+          ].map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-4 py-2 rounded-md transition-colors ${
+                view === key ? "bg-purple-600 text-white" : "text-gray-600 dark:text-gray-300"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className={`w-48 p-3 rounded-lg border ${theme === "dark" ? "bg-gray-800 border-gray-700 text-white" : "bg-white border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+        >
+          <option value="">All statuses</option>
+          {PLAN_STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {STATUS_LABELS[status]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+      {success && <p className="text-green-500 text-center mb-4">{success}</p>}
+
+      {/* Create / Edit form */}
+      <AnimatePresence>
+        {showForm && (
+          <motion.form
+            onSubmit={handleSubmit}
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            className={`rounded-xl shadow-lg p-6 mb-8 space-y-4 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+          >
+            <h2 className="text-2xl font-semibold">{editingPlan ? "Edit Learning Plan" : "Create Learning Plan"}</h2>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="Plan title"
+              className={inputClass}
+              required
+            />
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="What will you learn?"
+              className={`${inputClass} h-24`}
+            />
+            <div className="space-y-3">
+              <h3 className="text-lg font-semibold">Topics</h3>
+              {topics.map((topic, index) => (
+                <div
+                  key={index}
+                  className={`p-4 rounded-lg border ${theme === "dark" ? "border-gray-700" : "border-gray-200"}`}
+                >
+                  <div className="flex gap-2 items-center mb-2">
+                    <span className="text-sm font-semibold text-gray-500 w-6">{index + 1}.</span>
+                    <input
+                      type="text"
+                      value={topic.title}
+                      onChange={(e) => updateTopic(index, "title", e.target.value)}
+                      placeholder="Topic title"
+                      className={inputClass}
+                    />
+                    <button type="button" onClick={() => moveTopic(index, -1)} disabled={index === 0} className="p-2 disabled:opacity-30">
+                      <ArrowUpIcon className="h-5 w-5" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveTopic(index, 1)}
+                      disabled={index === topics.length - 1}
+                      className="p-2 disabled:opacity-30"
+                    >
+                      <ArrowDownIcon className="h-5 w-5" />
+                    </button>
+                    <button type="button" onClick={() => removeTopic(index)} className="p-2 text-red-500">
+                      <XMarkIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 pl-8">
+                    <input
+                      type="text"
+                      value={topic.description}
+                      onChange={(e) => updateTopic(index, "description", e.target.value)}
+                      placeholder="Description"
+                      className={inputClass}
+                    />
+                    <input
+                      type="text"
+                      value={topic.resources}
+                      onChange={(e) => updateTopic(index, "resources", e.target.value)}
+                      placeholder="Resources (links, books...)"
+                      className={inputClass}
+                    />
+                    <input
+                      type="date"
+                      value={topic.targetDate}
+                      onChange={(e) => updateTopic(index, "targetDate", e.target.value)}
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setTopics([...topics, emptyTopic()])}
+                className="flex items-center gap-1 text-purple-600 hover:text-purple-700 dark:text-purple-300"
+              >
+                <PlusIcon className="h-4 w-4" />
+                Add topic
+              </button>
+            </div>
+            <div className="flex space-x-4">
+              <button
+                type="submit"
+                disabled={saving}
+                className={`flex-1 py-3 rounded-lg text-white ${saving ? "bg-gray-500" : "bg-purple-600 hover:bg-purple-700"}`}
+              >
+                {saving ? "Saving..." : editingPlan ? "Update Plan" : "Create Plan"}
+              </button>
+              <button type="button" onClick={resetForm} className="flex-1 py-3 rounded-lg bg-gray-500 text-white">
+                Cancel
+              </button>
+            </div>
+          </motion.form>
+        )}
+      </AnimatePresence>
+
+      {/* Plan list */}
+      {loading ? (
+        <p className="text-center text-lg text-gray-600 dark:text-gray-400">Loading learning plans...</p>
+      ) : plans.length === 0 ? (
+        <p className="text-center text-lg text-gray-600 dark:text-gray-400">
+          {view === "mine" ? "You have no learning plans yet." : "No community plans found."}
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {plans.map((plan) => {
+            const owned = isOwnPlan(plan, user) || view === "mine";
+            const completedTopics = plan.topics?.filter((t) => t.completed).length || 0;
+            const statusStyle = STATUS_STYLES[plan.status] || STATUS_STYLES.NOT_STARTED;
+            return (
+              <motion.div
+                key={plan.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className={`rounded-xl shadow-lg p-6 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+              >
+                <div className="flex justify-between items-start mb-2">
+                  <Link to={`/learning-plan/${plan.id}`} className="text-xl font-semibold hover:text-purple-600">
+                    {plan.title}
+                  </Link>
+                  <span className={`text-xs px-2 py-1 rounded-full whitespace-nowrap ${statusStyle[theme === "dark" ? "dark" : "light"]}`}>
+                    {STATUS_LABELS[plan.status] || plan.status || STATUS_LABELS.NOT_STARTED}
+                  </span>
+                </div>
+                {view === "community" && plan.user?.username && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">By: {plan.user.username}</p>
+                )}
+                {plan.description && <p className="text-gray-700 dark:text-gray-300 mb-3 line-clamp-3">{plan.description}</p>}
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                  {completedTopics}/{plan.topics?.length || 0} topics completed
+                </p>
+                {owned && (
+                  <div className="flex flex-wrap gap-2 border-t pt-4">
+                    {(STATUS_TRANSITIONS[plan.status] || STATUS_TRANSITIONS.NOT_STARTED).map((next) => (
+                      <motion.button
+                        key={next}
+                        onClick={() => handleStatusChange(plan, next)}
+                        whileHover={{ scale: 1.05 }}
+                        className="px-3 py-1 text-sm rounded-lg bg-purple-600 text-white"
+                      >
+                        Mark {STATUS_LABELS[next]}
+                      </motion.button>
+                    ))}
+                    <div className="flex gap-2 ml-auto">
+                      <motion.button
+                        onClick={() => startEditing(plan)}
+                        whileHover={{ scale: 1.1 }}
+                        className={`p-2 rounded-full ${theme === "dark" ? "bg-gray-700 text-blue-400" : "bg-gray-200 text-blue-600"}`}
+                      >
+                        <PencilIcon className="h-5 w-5" />
+                      </motion.button>
+                      <motion.button
+                        onClick={() => handleDelete(plan.id)}
+                        whileHover={{ scale: 1.1 }}
+                        className={`p-2 rounded-full ${theme === "dark" ? "bg-gray-700 text-red-400" : "bg-gray-200 text-red-600"}`}
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </motion.button>
+                    </div>
+                  </div>
+                )}
+              </motion.div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import { useState, useEffect, useContext } from "react";
+import { useParams, Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { getLearningPlan, updateLearningPlan, getApiErrorMessage } from "../api.js";
+import { motion } from "framer-motion";
+import QuizList from "../components/QuizList.jsx";
+import { ArrowLeftIcon, CalendarIcon, ExclamationTriangleIcon, LockClosedIcon } from "@heroicons/react/24/outline";
+import {
+  STATUS_LABELS,
+  STATUS_STYLES,
+  getPlanProgress,
+  isTopicOverdue,
+  isOwnPlan,
+} from "../utils/learningPlans.js";
+
+export default function LearningPlanDetail() {
+  const { id } = useParams();
+  const { user, theme } = useContext(AuthContext);
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [savingIndex, setSavingIndex] = useState(null);
+  const [error, setError] = useState("");
+  const [quizzes, setQuizzes] = useState([]);
+
+  const fetchPlan = async () => {
+    if (!user) return;
+    setLoading(true);
+    setError("");
+    try {
+      setPlan(await getLearningPlan(id));
+    } catch (err) {
+      console.error("Failed to load learning plan:", err);
+      if (err.response?.status === 404) {
+        setError("Learning plan not found.");
+      } else {
+        setError(getApiErrorMessage(err, "Failed to load learning plan. Please try again later."));
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPlan();
+  }, [id, user]);
+
+  // Quizzes gating the topic that the user still has to pass before ticking it off.
+  const getLockingQuizzes = (topic) =>
+    topic.id == null || topic.completed
+      ? []
+      : quizzes.filter((quiz) => String(quiz.milestoneId) === String(topic.id) && !quiz.passed);
+
+  const toggleTopic = async (index) => {
+    if (getLockingQuizzes(plan.topics[index]).length > 0) return;
+    const previousPlan = plan;
+    const topics = plan.topics.map((t, i) => (i === index ? { ...t, completed: !t.completed } : t));
+    setPlan({ ...plan, topics });
+    setSavingIndex(index);
+    try {
+      const updatedPlan = await updateLearningPlan(plan.id, {
+        title: plan.title,
+        description: plan.description,
+        topics,
+      });
+      if (updatedPlan?.topics) setPlan({ ...plan, ...updatedPlan });
+    } catch (err) {
+      console.error("Failed to update topic:", err);
+      setPlan(previousPlan);
+      setError(getApiErrorMessage(err, "Failed to save progress. Please try again."));
+    } finally {
+      setSavingIndex(null);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="flex items-center justify-center py-32">
+        <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-3xl font-bold">
+          Log in to view this learning plan!
+        </motion.p>
+      </div>
+    );
+  }
+
+  if (loading && !plan) {
+    return <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">Loading learning plan...</p>;
+  }
+
+  if (!plan) {
+    return <p className="text-center text-lg text-red-500 py-16">{error || "Learning plan not found."}</p>;
+  }
+
+  const topics = plan.topics || [];
+  const progress = getPlanProgress(topics);
+  const completedCount = topics.filter((t) => t.completed).length;
+  const overdueCount = topics.filter((t) => isTopicOverdue(t)).length;
+  const editable = isOwnPlan(plan, user);
+  const statusStyle = STATUS_STYLES[plan.status] || STATUS_STYLES.NOT_STARTED;
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <Link
+        to="/learning-plan"
+        className="inline-flex items-center gap-1 mb-6 text-gray-600 dark:text-gray-400 hover:text-purple-600 dark:hover:text-purple-300"
+      >
+        <ArrowLeftIcon className="h-4 w-4" />
+        Back to plans
+      </Link>
+
+      <motion.section
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className={`rounded-xl shadow-lg p-8 mb-8 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+      >
+        <div className="flex justify-between items-start gap-4 mb-2">
+          <h1 className="text-3xl font-bold">{plan.title}</h1>
+          <span className={`text-xs px-2 py-1 rounded-full whitespace-nowrap ${statusStyle[theme === "dark" ? "dark" : "light"]}`}>
+            {STATUS_LABELS[plan.status] || plan.status || STATUS_LABELS.NOT_STARTED}
+          </span>
+        </div>
+        {plan.user?.username && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            By:{" "}
+            <Link to={`/profile/${plan.user.id}`} className="hover:text-purple-600">
+              {plan.user.username}
+            </Link>
+          </p>
+        )}
+        {plan.description && <p className="text-gray-700 dark:text-gray-300 mb-6">{plan.description}</p>}
+
+        <div className="flex justify-between text-sm mb-2">
+          <span>
+            {completedCount} of {topics.length} milestones completed
+          </span>
+          <span className="font-semibold">{progress}%</span>
+        </div>
+        <div className={`w-full h-3 rounded-full overflow-hidden ${theme === "dark" ? "bg-gray-700" : "bg-gray-200"}`}>
+          <motion.div
+            className={`h-full rounded-full ${progress === 100 ? "bg-green-500" : "bg-purple-600"}`}
+            initial={false}
+            animate={{ width: `${progress}%` }}
+            transition={{ duration: 0.4, ease: "easeOut" }}
+          />
+        </div>
+        {overdueCount > 0 && (
+          <p className="mt-3 text-sm text-red-500 flex items-center gap-1">
+            <ExclamationTriangleIcon className="h-4 w-4" />
+            {overdueCount} milestone{overdueCount > 1 ? "s are" : " is"} overdue
+          </p>
+        )}
+      </motion.section>
+
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+
+      {topics.length === 0 ? (
+        <p className="text-center text-lg text-gray-600 dark:text-gray-400">This plan has no milestones yet.</p>
+      ) : (
+        <ol className="space-y-4">
+          {topics.map((topic, index) => {
+            const overdue = isTopicOverdue(topic);
+            const lockingQuizzes = getLockingQuizzes(topic);
+            return (
+              <motion.li
+                key={topic.id ?? index}
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ delay: index * 0.05 }}
+                className={`flex gap-4 p-5 rounded-xl border ${
+                  overdue
+                    ? theme === "dark"
+                      ? "border-red-700 bg-red-900/20"
+                      : "border-red-300 bg-red-50"
+                    : theme === "dark"
+                      ? "border-gray-700 bg-gray-800"
+                      : "border-gray-200 bg-white"
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={Boolean(topic.completed)}
+                  onChange={() => toggleTopic(index)}
+                  disabled={!editable || savingIndex !== null || lockingQuizzes.length > 0}
+                  className="mt-1 h-5 w-5 accent-purple-600 cursor-pointer disabled:cursor-not-allowed"
+                  aria-label={`Mark "${topic.title}" as ${topic.completed ? "incomplete" : "complete"}`}
+                />
+                <div className="flex-1">
+                  <h3 className={`text-lg font-semibold ${topic.completed ? "line-through text-gray-500" : ""}`}>
+                    {index + 1}. {topic.title}
+                  </h3>
+                  {topic.description && <p className="text-gray-700 dark:text-gray-300 mt-1">{topic.description}</p>}
+                  {topic.resources && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">Resources: {topic.resources}</p>
+                  )}
+                  {topic.targetDate && (
+                    <p
+                      className={`text-sm mt-2 flex items-center gap-1 ${
+                        overdue ? "text-red-500 font-semibold" : "text-gray-500 dark:text-gray-400"
+                      }`}
+                    >
+                      <CalendarIcon className="h-4 w-4" />
+                      Target: {new Date(`${String(topic.targetDate).slice(0, 10)}T00:00:00`).toLocaleDateString()}
+                      {overdue && " (overdue)"}
+                    </p>
+                  )}
+                  {lockingQuizzes.length > 0 && (
+                    <p className="text-sm mt-2 flex flex-wrap items-center gap-1 text-amber-600 dark:text-amber-400">
+                      <LockClosedIcon className="h-4 w-4" />
+                      Pass
+                      {lockingQuizzes.map((quiz, i) => (
+                        <span key={quiz.id}>
+                          {i > 0 && "and "}
+                          <Link to={`/quiz/${quiz.id}`} className="underline hover:text-purple-600">
+                            {quiz.title}
+                          </Link>
+                        </span>
+                      ))}
+                      to complete this milestone
+                    </p>
+                  )}
+                </div>
+              </motion.li>
+            );
+          })}
+        </ol>
+      )}
+
+      <QuizList
+        planId={plan.id}
+        canEdit={isOwnPlan(plan, user)}
+        milestones={topics.filter((topic) => topic.id != null).map((topic) => ({ id: topic.id, title: topic.title }))}
+        onQuizzesChange={setQuizzes}
+        className={`rounded-xl shadow-lg p-8 mt-8 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+      />
+    </div>
+  );
+}
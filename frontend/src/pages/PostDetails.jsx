@@ -1,143 +1,226 @@
-import { useState, useEffect } from "react";
-import axios from "axios";
+import { useState, useEffect, useContext } from "react";
+import { useParams, Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { getPost, getBookmark, commentOnPost, updateComment, deleteComment, getApiErrorMessage } from "../api.js";
 import { motion } from "framer-motion";
-import { FaHeart, FaEdit, FaTrash } from "react-icons/fa";
+import { appUrl } from "../config.js";
+import CommentThread from "../components/CommentThread.jsx";
+import ReactionBar from "../components/ReactionBar.jsx";
+import BookmarkButton from "../components/BookmarkButton.jsx";
+import QuizList from "../components/QuizList.jsx";
+import Markdown from "../components/Markdown.jsx";
+import MediaGallery from "../components/MediaGallery.jsx";
+import { getPostMedia } from "../utils/media.js";
+import MentionInput from "../components/MentionInput.jsx";
+import { removeCommentThread } from "../utils/comments.js";
+import {
+  ArrowLeftIcon,
+  ChatBubbleLeftIcon,
+  LinkIcon,
+} from "@heroicons/react/24/outline";
 
-export default function PostDetails({ postId }) { // Default export
+const splitList = (value) => (value ? value.split(",").map((item) => item.trim()).filter(Boolean) : []);
+
+export default function PostDetails() {
+  const { postId } = useParams();
+  const { user, theme } = useContext(AuthContext);
   const [post, setPost] = useState(null);
-  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [newComment, setNewComment] = useState("");
+  const [copied, setCopied] = useState(false);
+  const [saved, setSaved] = useState(false);
 
-  // Placeholder for addNotification (replace with your actual implementation)
-  const addNotification = (message) => console.log(message);
+  const fetchPost = async () => {
+    if (!user) return;
+    setLoading(true);
+    setError("");
+    try {
+      setPost(await getPost(postId));
+    } catch (err) {
+      console.error("Failed to load post:", err);
+      if (err.response?.status === 404) {
+        setError("Post not found.");
+      } else {
+        setError(getApiErrorMessage(err, "Failed to load post. Please try again later."));
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
 
   useEffect(() => {
-    axios
-      .get(`http://localhost:8080/api/posts/${postId}`, { withCredentials: true })
-      .then((res) => setPost(res.data))
-      .catch((err) => console.error("Error fetching post:", err));
-    axios
-      .get("http://localhost:8080/api/users/me", { withCredentials: true })
-      .then((res) => setUser(res.data))
-      .catch((err) => console.error("Error fetching user:", err));
-  }, [postId]);
-
-  const handleLike = () => {
-    axios
-      .post(`http://localhost:8080/api/posts/${postId}/like`, {}, { withCredentials: true })
-      .then((res) => {
-        setPost(res.data);
-        addNotification("Post liked!");
-      })
-      .catch((err) => console.error("Error liking post:", err));
+    fetchPost();
+  }, [postId, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    getBookmark(postId)
+      .then((bookmark) => setSaved(bookmark.saved))
+      .catch((err) => console.error("Failed to load bookmark:", err));
+  }, [postId, user]);
+
+  // The comment handlers rethrow so CommentThread keeps the user's text when a request fails.
+  const submitComment = async (text, parentId = null) => {
+    try {
+      setPost(await commentOnPost(post.id, text, parentId));
+    } catch (err) {
+      console.error("Failed to add comment:", err);
+      setError(getApiErrorMessage(err, "Failed to add comment. Please try again."));
+      throw err;
+    }
   };
 
-  const handleUnlike = () => {
-    axios
-      .post(`http://localhost:8080/api/posts/${postId}/unlike`, {}, { withCredentials: true })
-      .then((res) => {
-        setPost(res.data);
-        addNotification("Post unliked!");
-      })
-      .catch((err) => console.error("Error unliking post:", err));
+  const handleCommentSubmit = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim()) return;
+    try {
+      await submitComment(newComment.trim());
+      setNewComment("");
+    } catch {
+      // Already reported by submitComment.
+    }
   };
 
-  const handleEditComment = async (commentId, newText) => {
+  const handleCommentUpdate = async (commentId, text) => {
     try {
-      const res = await axios.put(
-        `http://localhost:8080/api/posts/comments/${commentId}?userId=${user.userId}`,
-        { text: newText },
-        { withCredentials: true }
-      );
-      setPost({
-        ...post,
-        comments: post.comments.map((c) => (c.id === commentId ? res.data : c)),
-      });
-      addNotification("Comment updated!");
+      setPost(await updateComment(post.id, commentId, text));
     } catch (err) {
-      console.error("Error editing comment:", err);
-      addNotification("Failed to update comment.");
+      console.error("Failed to update comment:", err);
+      setError(getApiErrorMessage(err, "Failed to update comment. Please try again."));
+      throw err;
     }
   };
 
-  const handleDeleteComment = (commentId) => {
-    axios
-      .delete(`http://localhost:8080/api/posts/comments/${commentId}?userId=${user.userId}`, {
-        withCredentials: true,
-      })
-      .then(() => {
-        setPost({
-          ...post,
-          comments: post.comments.filter((c) => c.id !== commentId),
-        });
-        addNotification("Comment deleted!");
-      })
-      .catch((err) => console.error("Error deleting comment:", err));
+  const handleCommentDelete = async (commentId) => {
+    try {
+      await deleteComment(commentId);
+      setPost((prev) => ({ ...prev, comments: removeCommentThread(prev.comments, commentId) }));
+    } catch (err) {
+      console.error("Failed to delete comment:", err);
+      setError(getApiErrorMessage(err, "Failed to delete comment. Please try again."));
+      throw err;
+    }
   };
 
-  if (!post) return <div className="text-center p-4">Loading...</div>;
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(appUrl(`/post/${post.id}`)).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    });
+  };
 
-  return (
-    <div className="p-4 max-w-2xl mx-auto">
-      <h1 className="text-2xl font-bold">{post.title}</h1>
-      <p className="mt-2 text-gray-700 dark:text-gray-300">{post.content}</p>
-      <div className="mt-4 flex space-x-4">
-        <motion.button
-          whileHover={{ scale: 1.1 }}
-          whileTap={{ scale: 0.9 }}
-          onClick={handleLike}
-          className="flex items-center space-x-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition-colors"
-        >
-          <FaHeart />
-          <span>Like ({post.likes})</span>
-        </motion.button>
-        <motion.button
-          whileHover={{ scale: 1.1 }}
-          whileTap={{ scale: 0.9 }}
-          onClick={handleUnlike}
-          className="flex items-center space-x-2 bg-gray-500 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors"
-        >
-          <FaHeart />
-          <span>Unlike</span>
-        </motion.button>
+  if (!user) {
+    return (
+      <div className="flex items-center justify-center py-32">
+        <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-3xl font-bold">
+          Log in to view this post!
+        </motion.p>
       </div>
-      <div className="mt-4">
-        <h2 className="text-xl font-semibold">Comments</h2>
-        {post.comments && post.comments.length > 0 ? (
-          post.comments.map((c) => (
-            <motion.div
-              key={c.id}
-              initial={{ opacity: 0, x: -20 }}
-              animate={{ opacity: 1, x: 0 }}
-              className="bg-gray-100 dark:bg-gray-700 p-3 rounded-lg mt-2 flex justify-between items-center"
-            >
-              <p className="text-gray-800 dark:text-gray-200">{c.text}</p>
-              {user?.userId === c.user.id && (
-                <div className="flex space-x-2">
-                  <motion.button
-                    whileHover={{ scale: 1.1 }}
-                    onClick={() => {
-                      const newText = prompt("Edit comment:", c.text);
-                      if (newText) handleEditComment(c.id, newText);
-                    }}
-                    className="text-blue-500"
-                  >
-                    <FaEdit />
-                  </motion.button>
-                  <motion.button
-                    whileHover={{ scale: 1.1 }}
-                    onClick={() => handleDeleteComment(c.id)}
-                    className="text-red-500"
-                  >
-                    <FaTrash />
-                  </motion.button>
-                </div>
-              )}
-            </motion.div>
-          ))
+    );
+  }
+
+  if (loading && !post) {
+    return <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">Loading post...</p>;
+  }
+
+  if (!post) {
+    return <p className="text-center text-lg text-red-500 py-16">{error || "Post not found."}</p>;
+  }
+
+  const tags = splitList(post.tags);
+  const comments = post.comments || [];
+  const cardClass = `rounded-xl shadow-lg p-8 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`;
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <Link
+        to="/"
+        className="inline-flex items-center gap-1 mb-6 text-gray-600 dark:text-gray-400 hover:text-purple-600 dark:hover:text-purple-300"
+      >
+        <ArrowLeftIcon className="h-4 w-4" />
+        Back to feed
+      </Link>
+
+      <motion.article initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className={`${cardClass} mb-8`}>
+        <div className="flex justify-between items-start gap-4 mb-2">
+          <h1 className="text-3xl font-bold">{post.title}</h1>
+          <motion.button
+            onClick={handleCopyLink}
+            whileHover={{ scale: 1.05 }}
+            className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-300 whitespace-nowrap"
+          >
+            <LinkIcon className="h-5 w-5" />
+            {copied ? "Copied!" : "Copy link"}
+          </motion.button>
+        </div>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+          By:{" "}
+          <Link to={`/profile/${post.user?.id}`} className="hover:text-purple-600">
+            {post.user?.username || "Unknown"}
+          </Link>{" "}
+          • {new Date(post.createdAt).toLocaleDateString()}
+          {post.category && ` • ${post.category}`}
+        </p>
+
+        <MediaGallery key={post.id} media={getPostMedia(post)} title={post.title} />
+
+        <Markdown source={post.content} className="text-gray-700 dark:text-gray-300 mb-6" />
+
+        {tags.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-6">
+            {tags.map((tag) => (
+              <span
+                key={tag}
+                className={`text-xs px-2 py-1 rounded-full ${theme === "dark" ? "bg-purple-900 text-purple-300" : "bg-purple-100 text-purple-800"}`}
+              >
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {/* Reactions */}
+        <div className="border-t pt-4 flex flex-wrap gap-3 justify-between items-center">
+          <ReactionBar post={post} onChange={setPost} />
+          <BookmarkButton postId={post.id} saved={saved} onChange={setSaved} />
+        </div>
+      </motion.article>
+
+      <QuizList postId={post.id} canEdit={String(post.user?.id) === String(user.id)} className={`${cardClass} mb-8`} />
+
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+
+      {/* Comment Thread */}
+      <section className={cardClass}>
+        <h2 className="text-2xl font-semibold mb-4 flex items-center gap-2">
+          <ChatBubbleLeftIcon className="h-6 w-6" />
+          Comments ({comments.length})
+        </h2>
+        {comments.length === 0 ? (
+          <p className="text-gray-600 dark:text-gray-400 mb-4">No comments yet. Start the conversation!</p>
         ) : (
-          <p className="text-gray-500">No comments yet.</p>
+          <div className="mb-6">
+            <CommentThread
+              comments={comments}
+              onReply={(parentId, text) => submitComment(text, parentId)}
+              onUpdate={handleCommentUpdate}
+              onDelete={handleCommentDelete}
+            />
+          </div>
         )}
-      </div>
+        <form onSubmit={handleCommentSubmit} className="flex gap-3 items-center">
+          <MentionInput
+            value={newComment}
+            onChange={setNewComment}
+            placeholder="Add a comment... (type @ to mention)"
+            className={`p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+          />
+          <motion.button type="submit" whileHover={{ scale: 1.05 }} className="px-5 py-2 bg-purple-600 text-white rounded-lg">
+            Post
+          </motion.button>
+        </form>
+      </section>
     </div>
   );
-}
\ No newline at end of file
+}
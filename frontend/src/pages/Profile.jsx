@@ -0,0 +1,326 @@
+import { useState, useEffect, useContext } from "react";
+import { useParams, Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { getUserProfile, followUser, unfollowUser, getPostsByAuthor, getUserLearningPlans, getApiErrorMessage } from "../api.js";
+import { motion, AnimatePresence } from "framer-motion";
+import { FaUserCircle } from "react-icons/fa";
+import Markdown from "../components/Markdown.jsx";
+import MediaCover from "../components/MediaCover.jsx";
+import CollectionList from "../components/CollectionList.jsx";
+import ActivityTimeline from "../components/ActivityTimeline.jsx";
+import { getPostMedia } from "../utils/media.js";
+import { BookOpenIcon, AcademicCapIcon, CalendarIcon, BookmarkIcon, ClockIcon } from "@heroicons/react/24/outline";
+
+export default function Profile() {
+  const { userId } = useParams();
+  const { user, theme, setShowAuthForm, setIsLogin } = useContext(AuthContext);
+  const [profile, setProfile] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [activeTab, setActiveTab] = useState("posts");
+  const [collectionCount, setCollectionCount] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [followLoading, setFollowLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const isOwnProfile = user && String(user.id) === String(userId);
+  const isFollowing = profile?.followers?.some((f) => String(f.id) === String(user?.id)) || false;
+
+  const fetchProfile = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const profileData = await getUserProfile(userId);
+      setProfile(profileData);
+      if (user) {
+        const [userPosts, userPlans] = await Promise.all([
+          getPostsByAuthor(userId),
+          getUserLearningPlans(userId).catch(() => []),
+        ]);
+        setPosts(userPosts);
+        setPlans(userPlans);
+      } else {
+        setPosts(Array.isArray(profileData.posts) ? profileData.posts : []);
+        setPlans([]);
+      }
+    } catch (err) {
+      console.error("Failed to load profile:", err);
+      if (err.response?.status === 404) {
+        setError("This user does not exist.");
+      } else {
+        setError(getApiErrorMessage(err, "Failed to load profile. Please try again later."));
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchProfile();
+  }, [userId, user]);
+
+  useEffect(() => {
+    setCollectionCount(null);
+  }, [userId]);
+
+  const handleFollowToggle = async () => {
+    if (!user) {
+      setShowAuthForm(true);
+      setIsLogin(true);
+      return;
+    }
+    setFollowLoading(true);
+    try {
+      const updatedProfile = isFollowing ? await unfollowUser(userId) : await followUser(userId);
+      setProfile((prev) => ({
+        ...prev,
+        followers: updatedProfile.followers,
+        following: updatedProfile.following ?? prev.following,
+      }));
+    } catch (err) {
+      console.error(`Failed to ${isFollowing ? "unfollow" : "follow"} user:`, err);
+      setError(getApiErrorMessage(err, "Failed to update follow status. Please try again."));
+    } finally {
+      setFollowLoading(false);
+    }
+  };
+
+  const tabs = [
+    { key: "posts", label: "Skills", icon: <BookOpenIcon className="h-5 w-5" />, count: posts.length },
+    { key: "plans", label: "Learning Plans", icon: <AcademicCapIcon className="h-5 w-5" />, count: plans.length },
+    { key: "collections", label: "Collections", icon: <BookmarkIcon className="h-5 w-5" />, count: collectionCount },
+    { key: "timeline", label: "Timeline", icon: <ClockIcon className="h-5 w-5" /> },
+  ];
+
+  if (loading && !profile) {
+    return <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">Loading profile...</p>;
+  }
+
+  if (error && !profile) {
+    return <p className="text-center text-lg text-red-500 py-16">{error}</p>;
+  }
+
+  if (!profile) return null;
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      {/* Profile Header */}
+      <motion.section
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className={`rounded-xl shadow-lg p-8 mb-8 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+      >
+        <div className="flex flex-col sm:flex-row items-center gap-6">
+          <FaUserCircle size={96} className={theme === "dark" ? "text-gray-500" : "text-gray-300"} />
+          <div className="flex-1 text-center sm:text-left">
+            <h1 className="text-3xl font-bold">{profile.username}</h1>
+            {profile.createdAt && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 flex items-center justify-center sm:justify-start gap-1">
+                <CalendarIcon className="h-4 w-4" />
+                Joined {new Date(profile.createdAt).toLocaleDateString()}
+              </p>
+            )}
+            <div className="flex gap-6 mt-4 justify-center sm:justify-start">
+              <div>
+                <span className="text-xl font-semibold">{profile.followers?.length || 0}</span>
+                <span className="ml-1 text-gray-600 dark:text-gray-400">Followers</span>
+              </div>
+              <div>
+                <span className="text-xl font-semibold">{profile.following?.length || 0}</span>
+                <span className="ml-1 text-gray-600 dark:text-gray-400">Following</span>
+              </div>
+              <div>
+                <span className="text-xl font-semibold">{posts.length}</span>
+                <span className="ml-1 text-gray-600 dark:text-gray-400">Skills</span>
+              </div>
+            </div>
+          </div>
+          {!isOwnProfile && (
+            <motion.button
+              onClick={handleFollowToggle}
+              disabled={followLoading}
+              whileHover={{ scale: 1.05 }}
+              className={`px-6 py-2 rounded-lg font-semibold shadow-md transition-colors ${
+                isFollowing
+                  ? theme === "dark"
+                    ? "bg-gray-700 text-gray-200 hover:bg-gray-600"
+                    : "bg-gray-200 text-gray-800 hover:bg-gray-300"
+                  : "bg-purple-600 text-white hover:bg-purple-700"
+              } ${followLoading ? "opacity-60" : ""}`}
+            >
+              {followLoading ? "..." : isFollowing ? "Unfollow" : "Follow"}
+            </motion.button>
+          )}
+          {isOwnProfile && (
+            <Link
+              to="/settings"
+              className={`px-6 py-2 rounded-lg font-semibold shadow-md transition-colors ${
+                theme === "dark" ? "bg-gray-700 text-gray-200 hover:bg-gray-600" : "bg-gray-200 text-gray-800 hover:bg-gray-300"
+              }`}
+            >
+              Account settings
+            </Link>
+          )}
+        </div>
+        {error && <p className="text-red-500 text-center mt-4">{error}</p>}
+      </motion.section>
+
+      {/* Tabs */}
+      <div className={`flex border-b mb-6 ${theme === "dark" ? "border-gray-700" : "border-gray-200"}`}>
+        {tabs.map(({ key, label, icon, count }) => (
+          <button
+            key={key}
+            onClick={() => setActiveTab(key)}
+            className={`flex items-center gap-2 px-6 py-3 -mb-px border-b-2 transition-colors ${
+              activeTab === key
+                ? "border-purple-600 text-purple-600 dark:text-purple-300 dark:border-purple-300"
+                : "border-transparent text-gray-600 dark:text-gray-400 hover:text-purple-600"
+            }`}
+          >
+            {icon}
+            {label}
+            {count != null && (
+              <span className="text-xs px-2 py-0.5 rounded-full bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300">
+                {count}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      <AnimatePresence mode="wait">
+        {activeTab === "posts" ? (
+          <motion.div
+            key="posts"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+          >
+            {posts.length === 0 ? (
+              <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">No skills shared yet.</p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                {posts.map((post) => (
+                  <Link
+                    key={post.id}
+                    to={`/post/${post.id}`}
+                    className={`block rounded-xl shadow-lg p-6 border transition-transform hover:scale-[1.02] ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+                  >
+                    <MediaCover media={getPostMedia(post)} title={post.title} className="h-40 mb-4" />
+                    <h3 className="text-xl font-semibold mb-2">{post.title}</h3>
+                    <Markdown source={post.content} compact className="text-gray-700 dark:text-gray-300 mb-3" />
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {post.createdAt && new Date(post.createdAt).toLocaleDateString()} • {post.reactions?.length || 0} reactions •{" "}
+                      {post.comments?.length || 0} comments
+                    </p>
+                  </Link>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        ) : activeTab === "timeline" ? (
+          <motion.div
+            key="timeline"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+          >
+            {!user ? (
+              <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">
+                Please{" "}
+                <button
+                  onClick={() => {
+                    setShowAuthForm(true);
+                    setIsLogin(true);
+                  }}
+                  className="text-purple-600 hover:text-purple-700"
+                >
+                  login
+                </button>{" "}
+                to see activity.
+              </p>
+            ) : (
+              <ActivityTimeline userId={userId} isOwner={isOwnProfile} />
+            )}
+          </motion.div>
+        ) : activeTab === "collections" ? (
+          <motion.div
+            key="collections"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+          >
+            {!user ? (
+              <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">
+                Please{" "}
+                <button
+                  onClick={() => {
+                    setShowAuthForm(true);
+                    setIsLogin(true);
+                  }}
+                  className="text-purple-600 hover:text-purple-700"
+                >
+                  login
+                </button>{" "}
+                to see collections.
+              </p>
+            ) : (
+              <CollectionList userId={userId} editable={isOwnProfile} onCountChange={setCollectionCount} />
+            )}
+          </motion.div>
+        ) : (
+          <motion.div
+            key="plans"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+          >
+            {!user ? (
+              <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">
+                Please{" "}
+                <button
+                  onClick={() => {
+                    setShowAuthForm(true);
+                    setIsLogin(true);
+                  }}
+                  className="text-purple-600 hover:text-purple-700"
+                >
+                  login
+                </button>{" "}
+                to see learning plans.
+              </p>
+            ) : plans.length === 0 ? (
+              <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-8">No learning plans yet.</p>
+            ) : (
+              <div className="space-y-4">
+                {plans.map((plan) => (
+                  <Link
+                    key={plan.id}
+                    to={`/learning-plan/${plan.id}`}
+                    className={`block rounded-xl shadow p-6 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+                  >
+                    <div className="flex justify-between items-center mb-2">
+                      <h3 className="text-xl font-semibold">{plan.title}</h3>
+                      {plan.status && (
+                        <span className={`text-xs px-2 py-1 rounded-full ${theme === "dark" ? "bg-purple-900 text-purple-300" : "bg-purple-100 text-purple-800"}`}>
+                          {plan.status}
+                        </span>
+                      )}
+                    </div>
+                    {plan.description && (
+                      <p className="text-gray-700 dark:text-gray-300 line-clamp-2">{plan.description}</p>
+                    )}
+                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
+                      {plan.topicCount || 0} topics
+                    </p>
+                  </Link>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
@@ -0,0 +1,439 @@
+import { useState, useEffect, useContext, useRef } from "react";
+import { useParams, Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { getQuiz, getQuizAttempts, startQuizAttempt, submitQuizAttempt, getApiErrorMessage } from "../api.js";
+import { motion } from "framer-motion";
+import { QUESTION_TYPES, describeTimeLimit, formatDuration } from "../utils/quizzes.js";
+import {
+  AcademicCapIcon,
+  ArrowLeftIcon,
+  CheckCircleIcon,
+  ClockIcon,
+  XCircleIcon,
+} from "@heroicons/react/24/outline";
+
+// Answers in progress survive a reload; the server hands back the same running attempt.
+const answersKey = (attemptId) => `quizAnswers:${attemptId}`;
+
+const loadAnswers = (attemptId) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(answersKey(attemptId))) || {};
+  } catch {
+    return {};
+  }
+};
+
+const isAnswered = (answer) => Boolean(answer && (answer.selected?.length || answer.text?.trim()));
+
+export default function Quiz() {
+  const { quizId } = useParams();
+  const { user, theme, setShowAuthForm, setIsLogin } = useContext(AuthContext);
+  const [quiz, setQuiz] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  // The running attempt, the answers keyed by question id, and when its time runs out (ms).
+  const [attempt, setAttempt] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [deadline, setDeadline] = useState(null);
+  const [remaining, setRemaining] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  // The submitted attempt whose feedback is shown.
+  const [review, setReview] = useState(null);
+  const answersRef = useRef(answers);
+  const submittingRef = useRef(false);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    setAttempt(null);
+    setReview(null);
+    Promise.all([getQuiz(quizId), getQuizAttempts(quizId)])
+      .then(([loadedQuiz, loadedAttempts]) => {
+        if (cancelled) return;
+        setQuiz(loadedQuiz);
+        setAttempts(loadedAttempts);
+      })
+      .catch((err) => {
+        console.error("Failed to load quiz:", err);
+        if (cancelled) return;
+        setQuiz(null);
+        setError(err.response?.status === 404 ? "Quiz not found." : getApiErrorMessage(err, "Failed to load quiz."));
+      })
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [quizId, user]);
+
+  useEffect(() => {
+    answersRef.current = answers;
+    if (attempt) sessionStorage.setItem(answersKey(attempt.id), JSON.stringify(answers));
+  }, [answers, attempt]);
+
+  useEffect(() => {
+    if (!attempt || deadline === null) return;
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      setRemaining(left);
+      if (left === 0) submit();
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [attempt, deadline]);
+
+  const handleStart = async () => {
+    setError("");
+    try {
+      const started = await startQuizAttempt(quiz.id);
+      setAnswers(loadAnswers(started.id));
+      setDeadline(started.remainingSeconds != null ? Date.now() + started.remainingSeconds * 1000 : null);
+      setRemaining(started.remainingSeconds ?? null);
+      setReview(null);
+      setAttempt(started);
+    } catch (err) {
+      console.error("Failed to start quiz:", err);
+      setError(getApiErrorMessage(err, "Failed to start the quiz."));
+    }
+  };
+
+  const submit = async () => {
+    if (!attempt || submittingRef.current) return;
+    submittingRef.current = true;
+    setSubmitting(true);
+    setError("");
+    try {
+      const current = answersRef.current;
+      const graded = await submitQuizAttempt(
+        attempt.id,
+        quiz.questions.map((question) => ({
+          questionId: question.id,
+          selected: current[question.id]?.selected || [],
+          text: current[question.id]?.text || "",
+        }))
+      );
+      sessionStorage.removeItem(answersKey(attempt.id));
+      setAttempts((prev) => [graded, ...prev]);
+      setQuiz((prev) => ({
+        ...prev,
+        attemptCount: prev.attemptCount + 1,
+        bestPercent: Math.max(prev.bestPercent ?? 0, graded.percent),
+        passed: prev.passed || graded.passed,
+      }));
+      setAttempt(null);
+      setDeadline(null);
+      setReview(graded);
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    } catch (err) {
+      console.error("Failed to submit quiz:", err);
+      setError(getApiErrorMessage(err, "Failed to submit your answers. Please try again."));
+    } finally {
+      submittingRef.current = false;
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const unanswered = quiz.questions.filter((question) => !isAnswered(answers[question.id])).length;
+    if (unanswered > 0 && !window.confirm(`${unanswered} question${unanswered === 1 ? " is" : "s are"} unanswered. Submit anyway?`)) {
+      return;
+    }
+    submit();
+  };
+
+  const setAnswer = (questionId, changes) =>
+    setAnswers((prev) => ({ ...prev, [questionId]: { selected: [], text: "", ...prev[questionId], ...changes } }));
+
+  const toggleOption = (question, optionIndex) => {
+    const selected = answers[question.id]?.selected || [];
+    if (question.type === "SINGLE_CHOICE") {
+      setAnswer(question.id, { selected: [optionIndex] });
+    } else {
+      setAnswer(question.id, {
+        selected: selected.includes(optionIndex) ? selected.filter((i) => i !== optionIndex) : [...selected, optionIndex],
+      });
+    }
+  };
+
+  if (!user) {
+    return (
+      <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">
+        Please{" "}
+        <button
+          onClick={() => {
+            setShowAuthForm(true);
+            setIsLogin(true);
+          }}
+          className="text-purple-600 hover:text-purple-700"
+        >
+          login
+        </button>{" "}
+        to take quizzes.
+      </p>
+    );
+  }
+
+  if (loading && !quiz) {
+    return <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">Loading quiz...</p>;
+  }
+
+  if (!quiz) {
+    return error ? <p className="text-center text-lg text-red-500 py-16">{error}</p> : null;
+  }
+
+  const cardClass = `rounded-xl shadow-lg p-8 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`;
+  const inputClass = `w-full p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`;
+  const backLink = quiz.postId
+    ? { to: `/post/${quiz.postId}`, label: "Back to post" }
+    : { to: `/learning-plan/${quiz.learningPlanId}`, label: "Back to learning plan" };
+  const lowTime = remaining !== null && remaining <= 30;
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <Link
+        to={backLink.to}
+        className="inline-flex items-center gap-1 mb-6 text-gray-600 dark:text-gray-400 hover:text-purple-600 dark:hover:text-purple-300"
+      >
+        <ArrowLeftIcon className="h-4 w-4" />
+        {backLink.label}
+      </Link>
+
+      <motion.section initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className={`${cardClass} mb-8`}>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <AcademicCapIcon className="h-8 w-8 text-purple-600" />
+          {quiz.title}
+        </h1>
+        <p className="mt-2 text-sm text-gray-500 dark:text-gray-400 flex flex-wrap items-center gap-x-2">
+          <span>
+            {quiz.questionCount} question{quiz.questionCount === 1 ? "" : "s"}
+          </span>
+          <span className="flex items-center gap-1">
+            <ClockIcon className="h-4 w-4" />
+            {describeTimeLimit(quiz.timeLimitSeconds)}
+          </span>
+          <span>Pass: {quiz.passingScore}%</span>
+          {quiz.author && <span>By: {quiz.author.username}</span>}
+        </p>
+        {quiz.description && <p className="mt-4 text-gray-700 dark:text-gray-300">{quiz.description}</p>}
+        {quiz.attemptCount > 0 && (
+          <p className={`mt-4 flex items-center gap-1 ${quiz.passed ? "text-green-600" : "text-gray-600 dark:text-gray-400"}`}>
+            {quiz.passed && <CheckCircleIcon className="h-5 w-5" />}
+            {quiz.passed ? "You passed this quiz." : "You haven't passed this quiz yet."} Best score: {quiz.bestPercent}%
+          </p>
+        )}
+        {!attempt && (
+          <button
+            onClick={handleStart}
+            disabled={quiz.questionCount === 0}
+            className="mt-6 px-5 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+          >
+            {quiz.attemptCount > 0 ? "Try again" : "Start quiz"}
+          </button>
+        )}
+        {!attempt && quiz.timeLimitSeconds && (
+          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+            The timer starts when you do and keeps running if you leave the page. Answers are submitted when time runs out.
+          </p>
+        )}
+      </motion.section>
+
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+
+      {attempt ? (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {remaining !== null && (
+            <div
+              className={`sticky top-20 z-10 flex items-center justify-center gap-2 py-2 rounded-lg font-semibold shadow ${
+                lowTime ? "bg-red-600 text-white" : theme === "dark" ? "bg-gray-700 text-white" : "bg-purple-100 text-purple-800"
+              }`}
+              role="timer"
+              aria-live={lowTime ? "assertive" : "off"}
+            >
+              <ClockIcon className="h-5 w-5" />
+              {formatDuration(remaining)} left
+            </div>
+          )}
+          {quiz.questions.map((question, index) => {
+            const answer = answers[question.id];
+            return (
+              <fieldset key={question.id} className={cardClass}>
+                <legend className="sr-only">Question {index + 1}</legend>
+                <p className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-1">
+                  Question {index + 1} • {QUESTION_TYPES[question.type]}
+                  {question.type === "MULTIPLE_CHOICE" && " (select all that apply)"} • {question.points} point
+                  {question.points === 1 ? "" : "s"}
+                </p>
+                <p className="text-lg font-semibold mb-4 whitespace-pre-line">{question.prompt}</p>
+                {question.type === "SHORT_ANSWER" ? (
+                  <input
+                    type="text"
+                    value={answer?.text || ""}
+                    onChange={(e) => setAnswer(question.id, { text: e.target.value })}
+                    maxLength={200}
+                    placeholder="Your answer"
+                    className={inputClass}
+                  />
+                ) : (
+                  <div className="space-y-2">
+                    {question.options.map((option, optionIndex) => (
+                      <label
+                        key={optionIndex}
+                        className={`flex items-center gap-3 p-3 rounded-lg cursor-pointer ${
+                          answer?.selected?.includes(optionIndex)
+                            ? theme === "dark"
+                              ? "bg-purple-900"
+                              : "bg-purple-100"
+                            : theme === "dark"
+                              ? "bg-gray-700 hover:bg-gray-600"
+                              : "bg-gray-100 hover:bg-gray-200"
+                        }`}
+                      >
+                        <input
+                          type={question.type === "SINGLE_CHOICE" ? "radio" : "checkbox"}
+                          name={`question-${question.id}`}
+                          checked={Boolean(answer?.selected?.includes(optionIndex))}
+                          onChange={() => toggleOption(question, optionIndex)}
+                          className="accent-purple-600"
+                        />
+                        {option}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </fieldset>
+            );
+          })}
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-6 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+            >
+              {submitting ? "Submitting..." : "Submit answers"}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          {review && <AttemptReview attempt={review} cardClass={cardClass} theme={theme} passingScore={quiz.passingScore} />}
+
+          <section className={cardClass}>
+            <h2 className="text-2xl font-semibold mb-4">Your attempts</h2>
+            {attempts.length === 0 ? (
+              <p className="text-gray-600 dark:text-gray-400">You haven't taken this quiz yet.</p>
+            ) : (
+              <ul className={`divide-y ${theme === "dark" ? "divide-gray-700" : "divide-gray-200"}`}>
+                {attempts.map((past) => (
+                  <li key={past.id} className="py-3 flex flex-wrap items-center gap-3">
+                    {past.passed ? (
+                      <CheckCircleIcon className="h-6 w-6 text-green-600" title="Passed" />
+                    ) : (
+                      <XCircleIcon className="h-6 w-6 text-red-500" title="Not passed" />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <p className="font-semibold">
+                        {past.percent}% ({past.score}/{past.maxScore} points)
+                        {past.timedOut && <span className="ml-2 text-sm text-red-500">Time ran out</span>}
+                      </p>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">{new Date(past.submittedAt).toLocaleString()}</p>
+                    </div>
+                    <button
+                      onClick={() => {
+                        setReview(past);
+                        window.scrollTo({ top: 0, behavior: "smooth" });
+                      }}
+                      disabled={review?.id === past.id}
+                      className="text-purple-600 hover:text-purple-700 disabled:opacity-50"
+                    >
+                      {review?.id === past.id ? "Showing" : "Review"}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+function AttemptReview({ attempt, cardClass, theme, passingScore }) {
+  return (
+    <motion.section initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className={`${cardClass} mb-8`}>
+      <div className={`p-4 rounded-lg mb-6 ${attempt.passed ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"}`}>
+        <p className="text-2xl font-bold">
+          {attempt.percent}% • {attempt.passed ? "Passed" : "Not passed"}
+        </p>
+        <p className="text-sm">
+          {attempt.score} of {attempt.maxScore} points. You need {passingScore}% to pass.
+          {attempt.timedOut && " Your answers arrived after the time limit, so this attempt can't pass."}
+        </p>
+      </div>
+
+      <ol className="space-y-6">
+        {attempt.results.map((result, index) => (
+          <li key={result.questionId ?? index}>
+            <p className="font-semibold flex items-start gap-2">
+              {result.correct ? (
+                <CheckCircleIcon className="h-5 w-5 shrink-0 text-green-600" title="Correct" />
+              ) : (
+                <XCircleIcon className="h-5 w-5 shrink-0 text-red-500" title="Incorrect" />
+              )}
+              <span className="whitespace-pre-line">
+                {index + 1}. {result.prompt}
+              </span>
+              <span className="ml-auto text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                {result.earned}/{result.points}
+              </span>
+            </p>
+            {result.type === "SHORT_ANSWER" ? (
+              <div className="ml-7 mt-2 text-sm space-y-1">
+                <p>
+                  Your answer: <span className="font-semibold">{result.text?.trim() || "(no answer)"}</span>
+                </p>
+                {!result.correct && <p>Accepted: {result.acceptedAnswers.join(", ")}</p>}
+              </div>
+            ) : (
+              <ul className="ml-7 mt-2 space-y-1">
+                {result.options.map((option, optionIndex) => {
+                  const isCorrect = result.correctOptions.includes(optionIndex);
+                  const isSelected = result.selected.includes(optionIndex);
+                  return (
+                    <li
+                      key={optionIndex}
+                      className={`px-3 py-1.5 rounded text-sm flex items-center gap-2 ${
+                        isCorrect
+                          ? theme === "dark"
+                            ? "bg-green-900/40 text-green-300"
+                            : "bg-green-50 text-green-800"
+                          : isSelected
+                            ? theme === "dark"
+                              ? "bg-red-900/40 text-red-300"
+                              : "bg-red-50 text-red-800"
+                            : ""
+                      }`}
+                    >
+                      <span className="flex-1">{option}</span>
+                      {isSelected && <span className="text-xs font-semibold">Your answer</span>}
+                      {isCorrect && <CheckCircleIcon className="h-4 w-4" title="Correct option" />}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+            {result.explanation && (
+              <p className={`ml-7 mt-2 p-3 rounded text-sm ${theme === "dark" ? "bg-gray-700" : "bg-gray-100"}`}>
+                {result.explanation}
+              </p>
+            )}
+          </li>
+        ))}
+      </ol>
+    </motion.section>
+  );
+}
@@ -0,0 +1,101 @@
+import { useState, useContext } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { resetPassword, getApiErrorMessage } from "../api.js";
+import { motion } from "framer-motion";
+import { KeyIcon } from "@heroicons/react/24/outline";
+
+// Target of the emailed reset link: /reset-password?token=...
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const navigate = useNavigate();
+  const { theme, setShowAuthForm, setIsLogin } = useContext(AuthContext);
+  const [password, setPassword] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmation) {
+      setError("The passwords don't match.");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    try {
+      await resetPassword(token, password);
+      setDone(true);
+    } catch (err) {
+      console.error("Failed to reset password:", err);
+      setError(getApiErrorMessage(err, "Failed to reset password. Please try again."));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = `w-full p-4 rounded-lg border ${theme === "dark" ? "bg-gray-700 border-gray-600 text-white" : "bg-gray-100 border-gray-200 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`;
+
+  return (
+    <motion.section
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`max-w-md mx-auto rounded-xl shadow-lg p-8 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+    >
+      <h1 className="text-3xl font-bold mb-6 flex items-center gap-2">
+        <KeyIcon className="h-8 w-8 text-purple-600" />
+        Choose a new password
+      </h1>
+      {!token ? (
+        <p className="text-red-500">This link is missing its reset token. Please use the link from the email as is.</p>
+      ) : done ? (
+        <p className="text-gray-600 dark:text-gray-400">
+          Your password has been changed and you've been signed out everywhere. You can now{" "}
+          <button
+            onClick={() => {
+              // The login form lives on the home page.
+              navigate("/");
+              setShowAuthForm(true);
+              setIsLogin(true);
+            }}
+            className="text-purple-600 hover:text-purple-700"
+          >
+            login
+          </button>{" "}
+          with it.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && <p className="text-red-500">{error}</p>}
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="New password"
+            autoComplete="new-password"
+            className={inputClass}
+            required
+          />
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder="Repeat new password"
+            autoComplete="new-password"
+            className={inputClass}
+            required
+          />
+          <button
+            type="submit"
+            disabled={saving}
+            className={`w-full py-3 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 ${saving ? "opacity-60" : ""}`}
+          >
+            {saving ? "Saving..." : "Set new password"}
+          </button>
+        </form>
+      )}
+    </motion.section>
+  );
+}
@@ -0,0 +1,233 @@
+import { useState, useEffect, useContext } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { searchAll, getApiErrorMessage } from "../api.js";
+import { motion } from "framer-motion";
+import { FaUserCircle } from "react-icons/fa";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+import Highlight from "../components/Highlight.jsx";
+import { STATUS_LABELS, STATUS_STYLES } from "../utils/learningPlans.js";
+import { splitTags } from "../utils/tags.js";
+
+export default function Search() {
+  const { user, theme } = useContext(AuthContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const query = searchParams.get("q") || "";
+  const tag = searchParams.get("tag") || "";
+  const category = searchParams.get("category") || "";
+
+  useEffect(() => {
+    if (!user || !query.trim()) {
+      setResults(null);
+      return;
+    }
+    let cancelled = false;
+    const fetchResults = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const data = await searchAll({ q: query, tag, category });
+        if (!cancelled) setResults(data);
+      } catch (err) {
+        console.error("Search failed:", err);
+        if (!cancelled) setError(getApiErrorMessage(err, "Search failed. Please try again."));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchResults();
+    return () => {
+      cancelled = true;
+    };
+  }, [user, query, tag, category]);
+
+  const toggleFacet = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (next.get(name)?.toLowerCase() === value.toLowerCase()) {
+      next.delete(name);
+    } else {
+      next.set(name, value);
+    }
+    setSearchParams(next);
+  };
+
+  const cardClass = `rounded-xl shadow-lg p-6 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`;
+  const chipClass = (active) =>
+    `flex items-center gap-1 text-sm px-3 py-1 rounded-full transition-colors ${
+      active
+        ? "bg-purple-600 text-white"
+        : theme === "dark"
+          ? "bg-gray-700 text-gray-300 hover:bg-gray-600"
+          : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+    }`;
+
+  if (!user) {
+    return (
+      <div className="flex items-center justify-center py-32">
+        <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-3xl font-bold">
+          Log in to search SkillSphere!
+        </motion.p>
+      </div>
+    );
+  }
+
+  if (!query.trim()) {
+    return <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">Type in the search box to get started.</p>;
+  }
+
+  const facets = [
+    { name: "tag", label: "Tags", values: results?.tags || [], active: tag },
+    { name: "category", label: "Categories", values: results?.categories || [], active: category },
+  ];
+  const total = results ? results.posts.length + results.users.length + results.plans.length : 0;
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <h1 className="text-4xl font-bold mb-2">Results for "{query}"</h1>
+      {results && !loading && (
+        <p className="text-gray-600 dark:text-gray-400 mb-8">
+          {total} result{total === 1 ? "" : "s"}
+          {(tag || category) && " (filtered)"}
+        </p>
+      )}
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-8">
+        {/* Facets */}
+        <aside className="space-y-6">
+          {facets.map((facet) => (
+            <section key={facet.name}>
+              <h2 className="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+                {facet.label}
+              </h2>
+              {facet.values.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">None</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {facet.values.map(({ value, count }) => {
+                    const active = facet.active.toLowerCase() === value.toLowerCase();
+                    return (
+                      <button key={value} onClick={() => toggleFacet(facet.name, value)} className={chipClass(active)}>
+                        {value}
+                        <span className={active ? "text-purple-200" : "text-gray-400"}>{count}</span>
+                        {active && <XMarkIcon className="h-3 w-3" />}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </section>
+          ))}
+        </aside>
+
+        <div className="md:col-span-3 space-y-10">
+          {loading && !results ? (
+            <p className="text-center text-lg text-gray-600 dark:text-gray-400">Searching...</p>
+          ) : (
+            results && (
+              <>
+                {/* Posts */}
+                <section>
+                  <h2 className="text-2xl font-semibold mb-4">Posts ({results.posts.length})</h2>
+                  {results.posts.length === 0 ? (
+                    <p className="text-gray-600 dark:text-gray-400">No posts match.</p>
+                  ) : (
+                    <div className="space-y-4">
+                      {results.posts.map((post) => (
+                        <Link key={post.id} to={`/post/${post.id}`} className={`block ${cardClass} hover:border-purple-400`}>
+                          <h3 className="text-xl font-semibold mb-1">
+                            <Highlight text={post.title} query={query} />
+                          </h3>
+                          <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+                            By: {post.user?.username || "Unknown"} • {new Date(post.createdAt).toLocaleDateString()}
+                            {post.category && ` • ${post.category}`}
+                          </p>
+                          <p className="text-gray-700 dark:text-gray-300">
+                            <Highlight text={post.snippet} query={query} />
+                          </p>
+                          {splitTags(post.tags).length > 0 && (
+                            <div className="flex flex-wrap gap-2 mt-3">
+                              {splitTags(post.tags).map((postTag) => (
+                                <span
+                                  key={postTag}
+                                  className={`text-xs px-2 py-1 rounded-full ${theme === "dark" ? "bg-purple-900 text-purple-300" : "bg-purple-100 text-purple-800"}`}
+                                >
+                                  <Highlight text={postTag} query={query} />
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </Link>
+                      ))}
+                    </div>
+                  )}
+                </section>
+
+                {/* People */}
+                <section>
+                  <h2 className="text-2xl font-semibold mb-4">People ({results.users.length})</h2>
+                  {results.users.length === 0 ? (
+                    <p className="text-gray-600 dark:text-gray-400">No people match.</p>
+                  ) : (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      {results.users.map((result) => (
+                        <Link
+                          key={result.id}
+                          to={`/profile/${result.id}`}
+                          className={`flex items-center gap-3 ${cardClass} hover:border-purple-400`}
+                        >
+                          <FaUserCircle size={32} className={theme === "dark" ? "text-gray-500" : "text-gray-300"} />
+                          <span className="font-medium">
+                            <Highlight text={result.username} query={query} />
+                          </span>
+                        </Link>
+                      ))}
+                    </div>
+                  )}
+                </section>
+
+                {/* Learning Plans */}
+                <section>
+                  <h2 className="text-2xl font-semibold mb-4">Learning Plans ({results.plans.length})</h2>
+                  {results.plans.length === 0 ? (
+                    <p className="text-gray-600 dark:text-gray-400">No learning plans match.</p>
+                  ) : (
+                    <div className="space-y-4">
+                      {results.plans.map((plan) => {
+                        const statusStyle = STATUS_STYLES[plan.status] || STATUS_STYLES.NOT_STARTED;
+                        return (
+                          <Link key={plan.id} to={`/learning-plan/${plan.id}`} className={`block ${cardClass} hover:border-purple-400`}>
+                            <div className="flex justify-between items-start gap-4 mb-1">
+                              <h3 className="text-xl font-semibold">
+                                <Highlight text={plan.title} query={query} />
+                              </h3>
+                              {plan.status && (
+                                <span className={`text-xs px-2 py-1 rounded-full whitespace-nowrap ${statusStyle[theme === "dark" ? "dark" : "light"]}`}>
+                                  {STATUS_LABELS[plan.status] || plan.status}
+                                </span>
+                              )}
+                            </div>
+                            {plan.user?.username && (
+                              <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">By: {plan.user.username}</p>
+                            )}
+                            <p className="text-gray-700 dark:text-gray-300">
+                              <Highlight text={plan.snippet} query={query} />
+                            </p>
+                          </Link>
+                        );
+                      })}
+                    </div>
+                  )}
+                </section>
+              </>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,36 @@
-import { useState, useEffect, useContext } from "react";
+import { useState, useEffect, useContext, useRef } from "react";
 import { AuthContext } from "../context/AuthContext";
-import { createPost, getPosts, updatePost, deletePost } from "../api.js";
+import {
+  createPost,
+  getPostsByAuthor,
+  getPost,
+  getDrafts,
+  updatePost,
+  deletePost,
+  getMediaLimits,
+  getCategories,
+  getApiErrorMessage,
+} from "../api.js";
 import { motion } from "framer-motion";
+import MarkdownEditor from "../components/MarkdownEditor.jsx";
+import Markdown from "../components/Markdown.jsx";
+import MediaGallery from "../components/MediaGallery.jsx";
+import AttachmentPicker from "../components/AttachmentPicker.jsx";
+import TagInput from "../components/TagInput.jsx";
+import { getPostMedia, toAttachmentItems, appendAttachments } from "../utils/media.js";
+import { splitTags } from "../utils/tags.js";
+import {
+  POST_STATUS_LABELS,
+  loadLocalDraft,
+  saveLocalDraft,
+  clearLocalDraft,
+  isEmptyDraft,
+  toDateTimeLocal,
+  fromDateTimeLocal,
+  isFutureTime,
+} from "../utils/drafts.js";
+
+const AUTOSAVE_DELAY_MS = 3000;
 
 export default function ShareSkills() {
   const { user, theme } = useContext(AuthContext);
@@ -9,20 +38,38 @@ export default function ShareSkills() {
   const [content, setContent] = useState("");
   const [category, setCategory] = useState("");
   const [tags, setTags] = useState("");
-  const [files, setFiles] = useState([]);
+  const [publishAt, setPublishAt] = useState("");
+  const [attachments, setAttachments] = useState([]);
+  const [uploadProgress, setUploadProgress] = useState(null);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [loading, setLoading] = useState(false);
   const [posts, setPosts] = useState([]);
+  const [drafts, setDrafts] = useState([]);
   const [editingPost, setEditingPost] = useState(null);
+  const [mediaLimits, setMediaLimits] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [ready, setReady] = useState(false);
+  const [restoredAt, setRestoredAt] = useState(null);
+  const [autosaveStatus, setAutosaveStatus] = useState("");
+  // The server id being edited, the last field values the server has, and the save in
+  // flight. Refs so autosave timers and the submit handler agree on them without re-rendering.
+  const postIdRef = useRef(null);
+  const lastSyncedRef = useRef("");
+  const pendingSaveRef = useRef(null);
+
+  const fields = { title, content, category, tags, publishAt };
+  const isPublished = editingPost?.status === "PUBLISHED";
+  // Only new posts and drafts autosave to the server; live and scheduled posts change on submit.
+  const syncsToServer = !editingPost || editingPost.status === "DRAFT";
 
   const fetchUserPosts = async () => {
     if (!user) return;
     setLoading(true);
     try {
-      const allPosts = await getPosts(user.token);
-      const userPosts = allPosts.filter(post => String(post.user?.id) === String(user.id));
+      const [userPosts, userDrafts] = await Promise.all([getPostsByAuthor(user.id), getDrafts()]);
       setPosts(userPosts);
+      setDrafts(userDrafts);
     } catch (err) {
       setError("Failed to fetch your posts: " + err.message);
     } finally {
@@ -34,6 +81,131 @@ export default function ShareSkills() {
     fetchUserPosts();
   }, [user]);
 
+  useEffect(() => {
+    if (!user) return;
+    getMediaLimits()
+      .then(setMediaLimits)
+      .catch((err) => console.error("Failed to load attachment limits:", err));
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+    getCategories()
+      .then(setCategories)
+      .catch((err) => console.error("Failed to load categories:", err));
+  }, [user]);
+
+  // Restore whatever was in the composer when the user last left the page.
+  useEffect(() => {
+    if (!user) return;
+    const local = loadLocalDraft(user.id);
+    if (isEmptyDraft(local)) {
+      setReady(true);
+      return;
+    }
+    setTitle(local.title || "");
+    setContent(local.content || "");
+    setCategory(local.category || "");
+    setTags(local.tags || "");
+    setPublishAt(local.publishAt || "");
+    setRestoredAt(local.savedAt);
+    if (!local.postId) {
+      setReady(true);
+      return;
+    }
+    postIdRef.current = local.postId;
+    getPost(local.postId)
+      .then((post) => {
+        setEditingPost(post);
+        setAttachments(toAttachmentItems(post));
+      })
+      .catch(() => {
+        postIdRef.current = null;
+      })
+      .finally(() => setReady(true));
+  }, [user?.id]);
+
+  const buildFormData = (values, { draft, includeAttachments }) => {
+    const formData = new FormData();
+    formData.append("title", values.title);
+    formData.append("content", values.content);
+    formData.append("category", values.category);
+    formData.append("tags", values.tags);
+    formData.append("draft", draft);
+    if (values.publishAt) formData.append("publishAt", fromDateTimeLocal(values.publishAt));
+    if (includeAttachments) appendAttachments(formData, attachments, { includeOrder: Boolean(postIdRef.current) });
+    return formData;
+  };
+
+  // Saves run one after another so a slow first autosave can't create the draft twice.
+  const enqueueSave = (save) => {
+    const run = (pendingSaveRef.current || Promise.resolve()).catch(() => {}).then(save);
+    pendingSaveRef.current = run;
+    return run;
+  };
+
+  const saveDraftToServer = async (values, { includeAttachments }) => {
+    setAutosaveStatus("Saving draft...");
+    try {
+      const formData = buildFormData(values, { draft: true, includeAttachments });
+      const saved = postIdRef.current ? await updatePost(postIdRef.current, formData) : await createPost(formData);
+      postIdRef.current = saved.id;
+      lastSyncedRef.current = JSON.stringify(values);
+      setEditingPost(saved);
+      setDrafts((prev) => [saved, ...prev.filter((draft) => draft.id !== saved.id)]);
+      setPosts((prev) => prev.filter((post) => post.id !== saved.id));
+      setAutosaveStatus(`Draft saved at ${new Date().toLocaleTimeString()}`);
+      return saved;
+    } catch (err) {
+      setAutosaveStatus("Couldn't reach the server; your draft is still saved on this device.");
+      throw err;
+    }
+  };
+
+  // Every change is kept locally; once there is a title, drafts are also synced to the server.
+  useEffect(() => {
+    if (!user || !ready) return;
+    if (isEmptyDraft(fields)) {
+      clearLocalDraft(user.id);
+    } else {
+      saveLocalDraft(user.id, { ...fields, postId: postIdRef.current });
+    }
+    if (!title.trim() || !syncsToServer || JSON.stringify(fields) === lastSyncedRef.current) return;
+    const values = { ...fields };
+    const timer = setTimeout(() => {
+      enqueueSave(() => saveDraftToServer(values, { includeAttachments: false })).catch((err) =>
+        console.error("Failed to autosave draft:", err)
+      );
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [user, ready, title, content, category, tags, publishAt, syncsToServer]);
+
+  const loadIntoForm = (post) => {
+    const values = {
+      title: post?.title || "",
+      content: post?.content || "",
+      category: post?.category || "",
+      tags: post?.tags || "",
+      publishAt: toDateTimeLocal(post?.publishAt),
+    };
+    postIdRef.current = post?.id ?? null;
+    lastSyncedRef.current = post ? JSON.stringify(values) : "";
+    setEditingPost(post);
+    setTitle(values.title);
+    setContent(values.content);
+    setCategory(values.category);
+    setTags(values.tags);
+    setPublishAt(values.publishAt);
+    setAttachments(post ? toAttachmentItems(post) : []);
+    setRestoredAt(null);
+    setAutosaveStatus("");
+  };
+
+  const resetForm = () => {
+    loadIntoForm(null);
+    if (user) clearLocalDraft(user.id);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!user) {
@@ -41,33 +213,48 @@ export default function ShareSkills() {
       return;
     }
     setLoading(true);
-    const formData = new FormData();
-    formData.append("title", title);
-    formData.append("content", content);
-    formData.append("category", category);
-    formData.append("tags", tags);
-    files.forEach(file => formData.append("files", file));
+    const hasUploads = attachments.some((item) => item.file);
+    const action = editingPost && !syncsToServer ? "update" : "share";
 
     try {
-      if (editingPost) {
-        const updatedPost = await updatePost(editingPost.id, formData, user.token);
-        setPosts(posts.map(post => post.id === updatedPost.id ? updatedPost : post));
-        setSuccess("Skill updated successfully!");
-        setEditingPost(null);
+      await pendingSaveRef.current?.catch(() => {});
+      const formData = buildFormData(fields, { draft: false, includeAttachments: true });
+      if (hasUploads) setUploadProgress(0);
+      const onProgress = hasUploads ? setUploadProgress : undefined;
+      const saved = postIdRef.current
+        ? await updatePost(postIdRef.current, formData, onProgress)
+        : await createPost(formData, onProgress);
+      if (saved.status === "SCHEDULED") {
+        setSuccess(`Skill scheduled for ${new Date(saved.publishAt).toLocaleString()}!`);
       } else {
-        const newPost = await createPost(formData, user.token);
-        setPosts([newPost, ...posts]);
-        setSuccess("Skill shared successfully!");
+        setSuccess(action === "update" ? "Skill updated successfully!" : "Skill shared successfully!");
       }
-      setTitle("");
-      setContent("");
-      setCategory("");
-      setTags("");
-      setFiles([]);
+      resetForm();
       setError(null);
       fetchUserPosts();
     } catch (err) {
-      setError(`Failed to ${editingPost ? "update" : "share"} skill: ${err.message}`);
+      setError(`Failed to ${action} skill: ${getApiErrorMessage(err, err.message)}`);
+      setSuccess(null);
+    } finally {
+      setLoading(false);
+      setUploadProgress(null);
+    }
+  };
+
+  const handleSaveDraft = async () => {
+    if (!title.trim()) {
+      setError("Give your draft a title before saving it.");
+      return;
+    }
+    setLoading(true);
+    const hasUploads = attachments.some((item) => item.file);
+    try {
+      const saved = await enqueueSave(() => saveDraftToServer({ ...fields }, { includeAttachments: hasUploads }));
+      if (hasUploads) setAttachments(toAttachmentItems(saved));
+      setError(null);
+      setSuccess("Draft saved.");
+    } catch (err) {
+      setError(`Failed to save draft: ${getApiErrorMessage(err, err.message)}`);
       setSuccess(null);
     } finally {
       setLoading(false);
@@ -75,18 +262,15 @@ export default function ShareSkills() {
   };
 
   const handleEdit = (post) => {
-    setEditingPost(post);
-    setTitle(post.title);
-    setContent(post.content);
-    setCategory(post.category || "");
-    setTags(post.tags || "");
-    setFiles([]);
+    loadIntoForm(post);
   };
 
   const handleDelete = async (postId) => {
     try {
-      await deletePost(postId, user.token);
+      await deletePost(postId);
       setPosts(posts.filter(post => post.id !== postId));
+      setDrafts(drafts.filter(draft => draft.id !== postId));
+      if (postIdRef.current === postId) resetForm();
       setSuccess("Skill deleted successfully!");
     } catch (err) {
       setError("Failed to delete skill: " + err.message);
@@ -112,11 +296,19 @@ export default function ShareSkills() {
       <motion.div
         initial={{ opacity: 0, y: 50 }}
         animate={{ opacity: 1, y: 0 }}
-        className={`max-w-3xl mx-auto p-8 rounded-lg ${theme === "dark" ? "bg-gray-800" : "bg-white"}`}
+        className={`max-w-5xl mx-auto p-8 rounded-lg ${theme === "dark" ? "bg-gray-800" : "bg-white"}`}
       >
         <h1 className={`text-4xl font-bold mb-8 text-center ${theme === "dark" ? "text-white" : "text-gray-900"}`}>
-          {editingPost ? "Edit Skill" : "Share a Skill"}
+          {!editingPost ? "Share a Skill" : editingPost.status === "DRAFT" ? "Edit Draft" : "Edit Skill"}
         </h1>
+        {restoredAt && (
+          <p className={`mb-4 text-sm text-center ${theme === "dark" ? "text-gray-400" : "text-gray-500"}`}>
+            Restored your unsaved changes from {new Date(restoredAt).toLocaleString()}.{" "}
+            <button type="button" onClick={resetForm} className="text-indigo-600 dark:text-indigo-300 hover:underline">
+              Discard
+            </button>
+          </p>
+        )}
         <form onSubmit={handleSubmit} className="space-y-6">
           <input
             type="text"
@@ -126,110 +318,189 @@ export default function ShareSkills() {
             className={`w-full p-4 rounded ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
             required
           />
-          <textarea
+          <MarkdownEditor
             value={content}
-            onChange={(e) => setContent(e.target.value)}
-            placeholder="Describe your skill..."
-            className={`w-full p-4 rounded ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"} h-40`}
+            onChange={setContent}
+            placeholder="Describe your skill... (Markdown supported)"
             required
           />
-          <input
-            type="text"
+          <select
             value={category}
             onChange={(e) => setCategory(e.target.value)}
-            placeholder="Category"
-            className={`w-full p-4 rounded ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
-          />
-          <input
-            type="text"
-            value={tags}
-            onChange={(e) => setTags(e.target.value)}
-            placeholder="Tags (comma-separated)"
             className={`w-full p-4 rounded ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
+          >
+            <option value="">No category</option>
+            {categories.map((option) => (
+              <option key={option.id} value={option.name}>
+                {option.name}
+              </option>
+            ))}
+            {/* Posts from before categories were curated keep their old value until it's changed. */}
+            {category && !categories.some((option) => option.name === category) && (
+              <option value={category}>{category}</option>
+            )}
+          </select>
+          <TagInput
+            value={splitTags(tags)}
+            onChange={(list) => setTags(list.join(","))}
+            placeholder="Add tags, e.g. react or spring-boot"
           />
-          <input
-            type="file"
-            multiple
-            onChange={(e) => setFiles(Array.from(e.target.files))}
-            className={`w-full p-4 ${theme === "dark" ? "text-white" : "text-gray-900"}`}
+          <label className="block">
+            <span className={`block mb-1 text-sm ${theme === "dark" ? "text-gray-300" : "text-gray-700"}`}>
+              Publish at (optional) - leave empty to publish right away
+            </span>
+            <input
+              type="datetime-local"
+              value={publishAt}
+              onChange={(e) => setPublishAt(e.target.value)}
+              min={toDateTimeLocal(new Date().toISOString())}
+              className={`w-full p-4 rounded ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
+            />
+          </label>
+          <AttachmentPicker
+            items={attachments}
+            onChange={setAttachments}
+            limits={mediaLimits}
+            onError={setError}
+            disabled={loading}
           />
+          {uploadProgress !== null && (
+            <div>
+              <div className={`h-2 rounded-full overflow-hidden ${theme === "dark" ? "bg-gray-700" : "bg-gray-200"}`}>
+                <div className="h-full bg-indigo-600 transition-all" style={{ width: `${uploadProgress}%` }} />
+              </div>
+              <p className={`mt-1 text-xs text-right ${theme === "dark" ? "text-gray-400" : "text-gray-500"}`}>
+                {uploadProgress < 100 ? `Uploading... ${uploadProgress}%` : "Processing attachments..."}
+              </p>
+            </div>
+          )}
           <div className="flex space-x-4">
             <button
               type="submit"
               disabled={loading}
               className={`flex-1 py-4 rounded text-white ${loading ? "bg-gray-500" : "bg-indigo-600"}`}
             >
-              {loading ? "Processing..." : editingPost ? "Update" : "Share"}
+              {loading ? "Processing..." : isFutureTime(publishAt) ? "Schedule" : isPublished ? "Update" : "Share"}
             </button>
-            {editingPost && (
+            {syncsToServer && (
               <button
-                onClick={() => {
-                  setEditingPost(null);
-                  setTitle("");
-                  setContent("");
-                  setCategory("");
-                  setTags("");
-                  setFiles([]);
-                }}
-                className="flex-1 py-4 rounded bg-gray-500 text-white"
+                type="button"
+                onClick={handleSaveDraft}
+                disabled={loading}
+                className={`flex-1 py-4 rounded border ${
+                  theme === "dark" ? "border-gray-600 text-gray-200" : "border-gray-300 text-gray-700"
+                }`}
               >
-                Cancel
+                Save draft
+              </button>
+            )}
+            {(editingPost || !isEmptyDraft(fields)) && (
+              <button type="button" onClick={resetForm} className="flex-1 py-4 rounded bg-gray-500 text-white">
+                {editingPost ? "Cancel" : "Clear"}
               </button>
             )}
           </div>
+          {autosaveStatus && (
+            <p className={`text-xs text-right ${theme === "dark" ? "text-gray-400" : "text-gray-500"}`}>{autosaveStatus}</p>
+          )}
           {error && <p className="text-red-500 text-center">{error}</p>}
           {success && <p className="text-green-500 text-center">{success}</p>}
         </form>
       </motion.div>
 
-      <div className="max-w-6xl mx-auto mt-12">
-        <h2 className={`text-3xl font-bold mb-8 text-center ${theme === "dark" ? "text-white" : "text-gray-900"}`}>
-          Your Skills
-        </h2>
-        {loading ? (
-          <p className={`text-center ${theme === "dark" ? "text-gray-300" : "text-gray-600"}`}>Loading...</p>
-        ) : posts.length === 0 ? (
-          <p className={`text-center ${theme === "dark" ? "text-gray-300" : "text-gray-600"}`}>No skills shared yet.</p>
-        ) : (
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8">
-            {posts.map((post) => (
-              <motion.div
-                key={post.id}
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                className={`p-6 rounded-lg ${theme === "dark" ? "bg-gray-800" : "bg-white"}`}
-              >
-                {post.images && (
-                  <img
-                    src={`http://localhost:8080${post.images.split(",")[0].trim()}`}
-                    alt={post.title}
-                    className="w-full h-48 object-cover rounded mb-4"
-                    onError={(e) => {
-                      console.error(`Failed to load image: http://localhost:8080${post.images.split(",")[0]}`);
-                      e.target.src = "/fallback-image.jpg"; // Optional: Provide a fallback image
-                    }}
+      <div className="max-w-6xl mx-auto mt-12 grid grid-cols-1 lg:grid-cols-4 gap-8">
+        <aside>
+          <h2 className={`text-2xl font-bold mb-6 ${theme === "dark" ? "text-white" : "text-gray-900"}`}>My Drafts</h2>
+          {drafts.length === 0 ? (
+            <p className={`text-sm ${theme === "dark" ? "text-gray-400" : "text-gray-600"}`}>
+              No drafts. Anything you start writing is saved here automatically.
+            </p>
+          ) : (
+            <ul className="space-y-3">
+              {drafts.map((draft) => (
+                <li
+                  key={draft.id}
+                  className={`p-4 rounded-lg border ${
+                    draft.id === editingPost?.id
+                      ? "border-indigo-500"
+                      : theme === "dark"
+                        ? "border-gray-700 bg-gray-800"
+                        : "border-gray-200 bg-white"
+                  }`}
+                >
+                  <p className={`font-semibold truncate ${theme === "dark" ? "text-white" : "text-gray-900"}`}>
+                    {draft.title || "Untitled"}
+                  </p>
+                  <p className={`text-xs mt-1 ${theme === "dark" ? "text-gray-400" : "text-gray-500"}`}>
+                    <span
+                      className={`px-2 py-0.5 rounded-full mr-1 ${
+                        draft.status === "SCHEDULED"
+                          ? "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300"
+                          : "bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300"
+                      }`}
+                    >
+                      {POST_STATUS_LABELS[draft.status]}
+                    </span>
+                    {draft.publishAt &&
+                      `${draft.status === "SCHEDULED" ? "for" : "planned for"} ${new Date(draft.publishAt).toLocaleString()}`}
+                  </p>
+                  <div className="mt-3 flex gap-3 text-sm">
+                    <button onClick={() => handleEdit(draft)} className="text-indigo-600 dark:text-indigo-300 hover:underline">
+                      Continue editing
+                    </button>
+                    <button onClick={() => handleDelete(draft.id)} className="text-red-600 hover:underline">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </aside>
+
+        <section className="lg:col-span-3">
+          <h2 className={`text-3xl font-bold mb-8 text-center ${theme === "dark" ? "text-white" : "text-gray-900"}`}>
+            Your Skills
+          </h2>
+          {loading ? (
+            <p className={`text-center ${theme === "dark" ? "text-gray-300" : "text-gray-600"}`}>Loading...</p>
+          ) : posts.length === 0 ? (
+            <p className={`text-center ${theme === "dark" ? "text-gray-300" : "text-gray-600"}`}>No skills shared yet.</p>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-8">
+              {posts.map((post) => (
+                <motion.div
+                  key={post.id}
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  className={`p-6 rounded-lg ${theme === "dark" ? "bg-gray-800" : "bg-white"}`}
+                >
+                  <MediaGallery media={getPostMedia(post)} title={post.title} compact />
+                  <h3 className={`text-xl font-semibold ${theme === "dark" ? "text-white" : "text-gray-900"}`}>{post.title}</h3>
+                  <Markdown
+                    source={post.content}
+                    compact
+                    className={`text-sm ${theme === "dark" ? "text-gray-300" : "text-gray-600"}`}
                   />
-                )}
-                <h3 className={`text-xl font-semibold ${theme === "dark" ? "text-white" : "text-gray-900"}`}>{post.title}</h3>
-                <p className={`text-sm ${theme === "dark" ? "text-gray-300" : "text-gray-600"}`}>{post.content}</p>
-                <div className="mt-4 flex space-x-3">
-                  <button
-                    onClick={() => handleEdit(post)}
-                    className="px-4 py-2 bg-indigo-600 text-white rounded"
-                  >
-                    Edit
-                  </button>
-                  <button
-                    onClick={() => handleDelete(post.id)}
-                    className="px-4 py-2 bg-red-600 text-white rounded"
-                  >
-                    Delete
-                  </button>
-                </div>
-              </motion.div>
-            ))}
-          </div>
-        )}
+                  <div className="mt-4 flex space-x-3">
+                    <button
+                      onClick={() => handleEdit(post)}
+                      className="px-4 py-2 bg-indigo-600 text-white rounded"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(post.id)}
+                      className="px-4 py-2 bg-red-600 text-white rounded"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          )}
+        </section>
       </div>
     </div>
   );
@@ -0,0 +1,260 @@
+import { useState, useEffect, useContext } from "react";
+import { Link } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import {
+  getFollowing,
+  unfollowUser,
+  getPosts,
+  getTopicSubscriptions,
+  subscribeToTopic,
+  unsubscribeFromTopic,
+  getApiErrorMessage,
+} from "../api.js";
+import { motion, AnimatePresence } from "framer-motion";
+import { FaUserCircle } from "react-icons/fa";
+import { XMarkIcon, PlusIcon, HashtagIcon, FolderIcon } from "@heroicons/react/24/outline";
+import { splitTags } from "../utils/tags.js";
+
+const FEED_LIMIT = 12;
+
+export default function Subscriptions() {
+  const { user, theme } = useContext(AuthContext);
+  const [following, setFollowing] = useState([]);
+  const [topics, setTopics] = useState([]);
+  const [posts, setPosts] = useState([]);
+  const [topicType, setTopicType] = useState("TAG");
+  const [topicValue, setTopicValue] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchSubscriptions = async () => {
+    if (!user) return;
+    setLoading(true);
+    setError("");
+    try {
+      const [followingData, topicData, postsData] = await Promise.all([
+        getFollowing(user.id),
+        getTopicSubscriptions(),
+        getPosts(),
+      ]);
+      setFollowing(followingData);
+      setTopics(topicData);
+      setPosts(postsData);
+    } catch (err) {
+      console.error("Failed to load subscriptions:", err);
+      setError(getApiErrorMessage(err, "Failed to load subscriptions. Please try again later."));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, [user]);
+
+  const handleUnfollow = async (creatorId) => {
+    try {
+      await unfollowUser(creatorId);
+      setFollowing(following.filter((creator) => creator.id !== creatorId));
+    } catch (err) {
+      console.error("Failed to unfollow user:", err);
+      setError(getApiErrorMessage(err, "Failed to unfollow user. Please try again."));
+    }
+  };
+
+  const handleSubscribe = async (e) => {
+    e.preventDefault();
+    if (!topicValue.trim()) return;
+    try {
+      const subscription = await subscribeToTopic(topicType, topicValue.trim());
+      if (!topics.some((t) => t.id === subscription.id)) {
+        setTopics([subscription, ...topics]);
+      }
+      setTopicValue("");
+    } catch (err) {
+      console.error("Failed to subscribe to topic:", err);
+      setError(getApiErrorMessage(err, "Failed to subscribe. Please try again."));
+    }
+  };
+
+  const handleUnsubscribe = async (subscriptionId) => {
+    try {
+      await unsubscribeFromTopic(subscriptionId);
+      setTopics(topics.filter((t) => t.id !== subscriptionId));
+    } catch (err) {
+      console.error("Failed to unsubscribe from topic:", err);
+      setError(getApiErrorMessage(err, "Failed to unsubscribe. Please try again."));
+    }
+  };
+
+  const followedIds = new Set(following.map((creator) => String(creator.id)));
+  const subscribedTags = new Set(topics.filter((t) => t.type === "TAG").map((t) => t.value.toLowerCase()));
+  const subscribedCategories = new Set(
+    topics.filter((t) => t.type === "CATEGORY").map((t) => t.value.toLowerCase())
+  );
+
+  // Returns why a post belongs in the subscription feed, or null if it doesn't.
+  const getFeedReason = (post) => {
+    if (followedIds.has(String(post.user?.id))) return `Following ${post.user.username}`;
+    if (post.category && subscribedCategories.has(post.category.trim().toLowerCase())) {
+      return `Category: ${post.category.trim()}`;
+    }
+    const matchedTag = splitTags(post.tags).find((tag) => subscribedTags.has(tag.toLowerCase()));
+    return matchedTag ? `#${matchedTag}` : null;
+  };
+
+  const feed = posts
+    .filter((post) => String(post.user?.id) !== String(user?.id))
+    .map((post) => ({ post, reason: getFeedReason(post) }))
+    .filter(({ reason }) => reason)
+    .sort((a, b) => new Date(b.post.createdAt) - new Date(a.post.createdAt))
+    .slice(0, FEED_LIMIT);
+
+  const suggestions =
+    topicType === "TAG"
+      ? [...new Set(posts.flatMap((post) => splitTags(post.tags)))]
+      : [...new Set(posts.map((post) => post.category?.trim()).filter(Boolean))];
+
+  const cardClass = `rounded-xl shadow-lg p-6 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`;
+
+  if (!user) {
+    return (
+      <div className="flex items-center justify-center py-32">
+        <motion.p initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-3xl font-bold">
+          Log in to manage your subscriptions!
+        </motion.p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <h1 className="text-4xl font-bold mb-8">Subscriptions</h1>
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+
+      {/* Subscription Feed */}
+      <section className="mb-12">
+        <h2 className="text-2xl font-semibold mb-4">From your subscriptions</h2>
+        {loading ? (
+          <p className="text-center text-lg text-gray-600 dark:text-gray-400">Loading feed...</p>
+        ) : feed.length === 0 ? (
+          <p className="text-center text-lg text-gray-600 dark:text-gray-400">
+            Follow creators or subscribe to topics to fill your feed.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+            {feed.map(({ post, reason }) => (
+              <motion.div key={post.id} initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+                <Link to={`/post/${post.id}`} className={`block h-full ${cardClass} hover:scale-[1.02] transition-transform`}>
+                  <span className={`text-xs px-2 py-1 rounded-full ${theme === "dark" ? "bg-purple-900 text-purple-300" : "bg-purple-100 text-purple-800"}`}>
+                    {reason}
+                  </span>
+                  <h3 className="text-xl font-semibold mt-3 mb-1">{post.title}</h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+                    By: {post.user?.username || "Unknown"} • {new Date(post.createdAt).toLocaleDateString()}
+                  </p>
+                  <p className="text-gray-700 dark:text-gray-300 line-clamp-3">{post.content}</p>
+                </Link>
+              </motion.div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        {/* Followed Creators */}
+        <section className={cardClass}>
+          <h2 className="text-2xl font-semibold mb-4">Creators you follow</h2>
+          {following.length === 0 ? (
+            <p className="text-gray-600 dark:text-gray-400">You are not following anyone yet.</p>
+          ) : (
+            <ul className="space-y-3">
+              <AnimatePresence>
+                {following.map((creator) => (
+                  <motion.li
+                    key={creator.id}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0, x: -20 }}
+                    className="flex items-center gap-3"
+                  >
+                    <FaUserCircle size={32} className={theme === "dark" ? "text-gray-500" : "text-gray-300"} />
+                    <Link to={`/profile/${creator.id}`} className="flex-1 hover:text-purple-600">
+                      <span className="font-medium">{creator.username}</span>
+                      {creator.followerCount !== undefined && (
+                        <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                          {creator.followerCount} followers
+                        </span>
+                      )}
+                    </Link>
+                    <motion.button
+                      onClick={() => handleUnfollow(creator.id)}
+                      whileHover={{ scale: 1.05 }}
+                      className={`px-3 py-1 rounded-full text-sm ${theme === "dark" ? "bg-gray-700 text-gray-200" : "bg-gray-200 text-gray-800"}`}
+                    >
+                      Unfollow
+                    </motion.button>
+                  </motion.li>
+                ))}
+              </AnimatePresence>
+            </ul>
+          )}
+        </section>
+
+        {/* Topic Subscriptions */}
+        <section className={cardClass}>
+          <h2 className="text-2xl font-semibold mb-4">Topics</h2>
+          <form onSubmit={handleSubscribe} className="flex gap-2 mb-4">
+            <select
+              value={topicType}
+              onChange={(e) => setTopicType(e.target.value)}
+              className={`p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"}`}
+            >
+              <option value="TAG">Tag</option>
+              <option value="CATEGORY">Category</option>
+            </select>
+            <input
+              type="text"
+              value={topicValue}
+              onChange={(e) => setTopicValue(e.target.value)}
+              list="topic-suggestions"
+              placeholder={topicType === "TAG" ? "e.g. react" : "e.g. Programming"}
+              className={`flex-1 p-3 rounded-lg ${theme === "dark" ? "bg-gray-700 text-white" : "bg-gray-100 text-gray-900"} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+            />
+            <datalist id="topic-suggestions">
+              {suggestions.map((suggestion) => (
+                <option key={suggestion} value={suggestion} />
+              ))}
+            </datalist>
+            <motion.button
+              type="submit"
+              whileHover={{ scale: 1.05 }}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg"
+              aria-label="Subscribe"
+            >
+              <PlusIcon className="h-5 w-5" />
+            </motion.button>
+          </form>
+          {topics.length === 0 ? (
+            <p className="text-gray-600 dark:text-gray-400">No topic subscriptions yet.</p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {topics.map((topic) => (
+                <span
+                  key={topic.id}
+                  className={`flex items-center gap-1 text-sm px-3 py-1 rounded-full ${theme === "dark" ? "bg-purple-900 text-purple-300" : "bg-purple-100 text-purple-800"}`}
+                >
+                  {topic.type === "TAG" ? <HashtagIcon className="h-4 w-4" /> : <FolderIcon className="h-4 w-4" />}
+                  {topic.value}
+                  <button onClick={() => handleUnsubscribe(topic.id)} aria-label={`Unsubscribe from ${topic.value}`}>
+                    <XMarkIcon className="h-4 w-4" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
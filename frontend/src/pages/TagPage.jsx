@@ -0,0 +1,161 @@
+import { useState, useEffect, useContext, useRef } from "react";
+import { Link, useParams } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { getTag, getPostsPage, getApiErrorMessage } from "../api.js";
+import { motion } from "framer-motion";
+import { HashtagIcon } from "@heroicons/react/24/outline";
+import Markdown from "../components/Markdown.jsx";
+import MediaCover from "../components/MediaCover.jsx";
+import { getPostMedia } from "../utils/media.js";
+import { splitTags, tagPath, slugifyTag } from "../utils/tags.js";
+
+const PAGE_SIZE = 12;
+
+export default function TagPage() {
+  const { tag: slug } = useParams();
+  const { user, theme, setShowAuthForm, setIsLogin } = useContext(AuthContext);
+  const [tag, setTag] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [page, setPage] = useState(0);
+  const [hasNext, setHasNext] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+  // Ignores pages that arrive after the user has moved on to another tag.
+  const requestIdRef = useRef(0);
+
+  const fetchPosts = async (pageToLoad) => {
+    const requestId = requestIdRef.current;
+    if (pageToLoad === 0) {
+      setLoading(true);
+    } else {
+      setLoadingMore(true);
+    }
+    try {
+      const data = await getPostsPage({ page: pageToLoad, size: PAGE_SIZE, tag: slug });
+      if (requestId !== requestIdRef.current) return;
+      const content = data?.content || [];
+      setPosts((prev) => (pageToLoad === 0 ? content : [...prev, ...content.filter((post) => !prev.some((p) => p.id === post.id))]));
+      setPage(pageToLoad);
+      setHasNext(Boolean(data?.hasNext));
+    } catch (err) {
+      console.error("Failed to load tagged posts:", err);
+      if (requestId === requestIdRef.current) setError(getApiErrorMessage(err, "Failed to load posts. Please try again."));
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  useEffect(() => {
+    requestIdRef.current++;
+    setPosts([]);
+    setHasNext(false);
+    setError("");
+    setTag(null);
+    if (!user) return;
+    getTag(slug)
+      .then(setTag)
+      .catch((err) => {
+        if (err.response?.status !== 404) console.error("Failed to load tag:", err);
+      });
+    fetchPosts(0);
+  }, [user, slug]);
+
+  if (!user) {
+    return (
+      <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">
+        Please{" "}
+        <button
+          onClick={() => {
+            setShowAuthForm(true);
+            setIsLogin(true);
+          }}
+          className="text-purple-600 hover:text-purple-700"
+        >
+          login
+        </button>{" "}
+        to browse posts by tag.
+      </p>
+    );
+  }
+
+  const count = tag?.count ?? posts.length;
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <motion.section
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className={`rounded-xl shadow-lg p-8 mb-8 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+      >
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <HashtagIcon className="h-8 w-8 text-purple-600" />
+          {tag?.name || slug}
+        </h1>
+        {!loading && (
+          <p className="mt-2 text-gray-600 dark:text-gray-400">
+            {count} post{count === 1 ? "" : "s"}
+          </p>
+        )}
+      </motion.section>
+
+      {error && <p className="text-red-500 text-center mb-4">{error}</p>}
+
+      {loading ? (
+        <p className="text-center text-lg text-gray-600 dark:text-gray-400">Loading posts...</p>
+      ) : posts.length === 0 ? (
+        !error && <p className="text-center text-lg text-gray-600 dark:text-gray-400">No posts with this tag yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+          {posts.map((post) => (
+            <div
+              key={post.id}
+              className={`rounded-xl shadow-lg p-6 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+            >
+              <Link to={`/post/${post.id}`} className="block">
+                <MediaCover media={getPostMedia(post)} title={post.title} className="h-40 mb-4" />
+                <h3 className="text-xl font-semibold mb-2 hover:text-purple-600 dark:hover:text-purple-300">{post.title}</h3>
+              </Link>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+                By: {post.user?.username || "Unknown"} • {new Date(post.createdAt).toLocaleDateString()}
+              </p>
+              <Markdown source={post.content} compact className="text-gray-700 dark:text-gray-300 mb-3" />
+              <div className="flex flex-wrap gap-2">
+                {splitTags(post.tags).map((postTag) => (
+                  <Link
+                    key={postTag}
+                    to={tagPath(postTag)}
+                    className={`text-xs px-2 py-1 rounded-full hover:underline ${
+                      slugifyTag(postTag) === slug
+                        ? "bg-purple-600 text-white"
+                        : theme === "dark"
+                        ? "bg-purple-900 text-purple-300"
+                        : "bg-purple-100 text-purple-800"
+                    }`}
+                  >
+                    #{postTag}
+                  </Link>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {hasNext && !loading && (
+        <div className="text-center mt-8">
+          <button
+            onClick={() => fetchPosts(page + 1)}
+            disabled={loadingMore}
+            className="px-6 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-60"
+          >
+            {loadingMore ? "Loading..." : "Load more"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
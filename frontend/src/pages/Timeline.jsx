@@ -0,0 +1,64 @@
+import { useState, useEffect, useContext } from "react";
+import { Link, useParams } from "react-router-dom";
+import { AuthContext } from "../context/AuthContext";
+import { getUserProfile } from "../api.js";
+import { motion } from "framer-motion";
+import ActivityTimeline from "../components/ActivityTimeline.jsx";
+import { ClockIcon } from "@heroicons/react/24/outline";
+
+export default function Timeline() {
+  const { userId } = useParams();
+  const { user, theme, setShowAuthForm, setIsLogin } = useContext(AuthContext);
+  const [profile, setProfile] = useState(null);
+
+  const isOwner = user && String(user.id) === String(userId);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    setProfile(null);
+    getUserProfile(userId)
+      .then((loaded) => !cancelled && setProfile(loaded))
+      .catch((err) => console.error("Failed to load profile:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, user]);
+
+  if (!user) {
+    return (
+      <p className="text-center text-lg text-gray-600 dark:text-gray-400 py-16">
+        Please{" "}
+        <button
+          onClick={() => {
+            setShowAuthForm(true);
+            setIsLogin(true);
+          }}
+          className="text-purple-600 hover:text-purple-700"
+        >
+          login
+        </button>{" "}
+        to see timelines.
+      </p>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <motion.section
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className={`rounded-xl shadow-lg p-8 mb-8 border ${theme === "dark" ? "bg-gray-800 border-gray-700" : "bg-white border-gray-200"}`}
+      >
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <ClockIcon className="h-8 w-8 text-purple-600" />
+          {isOwner ? "Your activity" : profile ? `${profile.username}'s activity` : "Activity"}
+        </h1>
+        <Link to={`/profile/${userId}`} className="mt-2 inline-block text-purple-600 hover:text-purple-700">
+          Back to profile
+        </Link>
+      </motion.section>
+      <ActivityTimeline userId={userId} isOwner={isOwner} />
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// Same rule as NotificationService.MENTION_PATTERN on the backend.
+export const MENTION_PATTERN = /(?<![\w@])@([A-Za-z0-9_][A-Za-z0-9_.-]*)/g;
+
+const byCreatedAt = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+// Turns the flat comment list from the API into top-level comments with nested `replies`.
+// Replies whose parent is missing (e.g. deleted) are shown at the top level.
+export const buildCommentTree = (comments = []) => {
+  const nodes = new Map(comments.map((comment) => [comment.id, { ...comment, replies: [] }]));
+  const roots = [];
+  [...nodes.values()].sort(byCreatedAt).forEach((node) => {
+    const parent = node.parentId != null ? nodes.get(node.parentId) : null;
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+export const countReplies = (node) => node.replies.reduce((total, reply) => total + 1 + countReplies(reply), 0);
+
+// Removes a comment and every reply under it, mirroring the server-side cascade.
+export const removeCommentThread = (comments = [], commentId) => {
+  const removed = new Set([commentId]);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    comments.forEach((comment) => {
+      if (!removed.has(comment.id) && removed.has(comment.parentId)) {
+        removed.add(comment.id);
+        changed = true;
+      }
+    });
+  }
+  return comments.filter((comment) => !removed.has(comment.id));
+};
@@ -0,0 +1,37 @@
+export const POST_STATUS_LABELS = {
+  DRAFT: "Draft",
+  SCHEDULED: "Scheduled",
+  PUBLISHED: "Published",
+};
+
+const draftKey = (userId) => `postDraft:${userId}`;
+
+// The composer's text fields are mirrored to localStorage on every change so a reload
+// or navigation doesn't lose them. Attachments can't be stored and are not included.
+export const loadLocalDraft = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(draftKey(userId)));
+  } catch {
+    return null;
+  }
+};
+
+export const saveLocalDraft = (userId, draft) => {
+  localStorage.setItem(draftKey(userId), JSON.stringify({ ...draft, savedAt: new Date().toISOString() }));
+};
+
+export const clearLocalDraft = (userId) => localStorage.removeItem(draftKey(userId));
+
+export const isEmptyDraft = (draft) => !draft || ![draft.title, draft.content, draft.category, draft.tags].some((value) => value?.trim());
+
+// <input type="datetime-local"> works in local time without a zone; the API takes an ISO instant.
+export const toDateTimeLocal = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+export const fromDateTimeLocal = (value) => (value ? new Date(value).toISOString() : "");
+
+export const isFutureTime = (value) => Boolean(value) && new Date(value) > new Date();
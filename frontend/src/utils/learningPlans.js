@@ -0,0 +1,43 @@
+export const PLAN_STATUSES = ["NOT_STARTED", "IN_PROGRESS", "COMPLETED"];
+
+export const STATUS_LABELS = {
+  NOT_STARTED: "Not Started",
+  IN_PROGRESS: "In Progress",
+  COMPLETED: "Completed",
+};
+
+// Allowed status moves from each state, in the order they are offered in the UI.
+export const STATUS_TRANSITIONS = {
+  NOT_STARTED: ["IN_PROGRESS"],
+  IN_PROGRESS: ["COMPLETED", "NOT_STARTED"],
+  COMPLETED: ["IN_PROGRESS"],
+};
+
+export const STATUS_STYLES = {
+  NOT_STARTED: { light: "bg-gray-100 text-gray-800", dark: "bg-gray-700 text-gray-300" },
+  IN_PROGRESS: { light: "bg-blue-100 text-blue-800", dark: "bg-blue-900 text-blue-300" },
+  COMPLETED: { light: "bg-green-100 text-green-800", dark: "bg-green-900 text-green-300" },
+};
+
+export const emptyTopic = () => ({
+  title: "",
+  description: "",
+  resources: "",
+  targetDate: "",
+  completed: false,
+});
+
+export const isOwnPlan = (plan, user) =>
+  Boolean(user) && String(plan.user?.id ?? plan.userId) === String(user.id);
+
+export const getPlanProgress = (topics = []) => {
+  if (!topics.length) return 0;
+  return Math.round((topics.filter((t) => t.completed).length / topics.length) * 100);
+};
+
+// A topic is overdue once its target date has passed without it being completed.
+export const isTopicOverdue = (topic, now = new Date()) => {
+  if (!topic.targetDate || topic.completed) return false;
+  const due = new Date(`${String(topic.targetDate).slice(0, 10)}T23:59:59`);
+  return due < now;
+};
@@ -0,0 +1,78 @@
+import { Marked } from "marked";
+import DOMPurify from "dompurify";
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import css from "highlight.js/lib/languages/css";
+import java from "highlight.js/lib/languages/java";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import python from "highlight.js/lib/languages/python";
+import sql from "highlight.js/lib/languages/sql";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import "highlight.js/styles/github-dark.css";
+
+hljs.registerLanguage("bash", bash);
+hljs.registerLanguage("css", css);
+hljs.registerLanguage("java", java);
+hljs.registerLanguage("javascript", javascript);
+hljs.registerLanguage("json", json);
+hljs.registerLanguage("python", python);
+hljs.registerLanguage("sql", sql);
+hljs.registerLanguage("typescript", typescript);
+hljs.registerLanguage("xml", xml);
+
+const escapeHtml = (value) =>
+  value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// `breaks` keeps single newlines as line breaks, so posts written before Markdown
+// support still render the way they did with whitespace-pre-line.
+const marked = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || "").trim().split(/\s+/)[0].toLowerCase();
+      const highlighted = hljs.getLanguage(language)
+        ? hljs.highlight(text, { language, ignoreIllegals: true }).value
+        : escapeHtml(text);
+      return `<pre><code class="hljs${language ? ` language-${escapeHtml(language)}` : ""}">${highlighted}</code></pre>\n`;
+    },
+  },
+});
+
+// Links in user content open in a new tab without handing over window.opener.
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A" && node.getAttribute("href")) {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer");
+  }
+});
+
+// Markdown -> sanitized HTML. Every place that shows post content goes through here.
+export const renderMarkdown = (source) => {
+  if (!source) return "";
+  return DOMPurify.sanitize(marked.parse(source), { ADD_ATTR: ["target"] });
+};
+
+// Wraps the selection in a textarea with Markdown syntax. Returns the new value and
+// the selection to restore, so the editor can stay a controlled component.
+export const applyMarkdownFormat = (value, selectionStart, selectionEnd, format) => {
+  const selected = value.slice(selectionStart, selectionEnd);
+  const before = value.slice(0, selectionStart);
+  const after = value.slice(selectionEnd);
+
+  if (format.block) {
+    const lineStart = before.lastIndexOf("\n") + 1;
+    const head = value.slice(0, lineStart);
+    const lines = value.slice(lineStart, selectionEnd).split("\n");
+    const prefixed = lines.map((line, index) => format.prefix(index) + line).join("\n");
+    const next = head + prefixed + after;
+    return { value: next, selectionStart: lineStart, selectionEnd: lineStart + prefixed.length };
+  }
+
+  const text = selected || format.placeholder;
+  const next = before + format.before + text + format.after + after;
+  const start = selectionStart + format.before.length;
+  return { value: next, selectionStart: start, selectionEnd: start + text.length };
+};
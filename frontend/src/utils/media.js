@@ -0,0 +1,86 @@
+const VIDEO_EXTENSIONS = ["mp4", "m4v", "mov"];
+
+export const MEDIA_IMAGE = "IMAGE";
+export const MEDIA_VIDEO = "VIDEO";
+
+const extensionOf = (url) => url.split(/[?#]/)[0].split(".").pop().toLowerCase();
+
+// Attachments of a post as [{ url, type }]. Older API responses only have the
+// comma-separated `images` field, so the type falls back to the file extension.
+export const getPostMedia = (post) => {
+  if (Array.isArray(post?.media) && post.media.length > 0) return post.media;
+  if (!post?.images) return [];
+  return post.images
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((url) => ({ url, type: VIDEO_EXTENSIONS.includes(extensionOf(url)) ? MEDIA_VIDEO : MEDIA_IMAGE }));
+};
+
+export const formatBytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+const readVideoDuration = (file) =>
+  new Promise((resolve) => {
+    const video = document.createElement("video");
+    const url = URL.createObjectURL(file);
+    video.preload = "metadata";
+    video.onloadedmetadata = () => {
+      URL.revokeObjectURL(url);
+      resolve(video.duration);
+    };
+    video.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    video.src = url;
+  });
+
+// Mirrors MediaService's checks so users hear about a bad file before uploading it.
+// The server still enforces the limits; this returns the first problem found, or null.
+export const validateMediaFiles = async (files, limits) => {
+  if (!limits) return null;
+  if (files.length > limits.maxFiles) return `A post can have at most ${limits.maxFiles} attachments.`;
+  for (const file of files) {
+    if (limits.imageTypes.includes(file.type)) {
+      if (file.size > limits.maxImageBytes) return `Image ${file.name} is larger than ${formatBytes(limits.maxImageBytes)}.`;
+    } else if (file.type.startsWith("video/") && VIDEO_EXTENSIONS.includes(extensionOf(file.name))) {
+      if (file.size > limits.maxVideoBytes) return `Video ${file.name} is larger than ${formatBytes(limits.maxVideoBytes)}.`;
+      const duration = await readVideoDuration(file);
+      if (duration && duration > limits.maxVideoDurationSeconds) {
+        return `Video ${file.name} is longer than ${limits.maxVideoDurationSeconds} seconds.`;
+      }
+    } else {
+      return `Unsupported file type: ${file.name}. Use JPG, PNG, GIF or WebP images and MP4 or MOV videos.`;
+    }
+  }
+  return null;
+};
+
+// Items managed by AttachmentPicker. Existing attachments keep their URL; new ones carry
+// the File plus an object URL for the preview.
+let nextAttachmentId = 0;
+
+export const toAttachmentItems = (post) =>
+  getPostMedia(post).map((item) => ({ id: `existing-${nextAttachmentId++}`, url: item.url, type: item.type }));
+
+export const createAttachmentItem = (file) => ({
+  id: `new-${nextAttachmentId++}`,
+  file,
+  previewUrl: URL.createObjectURL(file),
+  type: file.type.startsWith("video/") ? MEDIA_VIDEO : MEDIA_IMAGE,
+});
+
+// Appends new files in display order and describes the final order for PostController:
+// existing URLs as-is, new files as "new:<index among uploaded files>".
+export const appendAttachments = (formData, items, { includeOrder = false } = {}) => {
+  let uploaded = 0;
+  const order = items.map((item) => {
+    if (!item.file) return item.url;
+    formData.append("files", item.file);
+    return `new:${uploaded++}`;
+  });
+  if (includeOrder) {
+    // An empty value tells the server to drop every attachment.
+    (order.length > 0 ? order : [""]).forEach((entry) => formData.append("mediaOrder", entry));
+  }
+};
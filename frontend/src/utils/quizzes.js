@@ -0,0 +1,102 @@
+export const QUESTION_TYPES = {
+  SINGLE_CHOICE: "Multiple choice",
+  MULTIPLE_CHOICE: "Multi-select",
+  SHORT_ANSWER: "Short answer",
+};
+
+// Mirrors the limits QuizService enforces.
+export const MAX_QUESTIONS = 50;
+export const MAX_OPTIONS = 10;
+export const MAX_TIME_LIMIT_MINUTES = 180;
+export const DEFAULT_PASSING_SCORE = 70;
+
+export const isChoiceQuestion = (question) => question.type !== "SHORT_ANSWER";
+
+export const emptyQuestion = (type = "SINGLE_CHOICE") => ({
+  type,
+  prompt: "",
+  options: type === "SHORT_ANSWER" ? [] : ["", ""],
+  correctOptions: [],
+  acceptedAnswers: type === "SHORT_ANSWER" ? [""] : [],
+  explanation: "",
+  points: 1,
+});
+
+// Editor state for a new quiz, or for one loaded with its answers (only its author gets those).
+export const toQuizForm = (quiz) => ({
+  title: quiz?.title || "",
+  description: quiz?.description || "",
+  timeLimitMinutes: quiz?.timeLimitSeconds ? String(quiz.timeLimitSeconds / 60) : "",
+  passingScore: String(quiz?.passingScore ?? DEFAULT_PASSING_SCORE),
+  milestoneId: quiz?.milestoneId != null ? String(quiz.milestoneId) : "",
+  questions: quiz?.questions?.length
+    ? quiz.questions.map((q) => ({
+        type: q.type,
+        prompt: q.prompt || "",
+        options: q.options?.length ? [...q.options] : [],
+        correctOptions: q.correctOptions || [],
+        acceptedAnswers: q.acceptedAnswers?.length ? [...q.acceptedAnswers] : [""],
+        explanation: q.explanation || "",
+        points: q.points || 1,
+      }))
+    : [emptyQuestion()],
+});
+
+export const toQuizPayload = (form) => ({
+  title: form.title.trim(),
+  description: form.description.trim(),
+  timeLimitSeconds: form.timeLimitMinutes ? Math.round(Number(form.timeLimitMinutes) * 60) : null,
+  passingScore: Number(form.passingScore),
+  milestoneId: form.milestoneId ? Number(form.milestoneId) : null,
+  questions: form.questions.map((q) => ({
+    type: q.type,
+    prompt: q.prompt.trim(),
+    options: isChoiceQuestion(q) ? q.options.map((o) => o.trim()) : [],
+    correctOptions: isChoiceQuestion(q) ? q.correctOptions : [],
+    acceptedAnswers: isChoiceQuestion(q) ? [] : q.acceptedAnswers.map((a) => a.trim()).filter(Boolean),
+    explanation: q.explanation.trim(),
+    points: Number(q.points) || 1,
+  })),
+});
+
+// Catches the mistakes the server would reject, with a message pointing at the question.
+export const validateQuizForm = (form) => {
+  if (!form.title.trim()) return "Give the quiz a title.";
+  const minutes = form.timeLimitMinutes === "" ? null : Number(form.timeLimitMinutes);
+  if (minutes !== null && !(minutes >= 0.5 && minutes <= MAX_TIME_LIMIT_MINUTES)) {
+    return `The time limit must be between 0.5 and ${MAX_TIME_LIMIT_MINUTES} minutes, or empty for no limit.`;
+  }
+  const passingScore = Number(form.passingScore);
+  if (form.passingScore === "" || !(passingScore >= 0 && passingScore <= 100)) {
+    return "The passing score must be between 0 and 100%.";
+  }
+  if (form.questions.length === 0) return "Add at least one question.";
+  for (const [index, question] of form.questions.entries()) {
+    const label = `Question ${index + 1}`;
+    if (!question.prompt.trim()) return `${label} needs a prompt.`;
+    if (!isChoiceQuestion(question)) {
+      if (!question.acceptedAnswers.some((a) => a.trim())) return `${label} needs at least one accepted answer.`;
+      continue;
+    }
+    if (question.options.length < 2 || question.options.some((o) => !o.trim())) {
+      return `${label} needs at least two options, none of them empty.`;
+    }
+    if (question.type === "SINGLE_CHOICE" && question.correctOptions.length !== 1) {
+      return `${label} needs exactly one correct option.`;
+    }
+    if (question.correctOptions.length === 0) return `${label} needs at least one correct option.`;
+  }
+  return "";
+};
+
+// 95 -> "1:35"; 3725 -> "1:02:05"
+export const formatDuration = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+};
+
+export const describeTimeLimit = (timeLimitSeconds) =>
+  timeLimitSeconds ? `${Math.round(timeLimitSeconds / 60) || 1} min` : "No time limit";
@@ -0,0 +1,26 @@
+// Display metadata for the reaction types the backend is configured with (app.reactions.types).
+// Unknown types still render, using their name as the label.
+export const REACTION_META = {
+  LIKE: { label: "Like", emoji: "👍" },
+  LOVE: { label: "Love", emoji: "❤️" },
+  INSIGHTFUL: { label: "Insightful", emoji: "💡" },
+  HELPFUL: { label: "Helpful", emoji: "🙌" },
+  CELEBRATE: { label: "Celebrate", emoji: "🎉" },
+};
+
+export const DEFAULT_REACTION_TYPES = Object.keys(REACTION_META);
+
+export const getReactionMeta = (type) =>
+  REACTION_META[type] || { label: type.charAt(0) + type.slice(1).toLowerCase(), emoji: "⭐" };
+
+export const getUserReaction = (post, user) =>
+  post.reactions?.find((r) => String(r.userId) === String(user?.id))?.reactionType || null;
+
+// Reactions grouped by type, most used first, keeping the configured order for ties.
+export const groupReactions = (reactions = [], types = DEFAULT_REACTION_TYPES) => {
+  const order = [...types, ...reactions.map((r) => r.reactionType).filter((type) => !types.includes(type))];
+  return [...new Set(order)]
+    .map((type) => ({ type, reactions: reactions.filter((r) => r.reactionType === type) }))
+    .filter((group) => group.reactions.length > 0)
+    .sort((a, b) => b.reactions.length - a.reactions.length);
+};
@@ -0,0 +1,69 @@
+// Client-side copy of the backend's RegistrationRules; keep the messages in step with it.
+// The policy itself comes from /api/auth/password-policy, with these defaults until it loads.
+export const DEFAULT_PASSWORD_POLICY = {
+  usernameMinLength: 3,
+  usernameMaxLength: 30,
+  passwordMinLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireDigit: true,
+  requireSymbol: false,
+};
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_](?:[A-Za-z0-9_.-]*[A-Za-z0-9_])?$/;
+const RESERVED_PREFIX = "deleted-user-";
+
+export const usernameErrors = (username, policy = DEFAULT_PASSWORD_POLICY) => {
+  const errors = [];
+  if (username.length < policy.usernameMinLength || username.length > policy.usernameMaxLength) {
+    errors.push(`Username must be ${policy.usernameMinLength}-${policy.usernameMaxLength} characters`);
+  }
+  if (username && !USERNAME_PATTERN.test(username)) {
+    errors.push("Username may only use letters, digits, '_', '.' and '-', and can't end with '.' or '-'");
+  }
+  if (username.toLowerCase().startsWith(RESERVED_PREFIX)) {
+    errors.push("That username is reserved");
+  }
+  return errors;
+};
+
+// Every rule of the policy with whether the password meets it, for the checklist under the field.
+export const passwordChecks = (password, username = "", policy = DEFAULT_PASSWORD_POLICY) =>
+  [
+    { label: `At least ${policy.passwordMinLength} characters`, met: password.length >= policy.passwordMinLength, active: true },
+    { label: "An uppercase letter", met: /\p{Lu}/u.test(password), active: policy.requireUppercase },
+    { label: "A lowercase letter", met: /\p{Ll}/u.test(password), active: policy.requireLowercase },
+    { label: "A digit", met: /\p{Nd}/u.test(password), active: policy.requireDigit },
+    { label: "A symbol", met: /[^\p{L}\p{Nd}]/u.test(password), active: policy.requireSymbol },
+    {
+      label: "Doesn't contain the username",
+      met: username.length < 3 || !password.toLowerCase().includes(username.toLowerCase()),
+      active: true,
+    },
+  ].filter((check) => check.active);
+
+export const meetsPasswordPolicy = (password, username, policy) =>
+  passwordChecks(password, username, policy).every((check) => check.met);
+
+const STRENGTH_LABELS = ["Very weak", "Weak", "Fair", "Good", "Strong"];
+
+// 0-4 rating for the meter: length and variety of character classes, minus obvious patterns.
+// Only a hint; the policy checks above decide whether a password is accepted.
+export const passwordStrength = (password) => {
+  if (!password) return { score: 0, label: STRENGTH_LABELS[0] };
+  const classes = [/\p{Ll}/u, /\p{Lu}/u, /\p{Nd}/u, /[^\p{L}\p{Nd}]/u].filter((pattern) => pattern.test(password)).length;
+  let score = (password.length >= 8 ? 1 : 0) + (password.length >= 12 ? 1 : 0) + (password.length >= 16 ? 1 : 0);
+  score += classes >= 3 ? 1 : 0;
+  score += classes === 4 ? 1 : 0;
+  if (/(.)\1{2,}/.test(password) || /^(?:password|qwerty|123456|letmein)/i.test(password)) score -= 2;
+  score = Math.max(0, Math.min(4, score));
+  return { score, label: STRENGTH_LABELS[score] };
+};
+
+// Which form field a server-side registration error belongs to.
+export const fieldForMessage = (message = "") => {
+  if (/^(Username|That username)/.test(message)) return "username";
+  if (/^Password/.test(message)) return "password";
+  if (/email/i.test(message)) return "email";
+  return "form";
+};
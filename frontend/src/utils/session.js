@@ -0,0 +1,25 @@
+export const TOKEN_KEY = "token";
+export const REFRESH_TOKEN_KEY = "refreshToken";
+
+// Access tokens are renewed this long before they expire, so requests never go out with a stale one.
+export const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Reads a JWT's payload without verifying it; only the server can do that. Null if it isn't a JWT.
+export const getTokenClaims = (token) => {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload));
+  } catch {
+    return null;
+  }
+};
+
+// Milliseconds until the token should be renewed (negative once due), or null if it has no expiry.
+export const msUntilRefresh = (token, now = Date.now()) => {
+  const exp = getTokenClaims(token)?.exp;
+  return exp ? exp * 1000 - REFRESH_MARGIN_MS - now : null;
+};
+
+// Runs `task` while holding a lock shared by all tabs, so two tabs never spend the same refresh
+// token at once. Browsers without the Web Locks API just run it.
+export const withTabLock = (name, task) => (navigator.locks ? navigator.locks.request(name, task) : task());
@@ -0,0 +1,16 @@
+// Same rules as TagService.slugify on the backend: "  Spring Boot " -> "spring-boot".
+export const slugifyTag = (raw = "") =>
+  raw
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^a-z0-9+#.-]/g, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 50);
+
+export const splitTags = (csv) => (csv ? csv.split(",").map((tag) => tag.trim()).filter(Boolean) : []);
+
+export const tagPath = (tag) => `/tags/${encodeURIComponent(slugifyTag(tag))}`;
+
+export const MAX_TAGS_PER_POST = 8;
@@ -0,0 +1,57 @@
+import { getReactionMeta } from "./reactions.js";
+import { STATUS_LABELS } from "./learningPlans.js";
+
+// Event types in the order the filter offers them.
+export const TIMELINE_EVENT_TYPES = [
+  { type: "POST", label: "Posts" },
+  { type: "COMMENT", label: "Comments" },
+  { type: "REACTION", label: "Reactions" },
+  { type: "FOLLOW", label: "Follows" },
+  { type: "PLAN_STATUS", label: "Learning plans" },
+];
+
+// One-line summary of an event, e.g. `Reacted 💡 Insightful to "Intro to Spring"`.
+export const describeEvent = (event) => {
+  switch (event.type) {
+    case "POST":
+      return `Shared "${event.title}"`;
+    case "COMMENT":
+      return `Commented on "${event.title}"`;
+    case "REACTION": {
+      const meta = getReactionMeta(event.detail || "LIKE");
+      return `Reacted ${meta.emoji} ${meta.label} to "${event.title}"`;
+    }
+    case "FOLLOW":
+      return `Started following ${event.title}`;
+    case "PLAN_STATUS":
+      return `Moved "${event.title}" to ${STATUS_LABELS[event.detail] || event.detail}`;
+    default:
+      return event.title || event.type;
+  }
+};
+
+const dayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Groups events (already newest first) by local calendar day: [{ key, label, events }].
+export const groupEventsByDay = (events, now = new Date()) => {
+  const today = dayKey(now);
+  const yesterday = dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+  const groups = [];
+  for (const event of events) {
+    const date = new Date(event.createdAt);
+    const key = dayKey(date);
+    let group = groups[groups.length - 1];
+    if (!group || group.key !== key) {
+      const label =
+        key === today
+          ? "Today"
+          : key === yesterday
+            ? "Yesterday"
+            : date.toLocaleDateString(undefined, { weekday: "long", year: "numeric", month: "long", day: "numeric" });
+      group = { key, label, events: [] };
+      groups.push(group);
+    }
+    group.events.push(event);
+  }
+  return groups;
+};